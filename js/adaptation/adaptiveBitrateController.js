@@ -0,0 +1,336 @@
+import EventEmitter from '../eventEmitter.js';
+import { CONTROL_TYPES } from '../protocol/controlMessage.js';
+import { ENCODING_PROFILES, QUALITY_LADDER, MAX_PACKET_DURATION } from '../codecs/encodingProfiles.js';
+
+/**
+ * Steps the broadcast down the quality ladder while any receiver's link is
+ * congested, and back up once every link has been healthy for a while.
+ *
+ * Every few seconds each ready receiver's link is measured from its latest
+ * status report (packet loss, new buffer underruns), the clock sync round
+ * trip time and the host's own send statistics (frames dropped because the
+ * transport backlog was full, frames still waiting to be sent). A link is
+ * congested past any of the congested thresholds and healthy only within
+ * all of the healthy ones; anything between holds the current level, so a
+ * link hovering around one threshold does not flap. Stepping down takes a
+ * few congested evaluations in a row, stepping up a long healthy stretch,
+ * and that stretch doubles whenever a step up is undone soon after.
+ *
+ * The ladder starts at the selected quality, continues with the lower
+ * qualities and ends with the lowest one in longer packets.
+ */
+export const ADAPTATION_EVENTS = {
+    DECISION: 'decision' // { time, direction, from, to, reason, deviceId, deviceName, link }
+};
+
+export const ADAPTATION_DIRECTIONS = {
+    DOWN: 'down',
+    UP: 'up'
+};
+
+const LINK_METRICS = {
+    packetLoss: { label: 'packet loss', unit: '%' },
+    rtt: { label: 'round trip time', unit: ' ms' },
+    underruns: { label: 'buffer underruns', unit: '' },
+    sendDrops: { label: 'send backlog drops', unit: '%' },
+    pending: { label: 'queued frames', unit: '' }
+};
+
+const DEFAULT_OPTIONS = {
+    interval: 2000, // ms between evaluations, the receivers' status interval
+    stepDownAfter: 2, // Congested evaluations in a row before stepping down
+    stepUpAfter: 15000, // ms every link must stay healthy before stepping up
+    maxStepUpAfter: 120000, // Longest wait after step ups keep being undone
+    settleTime: 6000, // ms after a change before links are judged again
+    congested: { packetLoss: 3, rtt: 150, underruns: 1, sendDrops: 2, pending: 8 },
+    healthy: { packetLoss: 0.5, rtt: 80, underruns: 0, sendDrops: 0, pending: 2 }
+};
+
+class AdaptiveBitrateController extends EventEmitter {
+    /**
+     * @param {BroadcastPipeline} pipeline - Pipeline whose profile is adapted
+     * @param {BluetoothController} bluetoothController - Source of receiver links
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(pipeline, bluetoothController, options = {}) {
+        super();
+        this.pipeline = pipeline;
+        this.bluetoothController = bluetoothController;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.isEnabled = true;
+        this.timer = null;
+        this.links = new Map(); // Device ID -> { status, underruns, sendStats } from the last evaluation
+        this.resetLevel();
+
+        this.handleConnectionEvent = this.handleConnectionEvent.bind(this);
+    }
+
+    /**
+     * Starts watching receiver links
+     */
+    start() {
+        if (this.timer) return;
+
+        this.resetLevel();
+        this.bluetoothController.addConnectionListener(this.handleConnectionEvent);
+        this.timer = setInterval(() => this.evaluate(), this.options.interval);
+    }
+
+    /**
+     * Stops watching and forgets the adapted level
+     */
+    stop() {
+        if (!this.timer) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.bluetoothController.removeConnectionListener(this.handleConnectionEvent);
+        this.links.clear();
+        if (this.pipeline.adaptation) {
+            this.pipeline.adapt(null);
+        }
+        this.resetLevel();
+    }
+
+    /**
+     * Turns adaptation on or off. Turning it off returns to the selected quality.
+     * @param {boolean} enabled - Whether to adapt
+     */
+    setEnabled(enabled) {
+        this.isEnabled = enabled;
+        if (!enabled && this.level > 0) {
+            this.step(0, 'adaptation turned off', null, null, performance.now());
+        }
+    }
+
+    /**
+     * Gets the current level for diagnostics
+     * @returns {Object} { enabled, quality, level, levels }
+     */
+    getState() {
+        const levels = this.getLevels();
+        return {
+            enabled: this.isEnabled,
+            quality: AdaptiveBitrateController.describeLevel(levels[this.level]),
+            level: this.level,
+            levels: levels.map(AdaptiveBitrateController.describeLevel)
+        };
+    }
+
+    /**
+     * Keeps the latest status report of each receiver
+     * @private
+     * @param {Object} event - Connection event from the bluetooth controller
+     */
+    handleConnectionEvent(event) {
+        if (event.type === 'message' && event.message.type === CONTROL_TYPES.STATUS) {
+            const link = this.links.get(event.deviceId) ?? { underruns: null, sendStats: null };
+            link.status = event.message;
+            this.links.set(event.deviceId, link);
+        } else if (event.type === 'disconnect') {
+            this.links.delete(event.deviceId);
+        }
+    }
+
+    /**
+     * Measures every link and steps when the thresholds say so
+     * @private
+     * @param {number} [now] - performance.now() time
+     */
+    evaluate(now = performance.now()) {
+        // A new selection resets the ladder, the pipeline has already dropped the adaptation
+        if (this.pipeline.quality !== this.ceiling || (this.level > 0 && !this.pipeline.adaptation)) {
+            this.resetLevel();
+        }
+
+        const estimates = this.bluetoothController.clockSync.getEstimates();
+        const measured = this.bluetoothController.getConnectedDevices()
+            .filter(device => device.isReady)
+            .map(device => ({ device, link: this.measure(device, estimates.get(device.id)) }));
+
+        if (!this.isEnabled || now - this.lastChangeAt < this.options.settleTime) {
+            this.congestedCount = 0;
+            this.healthySince = null;
+            return;
+        }
+
+        const congested = measured
+            .map(({ device, link }) => ({ device, link, metric: AdaptiveBitrateController.findBreach(link, this.options.congested) }))
+            .find(({ metric }) => metric);
+        if (congested) {
+            this.healthySince = null;
+            this.congestedCount++;
+            if (this.congestedCount >= this.options.stepDownAfter && this.level < this.getLevels().length - 1) {
+                const { device, link, metric } = congested;
+                const { label, unit } = LINK_METRICS[metric];
+                const reason = `${label} ${AdaptiveBitrateController.round(link[metric])}${unit} on ${device.name}`;
+                this.step(this.level + 1, reason, device, link, now);
+            }
+            return;
+        }
+
+        this.congestedCount = 0;
+        const isHealthy = measured.every(({ link }) => AdaptiveBitrateController.isWithin(link, this.options.healthy));
+        if (!isHealthy || this.level === 0) {
+            this.healthySince = null;
+            return;
+        }
+
+        this.healthySince ??= now;
+        if (now - this.healthySince >= this.stepUpAfter) {
+            this.step(this.level - 1, 'every link healthy', null, null, now);
+        }
+    }
+
+    /**
+     * Measures a receiver's link since the previous evaluation
+     * @private
+     * @param {Object} device - Connected device info
+     * @param {Object} [estimate] - Clock sync estimate ({ rtt })
+     * @returns {Object} Link metrics by LINK_METRICS name, null when unknown
+     */
+    measure(device, estimate) {
+        const link = this.links.get(device.id) ?? { status: null, underruns: null, sendStats: null };
+        this.links.set(device.id, link);
+
+        const stats = device.sendStats;
+        const previous = link.sendStats ?? { sent: stats.sent, dropped: stats.dropped, failed: stats.failed };
+        const lost = (stats.dropped - previous.dropped) + (stats.failed - previous.failed);
+        const attempted = (stats.sent - previous.sent) + lost;
+        link.sendStats = { sent: stats.sent, dropped: stats.dropped, failed: stats.failed };
+
+        // Underruns are a running count that restarts with each stream
+        const underruns = link.status?.underruns ?? null;
+        let newUnderruns = null;
+        if (underruns !== null && link.underruns !== null) {
+            newUnderruns = underruns >= link.underruns ? underruns - link.underruns : underruns;
+        }
+        link.underruns = underruns;
+
+        return {
+            packetLoss: link.status?.packetLoss ?? null,
+            rtt: estimate?.rtt ?? null,
+            underruns: newUnderruns,
+            sendDrops: attempted > 0 ? (lost / attempted) * 100 : null,
+            pending: stats.pending
+        };
+    }
+
+    /**
+     * Moves to a ladder level and announces the decision
+     * @private
+     * @param {number} level - Target level index
+     * @param {string} reason - Why the level changes
+     * @param {Object|null} device - Receiver that triggered the change
+     * @param {Object|null} link - Its link metrics
+     * @param {number} now - performance.now() time
+     */
+    step(level, reason, device, link, now) {
+        const levels = this.getLevels();
+        const target = levels[level];
+        try {
+            this.pipeline.adapt(level === 0 ? null : { quality: target.quality, profile: target.profile, reason });
+        } catch (error) {
+            console.warn('Failed to adapt the stream profile:', error);
+            return;
+        }
+
+        const direction = level > this.level ? ADAPTATION_DIRECTIONS.DOWN : ADAPTATION_DIRECTIONS.UP;
+        if (direction === ADAPTATION_DIRECTIONS.DOWN) {
+            // A step up undone this soon was premature, wait longer next time
+            this.stepUpAfter = now - this.lastStepUpAt < this.stepUpAfter
+                ? Math.min(this.stepUpAfter * 2, this.options.maxStepUpAfter)
+                : this.options.stepUpAfter;
+        } else {
+            this.lastStepUpAt = now;
+        }
+
+        const from = AdaptiveBitrateController.describeLevel(levels[this.level]);
+        this.level = level;
+        this.lastChangeAt = now;
+        this.congestedCount = 0;
+        this.healthySince = null;
+
+        this.emit(ADAPTATION_EVENTS.DECISION, {
+            time: Date.now(),
+            direction,
+            from,
+            to: AdaptiveBitrateController.describeLevel(target),
+            reason,
+            deviceId: device?.id ?? null,
+            deviceName: device?.name ?? null,
+            link
+        });
+    }
+
+    /**
+     * @private
+     */
+    resetLevel() {
+        this.ceiling = this.pipeline.quality;
+        this.level = 0;
+        this.congestedCount = 0;
+        this.healthySince = null;
+        this.lastChangeAt = -Infinity;
+        this.lastStepUpAt = -Infinity;
+        this.stepUpAfter = this.options.stepUpAfter;
+    }
+
+    /**
+     * Builds the ladder below the selected quality
+     * @private
+     * @returns {Array<Object>} { quality, profile } from best to most robust
+     */
+    getLevels() {
+        if (this.levels?.ceiling !== this.ceiling) {
+            const qualities = QUALITY_LADDER.slice(Math.max(0, QUALITY_LADDER.indexOf(this.ceiling)));
+            const levels = qualities.map(quality => ({ quality, profile: ENCODING_PROFILES[quality] }));
+            const lowest = levels[levels.length - 1];
+            levels.push({ quality: lowest.quality, profile: { ...lowest.profile, packetDuration: MAX_PACKET_DURATION } });
+            this.levels = { ceiling: this.ceiling, levels };
+        }
+        return this.levels.levels;
+    }
+
+    /**
+     * @private
+     * @param {Object} level - Ladder level
+     * @returns {string} Quality name, with the packet length when it differs from the profile's
+     */
+    static describeLevel({ quality, profile }) {
+        return profile.packetDuration === ENCODING_PROFILES[quality].packetDuration
+            ? quality
+            : `${quality}, ${Math.round(profile.packetDuration * 1000)} ms packets`;
+    }
+
+    /**
+     * @private
+     * @param {Object} link - Link metrics
+     * @param {Object} thresholds - Congested thresholds by metric
+     * @returns {string|null} First metric at or past its threshold
+     */
+    static findBreach(link, thresholds) {
+        return Object.keys(thresholds).find(metric => link[metric] !== null && link[metric] >= thresholds[metric]) ?? null;
+    }
+
+    /**
+     * @private
+     * @param {Object} link - Link metrics
+     * @param {Object} thresholds - Healthy thresholds by metric
+     * @returns {boolean} Whether every measured metric is within its threshold
+     */
+    static isWithin(link, thresholds) {
+        return Object.keys(thresholds).every(metric => link[metric] === null || link[metric] <= thresholds[metric]);
+    }
+
+    /**
+     * @private
+     * @param {number} value - Metric value
+     * @returns {number} Value rounded to one decimal
+     */
+    static round(value) {
+        return Math.round(value * 10) / 10;
+    }
+}
+
+export default AdaptiveBitrateController;
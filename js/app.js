@@ -4,12 +4,37 @@ import PerformanceMonitor from './performanceMonitor.js';
 import NotificationManager from './notificationManager.js';
 import AudioVisualizer from './audioVisualizer.js';
 import ReceiverController from './receiverController.js';
+import TransportFactory from './transports/transportFactory.js';
+import { TRANSPORT_EVENTS } from './transports/transport.js';
+import SignalingPanel from './signaling/signalingPanel.js';
+import BroadcastPipeline from './broadcastPipeline.js';
+import PlaylistPanel, { formatTime } from './playlist/playlistPanel.js';
+import { SOURCES } from './audioController.js';
+import MixerPanel from './mixer/mixerPanel.js';
+import ReceiverRoster from './roster/receiverRoster.js';
+import RosterPanel from './roster/rosterPanel.js';
+import AcousticCalibrator from './calibration/acousticCalibrator.js';
+import { CONTROL_TYPES } from './protocol/controlMessage.js';
+import Room from './session/room.js';
+import RoomPanel from './session/roomPanel.js';
+import JoinPanel from './session/joinPanel.js';
+import { CONNECTION_STATES } from './session/connectionStateMachine.js';
+import PlaybackPanel from './playback/playbackPanel.js';
+import DiagnosticsPanel from './monitoring/diagnosticsPanel.js';
+import AlertNotifier from './monitoring/alertNotifier.js';
+import AdaptiveBitrateController, { ADAPTATION_EVENTS, ADAPTATION_DIRECTIONS } from './adaptation/adaptiveBitrateController.js';
+import { PARITY_SCHEMES } from './recovery/erasureCode.js';
 
 class App {
     constructor() {
         this.initializeComponents();
         this.setupEventListeners();
         this.currentRole = 'host'; // Default role
+
+        // Join links open straight into the receiver
+        if (JoinPanel.isJoinLink()) {
+            this.switchRole('receiver');
+        }
     }
 
     /**
@@ -20,6 +45,8 @@ class App {
         // Initialize managers and controllers
         this.notificationManager = new NotificationManager();
         this.performanceMonitor = new PerformanceMonitor();
+
+        this.alertNotifier = new AlertNotifier(this.performanceMonitor.alertEngine, this.notificationManager);
         
         // Create audio context but don't start it yet
         this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
@@ -28,6 +55,11 @@ class App {
         });
         this.audioContext.suspend(); // Suspend until user interaction
         
+        // Pick transports from device capabilities, ?transport= overrides when supported
+        const preferredTransport = new URLSearchParams(window.location.search).get('transport');
+        this.hostTransport = TransportFactory.create('host', preferredTransport);
+        this.receiverTransport = TransportFactory.create('receiver', preferredTransport);
+
         // Initialize controllers
         this.audioController = new AudioController(
             this.audioContext,
@@ -36,12 +68,24 @@ class App {
         );
         
         this.bluetoothController = new BluetoothController(
+            this.hostTransport,
             this.notificationManager,
             this.performanceMonitor
         );
         
+        this.broadcastPipeline = new BroadcastPipeline(
+            this.audioController,
+            this.bluetoothController,
+            this.notificationManager
+        );
+
+        // Steps the stream down while receiver links are congested
+        this.adaptiveBitrate = new AdaptiveBitrateController(this.broadcastPipeline, this.bluetoothController);
+        this.adaptiveBitrate.on(ADAPTATION_EVENTS.DECISION, (decision) => this.handleAdaptation(decision));
+
         this.receiverController = new ReceiverController(
             this.audioContext,
+            this.receiverTransport,
             this.notificationManager,
             this.performanceMonitor
         );
@@ -57,6 +101,82 @@ class App {
             secondaryColor: '#388E3C'
         });
 
+        // The room outlives hosting restarts so receivers keep their join code
+        this.room = new Room();
+        this.bluetoothController.setRoom(this.room);
+        this.roomPanel = new RoomPanel('roomPanel', this.room, this.notificationManager);
+        this.joinPanel = new JoinPanel('joinPanel', this.notificationManager);
+
+        // Initialize signaling panels for transports that need invite codes
+        this.hostSignaling = new SignalingPanel('hostSignaling', this.notificationManager);
+        this.hostSignaling.setVisible(this.hostTransport.requiresSignaling);
+        this.receiverSignaling = new SignalingPanel('receiverSignaling', this.notificationManager);
+        this.receiverSignaling.setVisible(this.receiverTransport.requiresSignaling);
+        this.receiverTransport.on(TRANSPORT_EVENTS.SIGNALING, ({ code }) => {
+            this.receiverSignaling.showCode(code);
+        });
+
+        // Initialize the mixer, file playback controls and the receiver's now playing display
+        this.mixerPanel = new MixerPanel('mixerPanel', this.audioController.mixer, {
+            onSourceToggle: (source, enabled) => this.setSourceEnabled(source, enabled),
+            duckingKey: SOURCES.MICROPHONE
+        });
+        this.playlistPanel = new PlaylistPanel(
+            'playlistPanel',
+            this.audioController.playlistPlayer,
+            this.notificationManager
+        );
+        this.receiverController.addStreamListener((event) => {
+            if (event.type === 'nowPlaying') {
+                this.updateReceiverNowPlaying(event.track);
+            } else if (event.type === 'remoteControl') {
+                this.handleRemoteControl(event);
+            }
+        });
+
+        // The UI, monitoring and cleanup follow the connection state of each side
+        this.broadcastPipeline.connection.onChange((event) => {
+            this.updateHostStatus(event);
+            this.performanceMonitor.updateConnectionStatus(App.isLinked(event.state));
+            this.performanceMonitor.recordConnectionEvent('host', event);
+            if (event.state === CONNECTION_STATES.STREAMING) {
+                this.adaptiveBitrate.start();
+            } else {
+                this.adaptiveBitrate.stop();
+            }
+        });
+        this.receiverController.connection.onChange((event) => {
+            this.updateReceiverStatus(event);
+            this.performanceMonitor.updateConnectionStatus(App.isLinked(event.state));
+            this.performanceMonitor.recordConnectionEvent('receiver', event);
+        });
+
+        // Initialize the receiver's playback controls
+        this.playbackPanel = new PlaybackPanel('playbackPanel', this.receiverController, this.notificationManager);
+
+        // Initialize the roster of connected receivers
+        this.receiverRoster = new ReceiverRoster(this.bluetoothController);
+        this.rosterPanel = new RosterPanel('deviceList', this.receiverRoster, this.notificationManager);
+        this.receiverRoster.addListener(() => {
+            const statuses = this.receiverRoster.getReceivers().map(({ status }) => status).filter(Boolean);
+            this.performanceMonitor.updateReceiverStats(statuses);
+        });
+        this.acousticCalibrator = new AcousticCalibrator(this.audioController, this.receiverRoster);
+
+        // Initialize the diagnostics controls of both performance panels
+        this.diagnosticsPanel = new DiagnosticsPanel(this.performanceMonitor, this.notificationManager, {
+            getRole: () => this.currentRole,
+            audioContext: this.audioContext,
+            hostTransport: this.hostTransport,
+            receiverTransport: this.receiverTransport,
+            audioController: this.audioController,
+            broadcastPipeline: this.broadcastPipeline,
+            adaptiveBitrate: this.adaptiveBitrate,
+            receiverRoster: this.receiverRoster,
+            room: this.room,
+            receiverController: this.receiverController
+        });
+
         // Add overlay for first interaction
         this.showStartOverlay();
     }
@@ -101,8 +221,16 @@ class App {
         // Host controls
         document.getElementById('startBroadcast').addEventListener('click', () => this.toggleBroadcast());
         document.getElementById('toggleMic').addEventListener('click', () => this.toggleMicrophone());
+        document.getElementById('toggleMonitor').addEventListener('click', () => this.toggleMonitor());
         document.getElementById('broadcastVolume').addEventListener('input', (e) => this.setHostVolume(e.target.value));
         document.getElementById('audioQuality').addEventListener('change', (e) => this.setAudioQuality(e.target.value));
+        document.getElementById('adaptiveQuality').addEventListener('change', (e) => {
+            this.adaptiveBitrate.setEnabled(e.target.checked);
+        });
+        document.getElementById('recoverySettings').addEventListener('change', () => this.updateRecoveryOptions());
+        document.getElementById('createInvite').addEventListener('click', () => this.createInvite());
+        document.getElementById('acceptAnswer').addEventListener('click', () => this.acceptAnswer());
+        document.getElementById('calibrateDelays').addEventListener('click', () => this.calibrateDelays());
 
         // Receiver controls
         document.getElementById('startListening').addEventListener('click', () => this.toggleReceiver());
@@ -130,18 +258,13 @@ class App {
      * Toggles broadcasting state
      */
     async toggleBroadcast() {
-        const button = document.getElementById('startBroadcast');
-        const isStarting = button.textContent.includes('Start');
+        const { connection } = this.broadcastPipeline;
 
         try {
-            if (isStarting) {
-                await this.audioController.startBroadcasting();
-                button.innerHTML = '<i class="fas fa-stop"></i><span>Stop Broadcasting</span>';
-                this.hostVisualizer.initialize(this.audioContext, this.audioController.getSourceNode());
-            } else {
-                await this.audioController.stopBroadcasting();
-                button.innerHTML = '<i class="fas fa-play"></i><span>Start Broadcasting</span>';
-                this.hostVisualizer.stop();
+            if (connection.is(CONNECTION_STATES.IDLE, CONNECTION_STATES.FAILED)) {
+                await this.broadcastPipeline.start();
+            } else if (connection.is(CONNECTION_STATES.CONNECTED, CONNECTION_STATES.STREAMING)) {
+                await this.broadcastPipeline.stop();
             }
         } catch (error) {
             this.notificationManager.error('Failed to toggle broadcasting');
@@ -153,19 +276,26 @@ class App {
      * Toggles receiver state
      */
     async toggleReceiver() {
-        const button = document.getElementById('startListening');
-        const isStarting = button.textContent.includes('Connect');
+        const { connection } = this.receiverController;
 
         try {
-            if (isStarting) {
-                await this.receiverController.connect();
-                await this.receiverController.startPlaying();
-                button.innerHTML = '<i class="fas fa-stop"></i><span>Disconnect</span>';
+            if (connection.is(CONNECTION_STATES.RECONNECTING)) {
+                await this.receiverController.cancelReconnect();
+            } else if (connection.is(CONNECTION_STATES.IDLE, CONNECTION_STATES.FAILED)) {
+                const credentials = this.joinPanel.getCredentials();
+                if (!credentials.joinCode) {
+                    this.notificationManager.warning('Enter the join code shown by the host');
+                    return;
+                }
+                await this.receiverController.connect({
+                    signal: this.receiverSignaling.getInputCode(),
+                    ...credentials
+                });
+                await this.receiverController.startReceiving();
                 this.receiverVisualizer.initialize(this.audioContext, this.receiverController.audioWorklet);
             } else {
                 await this.receiverController.disconnect();
-                button.innerHTML = '<i class="fas fa-search"></i><span>Connect to Host</span>';
-                this.receiverVisualizer.stop();
+                this.receiverSignaling.reset();
             }
         } catch (error) {
             this.notificationManager.error('Failed to toggle receiver');
@@ -173,6 +303,66 @@ class App {
         }
     }
 
+    /**
+     * Creates an invite code for a new receiver
+     */
+    async createInvite() {
+        if (!this.broadcastPipeline.connection.is(CONNECTION_STATES.CONNECTED, CONNECTION_STATES.STREAMING)) {
+            this.notificationManager.warning('Start broadcasting before inviting receivers');
+            return;
+        }
+
+        try {
+            const code = await this.bluetoothController.createInvite();
+            await this.hostSignaling.showCode(code);
+        } catch (error) {
+            this.notificationManager.error('Failed to create invite');
+            console.error('Invite error:', error);
+        }
+    }
+
+    /**
+     * Accepts the answer code pasted or scanned from a receiver
+     */
+    async acceptAnswer() {
+        try {
+            await this.bluetoothController.acceptAnswer(this.hostSignaling.getInputCode());
+            this.hostSignaling.reset();
+            this.notificationManager.success('Answer accepted, receiver is connecting');
+        } catch (error) {
+            this.notificationManager.error(error.message);
+            console.error('Answer error:', error);
+        }
+    }
+
+    /**
+     * Times every receiver's sweep with the microphone and trims their
+     * delays so they are heard together where the host is
+     */
+    async calibrateDelays() {
+        const button = document.getElementById('calibrateDelays');
+        button.disabled = true;
+        try {
+            const count = this.receiverRoster.getReceivers().length;
+            this.notificationManager.info(`Calibrating ${count} receiver${count === 1 ? '' : 's'}, keep the room quiet`, { key: 'calibration' });
+
+            const results = await this.acousticCalibrator.calibrate();
+            const missed = results.filter(({ trim }) => trim === null).map(({ name }) => name);
+            if (missed.length === results.length) {
+                this.notificationManager.warning('No receiver was heard, check their volume and the microphone', { key: 'calibration' });
+            } else if (missed.length > 0) {
+                this.notificationManager.warning(`Calibrated delays, but did not hear ${missed.join(', ')}`, { key: 'calibration' });
+            } else {
+                this.notificationManager.success('Calibrated receiver delays', { key: 'calibration' });
+            }
+        } catch (error) {
+            this.notificationManager.error(`Calibration failed: ${error.message}`, { key: 'calibration' });
+            console.error('Calibration error:', error);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
     /**
      * Toggles microphone state
      */
@@ -188,6 +378,16 @@ class App {
         }
     }
 
+    /**
+     * Toggles playing the broadcast through the host's own speaker
+     */
+    toggleMonitor() {
+        const isMonitoring = !this.audioController.isMonitoring;
+        this.audioController.setMonitoring(isMonitoring);
+        document.getElementById('toggleMonitor').innerHTML = `<i class="fas fa-headphones"></i>
+                              <span>Monitor ${isMonitoring ? 'On' : 'Off'}</span>`;
+    }
+
     /**
      * Sets the host volume
      * @param {number} value - Volume value (0-100)
@@ -213,21 +413,185 @@ class App {
      * @param {string} quality - Quality level ('high', 'medium', 'low')
      */
     setAudioQuality(quality) {
-        this.audioController.setQuality(quality);
+        try {
+            this.broadcastPipeline.setQuality(quality);
+        } catch (error) {
+            console.warn('Failed to change audio quality:', error);
+            this.notificationManager.error('Failed to change audio quality: ' + error.message);
+            document.getElementById('audioQuality').value = this.broadcastPipeline.quality;
+            return;
+        }
         this.notificationManager.success(`Audio quality set to ${quality}`);
     }
 
+    /**
+     * Applies the loss recovery settings from the host controls
+     * @private
+     */
+    updateRecoveryOptions() {
+        const parity = document.getElementById('recoveryParity').value;
+        const parityCount = document.getElementById('recoveryParityCount');
+        parityCount.disabled = parity !== PARITY_SCHEMES.REED_SOLOMON;
+
+        try {
+            this.broadcastPipeline.setRecoveryOptions({
+                parity,
+                groupSize: Number(document.getElementById('recoveryGroupSize').value),
+                parityCount: Number(parityCount.value),
+                retransmission: document.getElementById('recoveryRetransmission').checked,
+                redundancy: document.getElementById('recoveryRedundancy').checked
+            });
+        } catch (error) {
+            console.warn('Invalid loss recovery settings:', error);
+            this.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * Logs an adaptive bitrate decision and tells the host about it
+     * @private
+     * @param {Object} decision - Decision event from the adaptive bitrate controller
+     */
+    handleAdaptation(decision) {
+        this.performanceMonitor.recordAdaptation(decision);
+
+        const { direction, to, reason } = decision;
+        if (direction === ADAPTATION_DIRECTIONS.DOWN) {
+            this.notificationManager.warning(`Lowered quality to ${to}: ${reason}`, { key: 'adaptation' });
+        } else {
+            this.notificationManager.info(`Raised quality to ${to}: ${reason}`, { key: 'adaptation' });
+        }
+    }
+
+    /**
+     * Adds or removes a source from the broadcast mix
+     * @param {string} source - One of SOURCES
+     * @param {boolean} enabled - Whether to include the source
+     */
+    async setSourceEnabled(source, enabled) {
+        try {
+            await this.broadcastPipeline.setSourceEnabled(source, enabled);
+            if (source === SOURCES.FILE) {
+                this.playlistPanel.setVisible(enabled);
+            }
+        } catch (error) {
+            this.notificationManager.error('Failed to switch audio source');
+            console.error('Audio source error:', error);
+        }
+    }
+
+    /**
+     * Reflects remote control commands from the host in the receiver UI
+     * @private
+     * @param {Object} event - { action, value } from the receiver controller
+     */
+    handleRemoteControl({ action }) {
+        if (action === CONTROL_TYPES.VOLUME) {
+            const percent = Math.round(this.receiverController.volume * 100);
+            document.getElementById('receiverVolume').value = percent;
+            document.querySelector('#receiverVolume + .volume-value').textContent = `${percent}%`;
+        } else if (action === CONTROL_TYPES.GOODBYE) {
+            this.receiverSignaling.reset();
+        }
+    }
+
+    /**
+     * Whether a connection state has a live link to the other side
+     * @private
+     * @param {string} state - One of CONNECTION_STATES
+     * @returns {boolean}
+     */
+    static isLinked(state) {
+        return state === CONNECTION_STATES.CONNECTED || state === CONNECTION_STATES.STREAMING;
+    }
+
+    /**
+     * Follows the broadcast state on the start button, and releases the
+     * room and visualizer once the broadcast has ended
+     * @private
+     * @param {Object} event - { state, error } from the broadcast pipeline
+     */
+    updateHostStatus({ state }) {
+        const button = document.getElementById('startBroadcast');
+        button.disabled = state === CONNECTION_STATES.CONNECTING || state === CONNECTION_STATES.DISCONNECTING;
+
+        if (state === CONNECTION_STATES.CONNECTING) {
+            this.roomPanel.setLocked(true);
+        } else if (state === CONNECTION_STATES.STREAMING) {
+            button.innerHTML = '<i class="fas fa-stop"></i><span>Stop Broadcasting</span>';
+            this.hostVisualizer.initialize(this.audioContext, this.audioController.getSourceNode());
+        } else if (state === CONNECTION_STATES.IDLE || state === CONNECTION_STATES.FAILED) {
+            button.innerHTML = '<i class="fas fa-play"></i><span>Start Broadcasting</span>';
+            this.roomPanel.setLocked(false);
+            this.hostSignaling.reset();
+            this.hostVisualizer.stop();
+        }
+    }
+
+    /**
+     * Shows the receiver connection state in #receiverStatus and on the connect button
+     * @private
+     * @param {Object} event - { state, attempt, maxAttempts, delay, error } from the receiver controller
+     */
+    updateReceiverStatus({ state, attempt, maxAttempts, delay, error }) {
+        const panel = document.getElementById('receiverStatus');
+        const button = document.getElementById('startListening');
+        const room = this.receiverController.handshake.room;
+        const connectedText = room ? `Connected to ${room}` : 'Connected to host';
+        const labels = {
+            [CONNECTION_STATES.IDLE]: ['Ready to connect', 'Not Connected'],
+            [CONNECTION_STATES.CONNECTING]: ['Connecting to host...', 'Connecting'],
+            [CONNECTION_STATES.CONNECTED]: [connectedText, 'Connected'],
+            [CONNECTION_STATES.STREAMING]: [connectedText, 'Receiving'],
+            [CONNECTION_STATES.RECONNECTING]: [
+                `Connection lost, retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt} of ${maxAttempts})`,
+                'Reconnecting'
+            ],
+            [CONNECTION_STATES.DISCONNECTING]: ['Disconnecting...', 'Disconnecting'],
+            [CONNECTION_STATES.FAILED]: [`Connection failed: ${error}`, 'Not Connected']
+        };
+        const [statusText, linkText] = labels[state];
+
+        panel.dataset.state = state;
+        panel.querySelector('.status-text').textContent = statusText;
+        panel.querySelector('.bluetooth-status').innerHTML = `<i class="fab fa-bluetooth-b"></i> ${linkText}`;
+        button.disabled = state === CONNECTION_STATES.DISCONNECTING;
+
+        if (App.isLinked(state)) {
+            button.innerHTML = '<i class="fas fa-stop"></i><span>Disconnect</span>';
+        } else if (state === CONNECTION_STATES.RECONNECTING) {
+            button.innerHTML = '<i class="fas fa-times"></i><span>Cancel Reconnect</span>';
+        } else if (state === CONNECTION_STATES.IDLE || state === CONNECTION_STATES.FAILED) {
+            button.innerHTML = '<i class="fas fa-search"></i><span>Connect to Host</span>';
+            this.receiverVisualizer.stop();
+        }
+    }
+
+    /**
+     * Shows the host's file playback metadata on the receiver
+     * @private
+     * @param {Object|null} track - { title, duration, isPlaying }, or null for live input
+     */
+    updateReceiverNowPlaying(track) {
+        const display = document.getElementById('receiverNowPlaying');
+        display.classList.toggle('hidden', !track);
+        if (!track) return;
+
+        display.querySelector('.playlist-title').textContent = track.title;
+        display.querySelector('.playlist-time').textContent =
+            `${track.isPlaying ? 'Playing' : 'Paused'} · ${formatTime(track.duration)}`;
+    }
+
     /**
      * Cleans up resources
      * @private
      */
     async cleanup() {
+        // Panels and visualizers reset when the state machines reach idle
         if (this.currentRole === 'host') {
-            await this.audioController.stopBroadcasting();
-            this.hostVisualizer.stop();
+            await this.broadcastPipeline.stop();
         } else {
             await this.receiverController.disconnect();
-            this.receiverVisualizer.stop();
         }
     }
 }
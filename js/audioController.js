@@ -1,18 +1,46 @@
+import { ENCODING_PROFILES, DEFAULT_QUALITY } from './codecs/encodingProfiles.js';
+import PlaylistPlayer from './playlist/playlistPlayer.js';
+import AudioMixer from './mixer/audioMixer.js';
+
+/**
+ * Mixer channels for the sources a host can broadcast
+ */
+export const SOURCES = {
+    MICROPHONE: 'microphone',
+    FILE: 'file',
+    DISPLAY: 'display' // Tab or system audio shared with getDisplayMedia
+};
+
 /**
- * Handles audio capture and broadcasting
+ * Handles audio capture and broadcasting.
+ *
+ * Sources feed an AudioMixer whose output goes through the master gain to
+ * the capture worklet. Sources that need permission (microphone, display)
+ * are only acquired while broadcasting and enabled. The mix is kept in
+ * stereo up to the worklet, which mixes it down for mono profiles.
  */
 class AudioController {
     constructor(audioContext, notificationManager, performanceMonitor) {
         this.audioContext = audioContext;
         this.notificationManager = notificationManager;
         this.performanceMonitor = performanceMonitor;
-        this.mediaStream = null;
-        this.sourceNode = null;
+        this.mediaStreams = new Map();
         this.gainNode = null;
+        this.monitorNode = null;
         this.audioWorklet = null;
+        this.frameHandler = null;
         this.isBroadcasting = false;
+        this.isMonitoring = false;
         this.isMuted = false;
-        this.quality = 'medium';
+        this.volume = 1;
+        this.quality = DEFAULT_QUALITY;
+        this.captureSampleRate = ENCODING_PROFILES[DEFAULT_QUALITY].sampleRate;
+        this.captureChannelCount = ENCODING_PROFILES[DEFAULT_QUALITY].channelCount;
+        this.playlistPlayer = new PlaylistPlayer(audioContext);
+        this.mixer = new AudioMixer(audioContext);
+        this.mixer.addChannel(SOURCES.MICROPHONE, 'Microphone', { isEnabled: true });
+        this.mixer.addChannel(SOURCES.FILE, 'Audio Files');
+        this.mixer.addChannel(SOURCES.DISPLAY, 'Tab Audio');
         
         this.setupAudioNodes();
     }
@@ -22,22 +50,39 @@ class AudioController {
      * @private
      */
     async setupAudioNodes() {
-        // Create gain node for volume control
+        // Master gain for the mix, applied before capture so receivers hear it
         this.gainNode = this.audioContext.createGain();
-        this.gainNode.connect(this.audioContext.destination);
+        this.mixer.output.connect(this.gainNode);
+
+        // Local monitoring stays silent unless enabled; the connection to the
+        // destination keeps the worklet rendering
+        this.monitorNode = this.audioContext.createGain();
+        this.monitorNode.gain.value = 0;
+        this.monitorNode.connect(this.audioContext.destination);
 
         try {
             // Load audio worklet for processing
             await this.audioContext.audioWorklet.addModule('js/audioWorklet.js');
-            this.audioWorklet = new AudioWorkletNode(this.audioContext, 'audio-processor');
-            this.audioWorklet.connect(this.gainNode);
+            // Mono sources are upmixed so the worklet always sees both channels
+            this.audioWorklet = new AudioWorkletNode(this.audioContext, 'audio-processor', {
+                channelCount: 2,
+                channelCountMode: 'explicit',
+                channelInterpretation: 'speakers',
+                outputChannelCount: [2]
+            });
+            this.gainNode.connect(this.audioWorklet);
+            this.audioWorklet.connect(this.monitorNode);
 
             // Handle messages from audio worklet
             this.audioWorklet.port.onmessage = (event) => {
-                if (event.data.type === 'latency') {
-                    this.performanceMonitor.updateLatency(event.data.value);
+                if (event.data.type === 'renderLoad') {
+                    this.performanceMonitor.updateRenderLoad(event.data);
+                } else if (event.data.type === 'processedAudio' && this.frameHandler) {
+                    const { channels, sampleRate, time } = event.data;
+                    this.frameHandler(channels, this.contextTimeToHostTime(time), sampleRate);
                 }
             };
+            this.setCaptureFormat(this.captureSampleRate, this.captureChannelCount);
         } catch (error) {
             console.error('Failed to load audio worklet:', error);
             this.notificationManager.error('Failed to initialize audio processing');
@@ -45,33 +90,26 @@ class AudioController {
     }
 
     /**
-     * Starts broadcasting audio
+     * Starts broadcasting the mix of enabled sources
      */
     async startBroadcasting() {
         if (this.isBroadcasting) return;
 
         try {
             await this.audioContext.resume();
-            
-            // Get microphone access
-            this.mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true
-                }
-            });
-
-            // Create and connect source node
-            this.sourceNode = this.audioContext.createMediaStreamSource(this.mediaStream);
-            this.sourceNode.connect(this.audioWorklet);
+            const enabled = this.mixer.getChannels().filter(channel => channel.isEnabled);
+            for (const { id } of enabled) {
+                await this.attachSource(id);
+            }
+            this.setCapture(true);
 
             this.isBroadcasting = true;
             this.notificationManager.success('Started broadcasting');
             
             // Start performance monitoring
-            this.performanceMonitor.startAudioMonitoring();
+            this.performanceMonitor.startAudioMonitoring(this.audioContext);
         } catch (error) {
+            this.mixer.getChannels().forEach(({ id }) => this.detachSource(id));
             console.error('Broadcasting failed:', error);
             this.notificationManager.error('Failed to start broadcasting');
             throw error;
@@ -84,17 +122,9 @@ class AudioController {
     async stopBroadcasting() {
         if (!this.isBroadcasting) return;
 
-        // Stop all tracks in the media stream
-        if (this.mediaStream) {
-            this.mediaStream.getTracks().forEach(track => track.stop());
-            this.mediaStream = null;
-        }
-
-        // Disconnect nodes
-        if (this.sourceNode) {
-            this.sourceNode.disconnect();
-            this.sourceNode = null;
-        }
+        this.setCapture(false);
+        this.mixer.getChannels().forEach(({ id }) => this.detachSource(id));
+        this.playlistPlayer.pause();
 
         this.isBroadcasting = false;
         this.notificationManager.success('Stopped broadcasting');
@@ -102,16 +132,102 @@ class AudioController {
     }
 
     /**
-     * Toggles microphone mute state
-     * @returns {boolean} New mute state
+     * Adds or removes a source from the mix, live if broadcasting
+     * @param {string} source - One of SOURCES
+     * @param {boolean} enabled - Whether to include the source
      */
-    async toggleMicrophone() {
-        this.isMuted = !this.isMuted;
-        
-        if (this.gainNode) {
-            this.gainNode.gain.value = this.isMuted ? 0 : 1;
+    async setSourceEnabled(source, enabled) {
+        if (this.isBroadcasting) {
+            if (enabled) {
+                await this.attachSource(source);
+            } else {
+                this.detachSource(source);
+            }
+        }
+        this.mixer.setEnabled(source, enabled);
+    }
+
+    /**
+     * Checks whether a source is part of the mix
+     * @param {string} source - One of SOURCES
+     * @returns {boolean}
+     */
+    isSourceEnabled(source) {
+        return this.mixer.getChannels().some(channel => channel.id === source && channel.isEnabled);
+    }
+
+    /**
+     * Acquires a source and connects it to its mixer channel
+     * @private
+     * @param {string} source - One of SOURCES
+     */
+    async attachSource(source) {
+        if (source === SOURCES.FILE) {
+            this.mixer.connectSource(source, this.playlistPlayer.output);
+            return;
+        }
+
+        const stream = source === SOURCES.MICROPHONE
+            ? await navigator.mediaDevices.getUserMedia({
+                audio: {
+                    echoCancellation: true,
+                    noiseSuppression: true,
+                    autoGainControl: true
+                }
+            })
+            : await this.getDisplayAudio();
+
+        this.mediaStreams.set(source, stream);
+        this.mixer.connectSource(source, this.audioContext.createMediaStreamSource(stream));
+
+        // The user can end sharing from the browser UI
+        stream.getAudioTracks()[0].addEventListener('ended', () => {
+            if (this.mediaStreams.get(source) === stream) {
+                this.setSourceEnabled(source, false);
+            }
+        });
+    }
+
+    /**
+     * Asks the user to share a tab or the system audio
+     * @private
+     * @returns {Promise<MediaStream>} Stream with only the audio track
+     * @throws {Error} If nothing with audio was shared
+     */
+    async getDisplayAudio() {
+        // Browsers only offer audio sharing together with video
+        const stream = await navigator.mediaDevices.getDisplayMedia({ video: true, audio: true });
+        stream.getVideoTracks().forEach(track => track.stop());
+
+        if (stream.getAudioTracks().length === 0) {
+            throw new Error('The shared tab or screen has no audio');
+        }
+        return new MediaStream(stream.getAudioTracks());
+    }
+
+    /**
+     * Disconnects a source and releases its media stream
+     * @private
+     * @param {string} source - One of SOURCES
+     */
+    detachSource(source) {
+        this.mixer.disconnectSource(source);
+
+        const stream = this.mediaStreams.get(source);
+        if (stream) {
+            stream.getTracks().forEach(track => track.stop());
+            this.mediaStreams.delete(source);
         }
+    }
 
+    /**
+     * Toggles microphone mute state, leaving the rest of the mix playing
+     * @returns {boolean} New mute state
+     */
+    async toggleMicrophone() {
+        const microphone = this.mixer.getChannels().find(channel => channel.id === SOURCES.MICROPHONE);
+        this.isMuted = !microphone.isMuted;
+        this.mixer.setMuted(SOURCES.MICROPHONE, this.isMuted);
         return this.isMuted;
     }
 
@@ -120,31 +236,100 @@ class AudioController {
      * @param {number} volume - Volume level (0-1)
      */
     setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.applyGain();
+    }
+
+    /**
+     * Applies the master volume to the gain node
+     * @private
+     */
+    applyGain() {
         if (this.gainNode) {
-            this.gainNode.gain.value = Math.max(0, Math.min(1, volume));
+            this.gainNode.gain.value = this.volume;
+        }
+    }
+
+    /**
+     * Enables or disables playing the broadcast through the host's own speaker
+     * @param {boolean} enabled - Whether to monitor locally
+     */
+    setMonitoring(enabled) {
+        this.isMonitoring = enabled;
+        if (this.monitorNode) {
+            this.monitorNode.gain.value = enabled ? 1 : 0;
         }
     }
 
     /**
-     * Sets the audio quality
+     * Sets the callback receiving captured frames while broadcasting
+     * @param {Function|null} handler - Called with each frame (one Float32Array per channel),
+     *     its capture time (host clock ms) and sample rate
+     */
+    setFrameHandler(handler) {
+        this.frameHandler = handler;
+    }
+
+    /**
+     * Converts an audio context time to the host clock (performance.now() milliseconds)
+     * @param {number} contextTime - Audio context time in seconds
+     * @returns {number} Host clock time in milliseconds
+     */
+    contextTimeToHostTime(contextTime) {
+        const { contextTime: referenceContextTime, performanceTime } = this.audioContext.getOutputTimestamp();
+        return performanceTime + (contextTime - referenceContextTime) * 1000;
+    }
+
+    /**
+     * Tells the worklet whether to post captured frames to the main thread
+     * @private
+     * @param {boolean} enabled - Whether capture is active
+     */
+    setCapture(enabled) {
+        if (this.audioWorklet) {
+            this.audioWorklet.port.postMessage({ type: 'capture', enabled });
+        }
+    }
+
+    /**
+     * Sets the audio quality, switching the capture format of the worklet
      * @param {string} quality - Quality level ('high', 'medium', 'low')
+     * @throws {Error} If the quality level is unknown
      */
     setQuality(quality) {
+        const profile = ENCODING_PROFILES[quality];
+        if (!profile) {
+            throw new Error(`Unknown audio quality "${quality}"`);
+        }
+
         this.quality = quality;
+        this.setCaptureFormat(profile.sampleRate, profile.channelCount);
+    }
+
+    /**
+     * Sets the rate and channel count captured frames are delivered at, e.g. 48kHz for Opus
+     * @param {number} sampleRate - Sample rate in Hz
+     * @param {number} channelCount - 1 for mono, 2 for stereo
+     */
+    setCaptureFormat(sampleRate, channelCount) {
+        this.captureSampleRate = sampleRate;
+        this.captureChannelCount = channelCount;
         if (this.audioWorklet) {
             this.audioWorklet.port.postMessage({
                 type: 'setQuality',
-                quality: quality
+                quality: this.quality,
+                sampleRate,
+                channelCount
             });
         }
     }
 
     /**
-     * Gets the audio source node
-     * @returns {MediaStreamAudioSourceNode}
+     * Gets the node carrying the combined mix
+     * @returns {AudioNode} Mixer output
      */
     getSourceNode() {
-        return this.sourceNode;
+        return this.mixer.output;
     }
 
     /**
@@ -158,6 +343,9 @@ class AudioController {
         if (this.gainNode) {
             this.gainNode.disconnect();
         }
+        if (this.monitorNode) {
+            this.monitorNode.disconnect();
+        }
     }
 }
 
@@ -1,44 +1,193 @@
+import JitterBuffer from './worklet/jitterBuffer.js';
+import KeyDetector from './worklet/keyDetector.js';
+import StreamResampler from './dsp/streamResampler.js';
+import ChannelMapper, { CHANNEL_ROLES } from './dsp/channelMapper.js';
+
+const STATS_INTERVAL = 0.5; // Seconds between buffer statistics and render load reports
+const RENDER_QUANTUM = 128; // Frames per process() call
+
+// The worklet scope has no performance.now() in most browsers. Date.now() only
+// ticks in whole milliseconds, but quanta start at random points within a tick,
+// so summed over a report interval the coarse readings average out.
+const now = () => globalThis.performance?.now() ?? Date.now();
+
 class AudioProcessor extends AudioWorkletProcessor {
-    constructor() {
+    constructor(options) {
         super();
+        const processorOptions = options?.processorOptions || {};
+        this.mode = processorOptions.mode || 'capture';
         this.volume = 1.0;
-        this.lastProcessTime = currentTime;
+        this.isCapturing = false;
+        this.captureRate = sampleRate;
+        this.captureMapper = new ChannelMapper(sampleRate);
+        this.captureBlocks = null;
+        this.resamplers = null;
+        this.lastStatsTime = currentTime;
+        this.lastLoadTime = currentTime;
+        this.renderTime = 0;
+        this.renderQuanta = 0;
+        this.peakRenderTime = 0;
+        this.jitterBuffer = this.mode === 'playback'
+            ? new JitterBuffer(sampleRate, processorOptions.jitterBuffer)
+            : null;
+        this.keyDetector = this.mode === 'key'
+            ? new KeyDetector(processorOptions.key)
+            : null;
+        this.channelMapper = new ChannelMapper(sampleRate);
+        this.channelMapper.setRole(processorOptions.channelRole || CHANNEL_ROLES.FULL);
+        this.streamBlocks = [];
+        this.setCaptureFormat(sampleRate, 1);
         this.port.onmessage = this.handleMessage.bind(this);
     }
 
     handleMessage(event) {
         if (event.data.type === 'volume') {
             this.volume = event.data.value;
+        } else if (event.data.type === 'capture') {
+            this.isCapturing = event.data.enabled;
+        } else if (event.data.type === 'setQuality') {
+            this.setCaptureFormat(event.data.sampleRate, event.data.channelCount);
+        } else if (event.data.type === 'channelRole') {
+            this.channelMapper.setRole(event.data.role);
+        } else if (event.data.type === 'audioData' && this.jitterBuffer) {
+            const { channels, sequence, playoutTime, timestamp } = event.data;
+            this.jitterBuffer.push(channels, currentTime, sequence, playoutTime, timestamp);
+        } else if (event.data.type === 'jitterBuffer' && this.jitterBuffer) {
+            this.jitterBuffer.configure(event.data.options);
+        } else if (event.data.type === 'resetBuffer' && this.jitterBuffer) {
+            this.jitterBuffer.reset();
+        } else if (event.data.type === 'key' && this.keyDetector) {
+            this.keyDetector.configure(event.data.options);
         }
     }
 
     process(inputs, outputs, parameters) {
-        const input = inputs[0];
-        const output = outputs[0];
+        // Key detection is not part of the capture or playback render load
+        if (this.mode === 'key') {
+            this.processKey(inputs[0], outputs[0]);
+            return true;
+        }
+
+        const startedAt = now();
+        if (this.mode === 'playback') {
+            this.processPlayback(outputs[0]);
+        } else {
+            this.processCapture(inputs[0], outputs[0]);
+        }
+        this.recordRenderTime(now() - startedAt);
+        return true;
+    }
+
+    /**
+     * Applies the volume and forwards captured audio to the main thread
+     * @param {Array<Float32Array>} input - Input channels
+     * @param {Array<Float32Array>} output - Output channels
+     */
+    processCapture(input, output) {
+        if (!input || !input[0]) return;
 
-        if (!input || !input[0]) return true;
+        // Apply volume, a mono input plays on every output channel
+        output.forEach((outputChannel, index) => {
+            const inputChannel = input[Math.min(index, input.length - 1)];
+            for (let i = 0; i < inputChannel.length; i++) {
+                outputChannel[i] = inputChannel[i] * this.volume;
+            }
+        });
 
-        // Process audio data
-        const inputChannel = input[0];
-        const outputChannel = output[0];
-        
-        // Apply volume and process audio
-        for (let i = 0; i < inputChannel.length; i++) {
-            outputChannel[i] = inputChannel[i] * this.volume;
+        // Send processed audio data back to main thread for broadcasting,
+        // converted to the sample rate and channel count of the selected quality profile
+        if (this.isCapturing) {
+            this.captureMapper.process(output, this.captureBlocks);
+            this.port.postMessage({
+                type: 'processedAudio',
+                channels: this.resamplers
+                    ? this.resamplers.map((resampler, index) => resampler.process(this.captureBlocks[index]))
+                    : this.captureBlocks,
+                sampleRate: this.captureRate,
+                time: currentTime
+            });
         }
+    }
 
-        // Calculate and report latency
-        const currentLatency = currentTime - this.lastProcessTime;
-        this.port.postMessage({ type: 'latency', value: currentLatency });
-        this.lastProcessTime = currentTime;
+    /**
+     * Tells the main thread when the ducking key turns active or inactive
+     * @param {Array<Float32Array>} input - Key channels
+     * @param {Array<Float32Array>} output - Output channels, left silent
+     */
+    processKey(input, output) {
+        const isActive = this.keyDetector.process(input || [], output[0].length, currentTime);
+        if (isActive !== null) {
+            this.port.postMessage({ type: 'keyState', isActive });
+        }
+    }
+
+    /**
+     * Accumulates processing time and reports it against the render budget,
+     * the time one quantum lasts at the context rate
+     * @param {number} elapsed - Milliseconds spent in this process() call
+     */
+    recordRenderTime(elapsed) {
+        this.renderTime += elapsed;
+        this.renderQuanta++;
+        this.peakRenderTime = Math.max(this.peakRenderTime, elapsed);
+
+        if (currentTime - this.lastLoadTime >= STATS_INTERVAL) {
+            const budget = (RENDER_QUANTUM / sampleRate) * 1000;
+            this.port.postMessage({
+                type: 'renderLoad',
+                load: this.renderTime / (this.renderQuanta * budget),
+                peak: this.peakRenderTime / budget
+            });
+            this.lastLoadTime = currentTime;
+            this.renderTime = 0;
+            this.renderQuanta = 0;
+            this.peakRenderTime = 0;
+        }
+    }
 
-        // Send processed audio data back to main thread
-        this.port.postMessage({
-            type: 'processedAudio',
-            buffer: outputChannel
+    /**
+     * Sets the sample rate and channel count captured audio is broadcast at.
+     * Stereo is captured as is, mono is mixed down.
+     * @param {number} rate - Target sample rate in Hz
+     * @param {number} [channelCount] - Channels to broadcast, 1 or 2
+     */
+    setCaptureFormat(rate, channelCount = 1) {
+        this.captureRate = rate || sampleRate;
+        this.captureMapper.setRole(channelCount === 1 ? CHANNEL_ROLES.CENTER : CHANNEL_ROLES.FULL);
+        this.captureBlocks = Array.from({ length: channelCount }, () => new Float32Array(RENDER_QUANTUM));
+        this.resamplers = this.captureRate === sampleRate
+            ? null
+            : this.captureBlocks.map(() => new StreamResampler(sampleRate, this.captureRate));
+    }
+
+    /**
+     * Plays received packets from the jitter buffer, mapped onto the
+     * outputs for this device's channel role
+     * @param {Array<Float32Array>} output - Output channels
+     */
+    processPlayback(output) {
+        const { channelCount } = this.jitterBuffer;
+        if (this.streamBlocks.length !== channelCount) {
+            this.streamBlocks = Array.from({ length: channelCount }, () => new Float32Array(output[0].length));
+        }
+        this.jitterBuffer.read(this.streamBlocks, currentTime);
+        this.channelMapper.process(this.streamBlocks, output);
+
+        output.forEach(outputChannel => {
+            for (let i = 0; i < outputChannel.length; i++) {
+                outputChannel[i] *= this.volume;
+            }
         });
 
-        return true;
+        if (currentTime - this.lastStatsTime >= STATS_INTERVAL) {
+            this.port.postMessage({
+                type: 'bufferStats',
+                stats: this.jitterBuffer.getStats(),
+                position: this.jitterBuffer.getPosition(),
+                time: currentTime
+            });
+            this.lastStatsTime = currentTime;
+        }
     }
 }
 
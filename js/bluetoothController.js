@@ -1,249 +1,369 @@
+import { TRANSPORT_EVENTS, CHANNELS } from './transports/transport.js';
+import ClockSyncServer from './sync/clockSyncServer.js';
+import ControlChannel from './protocol/controlChannel.js';
+import { CONTROL_TYPES } from './protocol/controlMessage.js';
+import SecureSession from './crypto/secureSession.js';
+
 /**
- * Manages Bluetooth connections and data transfer
+ * Manages host-side receiver connections and data transfer over a transport
  */
-const BLUETOOTH_SERVICE_UUID = '1234';
-const AUDIO_CHARACTERISTIC_UUID = '5678';
 const MAX_CONNECTIONS = 7; // Bluetooth standard limit for simultaneous connections
+const INACTIVE_TIMEOUT = 5000; // Receivers idle this long can be evicted
 
 class BluetoothController {
-    constructor() {
-        this.device = null;
-        this.server = null;
-        this.service = null;
-        this.characteristic = null;
+    /**
+     * @param {Transport} transport - Transport used to reach receivers
+     * @param {NotificationManager} notificationManager - Notification manager
+     * @param {PerformanceMonitor} performanceMonitor - Performance monitor
+     */
+    constructor(transport, notificationManager, performanceMonitor) {
+        this.transport = transport;
+        this.notificationManager = notificationManager;
+        this.performanceMonitor = performanceMonitor;
         this.connectedDevices = new Map();
-        this.isHost = false;
         this.connectionListeners = new Set();
-        this.signalStrengthInterval = null;
-        this.connectionQueue = [];
         this.maxConnections = MAX_CONNECTIONS;
-        this.connectionTimeout = 10000; // 10 seconds timeout
+        this.transportSubscriptions = [];
+        this.room = null;
+        this.controlChannel = new ControlChannel((deviceId, frame) => this.sendFrame(deviceId, frame, CHANNELS.CONTROL));
+        this.clockSync = new ClockSyncServer(this.controlChannel, performanceMonitor);
+        this.registerControlHandlers();
     }
 
     /**
-     * Initializes Bluetooth functionality and checks device compatibility
-     * @returns {Promise<void>}
-     * @throws {Error} If Bluetooth is not supported
+     * Registers the handlers for every control message a receiver can send
+     * @private
      */
-    async initialize() {
-        if (!navigator.bluetooth) {
-            throw new Error('Bluetooth not supported');
+    registerControlHandlers() {
+        // Capabilities and status reports are for the pipeline and roster
+        const forward = (type) => (deviceId, payload) => {
+            this.notifyConnectionListeners({ type: 'message', deviceId, message: { type, ...payload } });
+        };
+        // Devices that have not joined the room yet may only say hello or goodbye
+        const admitted = (handler) => (deviceId, payload) => {
+            if (this.connectedDevices.get(deviceId)?.isAdmitted) {
+                handler(deviceId, payload);
+            }
+        };
+
+        this.controlChannel.register({
+            [CONTROL_TYPES.HELLO]: (deviceId, payload) => {
+                // Only acknowledged once admitted, so a rejected receiver never believes it joined
+                return this.handleHello(deviceId, payload).then(isAdmitted => {
+                    if (isAdmitted) forward(CONTROL_TYPES.HELLO)(deviceId, payload);
+                    return isAdmitted;
+                });
+            },
+            [CONTROL_TYPES.STATUS]: admitted(forward(CONTROL_TYPES.STATUS)),
+            [CONTROL_TYPES.NACK]: admitted(forward(CONTROL_TYPES.NACK)),
+            [CONTROL_TYPES.CLOCK_SYNC]: admitted((deviceId, payload) => {
+                this.clockSync.handleMessage(deviceId, payload).catch(error => {
+                    console.warn(`Clock sync failed for device ${deviceId}:`, error);
+                });
+            }),
+            [CONTROL_TYPES.GOODBYE]: (deviceId, { reason }) => {
+                console.warn(`Device ${deviceId} left: ${reason}`);
+                this.disconnectDevice(deviceId);
+            }
+        });
+    }
+
+    /**
+     * Requires receivers to join a room before they get any audio. The room
+     * is kept when hosting stops, so a restarted host keeps its join code.
+     * @param {Room|null} room - Room to host, or null to admit everyone
+     */
+    setRoom(room) {
+        this.room = room;
+    }
+
+    /**
+     * Admits a device whose hello answers its room challenge, and removes
+     * it otherwise
+     * @private
+     * @param {string} deviceId - Device ID
+     * @param {Object} hello - Hello payload ({ joinCode, proof, ... })
+     * @returns {Promise<boolean>} Whether the device is admitted
+     */
+    async handleHello(deviceId, hello) {
+        const deviceInfo = this.connectedDevices.get(deviceId);
+        if (!deviceInfo) return false;
+        if (deviceInfo.isAdmitted) return true;
+
+        try {
+            const salt = await this.room.verify(deviceId, hello);
+            await deviceInfo.session.establish({
+                peerPublicKey: hello.publicKey,
+                salt,
+                joinCode: this.room.joinCode,
+                pin: this.room.pin
+            });
+            deviceInfo.isAdmitted = true;
+            return true;
+        } catch (error) {
+            console.warn(`Rejected device ${deviceId}:`, error.message);
+            this.notificationManager.warning(`${deviceInfo.name} could not join: ${error.message}`);
+            await this.sendControlMessage(deviceId, CONTROL_TYPES.GOODBYE, { reason: error.message })
+                .catch(() => {});
+            await this.disconnectDevice(deviceId);
+            return false;
         }
+    }
 
-        // Check for required Bluetooth permissions
-        if (navigator.permissions) {
-            try {
-                const result = await navigator.permissions.query({ name: 'bluetooth' });
-                if (result.state === 'denied') {
-                    throw new Error('Bluetooth permission denied');
-                }
-            } catch (error) {
-                console.warn('Bluetooth permission check failed:', error);
-            }
+    /**
+     * Checks that the selected transport can host on this device
+     * @returns {Promise<void>}
+     * @throws {Error} If the transport cannot host
+     */
+    async initialize() {
+        const TransportClass = this.transport.constructor;
+        if (!TransportClass.isSupported('host')) {
+            throw new Error(`${this.transport.kind} transport not supported`);
         }
     }
 
     /**
-     * Starts device discovery and connection as host
+     * Starts accepting receivers as host
      * @returns {Promise<void>}
      */
     async startHosting() {
         try {
-            this.isHost = true;
-            
-            // Create GATT server
-            this.server = await navigator.bluetooth.getGATTServer();
-            
-            // Create our audio service
-            this.service = await this.server.createService(BLUETOOTH_SERVICE_UUID);
-            
-            // Create characteristic for audio data
-            this.characteristic = await this.service.createCharacteristic(
-                AUDIO_CHARACTERISTIC_UUID,
-                {
-                    properties: ['write', 'notify'],
-                    permissions: ['write']
-                }
-            );
-
-            // Start advertising our service
-            await this.server.startAdvertising({
-                name: 'Audio Broadcaster',
-                serviceUuids: [BLUETOOTH_SERVICE_UUID]
-            });
-
-            this.startSignalStrengthMonitoring();
+            await this.initialize();
+            this.subscribeToTransport();
+            await this.transport.startHosting({ joinCode: this.room?.joinCode });
         } catch (error) {
+            this.unsubscribeFromTransport();
             console.error('Failed to start hosting:', error);
-            throw new Error('Failed to start hosting');
+            throw new Error('Failed to start hosting: ' + error.message);
         }
     }
 
     /**
-     * Connects to a host device with error handling and connection validation
+     * Creates an invite code for a new receiver when the transport needs signaling
+     * @returns {Promise<string|null>} Invite code
+     */
+    async createInvite() {
+        return this.transport.createInvite();
+    }
+
+    /**
+     * Applies a receiver's answer code
+     * @param {string} code - Answer code
      * @returns {Promise<void>}
      */
-    async connectToHost() {
-        try {
-            // Request device with specific service UUID
-            this.device = await navigator.bluetooth.requestDevice({
-                filters: [{
-                    services: [BLUETOOTH_SERVICE_UUID]
-                }],
-                optionalServices: []
-            });
+    async acceptAnswer(code) {
+        await this.transport.acceptSignal(code);
+    }
 
-            // Validate device compatibility
-            if (!this.device.gatt) {
-                throw new Error('Device does not support GATT');
-            }
+    /**
+     * Subscribes to transport peer events
+     * @private
+     */
+    subscribeToTransport() {
+        this.unsubscribeFromTransport();
+        this.transportSubscriptions = [
+            this.transport.on(TRANSPORT_EVENTS.PEER_CONNECTED, ({ peerId, name }) => {
+                this.handleConnectionRequest(peerId, name);
+            }),
+            this.transport.on(TRANSPORT_EVENTS.PEER_DISCONNECTED, ({ peerId }) => {
+                this.handleDisconnect(peerId);
+            }),
+            this.transport.on(TRANSPORT_EVENTS.FRAME, ({ peerId, data, channel }) => {
+                this.handleFrame(peerId, data, channel);
+            }),
+            this.transport.on(TRANSPORT_EVENTS.SIGNAL_STRENGTH, ({ peerId, rssi }) => {
+                const deviceInfo = this.connectedDevices.get(peerId);
+                if (deviceInfo) {
+                    deviceInfo.rssi = rssi;
+                }
+                this.notifyConnectionListeners({ type: 'signal', deviceId: peerId, rssi });
+            }),
+            this.transport.on(TRANSPORT_EVENTS.ERROR, ({ peerId, error }) => {
+                console.warn(`Transport error for device ${peerId}:`, error);
+            })
+        ];
+    }
 
-            // Connect to the device
-            this.server = await this.device.gatt.connect();
-            
-            // Get the audio service
-            this.service = await this.server.getPrimaryService(BLUETOOTH_SERVICE_UUID);
-            
-            // Get the audio characteristic
-            this.characteristic = await this.service.getCharacteristic(AUDIO_CHARACTERISTIC_UUID);
-
-            // Set up disconnect listener
-            this.device.addEventListener('gattserverdisconnected', () => {
-                this.handleDisconnect();
-            });
+    /**
+     * @private
+     */
+    unsubscribeFromTransport() {
+        this.transportSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.transportSubscriptions = [];
+    }
 
-            this.startSignalStrengthMonitoring();
-        } catch (error) {
-            console.error('Failed to connect to host:', error);
-            throw new Error('Connection failed: ' + error.message);
+    /**
+     * Handles a frame sent by a receiver, decrypting it once the device
+     * has joined the room
+     * @private
+     * @param {string} deviceId - Sending device
+     * @param {Uint8Array} data - Frame bytes
+     * @param {string} channel - Channel the frame arrived on
+     */
+    async handleFrame(deviceId, data, channel) {
+        const deviceInfo = this.connectedDevices.get(deviceId);
+        if (!deviceInfo) return;
+
+        let frame = data;
+        if (deviceInfo.session?.isEstablished) {
+            try {
+                frame = await deviceInfo.session.open(data);
+            } catch (error) {
+                console.warn(`Dropping frame from device ${deviceId}:`, error.message);
+                return;
+            }
+        }
+        this.updateDeviceActivity(deviceId);
+
+        if (channel === CHANNELS.CONTROL) {
+            this.controlChannel.handleFrame(deviceId, frame);
         }
     }
 
     /**
-     * Monitors signal strength for all connections
+     * Sends a frame to one device, encrypted once the device has joined the room
      * @private
+     * @param {string} deviceId - Target device
+     * @param {Uint8Array} frame - Frame bytes
+     * @param {string} channel - One of CHANNELS
+     * @returns {Promise<boolean>} Whether the frame was handed to the link
      */
-    startSignalStrengthMonitoring() {
-        if (this.signalStrengthInterval) {
-            clearInterval(this.signalStrengthInterval);
-        }
+    async sendFrame(deviceId, frame, channel) {
+        const session = this.connectedDevices.get(deviceId)?.session;
+        const data = session?.isEstablished ? await session.seal(frame) : frame;
+        return this.transport.sendFrame(deviceId, data, channel);
+    }
 
-        this.signalStrengthInterval = setInterval(async () => {
-            if (this.device) {
-                try {
-                    const rssi = await this.device.gatt.getRSSI();
-                    this.notifyConnectionListeners({
-                        type: 'signal',
-                        deviceId: this.device.id,
-                        rssi: rssi
-                    });
-                } catch (error) {
-                    console.warn('Failed to get RSSI:', error);
-                }
-            }
-        }, 1000);
+    /**
+     * Sends a control message to one device
+     * @param {string} deviceId - Target device
+     * @param {string} type - One of CONTROL_TYPES
+     * @param {Object} [payload] - Message fields
+     * @param {Object} [options] - { needsAck } to wait for the device to acknowledge
+     * @returns {Promise<boolean>} Whether the message was sent
+     */
+    async sendControlMessage(deviceId, type, payload, options) {
+        return this.controlChannel.send(deviceId, type, payload, options);
+    }
+
+    /**
+     * Sends a control message to every device that has the current stream info
+     * @param {string} type - One of CONTROL_TYPES
+     * @param {Object} [payload] - Message fields
+     * @returns {Promise<void>}
+     */
+    async broadcastControlMessage(type, payload) {
+        const readyDevices = this.getConnectedDevices().filter(device => device.isReady);
+        await Promise.all(readyDevices.map(device =>
+            this.sendControlMessage(device.id, type, payload).catch(error => {
+                console.warn(`Failed to send ${type} to device ${device.id}:`, error);
+            })
+        ));
+    }
+
+    /**
+     * Marks whether a device has the current stream info and should get audio
+     * @param {string} deviceId - Device ID
+     * @param {boolean} isReady - Whether to send audio to the device
+     */
+    setDeviceReady(deviceId, isReady) {
+        const deviceInfo = this.connectedDevices.get(deviceId);
+        if (deviceInfo) {
+            deviceInfo.isReady = isReady;
+        }
     }
 
     /**
      * Handles device disconnection
      * @private
+     * @param {string} deviceId - ID of the disconnected device
      */
-    handleDisconnect() {
-        const deviceId = this.device?.id;
-        this.connectedDevices.delete(deviceId);
+    handleDisconnect(deviceId) {
+        if (!this.connectedDevices.delete(deviceId)) return;
+        this.clockSync.removePeer(deviceId);
+        this.controlChannel.removePeer(deviceId);
+        this.room?.removePeer(deviceId);
         this.notifyConnectionListeners({
             type: 'disconnect',
-            deviceId: deviceId
+            deviceId
         });
     }
 
     /**
-     * Handles new device connection request
+     * Handles a newly connected receiver, enforcing the connection limit
      * @private
-     * @param {BluetoothDevice} device - The device requesting connection
+     * @param {string} deviceId - Peer ID assigned by the transport
+     * @param {string} name - Display name
      */
-    async handleConnectionRequest(device) {
+    async handleConnectionRequest(deviceId, name) {
         if (this.connectedDevices.size >= this.maxConnections) {
             // Check for inactive connections
             const inactiveDevices = Array.from(this.connectedDevices.entries())
-                .filter(([_, data]) => Date.now() - data.lastActive > 5000);
+                .filter(([_, data]) => Date.now() - data.lastActive > INACTIVE_TIMEOUT);
 
             if (inactiveDevices.length > 0) {
                 // Disconnect least active device
-                const [deviceId] = inactiveDevices[0];
-                await this.disconnectDevice(deviceId);
+                const [inactiveId] = inactiveDevices[0];
+                await this.disconnectDevice(inactiveId);
             } else {
-                throw new Error('Maximum connection limit reached');
+                console.warn('Maximum connection limit reached, rejecting', deviceId);
+                await this.transport.disconnectPeer(deviceId);
+                return;
             }
         }
 
-        // Add to connection queue
-        return new Promise((resolve, reject) => {
-            const timeoutId = setTimeout(() => {
-                this.connectionQueue = this.connectionQueue.filter(req => req.device !== device);
-                reject(new Error('Connection request timeout'));
-            }, this.connectionTimeout);
-
-            this.connectionQueue.push({
-                device,
-                resolve,
-                reject,
-                timeoutId
-            });
-
-            this.processConnectionQueue();
+        const deviceInfo = {
+            id: deviceId,
+            name: name || 'Unknown Device',
+            lastActive: Date.now(),
+            rssi: null,
+            codecs: null, // Codecs the receiver can decode, from its hello message
+            isAdmitted: !this.room, // Set once the device answers the room challenge
+            isReady: false, // Set once the device has the current stream info
+            sendStats: { sent: 0, dropped: 0, failed: 0, pending: 0 }, // Audio frames, pending while the link is busy
+            session: this.room ? new SecureSession('host') : null // Encrypts everything after the handshake
+        };
+
+        this.connectedDevices.set(deviceId, deviceInfo);
+        this.notifyConnectionListeners({
+            type: 'connect',
+            device: deviceInfo
         });
+
+        if (this.room) {
+            this.sendJoinChallenge(deviceInfo).catch(error => {
+                console.warn(`Failed to challenge device ${deviceId}:`, error);
+            });
+        }
     }
 
     /**
-     * Processes the connection queue
+     * Asks a new device to prove it knows the room credentials, offering
+     * this side of the key exchange
      * @private
+     * @param {Object} deviceInfo - Connected device info
+     * @returns {Promise<void>}
      */
-    async processConnectionQueue() {
-        if (this.connectionQueue.length === 0) return;
-
-        const request = this.connectionQueue[0];
-        try {
-            const server = await request.device.gatt.connect();
-            const deviceInfo = {
-                id: request.device.id,
-                name: request.device.name || 'Unknown Device',
-                server,
-                lastActive: Date.now(),
-                rssi: null
-            };
-
-            this.connectedDevices.set(request.device.id, deviceInfo);
-            clearTimeout(request.timeoutId);
-            request.resolve(deviceInfo);
-
-            this.notifyConnectionListeners({
-                type: 'connect',
-                device: deviceInfo
-            });
-        } catch (error) {
-            request.reject(error);
-        } finally {
-            this.connectionQueue.shift();
-            this.processConnectionQueue();
-        }
+    async sendJoinChallenge(deviceInfo) {
+        await this.sendControlMessage(deviceInfo.id, CONTROL_TYPES.JOIN_CHALLENGE, {
+            room: this.room.name,
+            nonce: this.room.createChallenge(deviceInfo.id),
+            isProtected: this.room.isProtected,
+            publicKey: await deviceInfo.session.getPublicKey()
+        }, { needsAck: true });
     }
 
     /**
      * Disconnects a specific device
-     * @private
      * @param {string} deviceId - ID of the device to disconnect
      */
     async disconnectDevice(deviceId) {
-        const deviceInfo = this.connectedDevices.get(deviceId);
-        if (deviceInfo && deviceInfo.server.connected) {
-            await deviceInfo.server.disconnect();
+        try {
+            await this.transport.disconnectPeer(deviceId);
+        } catch (error) {
+            console.warn(`Failed to disconnect device ${deviceId}:`, error);
         }
-        this.connectedDevices.delete(deviceId);
-        this.notifyConnectionListeners({
-            type: 'disconnect',
-            deviceId
-        });
+        this.handleDisconnect(deviceId);
     }
 
     /**
@@ -259,27 +379,14 @@ class BluetoothController {
     }
 
     /**
-     * Sends audio data to connected devices with priority handling
-     * @param {Float32Array} audioData - Audio data to send
+     * Sends an encoded audio packet to devices that have the stream info
+     * @param {Uint8Array} audioData - Packet produced by AudioPacket.encode() or RecoveryPacket.encode()
      */
     async sendAudioData(audioData) {
-        if (!this.isHost || !this.characteristic) return;
-
         try {
-            const chunk = new Uint8Array(audioData.buffer);
-            const promises = Array.from(this.connectedDevices.entries()).map(async ([deviceId, deviceInfo]) => {
-                try {
-                    await deviceInfo.server.writeValue(chunk);
-                    this.updateDeviceActivity(deviceId);
-                } catch (error) {
-                    console.warn(`Failed to send audio to device ${deviceId}:`, error);
-                    if (error.message.includes('disconnected')) {
-                        await this.disconnectDevice(deviceId);
-                    }
-                }
-            });
-
-            await Promise.all(promises);
+            const chunk = new Uint8Array(audioData.buffer, audioData.byteOffset, audioData.byteLength);
+            const readyDevices = this.getConnectedDevices().filter(device => device.isReady);
+            await Promise.all(readyDevices.map(device => this.sendAudioToDevice(device, chunk)));
         } catch (error) {
             console.error('Failed to send audio data:', error);
             this.notifyConnectionListeners({
@@ -289,6 +396,47 @@ class BluetoothController {
         }
     }
 
+    /**
+     * Sends an audio packet to one device again after it reported the packet missing
+     * @param {string} deviceId - Device that asked for it
+     * @param {Uint8Array} audioData - Packet produced by AudioPacket.encode()
+     * @returns {Promise<void>}
+     */
+    async resendAudioData(deviceId, audioData) {
+        const device = this.connectedDevices.get(deviceId);
+        if (!device?.isReady) return;
+
+        await this.sendAudioToDevice(device, audioData);
+    }
+
+    /**
+     * Sends an audio frame to a device, counting the outcome in its send stats
+     * @private
+     * @param {Object} device - Connected device info
+     * @param {Uint8Array} chunk - Frame bytes
+     * @returns {Promise<void>}
+     */
+    async sendAudioToDevice({ id: deviceId, sendStats }, chunk) {
+        sendStats.pending++;
+        try {
+            if (await this.sendFrame(deviceId, chunk, CHANNELS.AUDIO)) {
+                sendStats.sent++;
+                this.updateDeviceActivity(deviceId);
+            } else {
+                // The transport's send backlog is full
+                sendStats.dropped++;
+            }
+        } catch (error) {
+            sendStats.failed++;
+            console.warn(`Failed to send audio to device ${deviceId}:`, error);
+            if (error.message.includes('disconnected')) {
+                await this.disconnectDevice(deviceId);
+            }
+        } finally {
+            sendStats.pending--;
+        }
+    }
+
     /**
      * Adds a connection status listener
      * @param {Function} listener - Callback function for connection events
@@ -323,26 +471,18 @@ class BluetoothController {
     /**
      * Disconnects from all devices and cleans up resources
      */
-    disconnect() {
-        if (this.signalStrengthInterval) {
-            clearInterval(this.signalStrengthInterval);
-            this.signalStrengthInterval = null;
-        }
+    async disconnect() {
+        // Let receivers know this is deliberate so they do not wait for the host
+        await Promise.all(this.getConnectedDevices().map(device =>
+            this.sendControlMessage(device.id, CONTROL_TYPES.GOODBYE, { reason: 'Host stopped broadcasting' })
+                .catch(() => {})
+        ));
 
-        if (this.device?.gatt?.connected) {
-            this.device.gatt.disconnect();
-        }
+        this.unsubscribeFromTransport();
+        await this.transport.disconnect();
+
+        Array.from(this.connectedDevices.keys()).forEach(deviceId => this.handleDisconnect(deviceId));
 
-        if (this.server && this.isHost) {
-            this.server.stopAdvertising();
-        }
-        
-        this.connectedDevices.clear();
-        this.device = null;
-        this.server = null;
-        this.service = null;
-        this.characteristic = null;
-        
         this.notifyConnectionListeners({
             type: 'cleanup',
             message: 'Disconnected and cleaned up'
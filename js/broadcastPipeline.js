@@ -0,0 +1,529 @@
+import AudioPacket from './protocol/audioPacket.js';
+import { CONTROL_TYPES } from './protocol/controlMessage.js';
+import CodecFactory, { CODEC_NAMES } from './codecs/codecFactory.js';
+import { ENCODING_PROFILES } from './codecs/encodingProfiles.js';
+import { SOURCES } from './audioController.js';
+import ConnectionStateMachine, { CONNECTION_STATES } from './session/connectionStateMachine.js';
+import RecoverySender, { REDUNDANCY_BITRATE } from './recovery/recoverySender.js';
+
+/**
+ * Connects captured host audio to the outgoing transport.
+ *
+ * Frames from the capture worklet (one render quantum each, already at the
+ * stream's sample rate and channel count) are interleaved into packets of
+ * the profile's duration, encoded, framed with an AudioPacket header and
+ * fanned out to every receiver that has completed the handshake.
+ *
+ * Receivers announce the codecs they can decode in a hello message, and a
+ * receiver sharing none with the profile is turned away. All receivers
+ * share one stream, so the host picks the codec in the profile's preference
+ * list that it can encode and most receivers can decode, which is one every
+ * receiver supports whenever there is such a codec. Receivers that cannot
+ * decode it are dropped rather than holding up the rest, and the others get
+ * the resulting stream info before any audio.
+ *
+ * While files are in the mix, track metadata follows the stream info so
+ * receivers can show what is playing.
+ *
+ * Each packet is kept for retransmission and followed by whatever loss
+ * recovery packets the RecoverySender produces: parity for every complete
+ * group, and the low bitrate copy of the previous frame when redundancy is
+ * on. Receivers learn the recovery settings from the stream info.
+ *
+ * The adaptive bitrate controller can stream below the selected quality
+ * while the link is congested. The stream info then names the quality in
+ * use and why, and the selection itself is left alone.
+ *
+ * `connection` is connected while hosting and streaming once capture runs.
+ */
+class BroadcastPipeline {
+    /**
+     * @param {AudioController} audioController - Source of captured frames
+     * @param {BluetoothController} bluetoothController - Outgoing connection manager
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(audioController, bluetoothController, notificationManager) {
+        this.audioController = audioController;
+        this.bluetoothController = bluetoothController;
+        this.notificationManager = notificationManager;
+        this.quality = audioController.quality; // Selected by the user
+        this.profile = ENCODING_PROFILES[this.quality];
+        this.adaptation = null; // { quality, profile, reason } while adapted below the selection
+        this.encodableCodecs = [];
+        this.encoder = null;
+        this.redundancyEncoder = null;
+        this.recovery = new RecoverySender();
+        this.streamInfo = null;
+        this.packet = null;
+        this.packetOffset = 0;
+        this.packetTimestamp = 0;
+        this.sequence = 0;
+        this.connection = new ConnectionStateMachine();
+
+        this.handleConnectionEvent = this.handleConnectionEvent.bind(this);
+        this.handlePlaylistEvent = this.handlePlaylistEvent.bind(this);
+    }
+
+    /**
+     * Starts hosting, capture and forwarding together
+     * @returns {Promise<void>}
+     * @throws {IllegalStateError} If the broadcast is still starting or stopping
+     */
+    async start() {
+        if (this.connection.is(CONNECTION_STATES.STREAMING)) return;
+        this.connection.assertCan(CONNECTION_STATES.CONNECTING, 'start broadcasting');
+
+        this.connection.transition(CONNECTION_STATES.CONNECTING);
+        try {
+            this.encodableCodecs = await CodecFactory.getEncodableCodecs();
+            await this.bluetoothController.startHosting();
+        } catch (error) {
+            this.connection.transition(CONNECTION_STATES.FAILED, { error: error.message });
+            throw error;
+        }
+
+        this.connection.transition(CONNECTION_STATES.CONNECTED);
+        this.bluetoothController.addConnectionListener(this.handleConnectionEvent);
+        this.audioController.playlistPlayer.addListener(this.handlePlaylistEvent);
+        try {
+            this.negotiate();
+            this.audioController.setFrameHandler(this.handleFrame.bind(this));
+            await this.audioController.startBroadcasting();
+        } catch (error) {
+            this.audioController.setFrameHandler(null);
+            this.bluetoothController.removeConnectionListener(this.handleConnectionEvent);
+            this.audioController.playlistPlayer.removeListener(this.handlePlaylistEvent);
+            this.closeEncoder();
+            await this.bluetoothController.disconnect();
+            this.connection.transition(CONNECTION_STATES.FAILED, { error: error.message });
+            throw error;
+        }
+
+        this.connection.transition(CONNECTION_STATES.STREAMING);
+    }
+
+    /**
+     * Stops capture, forwarding and hosting together
+     * @returns {Promise<void>}
+     */
+    async stop() {
+        if (this.connection.is(CONNECTION_STATES.IDLE, CONNECTION_STATES.DISCONNECTING)) return;
+        // A failed start has already cleaned up
+        if (this.connection.is(CONNECTION_STATES.FAILED)) {
+            this.connection.transition(CONNECTION_STATES.IDLE);
+            return;
+        }
+
+        const wasStreaming = this.connection.is(CONNECTION_STATES.STREAMING);
+        this.connection.transition(CONNECTION_STATES.DISCONNECTING);
+        try {
+            if (wasStreaming) {
+                await this.bluetoothController.broadcastControlMessage(CONTROL_TYPES.STREAM_STOP);
+            }
+            this.audioController.setFrameHandler(null);
+            this.bluetoothController.removeConnectionListener(this.handleConnectionEvent);
+            this.audioController.playlistPlayer.removeListener(this.handlePlaylistEvent);
+            await this.audioController.stopBroadcasting();
+            await this.bluetoothController.disconnect();
+        } finally {
+            this.closeEncoder();
+            this.connection.transition(CONNECTION_STATES.IDLE);
+        }
+    }
+
+    /**
+     * Switches the encoding profile, renegotiating the codec if running
+     * @param {string} quality - Quality level ('high', 'medium', 'low')
+     */
+    setQuality(quality) {
+        const profile = ENCODING_PROFILES[quality];
+        if (!profile) {
+            throw new Error(`Unknown audio quality "${quality}"`);
+        }
+
+        this.applySettings({ quality, profile, adaptation: null });
+        this.audioController.setQuality(quality);
+    }
+
+    /**
+     * Streams with a different profile without changing the selected quality
+     * @param {Object|null} adaptation - { quality, profile, reason }, or null
+     *     to go back to the selected quality
+     */
+    adapt(adaptation) {
+        this.applySettings({
+            quality: this.quality,
+            profile: adaptation?.profile ?? ENCODING_PROFILES[this.quality],
+            adaptation
+        });
+    }
+
+    /**
+     * Changes the loss recovery settings, restarting the stream if running
+     * @param {Object} options - Settings to change, see DEFAULT_RECOVERY_OPTIONS
+     * @throws {Error} If the settings are invalid
+     */
+    setRecoveryOptions(options) {
+        const previous = this.recovery.options;
+        this.recovery.configure(options);
+        if (!this.connection.is(CONNECTION_STATES.STREAMING)) return;
+
+        try {
+            this.negotiate(true);
+        } catch (error) {
+            this.recovery.configure(previous);
+            throw error;
+        }
+    }
+
+    /**
+     * Switches quality, profile and adaptation together, restarting the
+     * stream if running. Nothing changes if the new stream cannot start.
+     * @private
+     * @param {Object} settings - { quality, profile, adaptation }
+     * @throws {Error} If no encoder can be created for the profile
+     */
+    applySettings(settings) {
+        if (this.connection.is(CONNECTION_STATES.STREAMING)) {
+            this.negotiate(true, settings);
+        } else {
+            this.setSettings(settings);
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} settings - { quality, profile, adaptation }
+     */
+    setSettings({ quality, profile, adaptation }) {
+        this.quality = quality;
+        this.profile = profile;
+        this.adaptation = adaptation;
+    }
+
+    /**
+     * Adds or removes a source from the broadcast mix
+     * @param {string} source - One of SOURCES
+     * @param {boolean} enabled - Whether to include the source
+     * @returns {Promise<void>}
+     */
+    async setSourceEnabled(source, enabled) {
+        await this.audioController.setSourceEnabled(source, enabled);
+        if (this.connection.is(CONNECTION_STATES.STREAMING) && source === SOURCES.FILE) {
+            await this.bluetoothController.broadcastControlMessage(CONTROL_TYPES.NOW_PLAYING, this.getNowPlaying());
+        }
+    }
+
+    /**
+     * Gets the metadata of the current stream
+     * @returns {Object|null} Stream info, or null when not broadcasting
+     */
+    getStreamInfo() {
+        return this.streamInfo;
+    }
+
+    /**
+     * Tracks receiver handshakes and departures
+     * @private
+     * @param {Object} event - Connection event from the bluetooth controller
+     */
+    handleConnectionEvent(event) {
+        if (event.type === 'message' && event.message.type === CONTROL_TYPES.HELLO) {
+            const device = this.bluetoothController.connectedDevices.get(event.deviceId);
+            const { codecs } = event.message;
+            if (!device || !Array.isArray(codecs)) return;
+
+            if (!this.profile.codecs.some(codec => this.encodableCodecs.includes(codec) && codecs.includes(codec))) {
+                this.dropReceiver(device, 'No audio codec in common with the host');
+                return;
+            }
+            device.codecs = codecs;
+            if (!this.negotiate()) {
+                this.startReceiver(device);
+            }
+        } else if (event.type === 'message' && event.message.type === CONTROL_TYPES.NACK) {
+            this.retransmit(event.deviceId, event.message);
+        } else if (event.type === 'disconnect') {
+            // The departed receiver may have been holding the group back
+            this.negotiate();
+        }
+    }
+
+    /**
+     * Sends a receiver the packets it reported missing, if they can still
+     * be played in time
+     * @private
+     * @param {string} deviceId - Receiver that sent the NACK
+     * @param {Object} message - NACK payload ({ streamId, sequences })
+     */
+    retransmit(deviceId, { streamId, sequences }) {
+        if (streamId !== this.streamInfo?.streamId || !Array.isArray(sequences)) return;
+
+        const maxAge = this.bluetoothController.clockSync.playoutDelay;
+        this.recovery.getRetransmissions(sequences, maxAge).forEach(packet => {
+            this.bluetoothController.resendAudioData(deviceId, packet).catch(error => {
+                console.warn(`Failed to resend audio to ${deviceId}:`, error);
+            });
+        });
+    }
+
+    /**
+     * Forwards track changes and play state to receivers
+     * @private
+     */
+    handlePlaylistEvent() {
+        if (!this.audioController.isSourceEnabled(SOURCES.FILE)) return;
+
+        this.bluetoothController.broadcastControlMessage(CONTROL_TYPES.NOW_PLAYING, this.getNowPlaying());
+    }
+
+    /**
+     * Builds the now playing payload for the current source
+     * @private
+     * @returns {Object} { track }, null while no files are in the mix
+     */
+    getNowPlaying() {
+        const isFile = this.audioController.isSourceEnabled(SOURCES.FILE);
+        return { track: isFile ? this.audioController.playlistPlayer.getNowPlaying() : null };
+    }
+
+    /**
+     * Picks the codec most receivers support and restarts the stream when it
+     * changes. The current stream keeps running if the new one cannot start.
+     * @private
+     * @param {boolean} [force] - Restart the stream even if the codec is unchanged
+     * @param {Object} [settings] - { quality, profile, adaptation } to stream with, the current ones by default
+     * @returns {boolean} Whether a new stream was started
+     * @throws {Error} If no encoder can be created for the profile
+     */
+    negotiate(force = false, settings = { quality: this.quality, profile: this.profile, adaptation: this.adaptation }) {
+        const { quality, profile, adaptation } = settings;
+        const receivers = this.bluetoothController.getConnectedDevices().filter(device => device.codecs);
+        const codec = this.chooseCodec(profile, receivers);
+        if (!force && this.streamInfo?.codec === codec) return false;
+
+        const sampleRate = CodecFactory.getSampleRate(codec, profile);
+        const recovery = this.recovery.getStreamConfig(codec);
+        const onError = this.handleEncoderError.bind(this);
+        const encoder = CodecFactory.createEncoder(codec, profile, this.sendPacket.bind(this), onError);
+        let redundancyEncoder = null;
+        if (recovery.redundancyCodec !== null) {
+            const redundancyProfile = { ...profile, bitrate: REDUNDANCY_BITRATE };
+            try {
+                redundancyEncoder = CodecFactory.createEncoder(recovery.redundancyCodec, redundancyProfile, this.sendRedundantCopy.bind(this), onError);
+            } catch (error) {
+                encoder.close();
+                throw error;
+            }
+        }
+
+        this.closeEncoder();
+        this.setSettings(settings);
+        this.encoder = encoder;
+        this.redundancyEncoder = redundancyEncoder;
+        this.audioController.setCaptureFormat(sampleRate, profile.channelCount);
+
+        // A fresh stream ID tells receivers to drop audio from any previous stream
+        this.streamInfo = {
+            streamId: Math.floor(Math.random() * 0x10000),
+            codec,
+            sampleRate,
+            channelCount: profile.channelCount,
+            packetDuration: profile.packetDuration,
+            bitrate: profile.bitrate,
+            quality: adaptation?.quality ?? quality,
+            adaptationReason: adaptation?.reason ?? null, // Set while below the selected quality
+            recovery, // See RecoverySender.getStreamConfig()
+            startTime: performance.now() // Host clock ms, receivers measure their position from it
+        };
+        this.recovery.reset(this.streamInfo);
+        this.sequence = 0;
+        this.packet = null;
+
+        receivers.forEach(device => this.startReceiver(device));
+        return true;
+    }
+
+    /**
+     * Picks the codec of a profile that this browser can encode and the most
+     * receivers can decode, preferring earlier codecs on a tie
+     * @private
+     * @param {Object} profile - Encoding profile
+     * @param {Object[]} receivers - Devices that announced their codecs
+     * @returns {number} Codec ID
+     * @throws {Error} If this browser cannot encode any codec of the profile
+     */
+    chooseCodec(profile, receivers) {
+        let best = null;
+        profile.codecs.filter(codec => this.encodableCodecs.includes(codec)).forEach(codec => {
+            const support = receivers.filter(device => device.codecs.includes(codec)).length;
+            if (best === null || support > best.support) {
+                best = { codec, support };
+            }
+        });
+        if (best === null) {
+            throw new Error('This browser cannot encode any codec of the selected quality');
+        }
+        return best.codec;
+    }
+
+    /**
+     * Sends a receiver the stream info, or drops it if it cannot decode the stream
+     * @private
+     * @param {Object} device - Connected device info with its codecs
+     */
+    startReceiver(device) {
+        const { codec } = this.streamInfo;
+        if (device.codecs.includes(codec)) {
+            this.sendStreamInfo(device);
+        } else {
+            this.dropReceiver(device, `Cannot decode ${CODEC_NAMES[codec]}, which the other receivers use`);
+        }
+    }
+
+    /**
+     * Says goodbye to a receiver that cannot take part in the stream and disconnects it
+     * @private
+     * @param {Object} device - Connected device info
+     * @param {string} reason - Sent to the receiver and shown to the host
+     */
+    dropReceiver(device, reason) {
+        console.warn(`Dropping receiver ${device.id}: ${reason}`);
+        this.notificationManager.warning(`${device.name} was disconnected: ${reason}`);
+        this.bluetoothController.sendControlMessage(device.id, CONTROL_TYPES.GOODBYE, { reason })
+            .catch(() => {})
+            .then(() => this.bluetoothController.disconnectDevice(device.id));
+    }
+
+    /**
+     * Starts the stream on a receiver, sending it audio once it acknowledges
+     * @private
+     * @param {Object} device - Connected device info
+     */
+    sendStreamInfo(device) {
+        const { streamId } = this.streamInfo;
+        this.bluetoothController.setDeviceReady(device.id, false);
+        this.bluetoothController.sendControlMessage(device.id, CONTROL_TYPES.STREAM_START, this.streamInfo, { needsAck: true })
+            .then(() => {
+                // A newer stream may have started while waiting for the acknowledgement
+                if (this.streamInfo?.streamId !== streamId) return;
+                this.bluetoothController.setDeviceReady(device.id, true);
+                return this.bluetoothController.sendControlMessage(device.id, CONTROL_TYPES.NOW_PLAYING, this.getNowPlaying());
+            })
+            .catch(error => console.warn(`Failed to send stream info to ${device.id}:`, error));
+    }
+
+    /**
+     * Appends a captured frame and encodes every packet it completes
+     * @private
+     * @param {Float32Array[]} channels - Captured samples, one array per channel
+     * @param {number} captureTime - Capture time of the first sample (host clock ms)
+     * @param {number} sampleRate - Sample rate of the frame
+     */
+    handleFrame(channels, captureTime, sampleRate) {
+        // Frames captured before a format switch reached the worklet are dropped
+        if (!this.encoder || sampleRate !== this.streamInfo.sampleRate
+            || channels.length !== this.streamInfo.channelCount) return;
+
+        const channelCount = channels.length;
+        const frameCount = channels[0].length;
+        if (!this.packet) {
+            this.packet = new Float32Array(Math.round(sampleRate * this.profile.packetDuration) * channelCount);
+            this.packetOffset = 0;
+        }
+
+        // Offsets count frames, the packet holds channelCount samples per frame
+        const packetFrames = this.packet.length / channelCount;
+        let readOffset = 0;
+        while (readOffset < frameCount) {
+            if (this.packetOffset === 0) {
+                this.packetTimestamp = captureTime + (readOffset / sampleRate) * 1000;
+            }
+
+            const count = Math.min(frameCount - readOffset, packetFrames - this.packetOffset);
+            channels.forEach((samples, channel) => {
+                for (let i = 0; i < count; i++) {
+                    this.packet[(this.packetOffset + i) * channelCount + channel] = samples[readOffset + i];
+                }
+            });
+            this.packetOffset += count;
+            readOffset += count;
+
+            if (this.packetOffset === packetFrames) {
+                const info = { timestamp: this.packetTimestamp, sampleRate, channelCount };
+                this.encoder.encode(this.packet, info);
+                this.redundancyEncoder?.encode(this.packet, info);
+                this.packetOffset = 0;
+            }
+        }
+    }
+
+    /**
+     * Frames an encoded payload and sends it without blocking capture
+     * @private
+     * @param {Object} output - Encoder output ({ payload, timestamp, sampleRate })
+     */
+    sendPacket({ payload, timestamp, sampleRate }) {
+        if (!this.streamInfo) return;
+
+        const { streamId, codec, channelCount } = this.streamInfo;
+        const sequence = this.sequence++;
+        const packet = AudioPacket.encode({
+            streamId,
+            sequence,
+            timestamp,
+            sampleRate,
+            channelCount,
+            codec,
+            payload
+        });
+
+        const recoveryPackets = this.recovery.addPacket({ sequence, timestamp }, packet);
+        [packet, ...recoveryPackets].forEach(frame => {
+            this.bluetoothController.sendAudioData(frame).catch(error => {
+                console.warn('Failed to send audio packet:', error);
+            });
+        });
+    }
+
+    /**
+     * Sends a low bitrate copy of a frame once the next frame has gone out
+     * @private
+     * @param {Object} output - Redundancy encoder output ({ payload, timestamp, sampleRate })
+     */
+    sendRedundantCopy(output) {
+        if (!this.streamInfo) return;
+
+        this.recovery.addRedundantCopy(output).forEach(frame => {
+            this.bluetoothController.sendAudioData(frame).catch(error => {
+                console.warn('Failed to send redundant audio:', error);
+            });
+        });
+    }
+
+    /**
+     * Tells the host an encoder failed. The encoder has already restarted,
+     * so the stream carries on after a short gap.
+     * @private
+     * @param {Error} error - Encode error
+     */
+    handleEncoderError(error) {
+        console.warn('Audio encoder failed and restarted:', error);
+        this.notificationManager.warning('Audio encoder failed and restarted', { key: 'encoderError' });
+    }
+
+    /**
+     * @private
+     */
+    closeEncoder() {
+        this.encoder?.close();
+        this.encoder = null;
+        this.redundancyEncoder?.close();
+        this.redundancyEncoder = null;
+        this.recovery.reset(null);
+        this.streamInfo = null;
+        this.packet = null;
+    }
+}
+
+export default BroadcastPipeline;
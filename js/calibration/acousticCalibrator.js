@@ -0,0 +1,286 @@
+import FFT from '../dsp/fft.js';
+import TestSignal, { TEST_SIGNAL } from './testSignal.js';
+import { DELAY_TRIM_RANGE } from './delayTrimStore.js';
+
+/**
+ * Measures when each receiver is heard at the host and trims their delays
+ * so they are all heard together.
+ *
+ * Receivers play the test sweep one after another, each scheduled on the
+ * synced clock to be heard at a given host time, while the host records
+ * the room with its microphone. Cross-correlating a receiver's slot of the
+ * recording with the sweep gives its arrival, and how late that is against
+ * the schedule is what clock sync and output latency compensation missed.
+ * The latest receiver gets no trim and the others wait for it, so nobody
+ * plays earlier than scheduled. The microphone's own input latency is the
+ * same for every receiver and cancels out.
+ *
+ * Sound takes about 3ms per metre, and it is at the microphone that the
+ * receivers end up aligned, so the host should be where the listeners are.
+ */
+const DEFAULT_OPTIONS = {
+    leadTime: 1000, // ms between sending the schedule and the first sweep, for delivery
+    slotInterval: 1500, // ms between the receivers' sweeps
+    minLag: -100, // ms, earliest arrival against the schedule searched for
+    maxLag: 600, // ms, latest; Bluetooth headphones can add a few hundred
+    minPeakRatio: 8, // Correlation peak over its RMS for a sweep to count as heard
+    firstArrivalRatio: 0.5, // Earlier peaks this close to the highest are the direct sound,
+    // the highest may be a reflection or the broadcast playing the sweep back
+    peakSearch: 1 // ms after the first arrival searched for its peak
+};
+
+class AcousticCalibrator {
+    /**
+     * @param {AudioController} audioController - Host audio, for the context and its clock
+     * @param {ReceiverRoster} roster - Receivers to calibrate
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(audioController, roster, options = {}) {
+        this.audioController = audioController;
+        this.audioContext = audioController.audioContext;
+        this.roster = roster;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.isRunning = false;
+        this.recording = null;
+    }
+
+    /**
+     * Has every connected receiver play the sweep, measures the arrivals
+     * and sends each heard receiver the trim that lines it up
+     * @returns {Promise<Array<Object>>} { id, name, lag, trim } per receiver, in ms,
+     *     lag and trim null for receivers that were not heard, trim null for
+     *     receivers that did not acknowledge theirs
+     * @throws {Error} If calibration is running, no receiver is connected or the microphone is unavailable
+     */
+    async calibrate() {
+        if (this.isRunning) {
+            throw new Error('Calibration is already running');
+        }
+        const receivers = this.roster.getReceivers();
+        if (receivers.length === 0) {
+            throw new Error('No receivers to calibrate');
+        }
+
+        this.isRunning = true;
+        try {
+            await this.audioContext.resume();
+            await this.startRecording();
+            let schedule;
+            try {
+                schedule = await this.playSweeps(receivers);
+            } finally {
+                this.stopRecording();
+            }
+
+            const results = this.measure(schedule);
+            await this.applyTrims(results);
+            return results;
+        } finally {
+            this.recording = null;
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Starts recording the microphone through a capture worklet of its own
+     * @private
+     * @returns {Promise<void>}
+     */
+    async startRecording() {
+        // Processing meant for voice would filter and delay the sweep
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: {
+                echoCancellation: false,
+                noiseSuppression: false,
+                autoGainControl: false
+            }
+        });
+
+        // The module is loaded already when the host has set up its audio
+        await this.audioContext.audioWorklet.addModule('js/audioWorklet.js');
+        const source = this.audioContext.createMediaStreamSource(stream);
+        const recorder = new AudioWorkletNode(this.audioContext, 'audio-processor', { outputChannelCount: [1] });
+        // A silent connection to the destination keeps the worklet rendering
+        const sink = this.audioContext.createGain();
+        sink.gain.value = 0;
+        source.connect(recorder);
+        recorder.connect(sink);
+        sink.connect(this.audioContext.destination);
+
+        this.recording = { stream, source, recorder, sink, blocks: [], startTime: null };
+        recorder.port.onmessage = (event) => {
+            if (event.data.type !== 'processedAudio') return;
+            this.recording.startTime ??= this.audioController.contextTimeToHostTime(event.data.time);
+            this.recording.blocks.push(event.data.channels[0]);
+        };
+        recorder.port.postMessage({ type: 'capture', enabled: true });
+    }
+
+    /**
+     * Stops recording and releases the microphone
+     * @private
+     */
+    stopRecording() {
+        const { stream, source, recorder, sink } = this.recording;
+        recorder.port.onmessage = null;
+        recorder.port.postMessage({ type: 'capture', enabled: false });
+        source.disconnect();
+        recorder.disconnect();
+        sink.disconnect();
+        stream.getTracks().forEach(track => track.stop());
+    }
+
+    /**
+     * Schedules a sweep on each receiver and waits until the last one has
+     * had time to arrive
+     * @private
+     * @param {Array<Object>} receivers - Roster entries
+     * @returns {Promise<Array<Object>>} { id, name, playAt } with playAt in host clock ms
+     */
+    async playSweeps(receivers) {
+        const { leadTime, slotInterval, maxLag } = this.options;
+        const start = performance.now() + leadTime;
+        const schedule = receivers.map(({ id, name }, index) => ({ id, name, playAt: start + index * slotInterval }));
+
+        // A receiver that misses its cue is simply not heard
+        await Promise.all(schedule.map(({ id, name, playAt }) => this.roster.playTestSignal(id, playAt).catch(error => {
+            console.warn(`Failed to cue ${name}:`, error);
+        })));
+
+        const end = schedule[schedule.length - 1].playAt + TEST_SIGNAL.duration * 1000 + maxLag;
+        await new Promise(resolve => setTimeout(resolve, Math.max(0, end - performance.now())));
+        return schedule;
+    }
+
+    /**
+     * Finds each receiver's arrival in the recording
+     * @private
+     * @param {Array<Object>} schedule - { id, name, playAt } per receiver
+     * @returns {Array<Object>} { id, name, lag } with lag in ms, null when not heard
+     */
+    measure(schedule) {
+        const { blocks, startTime } = this.recording;
+        const samples = new Float32Array(blocks.reduce((total, block) => total + block.length, 0));
+        let offset = 0;
+        blocks.forEach(block => {
+            samples.set(block, offset);
+            offset += block.length;
+        });
+
+        const reference = TestSignal.create(this.audioContext.sampleRate);
+        return schedule.map(({ id, name, playAt }) => ({
+            id,
+            name,
+            lag: startTime === null ? null : this.findLag(samples, startTime, reference, playAt)
+        }));
+    }
+
+    /**
+     * Finds how late a sweep arrived against its schedule
+     * @private
+     * @param {Float32Array} samples - Recording
+     * @param {number} startTime - Host clock ms of the first recorded sample
+     * @param {Float32Array} reference - The sweep
+     * @param {number} playAt - Host clock ms the sweep was scheduled to be heard at
+     * @returns {number|null} Lag in ms, null when the sweep was not heard
+     */
+    findLag(samples, startTime, reference, playAt) {
+        const { minLag, maxLag } = this.options;
+        const samplesPerMs = this.audioContext.sampleRate / 1000;
+        const from = Math.max(0, Math.round((playAt + minLag - startTime) * samplesPerMs));
+        const to = Math.min(samples.length, Math.round((playAt + maxLag - startTime) * samplesPerMs) + reference.length);
+        if (to - from < reference.length) return null;
+
+        const correlation = AcousticCalibrator.correlate(samples.subarray(from, to), reference);
+        const index = this.findFirstArrival(correlation);
+        return index === null ? null : (from + index) / samplesPerMs + startTime - playAt;
+    }
+
+    /**
+     * Cross-correlates a recording with a reference through the FFT
+     * @private
+     * @param {Float32Array} samples - Recording, at least as long as the reference
+     * @param {Float32Array} reference - Signal to look for
+     * @returns {Float64Array} Correlation at each lag where the reference fits in the recording
+     */
+    static correlate(samples, reference) {
+        // Lags where the reference fits never wrap around, so the
+        // transform only has to hold the recording
+        const fft = new FFT(FFT.sizeFor(samples.length));
+        const real = new Float64Array(fft.size);
+        const imag = new Float64Array(fft.size);
+        const referenceReal = new Float64Array(fft.size);
+        const referenceImag = new Float64Array(fft.size);
+        real.set(samples);
+        referenceReal.set(reference);
+        fft.transform(real, imag);
+        fft.transform(referenceReal, referenceImag);
+
+        // Multiplying by the conjugate correlates instead of convolving
+        for (let i = 0; i < fft.size; i++) {
+            const productReal = real[i] * referenceReal[i] + imag[i] * referenceImag[i];
+            imag[i] = imag[i] * referenceReal[i] - real[i] * referenceImag[i];
+            real[i] = productReal;
+        }
+        fft.inverse(real, imag);
+        return real.subarray(0, samples.length - reference.length + 1);
+    }
+
+    /**
+     * Picks the direct sound from a correlation: the first peak close to
+     * the highest. Speakers may invert polarity, so magnitudes are compared.
+     * @private
+     * @param {Float64Array} correlation - Correlation by lag
+     * @returns {number|null} Lag in samples, null when no peak stands out
+     */
+    findFirstArrival(correlation) {
+        const { minPeakRatio, firstArrivalRatio, peakSearch } = this.options;
+        let peak = 0;
+        let energy = 0;
+        correlation.forEach(value => {
+            peak = Math.max(peak, Math.abs(value));
+            energy += value * value;
+        });
+        const rms = Math.sqrt(energy / correlation.length);
+        if (rms === 0 || peak / rms < minPeakRatio) return null;
+
+        const first = correlation.findIndex(value => Math.abs(value) >= firstArrivalRatio * peak);
+        const end = Math.min(correlation.length, first + Math.round(peakSearch * this.audioContext.sampleRate / 1000));
+        let index = first;
+        for (let i = first + 1; i < end; i++) {
+            if (Math.abs(correlation[i]) > Math.abs(correlation[index])) {
+                index = i;
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Works out the trims that make every heard receiver as late as the
+     * latest one and sends them
+     * @private
+     * @param {Array<Object>} results - { id, name, lag } per receiver, trim is added
+     * @returns {Promise<void>}
+     */
+    async applyTrims(results) {
+        const lags = results.map(({ lag }) => lag).filter(lag => lag !== null);
+        const latest = Math.max(...lags);
+
+        await Promise.all(results.map(async (result) => {
+            if (result.lag === null) {
+                result.trim = null;
+                return;
+            }
+            result.trim = Math.min(DELAY_TRIM_RANGE.max, Math.round(latest - result.lag));
+            try {
+                await this.roster.setDelayTrim(result.id, result.trim);
+            } catch (error) {
+                // The receiver may have left during calibration, and kept its old trim
+                console.warn(`Failed to trim ${result.name}:`, error);
+                result.trim = null;
+            }
+        }));
+    }
+}
+
+export default AcousticCalibrator;
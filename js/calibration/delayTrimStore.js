@@ -0,0 +1,60 @@
+import { PLAYOUT_DELAY } from '../sync/clockSyncServer.js';
+
+/**
+ * Keeps a receiver's delay trim across sessions.
+ *
+ * The trim is playout delay a device adds on top of the group schedule,
+ * for what the output latency its browser reports leaves out (Bluetooth
+ * headphones often report none) and for its distance from the listeners.
+ * That belongs to the device and its output path rather than to a host,
+ * so the receiver stores it. A negative trim plays earlier, out of the
+ * time packets have to arrive in.
+ */
+const MIN_DELIVERY_TIME = 50; // ms of the playout delay a negative trim leaves for delivery
+
+export const DELAY_TRIM_RANGE = {
+    min: MIN_DELIVERY_TIME - PLAYOUT_DELAY, // ms
+    max: 500 // ms
+};
+
+const STORAGE_KEY = 'receiverDelayTrim';
+
+class DelayTrimStore {
+    /**
+     * Checks whether a value is a trim within DELAY_TRIM_RANGE
+     * @param {*} trim - Value to check
+     * @returns {boolean}
+     */
+    static isValid(trim) {
+        return Number.isFinite(trim) && trim >= DELAY_TRIM_RANGE.min && trim <= DELAY_TRIM_RANGE.max;
+    }
+
+    /**
+     * Reads the stored trim
+     * @returns {number} Milliseconds, 0 when none is stored or storage is unavailable
+     */
+    static load() {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            const trim = stored === null ? 0 : Number(stored);
+            return DelayTrimStore.isValid(trim) ? trim : 0;
+        } catch (error) {
+            console.warn('Failed to read the stored delay trim:', error);
+            return 0;
+        }
+    }
+
+    /**
+     * Stores the trim for later sessions
+     * @param {number} trim - Milliseconds
+     */
+    static save(trim) {
+        try {
+            localStorage.setItem(STORAGE_KEY, String(trim));
+        } catch (error) {
+            console.warn('Failed to store the delay trim:', error);
+        }
+    }
+}
+
+export default DelayTrimStore;
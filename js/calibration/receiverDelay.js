@@ -0,0 +1,102 @@
+import DelayTrimStore, { DELAY_TRIM_RANGE } from './delayTrimStore.js';
+import TestSignal from './testSignal.js';
+
+/**
+ * When this receiver plays: the host's group schedule, delayed by the
+ * device's own trim and rendered early by its output latency, which
+ * differs between receivers and output devices. The calibration sweep the
+ * host measures trims with follows the group schedule without the trim.
+ */
+class ReceiverDelay {
+    /**
+     * @param {AudioContext} audioContext - Shared audio context
+     * @param {ClockSyncClient} clockSync - Clock sync with the host
+     * @param {ReceiverPlayback} playback - Output chain, for its latency and the sweep
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(audioContext, clockSync, playback, notificationManager) {
+        this.audioContext = audioContext;
+        this.clockSync = clockSync;
+        this.playback = playback;
+        this.notificationManager = notificationManager;
+        this.delayTrim = DelayTrimStore.load(); // ms this device plays after the group schedule
+    }
+
+    /**
+     * Sets how long after the group schedule this device plays, and keeps
+     * it for later sessions
+     * @param {number} trim - Milliseconds, within DELAY_TRIM_RANGE
+     * @throws {Error} If the trim is out of range
+     */
+    setDelayTrim(trim) {
+        if (!DelayTrimStore.isValid(trim)) {
+            throw new Error(`Delay trim must be between ${DELAY_TRIM_RANGE.min} and ${DELAY_TRIM_RANGE.max}ms`);
+        }
+        this.delayTrim = trim;
+        DelayTrimStore.save(trim);
+    }
+
+    /**
+     * Computes when a packet should be rendered so all receivers are heard
+     * together, with this device's delay trim added
+     * @param {number} timestamp - Capture timestamp (host clock ms)
+     * @returns {number|undefined} Audio context time, or undefined until clocks are synced
+     */
+    getPlayoutTime(timestamp) {
+        const estimate = this.clockSync.getEstimate();
+        if (!estimate.isSynchronized) return undefined;
+
+        return this.getRenderTime(timestamp + estimate.playoutDelay + this.delayTrim);
+    }
+
+    /**
+     * Works out when a packet must reach the decoder to be played on time
+     * @param {number} timestamp - Capture timestamp (host clock ms)
+     * @param {number} bufferDepth - Current jitter buffer depth (ms)
+     * @returns {number} performance.now() time
+     */
+    getDecodeDeadline(timestamp, bufferDepth) {
+        const estimate = this.clockSync.getEstimate();
+        // Until clocks are synced, packets play about a buffer depth after they arrive
+        if (!estimate.isSynchronized) {
+            return performance.now() + bufferDepth;
+        }
+        return this.clockSync.hostToLocalTime(timestamp + estimate.playoutDelay + this.delayTrim)
+            - this.playback.getOutputLatency() * 1000;
+    }
+
+    /**
+     * Plays the calibration sweep so it is heard at a host time, leaving
+     * out the delay trim the host is about to measure for
+     * @param {number} playAt - Host clock ms
+     */
+    playCalibrationSignal(playAt) {
+        if (!this.clockSync.getEstimate().isSynchronized || this.audioContext.state !== 'running') {
+            console.warn('Cannot play the calibration sweep before clocks are synced and audio is running');
+            return;
+        }
+
+        const when = this.getRenderTime(playAt);
+        if (when < this.audioContext.currentTime) {
+            console.warn(`Calibration sweep arrived ${Math.round((this.audioContext.currentTime - when) * 1000)}ms late`);
+            return;
+        }
+        this.playback.playSignal(TestSignal.create(this.audioContext.sampleRate), when);
+        this.notificationManager.info('The host is calibrating delays', { key: 'calibration' });
+    }
+
+    /**
+     * Converts the host time a sound should be heard at to when it must be
+     * rendered, ahead of the speaker by the output latency
+     * @private
+     * @param {number} hostTime - Host clock ms, clocks must be synced
+     * @returns {number} Audio context time
+     */
+    getRenderTime(hostTime) {
+        return this.audioContext.currentTime
+            + (this.clockSync.hostToLocalTime(hostTime) - performance.now()) / 1000
+            - this.playback.getOutputLatency();
+    }
+}
+
+export default ReceiverDelay;
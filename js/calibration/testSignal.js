@@ -0,0 +1,43 @@
+/**
+ * The sweep receivers play for acoustic calibration.
+ *
+ * An exponential sine sweep correlates with itself in one sharp peak, so
+ * the host can find when it arrived in a recording of the room to well
+ * under a millisecond, even over music or talking. Host and receivers
+ * generate it from TEST_SIGNAL at their own context rate, so no audio is
+ * sent for it.
+ */
+export const TEST_SIGNAL = {
+    duration: 0.5, // Seconds
+    startFrequency: 500, // Hz, phone speakers reproduce little below
+    endFrequency: 8000, // Hz
+    fadeTime: 0.01, // Seconds of raised cosine fade at each end, so the sweep does not click
+    level: 0.5 // Peak amplitude
+};
+
+class TestSignal {
+    /**
+     * Generates the sweep
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Float32Array} Mono samples
+     */
+    static create(sampleRate) {
+        const { duration, startFrequency, endFrequency, fadeTime, level } = TEST_SIGNAL;
+        const length = Math.round(duration * sampleRate);
+        const fadeLength = Math.round(fadeTime * sampleRate);
+        const sweepRate = Math.log(endFrequency / startFrequency) / duration;
+        const samples = new Float32Array(length);
+
+        for (let i = 0; i < length; i++) {
+            const time = i / sampleRate;
+            // The frequency rises exponentially, the phase is its integral
+            const phase = (2 * Math.PI * startFrequency / sweepRate) * (Math.exp(sweepRate * time) - 1);
+            const edge = Math.min(i, length - 1 - i);
+            const fade = edge < fadeLength ? 0.5 - 0.5 * Math.cos((Math.PI * edge) / fadeLength) : 1;
+            samples[i] = level * fade * Math.sin(phase);
+        }
+        return samples;
+    }
+}
+
+export default TestSignal;
@@ -0,0 +1,87 @@
+import { CODECS } from '../protocol/audioPacket.js';
+import ScriptCodec from './scriptCodec.js';
+import OpusEncoder, { OPUS_SAMPLE_RATE } from './opusEncoder.js';
+import OpusDecoder from './opusDecoder.js';
+
+/**
+ * Display names for codec IDs
+ */
+export const CODEC_NAMES = {
+    [CODECS.PCM_FLOAT32]: 'PCM float32',
+    [CODECS.PCM_INT16]: 'PCM 16-bit',
+    [CODECS.MULAW]: 'μ-law',
+    [CODECS.IMA_ADPCM]: 'IMA ADPCM',
+    [CODECS.OPUS]: 'Opus'
+};
+
+const SCRIPT_CODECS = [CODECS.PCM_FLOAT32, CODECS.PCM_INT16, CODECS.MULAW, CODECS.IMA_ADPCM];
+
+/**
+ * Creates encoders and decoders and reports which codecs this browser handles.
+ * Opus needs WebCodecs; the PCM and ADPCM codecs work everywhere.
+ */
+class CodecFactory {
+    /**
+     * Lists the codecs this browser can encode
+     * @returns {Promise<number[]>} Codec IDs
+     */
+    static async getEncodableCodecs() {
+        return (await OpusEncoder.isSupported()) ? [CODECS.OPUS, ...SCRIPT_CODECS] : [...SCRIPT_CODECS];
+    }
+
+    /**
+     * Lists the codecs this browser can decode
+     * @returns {Promise<number[]>} Codec IDs
+     */
+    static async getDecodableCodecs() {
+        return (await OpusDecoder.isSupported()) ? [CODECS.OPUS, ...SCRIPT_CODECS] : [...SCRIPT_CODECS];
+    }
+
+    /**
+     * Gets the sample rate a codec must be fed at
+     * @param {number} codec - Codec ID
+     * @param {Object} profile - Encoding profile
+     * @returns {number} Sample rate in Hz
+     */
+    static getSampleRate(codec, profile) {
+        return codec === CODECS.OPUS ? OPUS_SAMPLE_RATE : profile.sampleRate;
+    }
+
+    /**
+     * Creates an encoder
+     * @param {number} codec - Codec ID
+     * @param {Object} profile - Encoding profile (bitrate, packetDuration, channelCount)
+     * @param {Function} onOutput - Called with { payload, timestamp, sampleRate }
+     * @param {Function} [onError] - Called with errors found after encode() returned; script
+     *     codecs encode synchronously and throw from encode() instead
+     * @returns {ScriptCodec|OpusEncoder}
+     */
+    static createEncoder(codec, profile, onOutput, onError) {
+        if (codec === CODECS.OPUS) {
+            return new OpusEncoder({
+                bitrate: profile.bitrate,
+                frameDuration: profile.packetDuration,
+                channelCount: profile.channelCount
+            }, onOutput, onError);
+        }
+        return new ScriptCodec(codec, onOutput);
+    }
+
+    /**
+     * Creates a decoder
+     * @param {number} codec - Codec ID
+     * @param {Function} onOutput - Called with (samples, info), samples interleaved
+     * @param {number} [channelCount] - Channels in the stream
+     * @param {Function} [onError] - Called with errors found after decode() returned; script
+     *     codecs decode synchronously and throw from decode() instead
+     * @returns {ScriptCodec|OpusDecoder}
+     */
+    static createDecoder(codec, onOutput, channelCount = 1, onError) {
+        if (codec === CODECS.OPUS) {
+            return new OpusDecoder(onOutput, channelCount, onError);
+        }
+        return new ScriptCodec(codec, onOutput);
+    }
+}
+
+export default CodecFactory;
@@ -0,0 +1,44 @@
+import { CODECS } from '../protocol/audioPacket.js';
+
+/**
+ * Encoding profiles behind the audio quality selector.
+ *
+ * Codecs are listed in order of preference; the host streams with the first
+ * one that it and every receiver support. The sample rate applies to the
+ * JavaScript codecs, since Opus always runs at 48kHz. The low profile is
+ * mono, so every channel role plays the same signal while it is in use.
+ */
+export const ENCODING_PROFILES = {
+    high: {
+        sampleRate: 48000,
+        codecs: [CODECS.OPUS, CODECS.PCM_FLOAT32],
+        channelCount: 2,
+        bitrate: 128000, // bits per second for all channels, Opus only
+        packetDuration: 0.01 // seconds
+    },
+    medium: {
+        sampleRate: 44100,
+        codecs: [CODECS.OPUS, CODECS.PCM_INT16],
+        channelCount: 2,
+        bitrate: 64000,
+        packetDuration: 0.02
+    },
+    low: {
+        sampleRate: 32000,
+        codecs: [CODECS.OPUS, CODECS.IMA_ADPCM, CODECS.MULAW],
+        channelCount: 1,
+        bitrate: 24000,
+        packetDuration: 0.04
+    }
+};
+
+export const DEFAULT_QUALITY = 'medium';
+
+/**
+ * Qualities the adaptive bitrate controller steps through while the link is
+ * congested, from best to most robust. Below the last one it keeps that
+ * profile and sends longer packets, trading latency for fewer packets.
+ */
+export const QUALITY_LADDER = ['high', 'medium', 'low'];
+
+export const MAX_PACKET_DURATION = 0.06; // seconds, the longest Opus frame
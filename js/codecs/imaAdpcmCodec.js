@@ -0,0 +1,210 @@
+import ChannelLayout from '../dsp/channelLayout.js';
+
+/**
+ * IMA ADPCM codec (4 bits per sample).
+ *
+ * Each payload starts with a 4 byte header (int16 LE predictor, uint8 step
+ * index, uint8 flags) so packets decode independently and a lost packet
+ * does not corrupt the ones after it. The encoder carries its step index
+ * across packets so quality does not restart at every packet boundary,
+ * and starts each channel from a step index sized to its first samples.
+ * Multichannel payloads hold one such block per channel, in channel order,
+ * as the predictor only follows one signal.
+ */
+const STEP_TABLE = [
+    7, 8, 9, 10, 11, 12, 13, 14, 16, 17, 19, 21, 23, 25, 28, 31, 34, 37, 41, 45,
+    50, 55, 60, 66, 73, 80, 88, 97, 107, 118, 130, 143, 157, 173, 190, 209, 230,
+    253, 279, 307, 337, 371, 408, 449, 494, 544, 598, 658, 724, 796, 876, 963,
+    1060, 1166, 1282, 1411, 1552, 1707, 1878, 2066, 2272, 2499, 2749, 3024, 3327,
+    3660, 4026, 4428, 4871, 5358, 5894, 6484, 7132, 7845, 8630, 9493, 10442,
+    11487, 12635, 13899, 15289, 16818, 18500, 20350, 22385, 24623, 27086, 29794,
+    32767
+];
+const INDEX_TABLE = [-1, -1, -1, -1, 2, 4, 6, 8];
+const HEADER_SIZE = 4;
+const ODD_LENGTH_FLAG = 0x01;
+const INITIAL_STEP_SAMPLES = 16; // Samples looked at to size the first step
+
+class ImaAdpcmCodec {
+    constructor() {
+        this.stepIndices = []; // Per channel
+    }
+
+    /**
+     * Encodes samples into a self-contained ADPCM payload
+     * @param {Float32Array} samples - Interleaved samples in [-1, 1]
+     * @param {number} [channelCount] - Channels per frame
+     * @returns {Uint8Array} Payload bytes
+     */
+    encode(samples, channelCount = 1) {
+        const blocks = ChannelLayout.deinterleave(samples, channelCount)
+            .map((channel, index) => this.encodeBlock(channel, index));
+        if (blocks.length === 1) return blocks[0];
+
+        const payload = new Uint8Array(blocks[0].length * blocks.length);
+        blocks.forEach((block, index) => payload.set(block, index * block.length));
+        return payload;
+    }
+
+    /**
+     * Decodes an ADPCM payload
+     * @param {Uint8Array} payload - Payload bytes
+     * @param {number} [channelCount] - Channels per frame
+     * @returns {Float32Array} Interleaved samples in [-1, 1]
+     * @throws {Error} If the payload is malformed
+     */
+    static decode(payload, channelCount = 1) {
+        if (payload.byteLength % channelCount !== 0) {
+            throw new Error(`ADPCM payload does not split into ${channelCount} channels`);
+        }
+
+        const blockSize = payload.byteLength / channelCount;
+        const channels = Array.from({ length: channelCount }, (_, index) =>
+            ImaAdpcmCodec.decodeBlock(payload.subarray(index * blockSize, (index + 1) * blockSize)));
+        if (channels.some(channel => channel.length !== channels[0].length)) {
+            throw new Error('ADPCM channel blocks differ in length');
+        }
+        return ChannelLayout.interleave(channels);
+    }
+
+    /**
+     * Encodes one channel into a block with its own header
+     * @private
+     * @param {Float32Array} samples - Samples in [-1, 1]
+     * @param {number} channel - Channel index, for the step index carried over
+     * @returns {Uint8Array} Block bytes
+     */
+    encodeBlock(samples, channel) {
+        const payload = new Uint8Array(HEADER_SIZE + Math.ceil(samples.length / 2));
+        const state = {
+            predictor: samples.length > 0 ? ImaAdpcmCodec.toInt16(samples[0]) : 0,
+            stepIndex: this.stepIndices[channel] ?? ImaAdpcmCodec.getInitialStepIndex(samples)
+        };
+
+        const view = new DataView(payload.buffer);
+        view.setInt16(0, state.predictor, true);
+        view.setUint8(2, state.stepIndex);
+        view.setUint8(3, samples.length % 2 ? ODD_LENGTH_FLAG : 0);
+
+        for (let i = 0; i < samples.length; i++) {
+            const nibble = ImaAdpcmCodec.encodeSample(ImaAdpcmCodec.toInt16(samples[i]), state);
+            payload[HEADER_SIZE + (i >> 1)] |= i % 2 ? nibble << 4 : nibble;
+        }
+
+        this.stepIndices[channel] = state.stepIndex;
+        return payload;
+    }
+
+    /**
+     * Picks the smallest step index whose step can follow the largest change
+     * between the first samples, instead of climbing there from the smallest
+     * step and clipping the start of the stream
+     * @private
+     * @param {Float32Array} samples - Samples in [-1, 1]
+     * @returns {number} Step index
+     */
+    static getInitialStepIndex(samples) {
+        let largestChange = 0;
+        const end = Math.min(samples.length, INITIAL_STEP_SAMPLES);
+        for (let i = 1; i < end; i++) {
+            const change = Math.abs(ImaAdpcmCodec.toInt16(samples[i]) - ImaAdpcmCodec.toInt16(samples[i - 1]));
+            largestChange = Math.max(largestChange, change);
+        }
+
+        // A code reaches almost twice its step
+        const index = STEP_TABLE.findIndex(step => step * 2 >= largestChange);
+        return index === -1 ? STEP_TABLE.length - 1 : index;
+    }
+
+    /**
+     * Decodes one channel's block
+     * @private
+     * @param {Uint8Array} payload - Block bytes
+     * @returns {Float32Array} Samples in [-1, 1]
+     * @throws {Error} If the block is malformed
+     */
+    static decodeBlock(payload) {
+        if (payload.byteLength < HEADER_SIZE) {
+            throw new Error('ADPCM payload is shorter than its header');
+        }
+
+        const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+        const state = {
+            predictor: view.getInt16(0, true),
+            stepIndex: view.getUint8(2)
+        };
+        if (state.stepIndex >= STEP_TABLE.length) {
+            throw new Error(`ADPCM step index ${state.stepIndex} out of range`);
+        }
+
+        const isOdd = (view.getUint8(3) & ODD_LENGTH_FLAG) !== 0;
+        const sampleCount = (payload.byteLength - HEADER_SIZE) * 2 - (isOdd ? 1 : 0);
+        const samples = new Float32Array(Math.max(0, sampleCount));
+
+        for (let i = 0; i < samples.length; i++) {
+            const byte = payload[HEADER_SIZE + (i >> 1)];
+            const nibble = i % 2 ? byte >> 4 : byte & 0x0f;
+            samples[i] = ImaAdpcmCodec.decodeSample(nibble, state) / 32768;
+        }
+        return samples;
+    }
+
+    /**
+     * Quantizes one sample and advances the predictor
+     * @private
+     * @param {number} sample - 16-bit sample
+     * @param {Object} state - { predictor, stepIndex }, updated in place
+     * @returns {number} 4-bit code
+     */
+    static encodeSample(sample, state) {
+        let step = STEP_TABLE[state.stepIndex];
+        let difference = sample - state.predictor;
+        let nibble = 0;
+
+        if (difference < 0) {
+            nibble = 8;
+            difference = -difference;
+        }
+        for (let bit = 4; bit > 0; bit >>= 1) {
+            if (difference >= step) {
+                nibble |= bit;
+                difference -= step;
+            }
+            step >>= 1;
+        }
+
+        ImaAdpcmCodec.decodeSample(nibble, state);
+        return nibble;
+    }
+
+    /**
+     * Reconstructs one sample and advances the predictor
+     * @private
+     * @param {number} nibble - 4-bit code
+     * @param {Object} state - { predictor, stepIndex }, updated in place
+     * @returns {number} 16-bit sample
+     */
+    static decodeSample(nibble, state) {
+        const step = STEP_TABLE[state.stepIndex];
+        let delta = step >> 3;
+        if (nibble & 4) delta += step;
+        if (nibble & 2) delta += step >> 1;
+        if (nibble & 1) delta += step >> 2;
+
+        state.predictor += nibble & 8 ? -delta : delta;
+        state.predictor = Math.max(-32768, Math.min(32767, state.predictor));
+        state.stepIndex = Math.max(0, Math.min(STEP_TABLE.length - 1, state.stepIndex + INDEX_TABLE[nibble & 7]));
+        return state.predictor;
+    }
+
+    /**
+     * @private
+     * @param {number} sample - Sample in [-1, 1]
+     * @returns {number} Clamped 16-bit integer
+     */
+    static toInt16(sample) {
+        return Math.max(-32768, Math.min(32767, Math.round(sample * 32767)));
+    }
+}
+
+export default ImaAdpcmCodec;
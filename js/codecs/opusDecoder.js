@@ -0,0 +1,112 @@
+import { OPUS_SAMPLE_RATE } from './opusEncoder.js';
+import ChannelLayout from '../dsp/channelLayout.js';
+
+/**
+ * Opus decoder backed by the WebCodecs AudioDecoder.
+ * Outputs arrive in decode order, so packet info is matched through a queue.
+ */
+class OpusDecoder {
+    /**
+     * @param {Function} onOutput - Called with (samples, info), samples interleaved
+     * @param {number} [channelCount] - Channels in the stream
+     * @param {Function} [onError] - Called with the error when decoding fails and the decoder restarts
+     */
+    constructor(onOutput, channelCount = 1, onError = () => {}) {
+        this.onOutput = onOutput;
+        this.onError = onError;
+        this.channelCount = channelCount;
+        this.pending = [];
+        this.isClosed = false;
+        this.decoder = this.createDecoder();
+    }
+
+    /**
+     * Creates and configures a WebCodecs decoder
+     * @private
+     * @returns {AudioDecoder}
+     */
+    createDecoder() {
+        const decoder = new AudioDecoder({
+            output: (audioData) => {
+                const channels = Array.from({ length: audioData.numberOfChannels }, (_, planeIndex) => {
+                    const plane = new Float32Array(audioData.numberOfFrames);
+                    audioData.copyTo(plane, { planeIndex, format: 'f32-planar' });
+                    return plane;
+                });
+                audioData.close();
+                this.onOutput(ChannelLayout.interleave(channels), this.pending.shift());
+            },
+            error: (error) => this.handleError(error)
+        });
+        decoder.configure(OpusDecoder.getConfig(this.channelCount));
+        return decoder;
+    }
+
+    /**
+     * WebCodecs closes a decoder that fails, so start a new one for the
+     * next packet. Packets queued in the failed one are lost.
+     * @private
+     * @param {Error} error - Decode error
+     */
+    handleError(error) {
+        if (this.isClosed) return;
+
+        this.pending = [];
+        this.decoder = this.createDecoder();
+        this.onError(error);
+    }
+
+    /**
+     * Builds the WebCodecs decoder configuration
+     * @param {number} [channelCount] - Channels in the stream
+     * @returns {Object} AudioDecoderConfig
+     */
+    static getConfig(channelCount = 1) {
+        return {
+            codec: 'opus',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfChannels: channelCount
+        };
+    }
+
+    /**
+     * Checks whether this browser can decode Opus
+     * @returns {Promise<boolean>}
+     */
+    static async isSupported() {
+        if (typeof AudioDecoder === 'undefined') return false;
+        try {
+            const { supported } = await AudioDecoder.isConfigSupported(OpusDecoder.getConfig());
+            return supported;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Decodes one payload
+     * @param {Uint8Array} payload - Opus packet
+     * @param {Object} info - Packet header fields, passed through to the output
+     */
+    decode(payload, info) {
+        this.pending.push(info);
+        this.decoder.decode(new EncodedAudioChunk({
+            type: 'key',
+            timestamp: Math.round(info.timestamp * 1000),
+            data: payload
+        }));
+    }
+
+    /**
+     * Releases the decoder
+     */
+    close() {
+        this.isClosed = true;
+        if (this.decoder.state !== 'closed') {
+            this.decoder.close();
+        }
+        this.pending = [];
+    }
+}
+
+export default OpusDecoder;
@@ -0,0 +1,125 @@
+/**
+ * Opus encoder backed by the WebCodecs AudioEncoder
+ */
+export const OPUS_SAMPLE_RATE = 48000; // WebCodecs Opus always runs at 48kHz internally
+
+class OpusEncoder {
+    /**
+     * @param {Object} config
+     * @param {number} config.bitrate - Target bitrate in bits per second
+     * @param {number} config.frameDuration - Opus frame duration in seconds
+     * @param {number} [config.channelCount] - Channels per frame
+     * @param {Function} onOutput - Called with { payload, timestamp, sampleRate }
+     * @param {Function} [onError] - Called with the error when encoding fails and the encoder restarts
+     */
+    constructor({ bitrate, frameDuration, channelCount = 1 }, onOutput, onError = () => {}) {
+        this.onOutput = onOutput;
+        this.onError = onError;
+        this.config = OpusEncoder.getConfig(bitrate, frameDuration, channelCount);
+        this.channelCount = channelCount;
+        this.isClosed = false;
+        this.encoder = this.createEncoder();
+    }
+
+    /**
+     * Creates and configures a WebCodecs encoder
+     * @private
+     * @returns {AudioEncoder}
+     */
+    createEncoder() {
+        const encoder = new AudioEncoder({
+            output: (chunk) => {
+                const payload = new Uint8Array(chunk.byteLength);
+                chunk.copyTo(payload);
+                this.onOutput({
+                    payload,
+                    timestamp: chunk.timestamp / 1000,
+                    sampleRate: OPUS_SAMPLE_RATE
+                });
+            },
+            error: (error) => this.handleError(error)
+        });
+        encoder.configure(this.config);
+        return encoder;
+    }
+
+    /**
+     * WebCodecs closes an encoder that fails, so start a new one for the
+     * next frame. Frames queued in the failed one are lost.
+     * @private
+     * @param {Error} error - Encode error
+     */
+    handleError(error) {
+        if (this.isClosed) return;
+
+        this.encoder = this.createEncoder();
+        this.onError(error);
+    }
+
+    /**
+     * Builds the WebCodecs encoder configuration
+     * @param {number} bitrate - Bits per second
+     * @param {number} frameDuration - Frame duration in seconds
+     * @param {number} [channelCount] - Channels per frame
+     * @returns {Object} AudioEncoderConfig
+     */
+    static getConfig(bitrate, frameDuration, channelCount = 1) {
+        return {
+            codec: 'opus',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfChannels: channelCount,
+            bitrate,
+            opus: {
+                frameDuration: Math.round(frameDuration * 1e6),
+                complexity: 5
+            }
+        };
+    }
+
+    /**
+     * Checks whether this browser can encode Opus
+     * @returns {Promise<boolean>}
+     */
+    static async isSupported() {
+        if (typeof AudioEncoder === 'undefined') return false;
+        try {
+            const { supported } = await AudioEncoder.isConfigSupported(OpusEncoder.getConfig(64000, 0.02));
+            return supported;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Encodes one frame worth of samples
+     * @param {Float32Array} samples - Interleaved samples at 48kHz
+     * @param {Object} info - { timestamp } capture time in host clock ms
+     */
+    encode(samples, { timestamp }) {
+        // Failed until the error callback restarts it
+        if (this.encoder.state === 'closed') return;
+
+        const audioData = new AudioData({
+            format: 'f32',
+            sampleRate: OPUS_SAMPLE_RATE,
+            numberOfFrames: samples.length / this.channelCount,
+            numberOfChannels: this.channelCount,
+            timestamp: Math.round(timestamp * 1000),
+            data: samples
+        });
+        this.encoder.encode(audioData);
+        audioData.close();
+    }
+
+    /**
+     * Releases the encoder
+     */
+    close() {
+        this.isClosed = true;
+        if (this.encoder.state !== 'closed') {
+            this.encoder.close();
+        }
+    }
+}
+
+export default OpusEncoder;
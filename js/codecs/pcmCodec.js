@@ -0,0 +1,117 @@
+import { CODECS } from '../protocol/audioPacket.js';
+
+/**
+ * Uncompressed PCM payload codecs: float32, int16 and 8-bit G.711 mu-law.
+ * Multi-byte samples are little-endian.
+ */
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+class PcmCodec {
+    /**
+     * Checks whether a codec ID is a PCM codec
+     * @param {number} codec - Codec ID from CODECS
+     * @returns {boolean}
+     */
+    static supports(codec) {
+        return codec === CODECS.PCM_FLOAT32 || codec === CODECS.PCM_INT16 || codec === CODECS.MULAW;
+    }
+
+    /**
+     * Encodes samples into a payload
+     * @param {Float32Array} samples - Samples in [-1, 1]
+     * @param {number} codec - Codec ID from CODECS
+     * @returns {Uint8Array} Payload bytes
+     */
+    static encode(samples, codec) {
+        switch (codec) {
+            case CODECS.PCM_FLOAT32:
+                return new Uint8Array(samples.slice().buffer);
+            case CODECS.PCM_INT16: {
+                const view = new DataView(new ArrayBuffer(samples.length * 2));
+                samples.forEach((sample, i) => {
+                    view.setInt16(i * 2, PcmCodec.toInt16(sample), true);
+                });
+                return new Uint8Array(view.buffer);
+            }
+            case CODECS.MULAW:
+                return Uint8Array.from(samples, sample => PcmCodec.encodeMulaw(PcmCodec.toInt16(sample)));
+            default:
+                throw new Error(`Unsupported PCM codec ${codec}`);
+        }
+    }
+
+    /**
+     * Decodes a payload into samples
+     * @param {Uint8Array} payload - Payload bytes
+     * @param {number} codec - Codec ID from CODECS
+     * @returns {Float32Array} Samples in [-1, 1]
+     */
+    static decode(payload, codec) {
+        switch (codec) {
+            case CODECS.PCM_FLOAT32:
+                if (payload.byteLength % 4 !== 0) {
+                    throw new Error('Float32 payload length is not a multiple of 4');
+                }
+                // Copy into an aligned buffer, payloads may be unaligned views
+                return new Float32Array(payload.slice().buffer);
+            case CODECS.PCM_INT16: {
+                if (payload.byteLength % 2 !== 0) {
+                    throw new Error('Int16 payload length is not a multiple of 2');
+                }
+                const view = new DataView(payload.buffer, payload.byteOffset, payload.byteLength);
+                const samples = new Float32Array(payload.byteLength / 2);
+                for (let i = 0; i < samples.length; i++) {
+                    samples[i] = view.getInt16(i * 2, true) / 32768;
+                }
+                return samples;
+            }
+            case CODECS.MULAW:
+                return Float32Array.from(payload, byte => PcmCodec.decodeMulaw(byte) / 32768);
+            default:
+                throw new Error(`Unsupported PCM codec ${codec}`);
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} sample - Sample in [-1, 1]
+     * @returns {number} Clamped 16-bit integer
+     */
+    static toInt16(sample) {
+        return Math.max(-32768, Math.min(32767, Math.round(sample * 32767)));
+    }
+
+    /**
+     * G.711 mu-law compression of a 16-bit sample
+     * @private
+     * @param {number} sample - 16-bit sample
+     * @returns {number} Mu-law byte
+     */
+    static encodeMulaw(sample) {
+        const sign = sample < 0 ? 0x80 : 0;
+        let magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+        let exponent = 7;
+        for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+            exponent--;
+        }
+        const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+        return ~(sign | (exponent << 4) | mantissa) & 0xff;
+    }
+
+    /**
+     * G.711 mu-law expansion to a 16-bit sample
+     * @private
+     * @param {number} byte - Mu-law byte
+     * @returns {number} 16-bit sample
+     */
+    static decodeMulaw(byte) {
+        const value = ~byte & 0xff;
+        const exponent = (value >> 4) & 0x07;
+        const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+        return value & 0x80 ? -magnitude : magnitude;
+    }
+}
+
+export default PcmCodec;
@@ -0,0 +1,62 @@
+import { CODECS } from '../protocol/audioPacket.js';
+import PcmCodec from './pcmCodec.js';
+import ImaAdpcmCodec from './imaAdpcmCodec.js';
+
+/**
+ * Encoder/decoder for the codecs implemented in JavaScript (PCM and ADPCM).
+ * Exposes the same callback interface as the WebCodecs-backed Opus classes.
+ */
+class ScriptCodec {
+    /**
+     * @param {number} codec - Codec ID from CODECS
+     * @param {Function} onOutput - Encoder: called with { payload, timestamp, sampleRate };
+     *                              decoder: called with (samples, info)
+     */
+    constructor(codec, onOutput) {
+        if (!ScriptCodec.supports(codec)) {
+            throw new Error(`Codec ${codec} is not implemented in JavaScript`);
+        }
+
+        this.codec = codec;
+        this.onOutput = onOutput;
+        this.adpcm = codec === CODECS.IMA_ADPCM ? new ImaAdpcmCodec() : null;
+    }
+
+    /**
+     * Checks whether a codec is implemented in JavaScript
+     * @param {number} codec - Codec ID from CODECS
+     * @returns {boolean}
+     */
+    static supports(codec) {
+        return codec === CODECS.IMA_ADPCM || PcmCodec.supports(codec);
+    }
+
+    /**
+     * Encodes one packet worth of samples
+     * @param {Float32Array} samples - Interleaved samples in [-1, 1]
+     * @param {Object} info - { timestamp, sampleRate, channelCount }
+     */
+    encode(samples, { timestamp, sampleRate, channelCount = 1 }) {
+        const payload = this.adpcm ? this.adpcm.encode(samples, channelCount) : PcmCodec.encode(samples, this.codec);
+        this.onOutput({ payload, timestamp, sampleRate });
+    }
+
+    /**
+     * Decodes one payload into interleaved samples
+     * @param {Uint8Array} payload - Payload bytes
+     * @param {Object} info - Packet header fields, passed through to the output
+     */
+    decode(payload, info) {
+        const samples = this.adpcm ? ImaAdpcmCodec.decode(payload, info.channelCount) : PcmCodec.decode(payload, this.codec);
+        this.onOutput(samples, info);
+    }
+
+    /**
+     * Releases codec resources
+     */
+    close() {
+        this.adpcm = null;
+    }
+}
+
+export default ScriptCodec;
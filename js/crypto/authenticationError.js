@@ -0,0 +1,14 @@
+/**
+ * Raised when an encrypted frame fails to decrypt or authenticate
+ */
+class AuthenticationError extends Error {
+    /**
+     * @param {string} message - Why the frame was rejected
+     */
+    constructor(message) {
+        super(`Rejected encrypted frame: ${message}`);
+        this.name = 'AuthenticationError';
+    }
+}
+
+export default AuthenticationError;
@@ -0,0 +1,250 @@
+import AuthenticationError from './authenticationError.js';
+
+/**
+ * End-to-end encryption for the link between the host and one receiver.
+ *
+ * Each side creates an ephemeral ECDH P-256 key pair per connection and the
+ * public keys travel in the room handshake. The shared secret goes through
+ * HKDF with the challenge nonce as salt and the join code and PIN as info,
+ * so only a peer that knows the room credentials derives the same AES-GCM
+ * key, and a new connection never reuses an old key.
+ *
+ * Frame layout (big-endian, 8 byte header, authenticated but not encrypted):
+ *   0  uint8   magic (0x45)
+ *   1  uint8   format version
+ *   2  uint8   sender role (1 host, 2 receiver)
+ *   3  uint8   reserved
+ *   4  uint32  sequence number, counting every frame the sender sealed
+ *   8  ...     AES-GCM ciphertext followed by the 16 byte tag
+ *
+ * The 12 byte nonce is the sender role followed by the zero-padded sequence
+ * number, so the two directions sharing a key never collide.
+ */
+export const SECURE_MAGIC = 0x45;
+export const SECURE_VERSION = 1;
+export const HEADER_SIZE = 8;
+const NONCE_SIZE = 12;
+const TAG_SIZE = 16;
+const ROLES = {
+    host: 1,
+    receiver: 2
+};
+const REPLAY_WINDOW = 1024; // Sequence numbers this far behind the newest are rejected
+const KEY_INFO_PREFIX = 'w4p-e2e';
+
+class SecureSession {
+    /**
+     * @param {string} role - 'host' or 'receiver', the side using this session
+     */
+    constructor(role) {
+        this.role = ROLES[role];
+        this.peerRole = role === 'host' ? ROLES.receiver : ROLES.host;
+        this.keyPair = null;
+        this.key = null;
+        this.sequence = 0;
+        this.highestReceived = -1;
+        this.receivedWindow = new Uint8Array(REPLAY_WINDOW); // 1 for sequences seen, by sequence % REPLAY_WINDOW
+    }
+
+    /**
+     * Checks whether bytes look like an encrypted frame
+     * @param {Uint8Array} bytes - Received frame
+     * @returns {boolean}
+     */
+    static matches(bytes) {
+        return bytes.byteLength > HEADER_SIZE && bytes[0] === SECURE_MAGIC;
+    }
+
+    /**
+     * Whether a key has been derived and frames can be sealed and opened
+     * @returns {boolean}
+     */
+    get isEstablished() {
+        return this.key !== null;
+    }
+
+    /**
+     * Gets this side's public key for the handshake, creating the key pair
+     * on first use
+     * @returns {Promise<string>} Base64 encoded raw P-256 public key
+     */
+    async getPublicKey() {
+        if (!this.keyPair) {
+            this.keyPair = await crypto.subtle.generateKey(
+                { name: 'ECDH', namedCurve: 'P-256' },
+                false,
+                ['deriveBits']
+            );
+        }
+        const raw = await crypto.subtle.exportKey('raw', this.keyPair.publicKey);
+        return btoa(String.fromCharCode(...new Uint8Array(raw)));
+    }
+
+    /**
+     * Derives the session key from the peer's public key and the room credentials
+     * @param {Object} params
+     * @param {string} params.peerPublicKey - Peer's key from getPublicKey()
+     * @param {string} params.salt - Challenge nonce of this connection
+     * @param {string} params.joinCode - Room join code
+     * @param {string} [params.pin] - Room PIN
+     * @returns {Promise<void>}
+     * @throws {Error} If the peer's public key is invalid
+     */
+    async establish({ peerPublicKey, salt, joinCode, pin = '' }) {
+        if (typeof peerPublicKey !== 'string') {
+            throw new Error('Peer did not offer an encryption key');
+        }
+        await this.getPublicKey();
+
+        const peerKey = await crypto.subtle.importKey(
+            'raw',
+            Uint8Array.from(atob(peerPublicKey), char => char.charCodeAt(0)),
+            { name: 'ECDH', namedCurve: 'P-256' },
+            false,
+            []
+        );
+        const sharedSecret = await crypto.subtle.deriveBits(
+            { name: 'ECDH', public: peerKey },
+            this.keyPair.privateKey,
+            256
+        );
+        const hkdfKey = await crypto.subtle.importKey('raw', sharedSecret, 'HKDF', false, ['deriveKey']);
+
+        const encoder = new TextEncoder();
+        this.key = await crypto.subtle.deriveKey(
+            {
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: encoder.encode(salt),
+                info: encoder.encode(`${KEY_INFO_PREFIX}:${joinCode}:${pin}`)
+            },
+            hkdfKey,
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Encrypts and authenticates a frame
+     * @param {Uint8Array} plaintext - Frame to protect
+     * @returns {Promise<Uint8Array>} Encrypted frame
+     * @throws {Error} If the session is not established
+     */
+    async seal(plaintext) {
+        if (!this.key) {
+            throw new Error('Secure session is not established');
+        }
+
+        // Taken before awaiting so concurrent calls never share a nonce
+        const sequence = this.sequence++;
+        const header = new Uint8Array(HEADER_SIZE);
+        const view = new DataView(header.buffer);
+        view.setUint8(0, SECURE_MAGIC);
+        view.setUint8(1, SECURE_VERSION);
+        view.setUint8(2, this.role);
+        view.setUint32(4, sequence);
+
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: SecureSession.buildNonce(this.role, sequence), additionalData: header },
+            this.key,
+            plaintext
+        );
+
+        const frame = new Uint8Array(HEADER_SIZE + ciphertext.byteLength);
+        frame.set(header);
+        frame.set(new Uint8Array(ciphertext), HEADER_SIZE);
+        return frame;
+    }
+
+    /**
+     * Authenticates and decrypts a frame from the peer
+     * @param {Uint8Array} frame - Encrypted frame
+     * @returns {Promise<Uint8Array>} Plaintext
+     * @throws {AuthenticationError} If the frame is malformed, forged or replayed
+     */
+    async open(frame) {
+        if (!this.key) {
+            throw new AuthenticationError('no session key');
+        }
+        if (!SecureSession.matches(frame) || frame.byteLength < HEADER_SIZE + TAG_SIZE) {
+            throw new AuthenticationError('not an encrypted frame');
+        }
+
+        const view = new DataView(frame.buffer, frame.byteOffset, HEADER_SIZE);
+        if (view.getUint8(1) !== SECURE_VERSION) {
+            throw new AuthenticationError(`unsupported version ${view.getUint8(1)}`);
+        }
+        if (view.getUint8(2) !== this.peerRole) {
+            throw new AuthenticationError('frame was not sent by the peer');
+        }
+
+        const sequence = view.getUint32(4);
+        if (this.isReplay(sequence)) {
+            throw new AuthenticationError(`sequence ${sequence} was replayed`);
+        }
+
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                {
+                    name: 'AES-GCM',
+                    iv: SecureSession.buildNonce(this.peerRole, sequence),
+                    additionalData: frame.subarray(0, HEADER_SIZE)
+                },
+                this.key,
+                frame.subarray(HEADER_SIZE)
+            );
+        } catch (error) {
+            throw new AuthenticationError('authentication tag mismatch');
+        }
+
+        // Only authentic frames may move the replay window
+        this.recordSequence(sequence);
+        return new Uint8Array(plaintext);
+    }
+
+    /**
+     * @private
+     * @param {number} role - Sender role
+     * @param {number} sequence - Frame sequence number
+     * @returns {Uint8Array} AES-GCM nonce
+     */
+    static buildNonce(role, sequence) {
+        const nonce = new Uint8Array(NONCE_SIZE);
+        const view = new DataView(nonce.buffer);
+        view.setUint8(0, role);
+        view.setUint32(NONCE_SIZE - 4, sequence);
+        return nonce;
+    }
+
+    /**
+     * @private
+     * @param {number} sequence - Received sequence number
+     * @returns {boolean} Whether the sequence was seen or is too old to tell
+     */
+    isReplay(sequence) {
+        if (sequence > this.highestReceived) return false;
+        return sequence <= this.highestReceived - REPLAY_WINDOW || this.receivedWindow[sequence % REPLAY_WINDOW] === 1;
+    }
+
+    /**
+     * Marks a sequence as seen. Advancing the newest sequence clears the
+     * slots of the sequences that slide out of the window, which the
+     * newly covered sequences reuse.
+     * @private
+     * @param {number} sequence - Authenticated sequence number
+     */
+    recordSequence(sequence) {
+        if (sequence > this.highestReceived) {
+            const cleared = Math.min(sequence - this.highestReceived, REPLAY_WINDOW);
+            for (let i = 0; i < cleared; i++) {
+                this.receivedWindow[(sequence - i) % REPLAY_WINDOW] = 0;
+            }
+            this.highestReceived = sequence;
+        }
+        this.receivedWindow[sequence % REPLAY_WINDOW] = 1;
+    }
+}
+
+export default SecureSession;
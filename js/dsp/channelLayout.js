@@ -0,0 +1,48 @@
+/**
+ * Converts between the interleaved samples audio packets carry and the
+ * planar channels Web Audio and the worklets work with.
+ */
+class ChannelLayout {
+    /**
+     * Interleaves planar channels
+     * @param {Float32Array[]} channels - Equal length channels
+     * @returns {Float32Array} Frames of one sample per channel
+     */
+    static interleave(channels) {
+        if (channels.length === 1) return channels[0];
+
+        const frames = channels[0].length;
+        const samples = new Float32Array(frames * channels.length);
+        channels.forEach((channel, index) => {
+            for (let i = 0; i < frames; i++) {
+                samples[i * channels.length + index] = channel[i];
+            }
+        });
+        return samples;
+    }
+
+    /**
+     * Splits interleaved samples into planar channels
+     * @param {Float32Array} samples - Interleaved samples
+     * @param {number} channelCount - Channels per frame
+     * @returns {Float32Array[]} One array per channel
+     * @throws {Error} If the samples do not hold whole frames
+     */
+    static deinterleave(samples, channelCount) {
+        if (samples.length % channelCount !== 0) {
+            throw new Error(`${samples.length} samples do not divide into ${channelCount} channels`);
+        }
+        if (channelCount === 1) return [samples];
+
+        const frames = samples.length / channelCount;
+        return Array.from({ length: channelCount }, (_, index) => {
+            const channel = new Float32Array(frames);
+            for (let i = 0; i < frames; i++) {
+                channel[i] = samples[i * channelCount + index];
+            }
+            return channel;
+        });
+    }
+}
+
+export default ChannelLayout;
@@ -0,0 +1,173 @@
+/**
+ * Maps the stream's channels onto a device's outputs for its channel role.
+ *
+ * Runs inside the playback worklet, after the jitter buffer. Every role but
+ * the full mix plays one signal on all outputs. The sub role's low-pass is
+ * two cascaded Butterworth sections, a 24 dB/octave Linkwitz-Riley filter,
+ * so it sums flat with full range speakers crossed over at the same
+ * frequency. A mono stream gives every role the same signal, except for
+ * the sub's filtering.
+ */
+
+/**
+ * Channel roles a host can assign to receivers, so a room of devices can
+ * act as a spread out speaker array
+ */
+export const CHANNEL_ROLES = {
+    FULL: 'full', // The stream as sent, stereo where the device can play it
+    LEFT: 'left',
+    RIGHT: 'right',
+    CENTER: 'center', // Both channels mixed down
+    SUB: 'sub' // Mixed down and low-passed at the crossover
+};
+
+/**
+ * Display names for channel roles
+ */
+export const CHANNEL_ROLE_NAMES = {
+    [CHANNEL_ROLES.FULL]: 'Full mix',
+    [CHANNEL_ROLES.LEFT]: 'Left',
+    [CHANNEL_ROLES.RIGHT]: 'Right',
+    [CHANNEL_ROLES.CENTER]: 'Center',
+    [CHANNEL_ROLES.SUB]: 'Sub'
+};
+
+const DEFAULT_OPTIONS = {
+    crossover: 120 // Hz, sub role cutoff
+};
+const BUTTERWORTH_Q = Math.SQRT1_2;
+
+const KNOWN_ROLES = new Set(Object.values(CHANNEL_ROLES));
+
+class ChannelMapper {
+    /**
+     * @param {number} sampleRate - Playback sample rate
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(sampleRate, options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.sections = [0, 1].map(() => ChannelMapper.createLowPass(this.options.crossover, sampleRate));
+        this.role = CHANNEL_ROLES.FULL;
+    }
+
+    /**
+     * Checks whether a value is one of CHANNEL_ROLES
+     * @param {*} role - Value to check
+     * @returns {boolean}
+     */
+    static isRole(role) {
+        return KNOWN_ROLES.has(role);
+    }
+
+    /**
+     * Switches the role, starting the sub filter afresh
+     * @param {string} role - One of CHANNEL_ROLES
+     * @throws {Error} If the role is unknown
+     */
+    setRole(role) {
+        if (!ChannelMapper.isRole(role)) {
+            throw new Error(`Unknown channel role "${role}"`);
+        }
+        this.role = role;
+        this.sections.forEach(section => {
+            section.z1 = 0;
+            section.z2 = 0;
+        });
+    }
+
+    /**
+     * Fills the output channels from the stream's channels
+     * @param {Float32Array[]} inputs - Stream channels, left first
+     * @param {Float32Array[]} outputs - Output channels of the same length
+     */
+    process(inputs, outputs) {
+        if (this.role === CHANNEL_ROLES.FULL && inputs.length <= outputs.length) {
+            // Extra outputs repeat the last channel, so mono plays on both speakers
+            outputs.forEach((output, index) => output.set(inputs[Math.min(index, inputs.length - 1)]));
+            return;
+        }
+
+        const [first, ...rest] = outputs;
+        switch (this.role) {
+            case CHANNEL_ROLES.LEFT:
+                first.set(inputs[0]);
+                break;
+            case CHANNEL_ROLES.RIGHT:
+                first.set(inputs[Math.min(1, inputs.length - 1)]);
+                break;
+            default:
+                ChannelMapper.mixDown(inputs, first);
+                if (this.role === CHANNEL_ROLES.SUB) {
+                    this.sections.forEach(section => ChannelMapper.filter(section, first));
+                }
+        }
+        rest.forEach(output => output.set(first));
+    }
+
+    /**
+     * Averages channels into one
+     * @private
+     * @param {Float32Array[]} inputs - Channels to mix
+     * @param {Float32Array} output - Mixed channel
+     */
+    static mixDown(inputs, output) {
+        output.set(inputs[0]);
+        for (let channel = 1; channel < inputs.length; channel++) {
+            const input = inputs[channel];
+            for (let i = 0; i < output.length; i++) {
+                output[i] += input[i];
+            }
+        }
+        if (inputs.length > 1) {
+            const scale = 1 / inputs.length;
+            for (let i = 0; i < output.length; i++) {
+                output[i] *= scale;
+            }
+        }
+    }
+
+    /**
+     * Builds a Butterworth low-pass biquad section
+     * @private
+     * @param {number} cutoff - Cutoff frequency in Hz
+     * @param {number} sampleRate - Sample rate in Hz
+     * @returns {Object} { b0, b1, b2, a1, a2, z1, z2 } normalized coefficients and state
+     */
+    static createLowPass(cutoff, sampleRate) {
+        const omega = (2 * Math.PI * cutoff) / sampleRate;
+        const cos = Math.cos(omega);
+        const alpha = Math.sin(omega) / (2 * BUTTERWORTH_Q);
+        const a0 = 1 + alpha;
+        return {
+            b0: (1 - cos) / 2 / a0,
+            b1: (1 - cos) / a0,
+            b2: (1 - cos) / 2 / a0,
+            a1: (-2 * cos) / a0,
+            a2: (1 - alpha) / a0,
+            z1: 0,
+            z2: 0
+        };
+    }
+
+    /**
+     * Runs samples through a biquad section in place (transposed direct form II)
+     * @private
+     * @param {Object} section - Section from createLowPass(), its state is updated
+     * @param {Float32Array} samples - Samples to filter
+     */
+    static filter(section, samples) {
+        const { b0, b1, b2, a1, a2 } = section;
+        let { z1, z2 } = section;
+        for (let i = 0; i < samples.length; i++) {
+            const input = samples[i];
+            const output = b0 * input + z1;
+            z1 = b1 * input - a1 * output + z2;
+            z2 = b2 * input - a2 * output;
+            samples[i] = output;
+        }
+        section.z1 = z1;
+        section.z2 = z2;
+    }
+}
+
+export default ChannelMapper;
@@ -0,0 +1,98 @@
+/**
+ * Radix-2 fast Fourier transform, in place over separate real and
+ * imaginary arrays. The bit reversal and twiddle tables are built once per
+ * size, so reuse an instance for transforms of the same length.
+ */
+class FFT {
+    /**
+     * @param {number} size - Transform length, a power of two
+     * @throws {Error} If the size is not a power of two
+     */
+    constructor(size) {
+        if (!Number.isInteger(size) || size < 2 || (size & (size - 1)) !== 0) {
+            throw new Error(`FFT size ${size} is not a power of two`);
+        }
+        this.size = size;
+
+        const bits = Math.log2(size);
+        this.reversed = new Uint32Array(size);
+        for (let i = 0; i < size; i++) {
+            let reversed = 0;
+            for (let bit = 0; bit < bits; bit++) {
+                reversed = (reversed << 1) | ((i >> bit) & 1);
+            }
+            this.reversed[i] = reversed;
+        }
+
+        this.cos = new Float64Array(size / 2);
+        this.sin = new Float64Array(size / 2);
+        for (let i = 0; i < size / 2; i++) {
+            this.cos[i] = Math.cos((2 * Math.PI * i) / size);
+            this.sin[i] = -Math.sin((2 * Math.PI * i) / size);
+        }
+    }
+
+    /**
+     * Rounds a length up to the next power of two
+     * @param {number} length - Length to fit
+     * @returns {number} Smallest power of two at least length, and at least 2
+     */
+    static sizeFor(length) {
+        return Math.max(2, 2 ** Math.ceil(Math.log2(length)));
+    }
+
+    /**
+     * Transforms to the frequency domain in place
+     * @param {Float64Array} real - Real parts, size long
+     * @param {Float64Array} imag - Imaginary parts, size long
+     */
+    transform(real, imag) {
+        const { size, reversed } = this;
+        for (let i = 0; i < size; i++) {
+            const j = reversed[i];
+            if (j > i) {
+                [real[i], real[j]] = [real[j], real[i]];
+                [imag[i], imag[j]] = [imag[j], imag[i]];
+            }
+        }
+
+        for (let span = 2; span <= size; span *= 2) {
+            const half = span / 2;
+            const step = size / span;
+            for (let start = 0; start < size; start += span) {
+                for (let k = 0; k < half; k++) {
+                    const cos = this.cos[k * step];
+                    const sin = this.sin[k * step];
+                    const even = start + k;
+                    const odd = even + half;
+                    const oddReal = real[odd] * cos - imag[odd] * sin;
+                    const oddImag = real[odd] * sin + imag[odd] * cos;
+                    real[odd] = real[even] - oddReal;
+                    imag[odd] = imag[even] - oddImag;
+                    real[even] += oddReal;
+                    imag[even] += oddImag;
+                }
+            }
+        }
+    }
+
+    /**
+     * Transforms back to the time domain in place, scaled so that
+     * inverse(transform(x)) is x
+     * @param {Float64Array} real - Real parts, size long
+     * @param {Float64Array} imag - Imaginary parts, size long
+     */
+    inverse(real, imag) {
+        // The inverse is the forward transform of the conjugate, conjugated
+        for (let i = 0; i < this.size; i++) {
+            imag[i] = -imag[i];
+        }
+        this.transform(real, imag);
+        for (let i = 0; i < this.size; i++) {
+            real[i] /= this.size;
+            imag[i] = -imag[i] / this.size;
+        }
+    }
+}
+
+export default FFT;
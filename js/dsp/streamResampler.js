@@ -0,0 +1,172 @@
+/**
+ * Streaming windowed-sinc sample rate converter.
+ *
+ * Keeps enough input history between calls that consecutive blocks join
+ * without clicks. The kernel is low-passed at the lower of the two Nyquist
+ * frequencies so downsampling does not alias, and is read from a table so
+ * it is cheap enough to run inside an audio worklet.
+ *
+ * process() converts whatever input arrives; pull() instead fills a fixed
+ * size output block and asks for as much input as that takes, which suits
+ * an audio worklet making tiny, changing rate adjustments.
+ */
+const DEFAULT_HALF_TAPS = 16;
+const TABLE_RESOLUTION = 256; // Kernel table entries per input sample
+const CUTOFF_TOLERANCE = 0.005; // Cutoff changes smaller than this keep the kernel table
+
+class StreamResampler {
+    /**
+     * @param {number} inputRate - Input sample rate in Hz
+     * @param {number} outputRate - Output sample rate in Hz
+     * @param {Object} [options]
+     * @param {number} [options.halfTaps] - Kernel half width in input samples
+     */
+    constructor(inputRate, outputRate, { halfTaps = DEFAULT_HALF_TAPS } = {}) {
+        this.halfTaps = halfTaps;
+        this.history = new Float32Array(0);
+        this.position = 0;
+        this.setRates(inputRate, outputRate);
+    }
+
+    /**
+     * Changes the conversion ratio without dropping buffered input
+     * @param {number} inputRate - Input sample rate in Hz
+     * @param {number} outputRate - Output sample rate in Hz
+     */
+    setRates(inputRate, outputRate) {
+        this.inputRate = inputRate;
+        this.outputRate = outputRate;
+        this.step = inputRate / outputRate;
+
+        // Drift-sized rate changes would otherwise rebuild the table every time
+        const cutoff = Math.min(1, outputRate / inputRate);
+        if (!(Math.abs(cutoff - this.cutoff) <= CUTOFF_TOLERANCE)) {
+            this.cutoff = cutoff;
+            this.buildKernelTable();
+        }
+    }
+
+    /**
+     * Forgets buffered input
+     */
+    reset() {
+        this.history = new Float32Array(0);
+        this.position = 0;
+    }
+
+    /**
+     * Converts a block of input samples
+     * @param {Float32Array} input - Input samples
+     * @returns {Float32Array} Output samples (length varies with the ratio)
+     */
+    process(input) {
+        if (this.step === 1 && this.history.length === 0) {
+            return input.slice();
+        }
+
+        const buffer = new Float32Array(this.history.length + input.length);
+        buffer.set(this.history);
+        buffer.set(input, this.history.length);
+
+        const output = new Float32Array(Math.ceil(buffer.length / this.step) + 1);
+        let count = 0;
+        while (Math.floor(this.position) + this.halfTaps < buffer.length) {
+            output[count++] = this.interpolate(buffer, this.position);
+            this.position += this.step;
+        }
+
+        // Keep only the input still needed by upcoming output samples
+        const keepFrom = Math.max(0, Math.floor(this.position) - this.halfTaps + 1);
+        this.history = buffer.slice(keepFrom);
+        this.position -= keepFrom;
+
+        return output.subarray(0, count);
+    }
+
+    /**
+     * Fills an output block, reading as much input as it takes
+     * @param {Float32Array} output - Block to fill
+     * @param {Function} read - Called with (buffer, offset, count) to write
+     *     the next count input samples into buffer from offset
+     * @returns {number} Input samples read
+     */
+    pull(output, read) {
+        const needed = Math.floor(this.position + (output.length - 1) * this.step) + this.halfTaps + 1;
+        const readCount = Math.max(0, needed - this.history.length);
+        const buffer = new Float32Array(this.history.length + readCount);
+        buffer.set(this.history);
+        read(buffer, this.history.length, readCount);
+
+        for (let i = 0; i < output.length; i++) {
+            output[i] = this.interpolate(buffer, this.position);
+            this.position += this.step;
+        }
+
+        const keepFrom = Math.max(0, Math.floor(this.position) - this.halfTaps + 1);
+        this.history = buffer.slice(keepFrom);
+        this.position -= keepFrom;
+
+        return readCount;
+    }
+
+    /**
+     * Gets how far pull() has read ahead of the output
+     * @returns {number} Input samples read but not played out yet
+     */
+    getLookahead() {
+        return this.history.length - this.position;
+    }
+
+    /**
+     * Evaluates the band-limited signal at a fractional input position
+     * @private
+     * @param {Float32Array} buffer - Input samples
+     * @param {number} position - Fractional index into buffer
+     * @returns {number} Interpolated sample
+     */
+    interpolate(buffer, position) {
+        const center = Math.floor(position);
+        const first = Math.max(0, center - this.halfTaps + 1);
+        let sum = 0;
+
+        for (let k = first; k <= center + this.halfTaps; k++) {
+            sum += buffer[k] * this.kernel(position - k);
+        }
+        return sum;
+    }
+
+    /**
+     * Looks up the windowed sinc kernel with linear interpolation
+     * @private
+     * @param {number} offset - Distance from the kernel center in input samples
+     * @returns {number} Kernel weight
+     */
+    kernel(offset) {
+        const index = Math.abs(offset) * TABLE_RESOLUTION;
+        const whole = Math.floor(index);
+        if (whole >= this.table.length - 1) return 0;
+
+        const fraction = index - whole;
+        return this.table[whole] + (this.table[whole + 1] - this.table[whole]) * fraction;
+    }
+
+    /**
+     * Precomputes a Blackman-windowed sinc for the current cutoff
+     * @private
+     */
+    buildKernelTable() {
+        const size = this.halfTaps * TABLE_RESOLUTION + 1;
+        this.table = new Float32Array(size + 1);
+
+        for (let i = 0; i < size; i++) {
+            const offset = i / TABLE_RESOLUTION;
+            const phase = Math.PI * this.cutoff * offset;
+            const sinc = offset === 0 ? 1 : Math.sin(phase) / phase;
+            const u = offset / this.halfTaps;
+            const window = 0.42 + 0.5 * Math.cos(Math.PI * u) + 0.08 * Math.cos(2 * Math.PI * u);
+            this.table[i] = this.cutoff * sinc * window;
+        }
+    }
+}
+
+export default StreamResampler;
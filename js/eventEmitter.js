@@ -0,0 +1,58 @@
+/**
+ * Minimal event emitter shared by transports and controllers
+ */
+class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * Registers a listener for an event type
+     * @param {string} type - Event type
+     * @param {Function} listener - Callback invoked with the event detail
+     * @returns {Function} Function that removes the listener
+     */
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Removes a listener for an event type
+     * @param {string} type - Event type
+     * @param {Function} listener - Callback to remove
+     */
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    /**
+     * Emits an event to all registered listeners
+     * @param {string} type - Event type
+     * @param {*} detail - Event payload
+     */
+    emit(type, detail) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        listeners.forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`Error in ${type} listener:`, error);
+            }
+        });
+    }
+
+    /**
+     * Removes all listeners
+     */
+    removeAllListeners() {
+        this.listeners.clear();
+    }
+}
+
+export default EventEmitter;
@@ -0,0 +1,212 @@
+import Ducker from './ducker.js';
+
+/**
+ * Mixes several sources into one output for the capture worklet.
+ *
+ * Each channel runs source -> fader (volume, mute, solo) -> duck gain ->
+ * output. Soloing any channel silences every channel that is not soloed.
+ * When ducking is on, the key channel's post-fader signal lowers the duck
+ * gain of every other channel.
+ */
+class AudioMixer {
+    /**
+     * @param {AudioContext} audioContext - Shared audio context
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.output = audioContext.createGain();
+        this.channels = new Map();
+        this.ducker = new Ducker(audioContext);
+        this.duckingKey = null;
+        this.isDuckingEnabled = false;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Adds a channel strip
+     * @param {string} id - Channel ID
+     * @param {string} label - Display name
+     * @param {Object} [options]
+     * @param {boolean} [options.isEnabled] - Whether the source starts enabled
+     */
+    addChannel(id, label, { isEnabled = false } = {}) {
+        const fader = this.audioContext.createGain();
+        const duck = this.audioContext.createGain();
+        fader.connect(duck);
+        duck.connect(this.output);
+
+        this.channels.set(id, {
+            id,
+            label,
+            fader,
+            duck,
+            source: null,
+            volume: 1,
+            isEnabled,
+            isMuted: false,
+            isSolo: false
+        });
+        this.applyGains();
+    }
+
+    /**
+     * Connects a source node to a channel, replacing any previous source
+     * @param {string} id - Channel ID
+     * @param {AudioNode} node - Source node
+     */
+    connectSource(id, node) {
+        const channel = this.getChannel(id);
+        this.disconnectSource(id);
+        node.connect(channel.fader);
+        channel.source = node;
+    }
+
+    /**
+     * Disconnects a channel's source node
+     * @param {string} id - Channel ID
+     */
+    disconnectSource(id) {
+        const channel = this.getChannel(id);
+        if (channel.source) {
+            channel.source.disconnect(channel.fader);
+            channel.source = null;
+        }
+    }
+
+    /**
+     * Records whether a channel's source is selected
+     * @param {string} id - Channel ID
+     * @param {boolean} isEnabled - Whether the source is selected
+     */
+    setEnabled(id, isEnabled) {
+        this.getChannel(id).isEnabled = isEnabled;
+        this.notifyListeners();
+    }
+
+    /**
+     * @param {string} id - Channel ID
+     * @param {number} volume - Volume (0-1)
+     */
+    setVolume(id, volume) {
+        this.getChannel(id).volume = Math.max(0, Math.min(1, volume));
+        this.applyGains();
+    }
+
+    /**
+     * @param {string} id - Channel ID
+     * @param {boolean} isMuted - Whether the channel is muted
+     */
+    setMuted(id, isMuted) {
+        this.getChannel(id).isMuted = isMuted;
+        this.applyGains();
+    }
+
+    /**
+     * @param {string} id - Channel ID
+     * @param {boolean} isSolo - Whether the channel is soloed
+     */
+    setSolo(id, isSolo) {
+        this.getChannel(id).isSolo = isSolo;
+        this.applyGains();
+    }
+
+    /**
+     * Enables or disables ducking the other channels under a key channel
+     * @param {boolean} enabled - Whether to duck
+     * @param {string} [keyId] - Channel whose signal triggers ducking
+     * @param {Object} [options] - Ducker options (threshold, amount, attack, release, hold)
+     */
+    setDucking(enabled, keyId = this.duckingKey, options = {}) {
+        if (this.duckingKey && this.duckingKey !== keyId) {
+            this.getChannel(this.duckingKey).fader.disconnect(this.ducker.input);
+        }
+        if (keyId && keyId !== this.duckingKey) {
+            this.getChannel(keyId).fader.connect(this.ducker.input);
+        }
+
+        this.duckingKey = keyId;
+        this.isDuckingEnabled = enabled;
+        this.ducker.configure(options);
+        this.ducker.setTargets(Array.from(this.channels.values())
+            .filter(channel => channel.id !== keyId)
+            .map(channel => channel.duck));
+
+        if (enabled) {
+            this.ducker.start();
+        } else {
+            this.ducker.stop();
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Gets the state of every channel
+     * @returns {Array<Object>} { id, label, volume, isEnabled, isMuted, isSolo }
+     */
+    getChannels() {
+        return Array.from(this.channels.values()).map(({ id, label, volume, isEnabled, isMuted, isSolo }) => (
+            { id, label, volume, isEnabled, isMuted, isSolo }
+        ));
+    }
+
+    /**
+     * Adds a listener called whenever the mixer state changes
+     * @param {Function} listener - Callback function
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * Removes a mixer listener
+     * @param {Function} listener - Callback function to remove
+     */
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     */
+    notifyListeners() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Error in mixer listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Sets every fader from volume, mute and solo state
+     * @private
+     */
+    applyGains() {
+        const channels = Array.from(this.channels.values());
+        const hasSolo = channels.some(channel => channel.isSolo);
+        const now = this.audioContext.currentTime;
+
+        channels.forEach(channel => {
+            const audible = !channel.isMuted && (!hasSolo || channel.isSolo);
+            channel.fader.gain.setTargetAtTime(audible ? channel.volume : 0, now, 0.01);
+        });
+        this.notifyListeners();
+    }
+
+    /**
+     * @private
+     * @param {string} id - Channel ID
+     * @returns {Object} Channel
+     * @throws {Error} If the channel does not exist
+     */
+    getChannel(id) {
+        const channel = this.channels.get(id);
+        if (!channel) {
+            throw new Error(`Unknown mixer channel "${id}"`);
+        }
+        return channel;
+    }
+}
+
+export default AudioMixer;
@@ -0,0 +1,158 @@
+/**
+ * Lowers music channels while a key signal (the microphone) is active.
+ *
+ * The key level is measured in the audio worklet, see KeyDetector, which
+ * posts a message when the key turns active or inactive. Unlike a timer
+ * on the main thread it is not throttled in background tabs. The duck gain
+ * is ramped with setTargetAtTime so level changes never click.
+ */
+const DEFAULT_OPTIONS = {
+    threshold: -45, // dBFS the key must exceed to duck
+    amount: 0.25, // Gain applied to ducked channels
+    attack: 0.05, // Seconds to reach the ducked level
+    release: 0.6, // Seconds to recover once the key is quiet
+    hold: 400 // ms the key must stay quiet before releasing
+};
+
+class Ducker {
+    /**
+     * @param {AudioContext} audioContext - Shared audio context
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.keyInput = audioContext.createGain();
+        // A silent connection to the destination keeps the detector rendering
+        this.sink = audioContext.createGain();
+        this.sink.gain.value = 0;
+        this.sink.connect(audioContext.destination);
+        this.detector = null;
+        this.isModuleLoaded = false;
+        this.targets = [];
+        this.isRunning = false;
+        this.isDucking = false;
+
+        this.loadModule();
+    }
+
+    /**
+     * Gets the node the key signal should be connected to
+     * @returns {GainNode}
+     */
+    get input() {
+        return this.keyInput;
+    }
+
+    /**
+     * Loads the worklet the key detector runs in
+     * @private
+     */
+    async loadModule() {
+        try {
+            // The module is loaded already when the host has set up its audio
+            await this.audioContext.audioWorklet.addModule('js/audioWorklet.js');
+            this.isModuleLoaded = true;
+            if (this.isRunning) {
+                this.startDetector();
+            }
+        } catch (error) {
+            console.error('Failed to load the ducking key detector:', error);
+        }
+    }
+
+    /**
+     * Updates ducking options
+     * @param {Object} options - Any of threshold, amount, attack, release, hold
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+        const { threshold, hold } = this.options;
+        this.detector?.port.postMessage({ type: 'key', options: { threshold, hold } });
+        if (this.isDucking) {
+            this.rampTargets(this.options.amount, this.options.attack);
+        }
+    }
+
+    /**
+     * Sets the gain nodes lowered while ducking
+     * @param {GainNode[]} targets - Duck gain nodes of the music channels
+     */
+    setTargets(targets) {
+        // Channels leaving the target set return to full level
+        this.targets.filter(node => !targets.includes(node)).forEach(node => {
+            node.gain.setTargetAtTime(1, this.audioContext.currentTime, this.options.release / 3);
+        });
+        this.targets = targets;
+        if (this.isDucking) {
+            this.rampTargets(this.options.amount, this.options.attack);
+        }
+    }
+
+    /**
+     * Starts watching the key level, once the worklet module has loaded
+     */
+    start() {
+        if (this.isRunning) return;
+        this.isRunning = true;
+        if (this.isModuleLoaded) {
+            this.startDetector();
+        }
+    }
+
+    /**
+     * Stops watching the key level and restores full level
+     */
+    stop() {
+        this.isRunning = false;
+        if (this.detector) {
+            this.detector.port.onmessage = null;
+            this.keyInput.disconnect(this.detector);
+            this.detector.disconnect();
+            this.detector = null;
+        }
+        this.isDucking = false;
+        this.rampTargets(1, this.options.release);
+    }
+
+    /**
+     * Runs a key detector on the key signal and ducks or releases as it
+     * reports the key turning active or inactive
+     * @private
+     */
+    startDetector() {
+        const { threshold, hold } = this.options;
+        this.detector = new AudioWorkletNode(this.audioContext, 'audio-processor', {
+            outputChannelCount: [1],
+            processorOptions: { mode: 'key', key: { threshold, hold } }
+        });
+        this.keyInput.connect(this.detector);
+        this.detector.connect(this.sink);
+
+        this.detector.port.onmessage = (event) => {
+            if (event.data.type !== 'keyState') return;
+
+            this.isDucking = event.data.isActive;
+            if (this.isDucking) {
+                this.rampTargets(this.options.amount, this.options.attack);
+            } else {
+                this.rampTargets(1, this.options.release);
+            }
+        };
+    }
+
+    /**
+     * @private
+     * @param {number} gain - Target gain
+     * @param {number} duration - Approximate ramp duration in seconds
+     */
+    rampTargets(gain, duration) {
+        const now = this.audioContext.currentTime;
+        this.targets.forEach(node => {
+            node.gain.cancelScheduledValues(now);
+            node.gain.setTargetAtTime(gain, now, duration / 3);
+        });
+    }
+}
+
+export default Ducker;
@@ -0,0 +1,111 @@
+/**
+ * Host UI for the mixer: one strip per source with enable, volume, mute
+ * and solo, plus the ducking controls
+ */
+class MixerPanel {
+    /**
+     * @param {string} panelId - ID of the panel element
+     * @param {AudioMixer} mixer - Mixer driven by the panel
+     * @param {Object} handlers
+     * @param {Function} handlers.onSourceToggle - Called with (source, enabled) to add or remove a source
+     * @param {string} handlers.duckingKey - Channel that triggers ducking
+     */
+    constructor(panelId, mixer, { onSourceToggle, duckingKey }) {
+        this.panel = document.getElementById(panelId);
+        this.mixer = mixer;
+        this.onSourceToggle = onSourceToggle;
+        this.duckingKey = duckingKey;
+        this.strips = new Map();
+
+        this.channelList = this.panel.querySelector('.mixer-channels');
+        this.duckToggle = this.panel.querySelector('.mixer-duck');
+        this.duckAmount = this.panel.querySelector('.mixer-duck-amount');
+
+        this.mixer.getChannels().forEach(channel => this.createStrip(channel));
+        this.duckToggle.addEventListener('change', () => this.applyDucking());
+        this.duckAmount.addEventListener('input', () => this.applyDucking());
+
+        this.mixer.addListener(() => this.update());
+        this.update();
+    }
+
+    /**
+     * Builds the controls for one channel
+     * @private
+     * @param {Object} channel - Channel state from the mixer
+     */
+    createStrip({ id, label }) {
+        const strip = document.createElement('li');
+        strip.className = 'mixer-channel';
+        strip.innerHTML = `
+            <label class="mixer-label">
+                <input type="checkbox" class="mixer-enable">
+                <span></span>
+            </label>
+            <input type="range" class="mixer-volume" min="0" max="100">
+            <button class="control-btn mixer-mute" title="Mute">M</button>
+            <button class="control-btn mixer-solo" title="Solo">S</button>
+        `;
+        strip.querySelector('.mixer-label span').textContent = label;
+
+        const enable = strip.querySelector('.mixer-enable');
+        enable.addEventListener('change', async () => {
+            enable.disabled = true;
+            try {
+                await this.onSourceToggle(id, enable.checked);
+            } finally {
+                enable.disabled = false;
+                this.update();
+            }
+        });
+        strip.querySelector('.mixer-volume').addEventListener('input', (event) => {
+            this.mixer.setVolume(id, event.target.value / 100);
+        });
+        strip.querySelector('.mixer-mute').addEventListener('click', () => {
+            this.mixer.setMuted(id, !this.getState(id).isMuted);
+        });
+        strip.querySelector('.mixer-solo').addEventListener('click', () => {
+            this.mixer.setSolo(id, !this.getState(id).isSolo);
+        });
+
+        this.channelList.appendChild(strip);
+        this.strips.set(id, strip);
+    }
+
+    /**
+     * Syncs every strip with the mixer state
+     * @private
+     */
+    update() {
+        this.mixer.getChannels().forEach(({ id, volume, isEnabled, isMuted, isSolo }) => {
+            const strip = this.strips.get(id);
+            strip.classList.toggle('disabled', !isEnabled);
+            strip.querySelector('.mixer-enable').checked = isEnabled;
+            strip.querySelector('.mixer-volume').value = Math.round(volume * 100);
+            strip.querySelector('.mixer-mute').classList.toggle('active', isMuted);
+            strip.querySelector('.mixer-solo').classList.toggle('active', isSolo);
+        });
+        this.duckToggle.checked = this.mixer.isDuckingEnabled;
+    }
+
+    /**
+     * @private
+     */
+    applyDucking() {
+        // The slider sets how far the music drops, 100% being silence
+        this.mixer.setDucking(this.duckToggle.checked, this.duckingKey, {
+            amount: 1 - this.duckAmount.value / 100
+        });
+    }
+
+    /**
+     * @private
+     * @param {string} id - Channel ID
+     * @returns {Object} Channel state
+     */
+    getState(id) {
+        return this.mixer.getChannels().find(channel => channel.id === id);
+    }
+}
+
+export default MixerPanel;
@@ -0,0 +1,25 @@
+const ADAPTATION_LOG_ROWS = 8; // Latest adaptation decisions shown in the metrics panel
+
+/**
+ * Lists the latest adaptive bitrate decisions, newest first, in every
+ * adaptation-log element of the metrics panels
+ */
+class AdaptationLogPanel {
+    /**
+     * Shows the latest decisions of a log
+     * @param {Array<Object>} adaptations - Decision events, oldest first
+     */
+    render(adaptations) {
+        const rows = adaptations.slice(-ADAPTATION_LOG_ROWS).reverse().map(({ time, direction, from, to, reason }) => {
+            const row = document.createElement('li');
+            row.className = `adaptation-${direction}`;
+            row.textContent = `${new Date(time).toLocaleTimeString()} ${from} → ${to}: ${reason}`;
+            return row;
+        });
+        document.querySelectorAll('.adaptation-log').forEach(list => {
+            list.replaceChildren(...rows.map(row => row.cloneNode(true)));
+        });
+    }
+}
+
+export default AdaptationLogPanel;
@@ -0,0 +1,249 @@
+import EventEmitter from '../eventEmitter.js';
+import { ALERT_COMPARISONS, ALERT_SEVERITIES, DEFAULT_ALERT_RULES } from './alertRules.js';
+
+/**
+ * Evaluates alert rules against metric snapshots and announces when an
+ * alert is raised and when its condition recovers.
+ *
+ * Each rule moves ok → pending (breached, waiting out holdTime) → active,
+ * and back to ok once recovered past the hysteresis. A metric that is no
+ * longer measured (null), or a rule suppressed by its unless metric, also
+ * clears the alert, since the condition can no longer be confirmed.
+ */
+export const ALERT_EVENTS = {
+    RAISED: 'raised', // { id, metric, severity, message, value, threshold, unit, occurrences, isRepeat, time }
+    CLEARED: 'cleared' // { id, metric, severity, message, value, threshold, unit, reason, duration, time }
+};
+
+export const CLEAR_REASONS = {
+    RECOVERED: 'recovered',
+    UNMEASURED: 'unmeasured',
+    SUPPRESSED: 'suppressed', // The rule's unless metric became truthy
+    REMOVED: 'removed'
+};
+
+const RULE_DEFAULTS = {
+    comparison: ALERT_COMPARISONS.ABOVE,
+    unit: '',
+    hysteresis: 0,
+    holdTime: 0,
+    cooldown: 0,
+    severity: ALERT_SEVERITIES.WARNING
+};
+
+class AlertEngine extends EventEmitter {
+    /**
+     * @param {Array<Object>} [rules] - Rules to evaluate, see DEFAULT_ALERT_RULES
+     */
+    constructor(rules = DEFAULT_ALERT_RULES) {
+        super();
+        this.rules = new Map();
+        this.states = new Map();
+        rules.forEach(rule => this.addRule(rule));
+    }
+
+    /**
+     * Adds a rule, replacing any rule with the same ID
+     * @param {Object} rule - Rule fields, see DEFAULT_ALERT_RULES
+     * @throws {Error} If the rule is invalid
+     */
+    addRule(rule) {
+        const completeRule = { ...RULE_DEFAULTS, ...rule };
+        AlertEngine.validateRule(completeRule);
+        this.rules.set(completeRule.id, completeRule);
+        this.states.set(completeRule.id, {
+            isActive: false,
+            value: null,
+            breachedSince: null,
+            activeSince: null,
+            raisedAt: null,
+            occurrences: 0
+        });
+    }
+
+    /**
+     * Changes fields of an existing rule, such as its threshold or severity
+     * @param {string} id - Rule ID
+     * @param {Object} changes - Fields to change
+     * @throws {Error} If the rule does not exist or the result is invalid
+     */
+    updateRule(id, changes) {
+        const rule = this.rules.get(id);
+        if (!rule) {
+            throw new Error(`Unknown alert rule ${id}`);
+        }
+
+        const updatedRule = { ...rule, ...changes, id };
+        AlertEngine.validateRule(updatedRule);
+        this.rules.set(id, updatedRule);
+    }
+
+    /**
+     * Removes a rule, clearing its alert if active
+     * @param {string} id - Rule ID
+     */
+    removeRule(id) {
+        const rule = this.rules.get(id);
+        if (!rule) return;
+
+        const state = this.states.get(id);
+        if (state.isActive) {
+            this.clear(rule, state, CLEAR_REASONS.REMOVED, performance.now());
+        }
+        this.rules.delete(id);
+        this.states.delete(id);
+    }
+
+    /**
+     * Gets the configured rules
+     * @returns {Array<Object>} Rules
+     */
+    getRules() {
+        return Array.from(this.rules.values(), rule => ({ ...rule }));
+    }
+
+    /**
+     * Gets the rules whose alert is raised
+     * @returns {Array<Object>} { id, severity, message, value, occurrences, activeSince }
+     */
+    getActiveAlerts() {
+        return Array.from(this.states)
+            .filter(([, state]) => state.isActive)
+            .map(([id, state]) => {
+                const { severity, message } = this.rules.get(id);
+                const { value, occurrences, activeSince } = state;
+                return { id, severity, message, value, occurrences, activeSince };
+            });
+    }
+
+    /**
+     * Checks every rule against the latest metrics
+     * @param {Object} metrics - Metric values by name, null when not measured
+     * @param {number} [now] - performance.now() time of the snapshot
+     */
+    evaluate(metrics, now = performance.now()) {
+        this.rules.forEach((rule, id) => {
+            const state = this.states.get(id);
+            const value = metrics[rule.metric];
+            const isMeasured = Number.isFinite(value);
+            const isSuppressed = Boolean(rule.unless && metrics[rule.unless]);
+            state.value = isMeasured ? value : null;
+
+            if (state.isActive) {
+                if (!isMeasured) {
+                    this.clear(rule, state, CLEAR_REASONS.UNMEASURED, now);
+                } else if (isSuppressed) {
+                    this.clear(rule, state, CLEAR_REASONS.SUPPRESSED, now);
+                } else if (AlertEngine.hasRecovered(rule, value)) {
+                    this.clear(rule, state, CLEAR_REASONS.RECOVERED, now);
+                }
+                return;
+            }
+
+            if (!isMeasured || isSuppressed || !AlertEngine.isBreached(rule, value)) {
+                state.breachedSince = null;
+                return;
+            }
+
+            state.breachedSince ??= now;
+            if (now - state.breachedSince >= rule.holdTime) {
+                this.raise(rule, state, now);
+            }
+        });
+    }
+
+    /**
+     * @private
+     * @param {Object} rule - Rule being raised
+     * @param {Object} state - Rule state
+     * @param {number} now - performance.now() time
+     */
+    raise(rule, state, now) {
+        const isRepeat = state.raisedAt !== null && now - state.raisedAt < rule.cooldown;
+        state.occurrences = isRepeat ? state.occurrences + 1 : 1;
+        state.isActive = true;
+        state.activeSince = now;
+        state.raisedAt = now;
+
+        this.emit(ALERT_EVENTS.RAISED, {
+            ...AlertEngine.describe(rule, state.value),
+            occurrences: state.occurrences,
+            isRepeat
+        });
+    }
+
+    /**
+     * @private
+     * @param {Object} rule - Rule being cleared
+     * @param {Object} state - Rule state
+     * @param {string} reason - One of CLEAR_REASONS
+     * @param {number} now - performance.now() time
+     */
+    clear(rule, state, reason, now) {
+        const duration = now - state.activeSince;
+        state.isActive = false;
+        state.breachedSince = null;
+        state.activeSince = null;
+
+        this.emit(ALERT_EVENTS.CLEARED, { ...AlertEngine.describe(rule, state.value), reason, duration });
+    }
+
+    /**
+     * @private
+     * @param {Object} rule - Rule
+     * @param {number|null} value - Metric value
+     * @returns {Object} Event fields shared by raised and cleared events
+     */
+    static describe({ id, metric, severity, message, threshold, unit }, value) {
+        return { id, metric, severity, message, value, threshold, unit, time: Date.now() };
+    }
+
+    /**
+     * @private
+     * @param {Object} rule - Rule
+     * @param {number} value - Metric value
+     * @returns {boolean} Whether the value is past the threshold
+     */
+    static isBreached({ comparison, threshold }, value) {
+        return comparison === ALERT_COMPARISONS.ABOVE ? value > threshold : value < threshold;
+    }
+
+    /**
+     * @private
+     * @param {Object} rule - Rule
+     * @param {number} value - Metric value
+     * @returns {boolean} Whether the value is back past the threshold by the hysteresis
+     */
+    static hasRecovered({ comparison, threshold, hysteresis }, value) {
+        return comparison === ALERT_COMPARISONS.ABOVE
+            ? value <= threshold - hysteresis
+            : value >= threshold + hysteresis;
+    }
+
+    /**
+     * @private
+     * @param {Object} rule - Rule with defaults applied
+     * @throws {Error} If a field is missing or out of range
+     */
+    static validateRule(rule) {
+        if (!rule.id || !rule.metric || !rule.message) {
+            throw new Error('Alert rules need an id, a metric and a message');
+        }
+        if (!Object.values(ALERT_COMPARISONS).includes(rule.comparison)) {
+            throw new Error(`Invalid comparison ${rule.comparison} in alert rule ${rule.id}`);
+        }
+        if (!Object.values(ALERT_SEVERITIES).includes(rule.severity)) {
+            throw new Error(`Invalid severity ${rule.severity} in alert rule ${rule.id}`);
+        }
+        if (!Number.isFinite(rule.threshold)) {
+            throw new Error(`Invalid threshold in alert rule ${rule.id}`);
+        }
+        ['hysteresis', 'holdTime', 'cooldown'].forEach(field => {
+            if (!(rule[field] >= 0)) {
+                throw new Error(`Invalid ${field} in alert rule ${rule.id}`);
+            }
+        });
+    }
+}
+
+export default AlertEngine;
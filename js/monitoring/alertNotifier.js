@@ -0,0 +1,55 @@
+import { ALERT_EVENTS, CLEAR_REASONS } from './alertEngine.js';
+
+/**
+ * Shows alerts from an alert engine as notifications. Each rule gets one
+ * notification, so repeats and recoveries update it in place.
+ */
+class AlertNotifier {
+    /**
+     * @param {AlertEngine} alertEngine - Engine whose alerts to show
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(alertEngine, notificationManager) {
+        this.notificationManager = notificationManager;
+        alertEngine.on(ALERT_EVENTS.RAISED, (alert) => this.notifyRaised(alert));
+        alertEngine.on(ALERT_EVENTS.CLEARED, (alert) => this.notifyCleared(alert));
+    }
+
+    /**
+     * Shows a raised alert at its rule's severity
+     * @private
+     * @param {Object} alert - Raised event from the alert engine
+     */
+    notifyRaised({ id, severity, message, value, unit, occurrences }) {
+        this.notificationManager[severity](`${message}: ${AlertNotifier.formatValue(value, unit)}`, {
+            key: `alert:${id}`,
+            count: occurrences
+        });
+    }
+
+    /**
+     * Shows that an alert's condition recovered. Alerts cleared for other
+     * reasons only close their notification's group.
+     * @private
+     * @param {Object} alert - Cleared event from the alert engine
+     */
+    notifyCleared({ id, message, value, unit, reason }) {
+        if (reason !== CLEAR_REASONS.RECOVERED) return;
+
+        this.notificationManager.success(`${message} recovered: ${AlertNotifier.formatValue(value, unit)}`, {
+            key: `alert:${id}`
+        });
+    }
+
+    /**
+     * @private
+     * @param {number} value - Metric value
+     * @param {string} unit - Metric unit
+     * @returns {string} Value for an alert message
+     */
+    static formatValue(value, unit) {
+        return `${value < 10 ? value.toFixed(1) : Math.round(value)}${unit}`;
+    }
+}
+
+export default AlertNotifier;
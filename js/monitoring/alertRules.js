@@ -0,0 +1,120 @@
+/**
+ * Alert rules evaluated against PerformanceMonitor metrics.
+ *
+ * A rule is breached when its metric is above (or below) the threshold. It
+ * raises once the breach has lasted holdTime, and clears once the metric is
+ * back past the threshold by the hysteresis, so values hovering around the
+ * threshold do not flap. Raises within cooldown of the previous one count as
+ * repeats of the same alert. Times are in milliseconds, thresholds in the
+ * rule's unit.
+ */
+export const ALERT_SEVERITIES = {
+    INFO: 'info',
+    WARNING: 'warning',
+    ERROR: 'error'
+};
+
+export const ALERT_COMPARISONS = {
+    ABOVE: 'above',
+    BELOW: 'below'
+};
+
+export const DEFAULT_ALERT_RULES = [
+    {
+        id: 'highLatency',
+        metric: 'audioLatency',
+        unit: 'ms',
+        comparison: ALERT_COMPARISONS.ABOVE,
+        threshold: 200,
+        hysteresis: 20,
+        holdTime: 3000,
+        cooldown: 60000,
+        severity: ALERT_SEVERITIES.WARNING,
+        message: 'High audio latency'
+    },
+    {
+        id: 'highTransportRtt',
+        metric: 'transportRtt',
+        unit: 'ms',
+        comparison: ALERT_COMPARISONS.ABOVE,
+        threshold: 100,
+        hysteresis: 10,
+        holdTime: 5000,
+        cooldown: 60000,
+        severity: ALERT_SEVERITIES.WARNING,
+        message: 'High transport latency'
+    },
+    {
+        id: 'packetLoss',
+        metric: 'packetLoss',
+        unit: '%',
+        comparison: ALERT_COMPARISONS.ABOVE,
+        threshold: 5,
+        hysteresis: 1,
+        holdTime: 2000,
+        cooldown: 30000,
+        severity: ALERT_SEVERITIES.WARNING,
+        message: 'Packet loss'
+    },
+    {
+        id: 'severePacketLoss',
+        metric: 'packetLoss',
+        unit: '%',
+        comparison: ALERT_COMPARISONS.ABOVE,
+        threshold: 20,
+        hysteresis: 5,
+        holdTime: 1000,
+        cooldown: 30000,
+        severity: ALERT_SEVERITIES.ERROR,
+        message: 'Severe packet loss, audio is breaking up'
+    },
+    {
+        id: 'poorSignal',
+        metric: 'signalStrength',
+        unit: '%',
+        comparison: ALERT_COMPARISONS.BELOW,
+        threshold: 30,
+        hysteresis: 5,
+        holdTime: 5000,
+        cooldown: 60000,
+        severity: ALERT_SEVERITIES.WARNING,
+        message: 'Poor signal strength'
+    },
+    {
+        id: 'highCpu',
+        metric: 'cpuUsage', // Of the render quantum budget
+        unit: '%',
+        comparison: ALERT_COMPARISONS.ABOVE,
+        threshold: 80,
+        hysteresis: 10,
+        holdTime: 2000,
+        cooldown: 60000,
+        severity: ALERT_SEVERITIES.WARNING,
+        message: 'High CPU usage'
+    },
+    {
+        id: 'mainThreadOverload',
+        metric: 'mainThreadLoad', // Share of time in long tasks
+        unit: '%',
+        comparison: ALERT_COMPARISONS.ABOVE,
+        threshold: 80,
+        hysteresis: 10,
+        holdTime: 4000,
+        cooldown: 60000,
+        severity: ALERT_SEVERITIES.WARNING,
+        message: 'Main thread overloaded'
+    },
+    {
+        id: 'lowBattery',
+        metric: 'batteryLevel',
+        unit: '%',
+        comparison: ALERT_COMPARISONS.BELOW,
+        threshold: 20,
+        hysteresis: 2,
+        holdTime: 0,
+        cooldown: 300000,
+        severity: ALERT_SEVERITIES.WARNING,
+        message: 'Low battery',
+        unless: 'batteryCharging' // Metric that suppresses the rule while truthy
+    }
+];
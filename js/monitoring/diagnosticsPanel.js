@@ -0,0 +1,110 @@
+import DiagnosticsReport from './diagnosticsReport.js';
+
+/**
+ * History retention and diagnostics export controls, present in both
+ * performance panels. The export describes the active settings of both
+ * sides next to what the performance monitor recorded.
+ */
+class DiagnosticsPanel {
+    /**
+     * @param {PerformanceMonitor} performanceMonitor - Monitor whose recordings to export
+     * @param {NotificationManager} notificationManager - Notification manager
+     * @param {Object} app - Components whose settings the export describes
+     * @param {Function} app.getRole - Returns the current role, 'host' or 'receiver'
+     * @param {AudioContext} app.audioContext - Shared audio context
+     * @param {Transport} app.hostTransport - Host transport
+     * @param {Transport} app.receiverTransport - Receiver transport
+     * @param {AudioController} app.audioController - Host audio
+     * @param {BroadcastPipeline} app.broadcastPipeline - Host pipeline
+     * @param {AdaptiveBitrateController} app.adaptiveBitrate - Host bitrate adaptation
+     * @param {ReceiverRoster} app.receiverRoster - Host's receivers
+     * @param {Room} app.room - Host's room
+     * @param {ReceiverController} app.receiverController - Receiver
+     */
+    constructor(performanceMonitor, notificationManager, app) {
+        this.performanceMonitor = performanceMonitor;
+        this.notificationManager = notificationManager;
+        this.app = app;
+
+        document.querySelectorAll('.diagnostics-retention').forEach(select => {
+            select.addEventListener('change', () => this.setHistoryRetention(Number(select.value)));
+        });
+        document.querySelectorAll('.diagnostics-download').forEach(button => {
+            const format = button.closest('.diagnostics-actions').querySelector('.diagnostics-format');
+            button.addEventListener('click', () => this.download(format.value));
+        });
+    }
+
+    /**
+     * Changes how much metric history is kept
+     * @param {number} retention - Milliseconds of history to keep
+     */
+    setHistoryRetention(retention) {
+        this.performanceMonitor.setHistoryRetention(retention);
+        document.querySelectorAll('.diagnostics-retention').forEach(select => {
+            select.value = String(retention);
+        });
+    }
+
+    /**
+     * Exports metrics history, alerts, connection events, capabilities and
+     * settings for attaching to a bug report
+     * @param {string} format - One of REPORT_FORMATS
+     */
+    async download(format) {
+        try {
+            const report = new DiagnosticsReport({
+                role: this.app.getRole(),
+                diagnostics: this.performanceMonitor.getDiagnostics(),
+                capabilities: await DiagnosticsReport.collectCapabilities(),
+                configuration: this.getConfiguration()
+            });
+            report.download(format);
+        } catch (error) {
+            console.error('Failed to export diagnostics:', error);
+            this.notificationManager.error('Failed to export diagnostics');
+        }
+    }
+
+    /**
+     * Describes the active settings for diagnostics. Secrets such as the
+     * room PIN and join code are left out.
+     * @private
+     * @returns {Object} Configuration
+     */
+    getConfiguration() {
+        const { audioContext, audioController, broadcastPipeline, receiverController } = this.app;
+        return {
+            role: this.app.getRole(),
+            transports: { host: this.app.hostTransport.kind, receiver: this.app.receiverTransport.kind },
+            audioContext: {
+                state: audioContext.state,
+                sampleRate: audioContext.sampleRate,
+                baseLatency: audioContext.baseLatency ?? null,
+                outputLatency: audioContext.outputLatency ?? null
+            },
+            host: {
+                state: broadcastPipeline.connection.state,
+                quality: audioController.quality,
+                profile: broadcastPipeline.profile,
+                adaptation: this.app.adaptiveBitrate.getState(),
+                recovery: broadcastPipeline.recovery.options,
+                room: { name: this.app.room.name, isProtected: this.app.room.isProtected },
+                receivers: this.app.receiverRoster.getReceivers().length
+            },
+            receiver: {
+                state: receiverController.state,
+                codec: receiverController.streamInfo?.codec ?? null,
+                jitterBuffer: receiverController.jitterBufferOptions,
+                playoutDelay: receiverController.playoutDelay,
+                volume: receiverController.volume,
+                isMuted: receiverController.playback.isMuted,
+                eq: receiverController.playback.getEqGains(),
+                customOutput: receiverController.playback.sinkId !== ''
+            },
+            historyRetention: this.performanceMonitor.history.retention
+        };
+    }
+}
+
+export default DiagnosticsPanel;
@@ -0,0 +1,168 @@
+import TransportFactory from '../transports/transportFactory.js';
+import CodecFactory from '../codecs/codecFactory.js';
+
+/**
+ * Bundle of everything needed to look into a problem report: metrics
+ * history, alerts, connection events, adaptive bitrate decisions, what the device supports and how the
+ * app was configured. Exported as JSON, or as CSV with one row per sample,
+ * event or setting for spreadsheets.
+ */
+export const REPORT_FORMATS = {
+    JSON: 'json',
+    CSV: 'csv'
+};
+
+const CSV_COLUMNS = ['section', 'time', 'name', 'value', 'details'];
+
+class DiagnosticsReport {
+    /**
+     * @param {Object} contents - Report contents
+     * @param {string} contents.role - 'host' or 'receiver'
+     * @param {Object} contents.diagnostics - From PerformanceMonitor.getDiagnostics()
+     * @param {Object} contents.capabilities - From DiagnosticsReport.collectCapabilities()
+     * @param {Object} contents.configuration - Active settings
+     */
+    constructor({ role, diagnostics, capabilities, configuration }) {
+        this.generatedAt = Date.now();
+        this.role = role;
+        this.diagnostics = diagnostics;
+        this.capabilities = capabilities;
+        this.configuration = configuration;
+    }
+
+    /**
+     * Describes what this device and browser support
+     * @returns {Promise<Object>} Capabilities
+     */
+    static async collectCapabilities() {
+        const [encode, decode] = await Promise.all([
+            CodecFactory.getEncodableCodecs(),
+            CodecFactory.getDecodableCodecs()
+        ]);
+
+        return {
+            userAgent: navigator.userAgent,
+            platform: navigator.userAgentData?.platform ?? navigator.platform,
+            hardwareConcurrency: navigator.hardwareConcurrency ?? null,
+            deviceMemory: navigator.deviceMemory ?? null,
+            transports: {
+                host: TransportFactory.getSupportedKinds('host'),
+                receiver: TransportFactory.getSupportedKinds('receiver')
+            },
+            codecs: { encode, decode },
+            audioWorklet: typeof AudioWorkletNode !== 'undefined',
+            outputSelection: typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype,
+            webCrypto: Boolean(globalThis.crypto?.subtle),
+            battery: Boolean(navigator.getBattery),
+            longTasks: Boolean(PerformanceObserver.supportedEntryTypes?.includes('longtask'))
+        };
+    }
+
+    /**
+     * @returns {Object} Plain object for JSON.stringify
+     */
+    toJSON() {
+        return {
+            generatedAt: new Date(this.generatedAt).toISOString(),
+            role: this.role,
+            capabilities: this.capabilities,
+            configuration: this.configuration,
+            ...this.diagnostics
+        };
+    }
+
+    /**
+     * Flattens the report into CSV rows
+     * @returns {string} CSV text with a header row
+     */
+    toCSV() {
+        const { metrics, history, alerts, connectionEvents, adaptations } = this.diagnostics;
+        const time = value => new Date(value).toISOString();
+        const rows = [];
+
+        DiagnosticsReport.flatten({ generatedAt: time(this.generatedAt), role: this.role })
+            .forEach(([name, value]) => rows.push(['report', '', name, value, '']));
+        DiagnosticsReport.flatten(this.capabilities)
+            .forEach(([name, value]) => rows.push(['capability', '', name, value, '']));
+        DiagnosticsReport.flatten(this.configuration)
+            .forEach(([name, value]) => rows.push(['configuration', '', name, value, '']));
+        DiagnosticsReport.flatten(metrics)
+            .forEach(([name, value]) => rows.push(['metric', '', name, value, '']));
+
+        Object.entries(history).forEach(([name, { aggregates, samples }]) => {
+            Object.entries(aggregates || {}).forEach(([key, value]) => {
+                rows.push(['aggregate', '', `${name}.${key}`, value, '']);
+            });
+            samples.forEach(sample => rows.push(['sample', time(sample.time), name, sample.value, '']));
+        });
+        alerts.forEach(({ time: alertTime, status, id, value, message }) => {
+            rows.push(['alert', time(alertTime), `${id} ${status}`, value, message]);
+        });
+        connectionEvents.forEach(({ time: eventTime, side, state, ...details }) => {
+            rows.push(['connection', time(eventTime), side, state, JSON.stringify(details)]);
+        });
+        adaptations.forEach(({ time: decisionTime, direction, from, to, reason }) => {
+            rows.push(['adaptation', time(decisionTime), `${from} → ${to}`, direction, reason]);
+        });
+
+        return [CSV_COLUMNS, ...rows].map(row => row.map(DiagnosticsReport.escapeCsv).join(',')).join('\n');
+    }
+
+    /**
+     * Saves the report through the browser's download prompt
+     * @param {string} [format] - One of REPORT_FORMATS
+     * @throws {Error} If the format is unknown
+     */
+    download(format = REPORT_FORMATS.JSON) {
+        let content;
+        let type;
+        if (format === REPORT_FORMATS.JSON) {
+            content = JSON.stringify(this, null, 2);
+            type = 'application/json';
+        } else if (format === REPORT_FORMATS.CSV) {
+            content = this.toCSV();
+            type = 'text/csv';
+        } else {
+            throw new Error(`Unknown report format ${format}`);
+        }
+
+        const stamp = new Date(this.generatedAt).toISOString().replace(/[:.]/g, '-');
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `diagnostics-${this.role}-${stamp}.${format}`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Turns nested objects into dotted name / value pairs
+     * @private
+     * @param {Object} object - Object to flatten
+     * @param {string} [prefix] - Name prefix
+     * @returns {Array<Array>} [name, value] pairs
+     */
+    static flatten(object, prefix = '') {
+        return Object.entries(object || {}).flatMap(([key, value]) => {
+            const name = prefix ? `${prefix}.${key}` : key;
+            if (value !== null && typeof value === 'object' && !Array.isArray(value)) {
+                return DiagnosticsReport.flatten(value, name);
+            }
+            return [[name, Array.isArray(value) ? value.join(' ') : value]];
+        });
+    }
+
+    /**
+     * @private
+     * @param {*} value - Cell value
+     * @returns {string} Cell quoted if it contains separators
+     */
+    static escapeCsv(value) {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+export default DiagnosticsReport;
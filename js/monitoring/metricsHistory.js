@@ -0,0 +1,121 @@
+/**
+ * Time series of metric samples, kept for a retention window.
+ *
+ * Each metric is an array of { time, value } in insertion order, time being
+ * performance.now() milliseconds. Samples older than the retention window
+ * are pruned as new ones arrive, so memory stays bounded by the window and
+ * the rate metrics are reported at.
+ */
+const DEFAULT_OPTIONS = {
+    retention: 15 * 60 * 1000 // ms of history to keep
+};
+
+class MetricsHistory {
+    /**
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.series = new Map();
+    }
+
+    /**
+     * How long samples are kept
+     * @returns {number} Milliseconds
+     */
+    get retention() {
+        return this.options.retention;
+    }
+
+    /**
+     * Changes the retention window, dropping samples that fall outside it
+     * @param {number} retention - Milliseconds of history to keep
+     * @throws {Error} If the window is not a positive number
+     */
+    setRetention(retention) {
+        if (!(retention > 0)) {
+            throw new Error(`Invalid history retention ${retention}`);
+        }
+        this.options.retention = retention;
+        this.series.forEach(samples => this.prune(samples, performance.now()));
+    }
+
+    /**
+     * Adds a sample. Values that are not finite numbers are ignored so
+     * metrics that have not been measured yet leave gaps.
+     * @param {string} name - Metric name
+     * @param {number} value - Sample value
+     * @param {number} [time] - performance.now() time of the sample
+     */
+    record(name, value, time = performance.now()) {
+        if (!Number.isFinite(value)) return;
+
+        if (!this.series.has(name)) {
+            this.series.set(name, []);
+        }
+        const samples = this.series.get(name);
+        samples.push({ time, value });
+        this.prune(samples, time);
+    }
+
+    /**
+     * Gets the samples of a metric
+     * @param {string} name - Metric name
+     * @param {number} [window] - Only samples from the last window ms
+     * @returns {Array<{time: number, value: number}>} Samples, oldest first
+     */
+    getSeries(name, window = this.options.retention) {
+        const samples = this.series.get(name) || [];
+        const since = performance.now() - window;
+        const first = samples.findIndex(sample => sample.time >= since);
+        return first === -1 ? [] : samples.slice(first);
+    }
+
+    /**
+     * Summarizes a metric
+     * @param {string} name - Metric name
+     * @param {number} [window] - Only samples from the last window ms
+     * @returns {Object|null} { min, avg, p95, max, count }, null without samples
+     */
+    getAggregates(name, window) {
+        const values = this.getSeries(name, window).map(sample => sample.value);
+        if (values.length === 0) return null;
+
+        const sorted = values.sort((a, b) => a - b);
+        return {
+            min: sorted[0],
+            avg: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+            p95: sorted[Math.min(sorted.length - 1, Math.ceil(sorted.length * 0.95) - 1)],
+            max: sorted[sorted.length - 1],
+            count: sorted.length
+        };
+    }
+
+    /**
+     * Lists the metrics that have samples
+     * @returns {Array<string>} Metric names
+     */
+    getNames() {
+        return Array.from(this.series.keys());
+    }
+
+    /**
+     * Drops all samples
+     */
+    clear() {
+        this.series.clear();
+    }
+
+    /**
+     * @private
+     * @param {Array<Object>} samples - Samples of one metric
+     * @param {number} now - Current performance.now() time
+     */
+    prune(samples, now) {
+        const since = now - this.options.retention;
+        const expired = samples.findIndex(sample => sample.time >= since);
+        samples.splice(0, expired === -1 ? samples.length : expired);
+    }
+}
+
+export default MetricsHistory;
@@ -0,0 +1,74 @@
+/**
+ * Small line chart of a metric's recent samples, drawn on a canvas
+ */
+const DEFAULT_OPTIONS = {
+    color: '#2196F3',
+    fill: 'rgba(33, 150, 243, 0.15)',
+    lineWidth: 1.5
+};
+
+class Sparkline {
+    /**
+     * @param {HTMLCanvasElement} canvas - Canvas to draw on
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Draws samples across the full width, scaled to their own range
+     * @param {Array<{time: number, value: number}>} samples - Samples, oldest first
+     * @param {number} window - Milliseconds the width stands for, ending now
+     */
+    draw(samples, window) {
+        this.resize();
+        const { width, height } = this.canvas;
+        this.context.clearRect(0, 0, width, height);
+        if (samples.length < 2) return;
+
+        const values = samples.map(sample => sample.value);
+        const min = Math.min(...values);
+        const range = Math.max(...values) - min || 1;
+        const start = performance.now() - window;
+        const padding = this.options.lineWidth;
+        const x = time => ((time - start) / window) * width;
+        const y = value => height - padding - ((value - min) / range) * (height - 2 * padding);
+
+        this.context.beginPath();
+        samples.forEach(({ time, value }, index) => {
+            if (index === 0) {
+                this.context.moveTo(x(time), y(value));
+            } else {
+                this.context.lineTo(x(time), y(value));
+            }
+        });
+        this.context.strokeStyle = this.options.color;
+        this.context.lineWidth = this.options.lineWidth;
+        this.context.stroke();
+
+        this.context.lineTo(x(samples[samples.length - 1].time), height);
+        this.context.lineTo(x(samples[0].time), height);
+        this.context.closePath();
+        this.context.fillStyle = this.options.fill;
+        this.context.fill();
+    }
+
+    /**
+     * Matches the canvas resolution to its displayed size
+     * @private
+     */
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (width > 0 && (this.canvas.width !== width || this.canvas.height !== height)) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+    }
+}
+
+export default Sparkline;
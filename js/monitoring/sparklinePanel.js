@@ -0,0 +1,51 @@
+import Sparkline from './sparkline.js';
+
+const SPARKLINE_WINDOW = 60000; // ms of history shown in sparklines
+const SPARKLINE_INTERVAL = 1000; // ms between sparkline redraws
+
+/**
+ * Sparklines of the metrics history in the metrics panels. Every canvas
+ * with the metric-sparkline class draws the history of its data-metric.
+ */
+class SparklinePanel {
+    /**
+     * @param {MetricsHistory} history - History the sparklines draw
+     */
+    constructor(history) {
+        this.history = history;
+        this.sparklines = new WeakMap();
+        this.lastDraw = 0;
+    }
+
+    /**
+     * Redraws the sparklines at most once per SPARKLINE_INTERVAL
+     */
+    update() {
+        if (performance.now() - this.lastDraw >= SPARKLINE_INTERVAL) {
+            this.draw();
+        }
+    }
+
+    /**
+     * Redraws every sparkline canvas from the history of its data-metric,
+     * with the aggregates over the whole retention window as its tooltip
+     */
+    draw() {
+        this.lastDraw = performance.now();
+        document.querySelectorAll('.metric-sparkline').forEach(canvas => {
+            if (!this.sparklines.has(canvas)) {
+                this.sparklines.set(canvas, new Sparkline(canvas));
+            }
+            const { metric } = canvas.dataset;
+            this.sparklines.get(canvas).draw(this.history.getSeries(metric, SPARKLINE_WINDOW), SPARKLINE_WINDOW);
+
+            const aggregates = this.history.getAggregates(metric);
+            canvas.title = aggregates
+                ? ['min', 'avg', 'p95', 'max'].map(key => `${key} ${aggregates[key].toFixed(1)}`).join(' · ')
+                    + ` over ${Math.round(this.history.retention / 60000)} min`
+                : 'No samples yet';
+        });
+    }
+}
+
+export default SparklinePanel;
@@ -5,6 +5,8 @@ class NotificationManager {
     constructor() {
         this.container = document.getElementById('notificationContainer');
         this.notifications = new Set();
+        this.groups = new Map(); // Group key -> notification element
+        this.hideTimers = new Map();
         this.maxNotifications = 3;
         this.autoHideDelay = 5000; // 5 seconds
     }
@@ -12,43 +14,58 @@ class NotificationManager {
     /**
      * Shows a success notification
      * @param {string} message - Notification message
+     * @param {Object} [options] - Grouping options, see show()
      */
-    success(message) {
-        this.show(message, 'success', 'fas fa-check-circle');
+    success(message, options) {
+        this.show(message, 'success', 'fas fa-check-circle', options);
     }
 
     /**
      * Shows an error notification
      * @param {string} message - Notification message
+     * @param {Object} [options] - Grouping options, see show()
      */
-    error(message) {
-        this.show(message, 'error', 'fas fa-exclamation-circle');
+    error(message, options) {
+        this.show(message, 'error', 'fas fa-exclamation-circle', options);
     }
 
     /**
      * Shows a warning notification
      * @param {string} message - Notification message
+     * @param {Object} [options] - Grouping options, see show()
      */
-    warning(message) {
-        this.show(message, 'warning', 'fas fa-exclamation-triangle');
+    warning(message, options) {
+        this.show(message, 'warning', 'fas fa-exclamation-triangle', options);
     }
 
     /**
      * Shows an info notification
      * @param {string} message - Notification message
+     * @param {Object} [options] - Grouping options, see show()
      */
-    info(message) {
-        this.show(message, 'info', 'fas fa-info-circle');
+    info(message, options) {
+        this.show(message, 'info', 'fas fa-info-circle', options);
     }
 
     /**
-     * Shows a notification
+     * Shows a notification. Notifications sharing a group key are one
+     * notification: a newer one replaces the text of a visible one in place
+     * instead of stacking.
      * @private
      * @param {string} message - Notification message
      * @param {string} type - Notification type
      * @param {string} icon - Font Awesome icon class
+     * @param {Object} [options]
+     * @param {string} [options.key] - Group key
+     * @param {number} [options.count] - Times the grouped event happened, shown when above 1
      */
-    show(message, type, icon) {
+    show(message, type, icon, { key, count = 1 } = {}) {
+        const grouped = key && this.groups.get(key);
+        if (grouped && this.notifications.has(grouped)) {
+            this.update(grouped, message, type, icon, count);
+            return;
+        }
+
         // Create notification element
         const notification = document.createElement('div');
         notification.className = `notification notification-${type}`;
@@ -60,6 +77,12 @@ class NotificationManager {
             </button>
         `;
 
+        this.setCount(notification, count);
+        if (key) {
+            notification.dataset.groupKey = key;
+            this.groups.set(key, notification);
+        }
+
         // Add close button handler
         const closeBtn = notification.querySelector('.notification-close');
         closeBtn.addEventListener('click', () => this.hide(notification));
@@ -79,12 +102,58 @@ class NotificationManager {
             notification.classList.add('show');
         });
 
-        // Auto-hide after delay
-        setTimeout(() => {
+        this.scheduleHide(notification);
+    }
+
+    /**
+     * Replaces the content of a visible grouped notification
+     * @private
+     * @param {HTMLElement} notification - Notification element
+     * @param {string} message - Notification message
+     * @param {string} type - Notification type
+     * @param {string} icon - Font Awesome icon class
+     * @param {number} count - Times the grouped event happened
+     */
+    update(notification, message, type, icon, count) {
+        notification.className = `notification notification-${type} show`;
+        notification.querySelector('i').className = icon;
+        notification.querySelector('.notification-message').textContent = message;
+        this.setCount(notification, count);
+        this.scheduleHide(notification);
+    }
+
+    /**
+     * @private
+     * @param {HTMLElement} notification - Notification element
+     * @param {number} count - Times the grouped event happened
+     */
+    setCount(notification, count) {
+        let badge = notification.querySelector('.notification-count');
+        if (count <= 1) {
+            badge?.remove();
+            return;
+        }
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.className = 'notification-count';
+            notification.querySelector('.notification-message').after(badge);
+        }
+        badge.textContent = `×${count}`;
+    }
+
+    /**
+     * Hides a notification after the auto-hide delay, restarting the delay
+     * if one was pending
+     * @private
+     * @param {HTMLElement} notification - Notification element
+     */
+    scheduleHide(notification) {
+        clearTimeout(this.hideTimers.get(notification));
+        this.hideTimers.set(notification, setTimeout(() => {
             if (this.notifications.has(notification)) {
                 this.hide(notification);
             }
-        }, this.autoHideDelay);
+        }, this.autoHideDelay));
     }
 
     /**
@@ -93,13 +162,18 @@ class NotificationManager {
      * @param {HTMLElement} notification - Notification element to hide
      */
     hide(notification) {
+        // Forget it right away so show() stops counting it while it fades out
+        if (!this.notifications.delete(notification)) return;
+
+        clearTimeout(this.hideTimers.get(notification));
+        this.hideTimers.delete(notification);
+        const { groupKey } = notification.dataset;
+        if (groupKey && this.groups.get(groupKey) === notification) {
+            this.groups.delete(groupKey);
+        }
+
         notification.classList.remove('show');
-        notification.addEventListener('transitionend', () => {
-            if (this.notifications.has(notification)) {
-                this.container.removeChild(notification);
-                this.notifications.delete(notification);
-            }
-        });
+        notification.addEventListener('transitionend', () => notification.remove(), { once: true });
     }
 
     /**
@@ -1,23 +1,82 @@
+import MetricsHistory from './monitoring/metricsHistory.js';
+import SparklinePanel from './monitoring/sparklinePanel.js';
+import AdaptationLogPanel from './monitoring/adaptationLogPanel.js';
+import AlertEngine, { ALERT_EVENTS } from './monitoring/alertEngine.js';
+
+const MONITORING_INTERVAL = 2000; // ms between main thread and output latency samples
+const LATENCY_WINDOW = 10000; // ms of latency samples averaged for the display
+const MAX_LOG_ENTRIES = 500; // Alerts, connection events and adaptations kept for diagnostics
+
+// Metrics whose samples are kept in the history
+const HISTORY_METRICS = [
+    'audioLatency', 'transportRtt', 'packetLoss', 'jitter', 'cpuUsage', 'mainThreadLoad',
+    'outputLatency', 'bufferDepth', 'bufferUnderruns', 'signalStrength', 'batteryLevel'
+];
+
 /**
- * Monitors and reports system performance metrics
+ * Monitors and reports system performance metrics.
+ *
+ * Latency is end to end: from the host capturing a sample to a receiver's
+ * speaker playing it. A receiver measures its own; the host shows the worst
+ * receiver. CPU is the audio render thread's processing time against the
+ * time a render quantum lasts, with long tasks giving the main thread's
+ * share separately. Metrics that have not been measured yet are null.
+ *
+ * Samples of HISTORY_METRICS are kept in a MetricsHistory for sparklines and
+ * aggregates. Every metric update is checked against the alert rules, and
+ * raised and cleared alerts are logged alongside connection events and
+ * adaptive bitrate decisions so a diagnostics report can show what happened
+ * and when.
  */
 class PerformanceMonitor {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {Object} [options.history] - MetricsHistory options such as retention (ms)
+     * @param {Array<Object>} [options.alertRules] - Alert rules, DEFAULT_ALERT_RULES if omitted
+     */
+    constructor({ history: historyOptions = {}, alertRules } = {}) {
         this.metrics = {
             audioLatency: 0,
-            bluetoothLatency: 0,
+            transportRtt: null,
+            packetLoss: null,
+            jitter: null,
             cpuUsage: 0,
+            cpuPeak: 0,
+            mainThreadLoad: null,
+            outputLatency: null,
+            baseLatency: null,
             batteryLevel: 100,
-            signalStrength: 0
+            batteryCharging: false,
+            signalStrength: null,
+            bufferDepth: 0,
+            bufferTargetDepth: 0,
+            bufferUnderruns: 0,
+            bufferOverruns: 0,
+            concealedSamples: null,
+            audioClockDrift: null, // ppm, host audio clock against this device's
+            rateCorrection: null, // ppm, playback rate change compensating the drift
+            recovery: null // Loss recovery counts, see RecoveryReceiver.getStats()
         };
 
+        this.clockSync = new Map();
         this.isMonitoring = false;
         this.monitoringInterval = null;
+        this.audioContext = null;
         this.audioStartTime = 0;
-        this.latencyBuffer = [];
-        this.maxLatencyBufferSize = 50;
-        this.latencyThreshold = 200; // milliseconds
-        
+        this.history = new MetricsHistory(historyOptions);
+        this.alertEngine = new AlertEngine(alertRules);
+        this.alertEngine.on(ALERT_EVENTS.RAISED, alert => this.dispatchAlert(ALERT_EVENTS.RAISED, alert));
+        this.alertEngine.on(ALERT_EVENTS.CLEARED, alert => this.dispatchAlert(ALERT_EVENTS.CLEARED, alert));
+        this.alerts = [];
+        this.connectionEvents = [];
+        this.adaptations = [];
+        this.sparklinePanel = new SparklinePanel(this.history);
+        this.adaptationLogPanel = new AdaptationLogPanel();
+        this.packetCounts = null;
+        this.longTaskObserver = null;
+        this.longTaskTime = 0;
+        this.lastLongTaskCheck = 0;
+
         // Initialize battery monitoring if available
         if (navigator.getBattery) {
             this.initializeBatteryMonitoring();
@@ -26,8 +85,10 @@ class PerformanceMonitor {
 
     /**
      * Starts monitoring audio performance
+     * @param {AudioContext} [audioContext] - Context whose output latency to report
      */
-    startAudioMonitoring() {
+    startAudioMonitoring(audioContext = null) {
+        this.audioContext = audioContext;
         this.audioStartTime = performance.now();
         this.isMonitoring = true;
         this.startPerformanceMonitoring();
@@ -38,34 +99,27 @@ class PerformanceMonitor {
      */
     stopAudioMonitoring() {
         this.isMonitoring = false;
+        this.audioContext = null;
         this.audioStartTime = 0;
-        this.latencyBuffer = [];
+        this.metrics.audioLatency = 0;
+        this.metrics.cpuUsage = 0;
+        this.metrics.cpuPeak = 0;
+        this.metrics.mainThreadLoad = null;
+        this.alertEngine.evaluate(this.metrics);
         this.stopPerformanceMonitoring();
+        this.updateMetricsDisplay();
     }
 
     /**
-     * Updates audio latency measurements
-     * @param {number} latency - Measured latency in milliseconds
+     * Updates end-to-end audio latency measurements
+     * @param {number} latency - Capture to playout time in milliseconds
      */
     updateLatency(latency) {
-        // Add to rolling buffer
-        this.latencyBuffer.push(latency);
-        if (this.latencyBuffer.length > this.maxLatencyBufferSize) {
-            this.latencyBuffer.shift();
-        }
-
-        // Calculate average latency
-        const avgLatency = this.latencyBuffer.reduce((a, b) => a + b, 0) / this.latencyBuffer.length;
+        // The history keeps every sample, the display shows the recent average
+        this.history.record('audioLatency', latency);
+        const avgLatency = this.history.getAggregates('audioLatency', LATENCY_WINDOW).avg;
         this.metrics.audioLatency = avgLatency;
-
-        // Check if latency exceeds threshold
-        if (avgLatency > this.latencyThreshold) {
-            this.dispatchAlert({
-                type: 'warning',
-                message: 'High audio latency detected',
-                value: avgLatency
-            });
-        }
+        this.alertEngine.evaluate(this.metrics);
 
         this.updateMetricsDisplay();
     }
@@ -76,8 +130,12 @@ class PerformanceMonitor {
      */
     updateConnectionStatus(isConnected) {
         if (!isConnected) {
-            this.metrics.signalStrength = 0;
-            this.metrics.bluetoothLatency = 0;
+            this.metrics.signalStrength = null;
+            this.metrics.packetLoss = null;
+            this.metrics.jitter = null;
+            this.metrics.recovery = null;
+            this.packetCounts = null;
+            this.alertEngine.evaluate(this.metrics);
         }
         this.updateMetricsDisplay();
     }
@@ -89,38 +147,158 @@ class PerformanceMonitor {
     updateSignalStrength(rssi) {
         // Convert RSSI to percentage (-100 dBm to -50 dBm range)
         const signalStrength = Math.min(100, Math.max(0, 2 * (rssi + 100)));
-        this.metrics.signalStrength = signalStrength;
-
-        // Alert on poor signal strength
-        if (signalStrength < 30) {
-            this.dispatchAlert({
-                type: 'warning',
-                message: 'Poor signal strength',
-                value: signalStrength
-            });
-        }
+        this.setMetric('signalStrength', signalStrength);
 
         this.updateMetricsDisplay();
     }
 
     /**
-     * Updates Bluetooth latency measurement
-     * @param {number} latency - Measured latency in milliseconds
+     * Updates the audio render thread load reported by the worklet
+     * @param {Object} renderLoad - { load, peak } as fractions of the render quantum budget
      */
-    updateBluetoothLatency(latency) {
-        this.metrics.bluetoothLatency = latency;
-        
-        if (latency > 100) {
-            this.dispatchAlert({
-                type: 'warning',
-                message: 'High Bluetooth latency',
-                value: latency
-            });
+    updateRenderLoad({ load, peak }) {
+        this.setMetric('cpuUsage', load * 100);
+        this.metrics.cpuPeak = peak * 100;
+
+        this.updateMetricsDisplay();
+    }
+
+    /**
+     * Updates receiver jitter buffer statistics reported by the worklet
+     * @param {Object} stats - Buffer stats (depth, targetDepth and jitter in ms, underruns,
+     *   overruns, concealed sample count, received and expected packet counts, clock
+     *   drift and rate correction in ppm)
+     */
+    updateBufferStats(stats) {
+        this.setMetric('bufferDepth', stats.depth);
+        this.metrics.bufferTargetDepth = stats.targetDepth;
+        this.setMetric('bufferUnderruns', stats.underruns);
+        this.metrics.bufferOverruns = stats.overruns;
+        this.metrics.concealedSamples = stats.concealedSamples ?? null;
+        this.metrics.audioClockDrift = stats.clockDrift ?? null;
+        this.metrics.rateCorrection = stats.rateCorrection ?? null;
+        this.setMetric('jitter', stats.jitter);
+        this.updatePacketLoss(stats);
+        this.updateMetricsDisplay();
+    }
+
+    /**
+     * Updates the loss recovery counts of this receiver
+     * @param {Object} stats - From RecoveryReceiver.getStats()
+     */
+    updateRecoveryStats(stats) {
+        this.metrics.recovery = stats;
+        this.updateMetricsDisplay();
+    }
+
+    /**
+     * Updates the worst latency, loss and jitter across the host's receivers,
+     * and their loss recovery counts added up
+     * @param {Array<Object>} statuses - Latest STATUS report of each receiver
+     */
+    updateReceiverStats(statuses) {
+        const worst = (key) => {
+            const values = statuses.map(status => status[key]).filter(value => typeof value === 'number');
+            return values.length > 0 ? Math.max(...values) : null;
+        };
+
+        this.setMetric('audioLatency', worst('latency') ?? 0);
+        this.setMetric('packetLoss', worst('packetLoss'));
+        this.setMetric('jitter', worst('jitter'));
+        const recoveries = statuses.map(status => status.recovery).filter(Boolean);
+        this.metrics.recovery = recoveries.length > 0 ? PerformanceMonitor.addCounts(recoveries) : null;
+        this.updateMetricsDisplay();
+    }
+
+    /**
+     * Adds up objects of counters, nested objects included
+     * @private
+     * @param {Array<Object>} counts - Objects with the same shape
+     * @returns {Object} Totals
+     */
+    static addCounts(counts) {
+        return Object.fromEntries(Object.entries(counts[0]).map(([key, value]) => [
+            key,
+            typeof value === 'object' && value !== null
+                ? PerformanceMonitor.addCounts(counts.map(count => count[key] ?? {}))
+                : counts.reduce((total, count) => total + (Number(count[key]) || 0), 0)
+        ]));
+    }
+
+    /**
+     * Works out the loss rate since the previous buffer report
+     * @private
+     * @param {Object} stats - Buffer stats with cumulative received and expected counts
+     */
+    updatePacketLoss({ received, expected }) {
+        if (received === undefined || expected === undefined) return;
+
+        const previous = this.packetCounts;
+        this.packetCounts = { received, expected };
+        // The worklet counters only grow, so a drop means a new worklet
+        if (!previous || expected < previous.expected) return;
+
+        const expectedDelta = expected - previous.expected;
+        if (expectedDelta === 0) return;
+
+        const lost = expectedDelta - (received - previous.received);
+        this.setMetric('packetLoss', Math.max(0, lost / expectedDelta) * 100);
+    }
+
+    /**
+     * Updates the clock sync estimate for a device
+     * @param {string} deviceId - Receiver ID on the host, 'host' on a receiver
+     * @param {Object} estimate - { offset, drift, rtt } in ms, ppm and ms
+     */
+    updateClockSync(deviceId, estimate) {
+        this.clockSync.set(deviceId, {
+            offset: estimate.offset,
+            drift: estimate.drift,
+            rtt: estimate.rtt
+        });
+        this.updateTransportRtt();
+        this.updateClockSyncDisplay();
+    }
+
+    /**
+     * Removes the clock sync estimate for a device
+     * @param {string} deviceId - Device ID
+     */
+    removeClockSync(deviceId) {
+        if (this.clockSync.delete(deviceId)) {
+            this.updateTransportRtt();
+            this.updateClockSyncDisplay();
         }
+    }
+
+    /**
+     * Takes the transport round trip time from clock sync, the worst device's
+     * on the host
+     * @private
+     */
+    updateTransportRtt() {
+        const rtts = Array.from(this.clockSync.values(), ({ rtt }) => rtt);
+        this.setMetric('transportRtt', rtts.length > 0 ? Math.max(...rtts) : null);
 
         this.updateMetricsDisplay();
     }
 
+    /**
+     * Renders per-device clock offset and drift
+     * @private
+     */
+    updateClockSyncDisplay() {
+        document.querySelectorAll('.clock-sync-list').forEach(list => {
+            list.innerHTML = '';
+            this.clockSync.forEach(({ offset, drift, rtt }, deviceId) => {
+                const item = document.createElement('li');
+                item.textContent = `${deviceId}: offset ${offset.toFixed(1)}ms, `
+                    + `drift ${drift.toFixed(1)}ppm, RTT ${rtt.toFixed(1)}ms`;
+                list.appendChild(item);
+            });
+        });
+    }
+
     /**
      * Initializes battery monitoring
      * @private
@@ -130,16 +308,9 @@ class PerformanceMonitor {
             const battery = await navigator.getBattery();
             
             const updateBattery = () => {
-                this.metrics.batteryLevel = battery.level * 100;
+                this.metrics.batteryCharging = battery.charging;
+                this.setMetric('batteryLevel', battery.level * 100);
                 this.updateMetricsDisplay();
-
-                if (battery.level < 0.2 && !battery.charging) {
-                    this.dispatchAlert({
-                        type: 'warning',
-                        message: 'Low battery',
-                        value: this.metrics.batteryLevel
-                    });
-                }
             };
 
             battery.addEventListener('levelchange', updateBattery);
@@ -157,9 +328,12 @@ class PerformanceMonitor {
     startPerformanceMonitoring() {
         if (this.monitoringInterval) return;
 
+        this.startLongTaskObserver();
+        this.updateOutputLatency();
         this.monitoringInterval = setInterval(() => {
-            this.updateCPUUsage();
-        }, 2000);
+            this.updateMainThreadLoad();
+            this.updateOutputLatency();
+        }, MONITORING_INTERVAL);
     }
 
     /**
@@ -171,92 +345,187 @@ class PerformanceMonitor {
             clearInterval(this.monitoringInterval);
             this.monitoringInterval = null;
         }
+        this.longTaskObserver?.disconnect();
+        this.longTaskObserver = null;
     }
 
     /**
-     * Updates CPU usage measurement
+     * Sums the time the main thread spends in long tasks, which is time it
+     * cannot feed the audio pipeline
      * @private
      */
-    async updateCPUUsage() {
-        if (!this.isMonitoring) return;
+    startLongTaskObserver() {
+        if (!PerformanceObserver.supportedEntryTypes?.includes('longtask')) return;
+
+        this.longTaskTime = 0;
+        this.lastLongTaskCheck = performance.now();
+        this.longTaskObserver = new PerformanceObserver((list) => {
+            list.getEntries().forEach(entry => {
+                this.longTaskTime += entry.duration;
+            });
+        });
+        this.longTaskObserver.observe({ type: 'longtask' });
+    }
 
-        try {
-            const currentTime = performance.now();
-            const timeDiff = currentTime - this.lastCPUCheck;
-            
-            if (timeDiff > 1000) { // Check every second
-                const usage = await this.measureCPUUsage();
-                this.metrics.cpuUsage = usage;
-
-                if (usage > 80) {
-                    this.dispatchAlert({
-                        type: 'warning',
-                        message: 'High CPU usage',
-                        value: usage
-                    });
-                }
-
-                this.lastCPUCheck = currentTime;
-                this.updateMetricsDisplay();
-            }
-        } catch (error) {
-            console.warn('CPU monitoring error:', error);
-        }
+    /**
+     * Updates the share of the last interval the main thread was blocked
+     * @private
+     */
+    updateMainThreadLoad() {
+        if (!this.longTaskObserver) return;
+
+        const now = performance.now();
+        this.setMetric('mainThreadLoad', Math.min(100, (this.longTaskTime / (now - this.lastLongTaskCheck)) * 100));
+        this.longTaskTime = 0;
+        this.lastLongTaskCheck = now;
+
+        this.updateMetricsDisplay();
     }
 
     /**
-     * Measures current CPU usage
+     * Reads the output and base latency of the audio context, which change
+     * with the output device
      * @private
-     * @returns {Promise<number>} CPU usage percentage
      */
-    async measureCPUUsage() {
-        if (!window.performance || !performance.memory) {
-            return 0;
-        }
+    updateOutputLatency() {
+        if (!this.audioContext) return;
 
-        const used = performance.memory.usedJSHeapSize;
-        const total = performance.memory.totalJSHeapSize;
-        return Math.round((used / total) * 100);
+        this.setMetric('outputLatency', (this.audioContext.outputLatency || 0) * 1000);
+        this.metrics.baseLatency = (this.audioContext.baseLatency || 0) * 1000;
+        this.updateMetricsDisplay();
     }
 
     /**
-     * Updates the metrics display in the UI
+     * Updates the metrics display in the UI. The host and receiver panels
+     * both show metrics, so every matching element is updated.
      * @private
      */
     updateMetricsDisplay() {
-        // Update latency display
-        const latencyValue = document.querySelector('.latency-value');
-        if (latencyValue) {
-            latencyValue.textContent = `${Math.round(this.metrics.audioLatency)}ms`;
-        }
+        const { metrics } = this;
+        const format = (value, unit) => (value === null ? '--' : `${Math.round(value)}${unit}`);
+
+        this.setMetricText('.latency-value', format(metrics.audioLatency || null, 'ms'));
+        this.setMetricText('.signal-value', format(metrics.signalStrength, '%'));
+        this.setMetricText('.rtt-value', metrics.transportRtt === null ? '--' : `${metrics.transportRtt.toFixed(1)}ms`);
+        this.setMetricText('.loss-value', metrics.packetLoss === null ? '--' : `${metrics.packetLoss.toFixed(1)}%`);
+        this.setMetricText('.jitter-value', metrics.jitter === null ? '--' : `${metrics.jitter.toFixed(1)}ms`);
+        this.setMetricText('.recovery-value', metrics.recovery === null
+            ? '--'
+            : `${Object.values(metrics.recovery.recovered).reduce((total, count) => total + count, 0)} / ${metrics.recovery.lost}`);
+        this.setMetricText('.cpu-value', `${format(metrics.cpuUsage, '%')} (peak ${format(metrics.cpuPeak, '%')})`);
+        this.setMetricText('.main-thread-value', format(metrics.mainThreadLoad, '%'));
+        this.setMetricText('.output-latency-value', metrics.outputLatency === null
+            ? '--'
+            : `${format(metrics.outputLatency, 'ms')} + ${format(metrics.baseLatency, 'ms')} base`);
+
+        // Jitter buffer displays
+        this.setMetricText('.buffer-value', `${Math.round(metrics.bufferDepth)}/${Math.round(metrics.bufferTargetDepth)}ms`);
+        this.setMetricText('.underrun-value', `${metrics.bufferUnderruns}`);
+        this.setMetricText('.overrun-value', `${metrics.bufferOverruns}`);
+        this.setMetricText('.concealed-value', metrics.concealedSamples === null ? '--' : `${metrics.concealedSamples}`);
+        this.setMetricText('.rate-correction-value', metrics.rateCorrection === null
+            ? '--'
+            : `${PerformanceMonitor.formatPpm(metrics.rateCorrection)} (drift ${PerformanceMonitor.formatPpm(metrics.audioClockDrift)})`);
+
+        this.setMetricText('.battery-value', format(metrics.batteryLevel, '%'));
+
+        this.sparklinePanel.update();
+    }
 
-        // Update signal strength display
-        const signalValue = document.querySelector('.signal-value');
-        if (signalValue) {
-            signalValue.textContent = `${Math.round(this.metrics.signalStrength)}%`;
-        }
+    /**
+     * @private
+     * @param {number} ppm - Rate difference in ppm
+     * @returns {string} Signed value with one decimal
+     */
+    static formatPpm(ppm) {
+        return `${ppm >= 0 ? '+' : ''}${ppm.toFixed(1)}ppm`;
+    }
+
+    /**
+     * @private
+     * @param {string} selector - Class of the value elements
+     * @param {string} text - Text to show
+     */
+    setMetricText(selector, text) {
+        document.querySelectorAll(selector).forEach(element => {
+            element.textContent = text;
+        });
+    }
 
-        // Update CPU usage display
-        const cpuValue = document.querySelector('.cpu-value');
-        if (cpuValue) {
-            cpuValue.textContent = `${Math.round(this.metrics.cpuUsage)}%`;
+    /**
+     * Sets a metric, keeping a sample in the history for HISTORY_METRICS,
+     * and checks the alert rules
+     * @private
+     * @param {string} name - Key of this.metrics
+     * @param {number|null} value - New value, null when not measured
+     */
+    setMetric(name, value) {
+        this.metrics[name] = value;
+        if (HISTORY_METRICS.includes(name)) {
+            this.history.record(name, value);
         }
+        this.alertEngine.evaluate(this.metrics);
+    }
 
-        // Update battery level display
-        const batteryValue = document.querySelector('.battery-value');
-        if (batteryValue) {
-            batteryValue.textContent = `${Math.round(this.metrics.batteryLevel)}%`;
+    /**
+     * Appends to a diagnostics log, dropping the oldest entries past MAX_LOG_ENTRIES
+     * @private
+     * @param {Array<Object>} log - Log to append to
+     * @param {Object} entry - Entry to append
+     */
+    static appendLog(log, entry) {
+        log.push(entry);
+        if (log.length > MAX_LOG_ENTRIES) {
+            log.splice(0, log.length - MAX_LOG_ENTRIES);
         }
     }
 
     /**
-     * Dispatches a performance alert
+     * Logs a connection state change for diagnostics
+     * @param {string} side - 'host' or 'receiver'
+     * @param {Object} event - State change event from a ConnectionStateMachine
+     */
+    recordConnectionEvent(side, { state, previousState, error, ...details }) {
+        PerformanceMonitor.appendLog(this.connectionEvents, {
+            time: Date.now(),
+            side,
+            state,
+            previousState,
+            ...details,
+            ...(error && { error: error.message || String(error) })
+        });
+    }
+
+    /**
+     * Logs an adaptive bitrate decision and lists it in the metrics panel
+     * @param {Object} decision - Decision event from the adaptive bitrate controller
+     */
+    recordAdaptation(decision) {
+        PerformanceMonitor.appendLog(this.adaptations, decision);
+        this.adaptationLogPanel.render(this.adaptations);
+    }
+
+    /**
+     * Changes how long metric history is kept
+     * @param {number} retention - Milliseconds of history to keep
+     * @throws {Error} If the window is not a positive number
+     */
+    setHistoryRetention(retention) {
+        this.history.setRetention(retention);
+        this.sparklinePanel.draw();
+    }
+
+    /**
+     * Logs an alert being raised or cleared and announces it as a
+     * performance:alert window event
      * @private
-     * @param {Object} alert - Alert details
+     * @param {string} status - One of ALERT_EVENTS
+     * @param {Object} alert - Alert event from the alert engine
      */
-    dispatchAlert(alert) {
+    dispatchAlert(status, alert) {
+        PerformanceMonitor.appendLog(this.alerts, { status, ...alert });
         window.dispatchEvent(new CustomEvent('performance:alert', {
-            detail: alert
+            detail: { status, ...alert }
         }));
     }
 
@@ -265,7 +534,39 @@ class PerformanceMonitor {
      * @returns {Object} Current metrics
      */
     getMetrics() {
-        return { ...this.metrics };
+        return {
+            ...this.metrics,
+            clockSync: Object.fromEntries(this.clockSync)
+        };
+    }
+
+    /**
+     * Gets everything the monitor has recorded, for a diagnostics report.
+     * Sample times are converted from performance.now() to epoch ms.
+     * @returns {Object} { metrics, history: { name: { aggregates, samples } }, alerts, connectionEvents, adaptations }
+     */
+    getDiagnostics() {
+        const history = {};
+        this.history.getNames().forEach(name => {
+            history[name] = {
+                aggregates: this.history.getAggregates(name),
+                samples: this.history.getSeries(name).map(({ time, value }) => ({
+                    time: Math.round(performance.timeOrigin + time),
+                    value
+                }))
+            };
+        });
+
+        return {
+            metrics: this.getMetrics(),
+            retention: this.history.retention,
+            history,
+            alertRules: this.alertEngine.getRules(),
+            activeAlerts: this.alertEngine.getActiveAlerts(),
+            alerts: [...this.alerts],
+            connectionEvents: [...this.connectionEvents],
+            adaptations: [...this.adaptations]
+        };
     }
 }
 
@@ -0,0 +1,147 @@
+import ReceiverPlayback, { PLAYBACK_STATES, EQ_BANDS } from './receiverPlayback.js';
+import { CONNECTION_STATES } from '../session/connectionStateMachine.js';
+import { formatTime } from '../playlist/playlistPanel.js';
+
+/**
+ * Receiver UI for playback: pause and resume, the output device, the EQ
+ * and how far into the host stream the receiver is
+ */
+class PlaybackPanel {
+    /**
+     * @param {string} panelId - ID of the panel element
+     * @param {ReceiverController} receiverController - Receiver driven by the panel
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(panelId, receiverController, notificationManager) {
+        this.panel = document.getElementById(panelId);
+        this.receiverController = receiverController;
+        this.playback = receiverController.playback;
+        this.notificationManager = notificationManager;
+
+        this.pauseButton = this.panel.querySelector('.playback-pause');
+        this.position = this.panel.querySelector('.playback-position');
+        this.output = this.panel.querySelector('.playback-output');
+        this.deviceSelect = this.panel.querySelector('.playback-device');
+        this.eq = this.panel.querySelector('.playback-eq');
+
+        EQ_BANDS.forEach(band => this.createBand(band));
+        this.pauseButton.addEventListener('click', () => this.togglePause());
+        this.deviceSelect.addEventListener('change', () => this.selectDevice(this.deviceSelect.value));
+
+        this.output.classList.toggle('hidden', !this.playback.canSelectOutput);
+        if (this.playback.canSelectOutput) {
+            navigator.mediaDevices?.addEventListener('devicechange', () => this.listDevices());
+            this.listDevices();
+        }
+
+        this.playback.addListener(() => this.update());
+        receiverController.connection.onChange(() => this.update());
+        receiverController.addStreamListener((event) => {
+            if (event.type === 'playbackPosition') {
+                this.showPosition(event);
+            }
+        });
+        this.update();
+    }
+
+    /**
+     * Builds the slider for one EQ band
+     * @private
+     * @param {Object} band - Entry of EQ_BANDS
+     */
+    createBand({ id, label }) {
+        const control = document.createElement('label');
+        control.className = 'playback-band';
+        control.innerHTML = `
+            <span></span>
+            <input type="range" min="-12" max="12" step="1" value="0">
+            <output>0 dB</output>
+        `;
+        control.querySelector('span').textContent = label;
+
+        const slider = control.querySelector('input');
+        slider.addEventListener('input', () => {
+            this.playback.setEqGain(id, Number(slider.value));
+            control.querySelector('output').textContent = `${slider.value} dB`;
+        });
+        this.eq.appendChild(control);
+    }
+
+    /**
+     * Fills the output device list
+     * @private
+     */
+    async listDevices() {
+        try {
+            const devices = await ReceiverPlayback.getOutputDevices();
+            this.deviceSelect.innerHTML = '<option value="">Default output</option>';
+            devices
+                .filter(({ deviceId }) => deviceId && deviceId !== 'default')
+                .forEach(({ deviceId, label }) => this.deviceSelect.add(new Option(label, deviceId)));
+            this.deviceSelect.value = this.playback.sinkId;
+        } catch (error) {
+            console.warn('Failed to list audio outputs:', error);
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} sinkId - Device ID, '' for the default output
+     */
+    async selectDevice(sinkId) {
+        try {
+            await this.playback.setOutputDevice(sinkId);
+            this.notificationManager.success(`Playing on ${this.deviceSelect.selectedOptions[0].text}`);
+        } catch (error) {
+            console.error('Failed to switch audio output:', error);
+            this.notificationManager.error(`Failed to switch audio output: ${error.message}`);
+            this.deviceSelect.value = this.playback.sinkId;
+        }
+    }
+
+    /**
+     * @private
+     */
+    async togglePause() {
+        try {
+            if (this.playback.state === PLAYBACK_STATES.PAUSED) {
+                await this.receiverController.resumeReceiving();
+            } else {
+                await this.receiverController.pauseReceiving();
+            }
+        } catch (error) {
+            console.error('Playback error:', error);
+            this.notificationManager.error(error.message);
+        }
+    }
+
+    /**
+     * Syncs the pause button with the playback and connection state
+     * @private
+     */
+    update() {
+        const isPaused = this.playback.state === PLAYBACK_STATES.PAUSED;
+        const isLinked = this.receiverController.connection.is(CONNECTION_STATES.CONNECTED, CONNECTION_STATES.STREAMING);
+
+        this.pauseButton.disabled = !isLinked || this.playback.state === PLAYBACK_STATES.STOPPED;
+        this.pauseButton.innerHTML = isPaused
+            ? '<i class="fas fa-play"></i><span>Resume</span>'
+            : '<i class="fas fa-pause"></i><span>Pause</span>';
+
+        if (this.playback.state === PLAYBACK_STATES.STOPPED) {
+            this.position.textContent = '';
+        }
+    }
+
+    /**
+     * @private
+     * @param {Object} position - { position, delay } from the receiver controller
+     */
+    showPosition({ position, delay }) {
+        this.position.textContent = delay === null
+            ? formatTime(position)
+            : `${formatTime(position)} · ${Math.round(delay)} ms behind host`;
+    }
+}
+
+export default PlaybackPanel;
@@ -0,0 +1,244 @@
+/**
+ * Output stage of a receiver: everything between the jitter buffer and the
+ * speaker.
+ *
+ * The chain runs input -> fader (volume, mute, pause) -> EQ bands ->
+ * destination. Pausing fades the fader out instead of cutting it, and the
+ * output device is chosen on the audio context with setSinkId. One-off
+ * signals, like the calibration sweep, join after the fader.
+ *
+ * The device's output latency (base plus output latency of the context) is
+ * exposed so playout can be scheduled early enough that every receiver is
+ * heard at the same moment, whatever its output path adds.
+ */
+export const PLAYBACK_STATES = {
+    STOPPED: 'stopped',
+    PLAYING: 'playing',
+    PAUSED: 'paused'
+};
+
+export const EQ_BANDS = [
+    { id: 'low', label: 'Bass', type: 'lowshelf', frequency: 200 },
+    { id: 'mid', label: 'Mid', type: 'peaking', frequency: 1000, Q: 0.9 },
+    { id: 'high', label: 'Treble', type: 'highshelf', frequency: 5000 }
+];
+
+const MAX_EQ_GAIN = 12; // dB boost or cut per band
+const FADE_TIME_CONSTANT = 0.015; // Seconds, short enough to feel instant without clicking
+
+class ReceiverPlayback {
+    /**
+     * @param {AudioContext} audioContext - Shared audio context
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.state = PLAYBACK_STATES.STOPPED;
+        this.volume = 1;
+        this.isMuted = false;
+        this.sinkId = '';
+        this.listeners = new Set();
+
+        this.input = audioContext.createGain();
+        this.fader = audioContext.createGain();
+        this.eqFilters = new Map(EQ_BANDS.map(({ id, type, frequency, Q }) => {
+            const filter = audioContext.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = frequency;
+            if (Q !== undefined) {
+                filter.Q.value = Q;
+            }
+            filter.gain.value = 0;
+            return [id, filter];
+        }));
+
+        const chain = [this.input, this.fader, ...this.eqFilters.values(), audioContext.destination];
+        chain.slice(1).forEach((node, index) => chain[index].connect(node));
+        this.signalInput = this.eqFilters.get(EQ_BANDS[0].id);
+        this.applyGain();
+    }
+
+    /**
+     * Whether the browser can route the output to a chosen device
+     * @returns {boolean}
+     */
+    get canSelectOutput() {
+        return typeof this.audioContext.setSinkId === 'function';
+    }
+
+    /**
+     * Lists the audio outputs the page may use
+     * @returns {Promise<Array<{deviceId: string, label: string}>>}
+     */
+    static async getOutputDevices() {
+        if (!navigator.mediaDevices?.enumerateDevices) return [];
+
+        const devices = await navigator.mediaDevices.enumerateDevices();
+        return devices
+            .filter(device => device.kind === 'audiooutput')
+            .map(({ deviceId, label }, index) => ({ deviceId, label: label || `Speaker ${index + 1}` }));
+    }
+
+    /**
+     * Starts playing from a stopped or paused state
+     */
+    play() {
+        this.setState(PLAYBACK_STATES.PLAYING);
+    }
+
+    /**
+     * Fades out, keeping the output settings
+     */
+    pause() {
+        if (this.state !== PLAYBACK_STATES.PLAYING) return;
+        this.setState(PLAYBACK_STATES.PAUSED);
+    }
+
+    /**
+     * Fades out and forgets that playback was paused
+     */
+    stop() {
+        this.setState(PLAYBACK_STATES.STOPPED);
+    }
+
+    /**
+     * Sets the volume level
+     * @param {number} volume - Volume level (0-1)
+     */
+    setVolume(volume) {
+        this.volume = Math.max(0, Math.min(1, volume));
+        this.applyGain();
+        this.notifyListeners();
+    }
+
+    /**
+     * Mutes or unmutes without losing the volume setting
+     * @param {boolean} isMuted - Whether to mute
+     */
+    setMuted(isMuted) {
+        this.isMuted = isMuted;
+        this.applyGain();
+        this.notifyListeners();
+    }
+
+    /**
+     * Boosts or cuts one EQ band
+     * @param {string} bandId - ID from EQ_BANDS
+     * @param {number} gain - Gain in dB, clamped to ±MAX_EQ_GAIN
+     * @throws {Error} If the band does not exist
+     */
+    setEqGain(bandId, gain) {
+        const filter = this.eqFilters.get(bandId);
+        if (!filter) {
+            throw new Error(`Unknown EQ band ${bandId}`);
+        }
+        filter.gain.value = Math.max(-MAX_EQ_GAIN, Math.min(MAX_EQ_GAIN, gain));
+        this.notifyListeners();
+    }
+
+    /**
+     * Gets the gain of every EQ band
+     * @returns {Object<string, number>} Band ID to gain in dB
+     */
+    getEqGains() {
+        return Object.fromEntries(Array.from(this.eqFilters, ([id, filter]) => [id, filter.gain.value]));
+    }
+
+    /**
+     * Routes playback to another output device
+     * @param {string} sinkId - Device ID from getOutputDevices(), '' for the default output
+     * @returns {Promise<void>}
+     * @throws {Error} If the browser cannot select outputs or the device is unavailable
+     */
+    async setOutputDevice(sinkId) {
+        if (!this.canSelectOutput) {
+            throw new Error('This browser cannot choose the audio output');
+        }
+        await this.audioContext.setSinkId(sinkId);
+        this.sinkId = sinkId;
+        this.notifyListeners();
+    }
+
+    /**
+     * Plays a one-off signal at full level, heard even while the stream is
+     * paused or muted
+     * @param {Float32Array} samples - Mono samples at the context rate
+     * @param {number} when - Audio context time to start rendering at
+     */
+    playSignal(samples, when) {
+        const buffer = this.audioContext.createBuffer(1, samples.length, this.audioContext.sampleRate);
+        buffer.copyToChannel(samples, 0);
+        const source = this.audioContext.createBufferSource();
+        source.buffer = buffer;
+        source.connect(this.signalInput);
+        source.addEventListener('ended', () => source.disconnect());
+        source.start(when);
+    }
+
+    /**
+     * Time between a sample being rendered and it leaving the speaker
+     * @returns {number} Seconds, re-read every call since it changes with the output device
+     */
+    getOutputLatency() {
+        return (this.audioContext.baseLatency || 0) + (this.audioContext.outputLatency || 0);
+    }
+
+    /**
+     * Adds a listener for playback state and setting changes
+     * @param {Function} listener - Callback function
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * Removes a playback listener
+     * @param {Function} listener - Callback function to remove
+     */
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     * @param {string} state - One of PLAYBACK_STATES
+     */
+    setState(state) {
+        if (this.state === state) return;
+
+        this.state = state;
+        this.applyGain();
+        this.notifyListeners();
+    }
+
+    /**
+     * @private
+     */
+    applyGain() {
+        const isAudible = this.state === PLAYBACK_STATES.PLAYING && !this.isMuted;
+        this.fader.gain.setTargetAtTime(isAudible ? this.volume : 0, this.audioContext.currentTime, FADE_TIME_CONSTANT);
+    }
+
+    /**
+     * @private
+     */
+    notifyListeners() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Error in playback listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Disconnects the output chain
+     */
+    dispose() {
+        this.input.disconnect();
+        this.fader.disconnect();
+        this.eqFilters.forEach(filter => filter.disconnect());
+    }
+}
+
+export default ReceiverPlayback;
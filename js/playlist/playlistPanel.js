@@ -0,0 +1,165 @@
+/**
+ * Formats seconds as m:ss
+ * @param {number} seconds - Time in seconds
+ * @returns {string} Formatted time
+ */
+export function formatTime(seconds) {
+    const whole = Math.max(0, Math.floor(seconds || 0));
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
+
+const POSITION_INTERVAL = 250; // ms between position display updates while playing
+
+/**
+ * Host UI for the file source: file picker, transport controls, seek bar,
+ * now playing display and play queue
+ */
+class PlaylistPanel {
+    /**
+     * @param {string} panelId - ID of the panel element
+     * @param {PlaylistPlayer} playlistPlayer - Player driven by the panel
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(panelId, playlistPlayer, notificationManager) {
+        this.panel = document.getElementById(panelId);
+        this.player = playlistPlayer;
+        this.notificationManager = notificationManager;
+        this.positionTimer = null;
+        this.isSeeking = false;
+
+        this.fileInput = this.panel.querySelector('.playlist-files');
+        this.title = this.panel.querySelector('.playlist-title');
+        this.time = this.panel.querySelector('.playlist-time');
+        this.seekBar = this.panel.querySelector('.playlist-seek');
+        this.playButton = this.panel.querySelector('.playlist-play');
+        this.queueList = this.panel.querySelector('.playlist-queue');
+
+        this.fileInput.addEventListener('change', () => this.addFiles());
+        this.playButton.addEventListener('click', () => this.togglePlay());
+        this.panel.querySelector('.playlist-prev').addEventListener('click', () => this.player.previous());
+        this.panel.querySelector('.playlist-next').addEventListener('click', () => this.player.next());
+        this.seekBar.addEventListener('input', () => {
+            this.isSeeking = true;
+            this.time.textContent = this.formatProgress(Number(this.seekBar.value));
+        });
+        this.seekBar.addEventListener('change', () => {
+            this.isSeeking = false;
+            this.player.seek(Number(this.seekBar.value));
+        });
+        this.queueList.addEventListener('click', (event) => this.handleQueueClick(event));
+
+        this.player.addListener(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Shows or hides the panel
+     * @param {boolean} visible - Whether the file source is selected
+     */
+    setVisible(visible) {
+        this.panel.classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * Decodes the picked files into the queue
+     * @private
+     */
+    async addFiles() {
+        const files = this.fileInput.files;
+        if (!files.length) return;
+
+        const failed = await this.player.addFiles(files);
+        this.fileInput.value = '';
+        if (failed.length > 0) {
+            this.notificationManager.warning(`Could not decode: ${failed.join(', ')}`);
+        } else {
+            this.notificationManager.success(`Added ${files.length} file${files.length === 1 ? '' : 's'} to the queue`);
+        }
+    }
+
+    /**
+     * @private
+     */
+    togglePlay() {
+        if (this.player.isPlaying) {
+            this.player.pause();
+        } else {
+            this.player.play();
+        }
+    }
+
+    /**
+     * Selects or removes the clicked queue entry
+     * @private
+     * @param {MouseEvent} event - Click event
+     */
+    handleQueueClick(event) {
+        const item = event.target.closest('li');
+        if (!item) return;
+
+        const index = Number(item.dataset.index);
+        if (event.target.closest('.playlist-remove')) {
+            this.player.removeTrack(index);
+        } else {
+            this.player.selectTrack(index);
+        }
+    }
+
+    /**
+     * Updates the display from the player state
+     * @private
+     */
+    render() {
+        const nowPlaying = this.player.getNowPlaying();
+        this.title.textContent = nowPlaying ? nowPlaying.title : 'No files queued';
+        this.seekBar.disabled = !nowPlaying;
+        this.seekBar.max = nowPlaying ? nowPlaying.duration : 0;
+        this.playButton.innerHTML = nowPlaying?.isPlaying
+            ? '<i class="fas fa-pause"></i>'
+            : '<i class="fas fa-play"></i>';
+        this.updatePosition();
+
+        this.queueList.innerHTML = '';
+        this.player.getQueue().forEach((track, index) => {
+            const item = document.createElement('li');
+            item.dataset.index = index;
+            item.classList.toggle('active', index === this.player.currentIndex);
+            item.innerHTML = `
+                <span class="playlist-track"></span>
+                <span class="playlist-duration">${formatTime(track.duration)}</span>
+                <button class="playlist-remove" title="Remove"><i class="fas fa-times"></i></button>
+            `;
+            item.querySelector('.playlist-track').textContent = track.title;
+            this.queueList.appendChild(item);
+        });
+
+        // Only poll the position while something is playing
+        clearInterval(this.positionTimer);
+        this.positionTimer = nowPlaying?.isPlaying
+            ? setInterval(() => this.updatePosition(), POSITION_INTERVAL)
+            : null;
+    }
+
+    /**
+     * @private
+     */
+    updatePosition() {
+        if (this.isSeeking) return;
+
+        const position = this.player.getPosition();
+        this.seekBar.value = position;
+        this.time.textContent = this.formatProgress(position);
+    }
+
+    /**
+     * @private
+     * @param {number} position - Position in seconds
+     * @returns {string} Position and duration of the current track
+     */
+    formatProgress(position) {
+        const nowPlaying = this.player.getNowPlaying();
+        return nowPlaying ? `${formatTime(position)} / ${formatTime(nowPlaying.duration)}` : '--:--';
+    }
+}
+
+export default PlaylistPanel;
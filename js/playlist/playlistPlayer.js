@@ -0,0 +1,269 @@
+/**
+ * Plays a queue of decoded local audio files into the broadcast graph.
+ *
+ * Files are decoded up front with decodeAudioData, so seeking and skipping
+ * only restart an AudioBufferSourceNode. The position is tracked against the
+ * audio context clock because source nodes cannot report it themselves.
+ */
+class PlaylistPlayer {
+    /**
+     * @param {AudioContext} audioContext - Shared audio context
+     */
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.output = audioContext.createGain();
+        this.queue = [];
+        this.currentIndex = -1;
+        this.sourceNode = null;
+        this.startedAt = 0;
+        this.offset = 0;
+        this.isPlaying = false;
+        this.nextTrackId = 1;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Decodes files and appends them to the queue
+     * @param {FileList|File[]} files - Local audio files
+     * @returns {Promise<string[]>} Names of files that could not be decoded
+     */
+    async addFiles(files) {
+        const failed = [];
+        for (const file of Array.from(files)) {
+            try {
+                const buffer = await this.audioContext.decodeAudioData(await file.arrayBuffer());
+                this.queue.push({
+                    id: this.nextTrackId++,
+                    title: file.name.replace(/\.[^.]+$/, ''),
+                    duration: buffer.duration,
+                    buffer
+                });
+            } catch (error) {
+                console.warn(`Failed to decode ${file.name}:`, error);
+                failed.push(file.name);
+            }
+        }
+
+        if (this.currentIndex < 0 && this.queue.length > 0) {
+            this.currentIndex = 0;
+        }
+        this.notifyListeners('queue');
+        return failed;
+    }
+
+    /**
+     * Starts or resumes the current track
+     */
+    play() {
+        const track = this.queue[this.currentIndex];
+        if (!track || this.isPlaying) return;
+
+        this.startSource(track);
+        this.isPlaying = true;
+        this.notifyListeners('state');
+    }
+
+    /**
+     * Pauses at the current position
+     */
+    pause() {
+        if (!this.isPlaying) return;
+
+        this.offset = this.getPosition();
+        this.stopSource();
+        this.isPlaying = false;
+        this.notifyListeners('state');
+    }
+
+    /**
+     * Moves to a position in the current track
+     * @param {number} position - Position in seconds
+     */
+    seek(position) {
+        const track = this.queue[this.currentIndex];
+        if (!track) return;
+
+        this.offset = Math.max(0, Math.min(track.duration, position));
+        if (this.isPlaying) {
+            this.stopSource();
+            this.startSource(track);
+        }
+        this.notifyListeners('state');
+    }
+
+    /**
+     * Skips to the next track
+     */
+    next() {
+        if (this.currentIndex < this.queue.length - 1) {
+            this.selectTrack(this.currentIndex + 1);
+        }
+    }
+
+    /**
+     * Restarts the current track, or goes back one track near its start
+     */
+    previous() {
+        if (this.getPosition() < 3 && this.currentIndex > 0) {
+            this.selectTrack(this.currentIndex - 1);
+        } else {
+            this.seek(0);
+        }
+    }
+
+    /**
+     * Switches to a track in the queue, keeping the play state
+     * @param {number} index - Queue index
+     */
+    selectTrack(index) {
+        if (index < 0 || index >= this.queue.length) return;
+
+        const wasPlaying = this.isPlaying;
+        this.stopSource();
+        this.isPlaying = false;
+        this.currentIndex = index;
+        this.offset = 0;
+        if (wasPlaying) {
+            this.play();
+        }
+        this.notifyListeners('queue');
+    }
+
+    /**
+     * Removes a track from the queue
+     * @param {number} index - Queue index
+     */
+    removeTrack(index) {
+        if (index < 0 || index >= this.queue.length) return;
+
+        if (index === this.currentIndex) {
+            this.stopSource();
+            this.isPlaying = false;
+            this.offset = 0;
+        }
+        this.queue.splice(index, 1);
+        if (index < this.currentIndex || this.currentIndex >= this.queue.length) {
+            this.currentIndex--;
+        }
+        if (this.currentIndex < 0 && this.queue.length > 0) {
+            this.currentIndex = 0;
+        }
+        this.notifyListeners('queue');
+    }
+
+    /**
+     * Gets the playback position of the current track
+     * @returns {number} Position in seconds
+     */
+    getPosition() {
+        if (!this.isPlaying) return this.offset;
+        return this.offset + (this.audioContext.currentTime - this.startedAt);
+    }
+
+    /**
+     * Gets the queue without the decoded audio
+     * @returns {Array<Object>} Tracks ({ id, title, duration })
+     */
+    getQueue() {
+        return this.queue.map(({ id, title, duration }) => ({ id, title, duration }));
+    }
+
+    /**
+     * Gets metadata for the current track
+     * @returns {Object|null} { title, duration, position, isPlaying }, or null when the queue is empty
+     */
+    getNowPlaying() {
+        const track = this.queue[this.currentIndex];
+        if (!track) return null;
+
+        return {
+            title: track.title,
+            duration: track.duration,
+            position: this.getPosition(),
+            isPlaying: this.isPlaying
+        };
+    }
+
+    /**
+     * Adds a listener called with { type: 'queue' | 'state', nowPlaying }
+     * @param {Function} listener - Callback function
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * Removes a listener
+     * @param {Function} listener - Callback function to remove
+     */
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     * @param {string} type - 'queue' when the track list or current track changed, 'state' otherwise
+     */
+    notifyListeners(type) {
+        const event = { type, nowPlaying: this.getNowPlaying() };
+        this.listeners.forEach(listener => {
+            try {
+                listener(event);
+            } catch (error) {
+                console.error('Error in playlist listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Starts a source node for a track at the current offset
+     * @private
+     * @param {Object} track - Queue entry
+     */
+    startSource(track) {
+        const source = this.audioContext.createBufferSource();
+        source.buffer = track.buffer;
+        source.connect(this.output);
+        source.onended = () => this.handleEnded(source);
+        source.start(0, this.offset);
+
+        this.sourceNode = source;
+        this.startedAt = this.audioContext.currentTime;
+    }
+
+    /**
+     * @private
+     */
+    stopSource() {
+        if (!this.sourceNode) return;
+
+        this.sourceNode.onended = null;
+        this.sourceNode.stop();
+        this.sourceNode.disconnect();
+        this.sourceNode = null;
+    }
+
+    /**
+     * Advances the queue when a track plays to its end
+     * @private
+     * @param {AudioBufferSourceNode} source - Source that ended
+     */
+    handleEnded(source) {
+        if (source !== this.sourceNode) return;
+
+        this.sourceNode.disconnect();
+        this.sourceNode = null;
+        this.isPlaying = false;
+        this.offset = 0;
+
+        if (this.currentIndex < this.queue.length - 1) {
+            this.currentIndex++;
+            this.play();
+            this.notifyListeners('queue');
+        } else {
+            this.notifyListeners('state');
+        }
+    }
+}
+
+export default PlaylistPlayer;
@@ -0,0 +1,135 @@
+import PacketFormatError from './packetFormatError.js';
+
+/**
+ * Versioned binary audio packet format shared by host and receivers.
+ *
+ * Layout (big-endian, 24 byte header):
+ *   0  uint8   magic (0x57)
+ *   1  uint8   format version
+ *   2  uint16  stream ID
+ *   4  uint32  sequence number
+ *   8  float64 capture timestamp (host clock, ms)
+ *  16  uint32  sample rate (Hz)
+ *  20  uint8   channel count
+ *  21  uint8   payload codec
+ *  22  uint16  payload length (bytes)
+ *  24  ...     payload (PCM samples are little-endian)
+ */
+export const PACKET_MAGIC = 0x57;
+export const PACKET_VERSION = 1;
+export const HEADER_SIZE = 24;
+export const MAX_PAYLOAD_SIZE = 0xffff;
+
+/**
+ * Payload codec identifiers
+ */
+export const CODECS = {
+    PCM_FLOAT32: 0,
+    PCM_INT16: 1,
+    MULAW: 2,
+    IMA_ADPCM: 3,
+    OPUS: 4
+};
+
+const KNOWN_CODECS = new Set(Object.values(CODECS));
+
+class AudioPacket {
+    /**
+     * Checks whether bytes look like an audio packet
+     * @param {Uint8Array} bytes - Received frame
+     * @returns {boolean}
+     */
+    static matches(bytes) {
+        return bytes.byteLength > 0 && bytes[0] === PACKET_MAGIC;
+    }
+
+    /**
+     * Encodes a packet
+     * @param {Object} packet
+     * @param {number} packet.streamId - Stream ID (0-65535)
+     * @param {number} packet.sequence - Sequence number (uint32)
+     * @param {number} packet.timestamp - Capture timestamp in host clock milliseconds
+     * @param {number} packet.sampleRate - Sample rate in Hz
+     * @param {number} packet.channelCount - Number of interleaved channels
+     * @param {number} packet.codec - Payload codec from CODECS
+     * @param {Uint8Array} packet.payload - Encoded audio
+     * @returns {Uint8Array} Packet bytes
+     */
+    static encode({ streamId, sequence, timestamp, sampleRate, channelCount, codec, payload }) {
+        if (payload.byteLength > MAX_PAYLOAD_SIZE) {
+            throw new RangeError(`Payload of ${payload.byteLength} bytes exceeds ${MAX_PAYLOAD_SIZE}`);
+        }
+
+        const bytes = new Uint8Array(HEADER_SIZE + payload.byteLength);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint8(0, PACKET_MAGIC);
+        view.setUint8(1, PACKET_VERSION);
+        view.setUint16(2, streamId);
+        view.setUint32(4, sequence >>> 0);
+        view.setFloat64(8, timestamp);
+        view.setUint32(16, sampleRate);
+        view.setUint8(20, channelCount);
+        view.setUint8(21, codec);
+        view.setUint16(22, payload.byteLength);
+        bytes.set(payload, HEADER_SIZE);
+
+        return bytes;
+    }
+
+    /**
+     * Decodes and validates a packet
+     * @param {Uint8Array} bytes - Packet bytes
+     * @returns {Object} Header fields plus payload (a view into bytes)
+     * @throws {PacketFormatError} If the packet is malformed
+     */
+    static decode(bytes) {
+        if (!(bytes instanceof Uint8Array)) {
+            throw new PacketFormatError('expected a Uint8Array');
+        }
+        if (bytes.byteLength < HEADER_SIZE) {
+            throw new PacketFormatError(`${bytes.byteLength} bytes is shorter than the ${HEADER_SIZE} byte header`);
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.getUint8(0) !== PACKET_MAGIC) {
+            throw new PacketFormatError('bad magic byte');
+        }
+
+        const version = view.getUint8(1);
+        if (version !== PACKET_VERSION) {
+            throw new PacketFormatError(`unsupported version ${version}`);
+        }
+
+        const sampleRate = view.getUint32(16);
+        const channelCount = view.getUint8(20);
+        const codec = view.getUint8(21);
+        const payloadLength = view.getUint16(22);
+
+        if (sampleRate === 0) {
+            throw new PacketFormatError('sample rate is zero');
+        }
+        if (channelCount === 0) {
+            throw new PacketFormatError('channel count is zero');
+        }
+        if (!KNOWN_CODECS.has(codec)) {
+            throw new PacketFormatError(`unknown codec ${codec}`);
+        }
+        if (payloadLength !== bytes.byteLength - HEADER_SIZE) {
+            throw new PacketFormatError(`payload length ${payloadLength} does not match ${bytes.byteLength - HEADER_SIZE} received bytes`);
+        }
+
+        return {
+            version,
+            streamId: view.getUint16(2),
+            sequence: view.getUint32(4),
+            timestamp: view.getFloat64(8),
+            sampleRate,
+            channelCount,
+            codec,
+            payload: bytes.subarray(HEADER_SIZE)
+        };
+    }
+}
+
+export default AudioPacket;
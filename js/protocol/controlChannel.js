@@ -0,0 +1,201 @@
+import ControlMessage, { CONTROL_TYPES, PROTOCOL_VERSION } from './controlMessage.js';
+
+/**
+ * Request/acknowledge layer over a transport's control channel.
+ *
+ * Assigns message IDs, retries messages that need an acknowledgement until
+ * one arrives, drops duplicates caused by those retries, checks the
+ * protocol version and dispatches each message to the handler registered
+ * for its type.
+ *
+ * A message is acknowledged once its handler has run, so a handler that
+ * returns false (or a promise of false) refuses the message and the sender
+ * sees it as unacknowledged. Retries of a refused message stay
+ * unacknowledged too, and retries of one still being handled wait for it.
+ */
+const ACK_TIMEOUT = 1000; // ms to wait for an acknowledgement
+const MAX_ATTEMPTS = 3;
+const DUPLICATE_WINDOW = 64; // Recent message IDs remembered per peer
+
+class ControlChannel {
+    /**
+     * @param {Function} sendFrame - Sends a control frame, (peerId, frame) => Promise<boolean>
+     */
+    constructor(sendFrame) {
+        this.sendFrame = sendFrame;
+        this.handlers = new Map();
+        this.pending = new Map();
+        this.recentDispatches = new Map(); // Peer ID to a Map of recent message IDs and their dispatch results
+        this.nextId = 1;
+    }
+
+    /**
+     * Registers message handlers
+     * @param {Object<string, Function>} handlers - Message type to handler, called with (peerId, payload)
+     *   and returning false, or a promise of false, to refuse the message
+     */
+    register(handlers) {
+        Object.entries(handlers).forEach(([type, handler]) => this.handlers.set(type, handler));
+    }
+
+    /**
+     * Sends a message to a peer
+     * @param {string} peerId - Target peer
+     * @param {string} type - One of CONTROL_TYPES
+     * @param {Object} [payload] - Type specific fields
+     * @param {Object} [options]
+     * @param {boolean} [options.needsAck] - Retry until the peer acknowledges
+     * @returns {Promise<boolean>} Whether the message was sent (and acknowledged if requested)
+     * @throws {Error} If an acknowledged message gets no acknowledgement
+     */
+    async send(peerId, type, payload = {}, { needsAck = false } = {}) {
+        const id = this.nextId++;
+        const frame = ControlMessage.encode({ id, type, payload, needsAck });
+        if (!needsAck) {
+            return this.sendFrame(peerId, frame);
+        }
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+            const acknowledged = this.waitForAck(peerId, id);
+            await this.sendFrame(peerId, frame);
+            if (await acknowledged) return true;
+        }
+        throw new Error(`No acknowledgement for ${type} from ${peerId}`);
+    }
+
+    /**
+     * Handles a frame received on the control channel
+     * @param {string} peerId - Sending peer
+     * @param {Uint8Array} data - Frame bytes
+     */
+    handleFrame(peerId, data) {
+        let message;
+        try {
+            message = ControlMessage.decode(data);
+        } catch (error) {
+            console.warn(`Dropping control message from ${peerId}:`, error.message);
+            return;
+        }
+
+        if (message.v !== PROTOCOL_VERSION) {
+            console.warn(`Peer ${peerId} speaks control protocol v${message.v}, expected v${PROTOCOL_VERSION}`);
+            if (message.type !== CONTROL_TYPES.GOODBYE) {
+                this.send(peerId, CONTROL_TYPES.GOODBYE, {
+                    reason: `Unsupported protocol version ${message.v}`
+                }).catch(() => {});
+            }
+            return;
+        }
+
+        if (message.type === CONTROL_TYPES.ACK) {
+            this.pending.get(`${peerId}:${message.ack}`)?.(true);
+            return;
+        }
+
+        // Duplicates are not dispatched again but acknowledged again once the
+        // first dispatch accepts the message, the first acknowledgement may
+        // have been lost
+        let result = this.getDispatch(peerId, message.id);
+        if (!result) {
+            result = this.dispatch(peerId, message);
+            this.recordDispatch(peerId, message.id, result);
+        }
+        result.then(isAccepted => {
+            if (message.needsAck && isAccepted) this.acknowledge(peerId, message);
+        });
+    }
+
+    /**
+     * Runs the handler for a message
+     * @private
+     * @param {string} peerId - Sending peer
+     * @param {Object} message - Decoded message
+     * @returns {Promise<boolean>} Whether the message should be acknowledged
+     */
+    async dispatch(peerId, { type, payload }) {
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            console.warn(`No handler for control message ${type}`);
+            return true;
+        }
+        try {
+            return (await handler(peerId, payload)) !== false;
+        } catch (error) {
+            // Failing again on a retry would not help, so the message still counts as delivered
+            console.error(`Error handling control message ${type}:`, error);
+            return true;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} peerId - Sending peer
+     * @param {Object} message - Message to acknowledge
+     */
+    acknowledge(peerId, message) {
+        const ack = ControlMessage.encode({ id: this.nextId++, type: CONTROL_TYPES.ACK, ack: message.id });
+        this.sendFrame(peerId, ack).catch(error => {
+            console.warn(`Failed to acknowledge ${message.type} from ${peerId}:`, error);
+        });
+    }
+
+    /**
+     * Forgets a peer, failing its outstanding acknowledgements
+     * @param {string} peerId - Peer ID
+     */
+    removePeer(peerId) {
+        this.recentDispatches.delete(peerId);
+        Array.from(this.pending.entries())
+            .filter(([key]) => key.startsWith(`${peerId}:`))
+            .forEach(([, resolve]) => resolve(false));
+    }
+
+    /**
+     * Resolves with whether an acknowledgement arrives in time
+     * @private
+     * @param {string} peerId - Peer ID
+     * @param {number} id - Message ID
+     * @returns {Promise<boolean>}
+     */
+    waitForAck(peerId, id) {
+        const key = `${peerId}:${id}`;
+        return new Promise(resolve => {
+            const timeoutId = setTimeout(() => settle(false), ACK_TIMEOUT);
+            const settle = (acknowledged) => {
+                clearTimeout(timeoutId);
+                this.pending.delete(key);
+                resolve(acknowledged);
+            };
+            this.pending.set(key, settle);
+        });
+    }
+
+    /**
+     * Looks up the dispatch of a message seen before
+     * @private
+     * @param {string} peerId - Sending peer
+     * @param {number} id - Message ID
+     * @returns {Promise<boolean>|undefined} Whether it was accepted, undefined for a new message
+     */
+    getDispatch(peerId, id) {
+        return this.recentDispatches.get(peerId)?.get(id);
+    }
+
+    /**
+     * Remembers a message's dispatch, forgetting the oldest beyond DUPLICATE_WINDOW
+     * @private
+     * @param {string} peerId - Sending peer
+     * @param {number} id - Message ID
+     * @param {Promise<boolean>} result - Whether the message was accepted
+     */
+    recordDispatch(peerId, id, result) {
+        const dispatches = this.recentDispatches.get(peerId) || new Map();
+        dispatches.set(id, result);
+        if (dispatches.size > DUPLICATE_WINDOW) {
+            dispatches.delete(dispatches.keys().next().value);
+        }
+        this.recentDispatches.set(peerId, dispatches);
+    }
+}
+
+export default ControlChannel;
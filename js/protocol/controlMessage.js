@@ -0,0 +1,139 @@
+/**
+ * Typed JSON messages for the control channel.
+ *
+ * Every frame is a UTF-8 JSON envelope:
+ *   { v: protocol version, id: message ID, type, payload, needsAck?, ack? }
+ * An ACK message carries the acknowledged message ID in `ack`. Payload
+ * fields are checked against SCHEMAS so handlers can trust their input.
+ */
+export const PROTOCOL_VERSION = 1;
+
+export const CONTROL_TYPES = {
+    JOIN_CHALLENGE: 'joinChallenge', // Host -> receiver: { room, nonce, isProtected, publicKey } sent on connect
+    HELLO: 'hello', // Receiver -> host: { version, codecs, joinCode?, proof?, publicKey? } capabilities and challenge answer
+    STREAM_START: 'streamStart', // Host -> receiver: stream metadata and quality, sent before any audio and after every change
+    STREAM_STOP: 'streamStop', // Host -> receiver: {} no more audio for the current stream
+    NOW_PLAYING: 'nowPlaying', // Host -> receiver: { track } file playback metadata, null for live input
+    VOLUME: 'volume', // Host -> receiver: { volume } 0-1
+    MUTE: 'mute', // Host -> receiver: { muted }
+    RENAME: 'rename', // Host -> receiver: { name }
+    CHANNEL_ROLE: 'channelRole', // Host -> receiver: { role } one of CHANNEL_ROLES, which part of the stream to play
+    DELAY_TRIM: 'delayTrim', // Host -> receiver: { trim } ms of playout delay on top of the group schedule
+    CALIBRATION_SIGNAL: 'calibrationSignal', // Host -> receiver: { playAt } host clock ms the test sweep should be heard at, untrimmed
+    CLOCK_SYNC: 'clockSync', // Both ways: NTP-style ping/pong timestamps
+    STATUS: 'status', // Receiver -> host: { bufferDepth, underruns, latency, packetLoss, jitter, recovery, rateCorrection, delayTrim, battery }
+    NACK: 'nack', // Receiver -> host: { streamId, sequences } audio packets to send again
+    GOODBYE: 'goodbye', // Both ways: { reason } sent before disconnecting
+    ACK: 'ack' // Both ways: acknowledges the message whose ID is in `ack`
+};
+
+/**
+ * Clock sync message phases. A PING carries t0 (receiver send time) and the
+ * receiver's current offset (value), drift and round-trip estimates; the
+ * PONG adds t1 and t2 (host receive and send times) and the group playout
+ * delay in value. All times are in ms on the sender's performance.now() clock.
+ */
+export const CLOCK_SYNC_PHASES = {
+    PING: 'ping',
+    PONG: 'pong'
+};
+
+/**
+ * Required payload fields and their typeof for each message type
+ */
+const SCHEMAS = {
+    [CONTROL_TYPES.JOIN_CHALLENGE]: {
+        room: 'string',
+        nonce: 'string',
+        isProtected: 'boolean',
+        publicKey: 'string'
+    },
+    [CONTROL_TYPES.HELLO]: { version: 'number', codecs: 'object' },
+    [CONTROL_TYPES.STREAM_START]: {
+        streamId: 'number',
+        codec: 'number',
+        sampleRate: 'number',
+        channelCount: 'number',
+        packetDuration: 'number'
+    },
+    [CONTROL_TYPES.STREAM_STOP]: {},
+    [CONTROL_TYPES.NOW_PLAYING]: { track: 'object' },
+    [CONTROL_TYPES.VOLUME]: { volume: 'number' },
+    [CONTROL_TYPES.MUTE]: { muted: 'boolean' },
+    [CONTROL_TYPES.RENAME]: { name: 'string' },
+    [CONTROL_TYPES.CHANNEL_ROLE]: { role: 'string' },
+    [CONTROL_TYPES.DELAY_TRIM]: { trim: 'number' },
+    [CONTROL_TYPES.CALIBRATION_SIGNAL]: { playAt: 'number' },
+    [CONTROL_TYPES.CLOCK_SYNC]: { phase: 'string', id: 'number', t0: 'number' },
+    [CONTROL_TYPES.STATUS]: { bufferDepth: 'number', underruns: 'number', latency: 'number' },
+    [CONTROL_TYPES.NACK]: { streamId: 'number', sequences: 'object' },
+    [CONTROL_TYPES.GOODBYE]: { reason: 'string' },
+    [CONTROL_TYPES.ACK]: {}
+};
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+class ControlMessage {
+    /**
+     * Serializes a control message
+     * @param {Object} message
+     * @param {number} message.id - Message ID, unique per sender
+     * @param {string} message.type - One of CONTROL_TYPES
+     * @param {Object} [message.payload] - Type specific fields
+     * @param {boolean} [message.needsAck] - Whether the receiver must acknowledge
+     * @param {number} [message.ack] - Acknowledged message ID (ACK only)
+     * @returns {Uint8Array} Frame bytes
+     */
+    static encode({ id, type, payload = {}, needsAck = false, ack }) {
+        const envelope = { v: PROTOCOL_VERSION, id, type, payload };
+        if (needsAck) envelope.needsAck = true;
+        if (ack !== undefined) envelope.ack = ack;
+        return encoder.encode(JSON.stringify(envelope));
+    }
+
+    /**
+     * Parses and validates a control message
+     * @param {Uint8Array} bytes - Frame bytes
+     * @returns {Object} { v, id, type, payload, needsAck, ack }
+     * @throws {Error} If the frame is not a valid control message
+     */
+    static decode(bytes) {
+        let message;
+        try {
+            message = JSON.parse(decoder.decode(bytes));
+        } catch (error) {
+            throw new Error(`Malformed control message: ${error.message}`);
+        }
+
+        if (!message || typeof message.v !== 'number' || typeof message.id !== 'number') {
+            throw new Error('Malformed control message: missing version or ID');
+        }
+        // Messages from newer protocol versions may use types we do not know
+        if (message.v !== PROTOCOL_VERSION) {
+            return { ...message, payload: message.payload || {} };
+        }
+
+        const schema = SCHEMAS[message.type];
+        if (!schema) {
+            throw new Error(`Malformed control message: unknown type "${message.type}"`);
+        }
+        const payload = message.payload || {};
+        for (const [field, type] of Object.entries(schema)) {
+            if (typeof payload[field] !== type) {
+                throw new Error(`Malformed control message: ${message.type}.${field} must be a ${type}`);
+            }
+        }
+
+        return {
+            v: message.v,
+            id: message.id,
+            type: message.type,
+            payload,
+            needsAck: message.needsAck === true,
+            ack: message.ack
+        };
+    }
+}
+
+export default ControlMessage;
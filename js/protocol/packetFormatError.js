@@ -0,0 +1,14 @@
+/**
+ * Raised when a received packet cannot be decoded
+ */
+class PacketFormatError extends Error {
+    /**
+     * @param {string} message - What is wrong with the packet
+     */
+    constructor(message) {
+        super(`Malformed audio packet: ${message}`);
+        this.name = 'PacketFormatError';
+    }
+}
+
+export default PacketFormatError;
@@ -0,0 +1,137 @@
+import PacketFormatError from './packetFormatError.js';
+import { PARITY_SCHEMES } from '../recovery/erasureCode.js';
+
+/**
+ * Loss recovery packets, sent on the audio channel next to audio packets.
+ *
+ * A parity packet protects a group of consecutive audio packets: it names
+ * the group's first sequence number and size, and carries one parity shard
+ * of the whole AudioPacket bytes of the group. A redundant packet carries a
+ * complete AudioPacket with a low bitrate copy of an earlier frame, under
+ * that frame's sequence number.
+ *
+ * Layout (big-endian, 16 byte header):
+ *   0  uint8   magic (0x52)
+ *   1  uint8   format version
+ *   2  uint16  stream ID
+ *   4  uint8   kind (RECOVERY_KINDS)
+ *   5  uint8   parity scheme (0 XOR, 1 Reed-Solomon), 0 for redundant packets
+ *   6  uint8   group size
+ *   7  uint8   parity shard index within the group
+ *   8  uint8   parity shards per group
+ *   9  uint8   reserved (0)
+ *  10  uint32  sequence number (first of the group, or of the copied frame)
+ *  14  uint16  payload length (bytes)
+ *  16  ...     payload
+ */
+export const RECOVERY_MAGIC = 0x52;
+export const RECOVERY_VERSION = 1;
+export const RECOVERY_HEADER_SIZE = 16;
+
+export const RECOVERY_KINDS = {
+    PARITY: 0,
+    REDUNDANT: 1
+};
+
+const SCHEME_IDS = [PARITY_SCHEMES.XOR, PARITY_SCHEMES.REED_SOLOMON];
+const KNOWN_KINDS = new Set(Object.values(RECOVERY_KINDS));
+
+class RecoveryPacket {
+    /**
+     * Checks whether bytes look like a recovery packet
+     * @param {Uint8Array} bytes - Received frame
+     * @returns {boolean}
+     */
+    static matches(bytes) {
+        return bytes.byteLength > 0 && bytes[0] === RECOVERY_MAGIC;
+    }
+
+    /**
+     * Encodes a packet
+     * @param {Object} packet
+     * @param {number} packet.streamId - Stream ID (0-65535)
+     * @param {number} packet.kind - One of RECOVERY_KINDS
+     * @param {number} packet.sequence - First protected or copied sequence number
+     * @param {Uint8Array} packet.payload - Parity shard or AudioPacket bytes
+     * @param {string} [packet.scheme] - Parity scheme, PARITY_SCHEMES.XOR or REED_SOLOMON
+     * @param {number} [packet.groupSize] - Audio packets in the group
+     * @param {number} [packet.parityIndex] - Index of this shard within the group
+     * @param {number} [packet.parityCount] - Parity shards per group
+     * @returns {Uint8Array} Packet bytes
+     */
+    static encode({ streamId, kind, sequence, payload, scheme = PARITY_SCHEMES.XOR, groupSize = 1, parityIndex = 0, parityCount = 1 }) {
+        if (payload.byteLength > 0xffff) {
+            throw new RangeError(`Recovery payload of ${payload.byteLength} bytes exceeds 65535`);
+        }
+
+        const bytes = new Uint8Array(RECOVERY_HEADER_SIZE + payload.byteLength);
+        const view = new DataView(bytes.buffer);
+
+        view.setUint8(0, RECOVERY_MAGIC);
+        view.setUint8(1, RECOVERY_VERSION);
+        view.setUint16(2, streamId);
+        view.setUint8(4, kind);
+        view.setUint8(5, kind === RECOVERY_KINDS.PARITY ? SCHEME_IDS.indexOf(scheme) : 0);
+        view.setUint8(6, groupSize);
+        view.setUint8(7, parityIndex);
+        view.setUint8(8, parityCount);
+        view.setUint32(10, sequence >>> 0);
+        view.setUint16(14, payload.byteLength);
+        bytes.set(payload, RECOVERY_HEADER_SIZE);
+
+        return bytes;
+    }
+
+    /**
+     * Decodes and validates a packet
+     * @param {Uint8Array} bytes - Packet bytes
+     * @returns {Object} Header fields plus payload (a view into bytes)
+     * @throws {PacketFormatError} If the packet is malformed
+     */
+    static decode(bytes) {
+        if (bytes.byteLength < RECOVERY_HEADER_SIZE) {
+            throw new PacketFormatError(`${bytes.byteLength} bytes is shorter than the ${RECOVERY_HEADER_SIZE} byte recovery header`);
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        if (view.getUint8(0) !== RECOVERY_MAGIC) {
+            throw new PacketFormatError('bad recovery magic byte');
+        }
+
+        const version = view.getUint8(1);
+        if (version !== RECOVERY_VERSION) {
+            throw new PacketFormatError(`unsupported recovery version ${version}`);
+        }
+
+        const kind = view.getUint8(4);
+        const scheme = SCHEME_IDS[view.getUint8(5)];
+        const groupSize = view.getUint8(6);
+        const parityIndex = view.getUint8(7);
+        const parityCount = view.getUint8(8);
+        const payloadLength = view.getUint16(14);
+
+        if (!KNOWN_KINDS.has(kind)) {
+            throw new PacketFormatError(`unknown recovery kind ${kind}`);
+        }
+        if (kind === RECOVERY_KINDS.PARITY && (!scheme || groupSize === 0 || parityIndex >= parityCount)) {
+            throw new PacketFormatError('invalid parity group');
+        }
+        if (payloadLength !== bytes.byteLength - RECOVERY_HEADER_SIZE) {
+            throw new PacketFormatError(`payload length ${payloadLength} does not match ${bytes.byteLength - RECOVERY_HEADER_SIZE} received bytes`);
+        }
+
+        return {
+            version,
+            streamId: view.getUint16(2),
+            kind,
+            scheme,
+            groupSize,
+            parityIndex,
+            parityCount,
+            sequence: view.getUint32(10),
+            payload: bytes.subarray(RECOVERY_HEADER_SIZE)
+        };
+    }
+}
+
+export default RecoveryPacket;
@@ -1,28 +1,112 @@
+import { TRANSPORT_EVENTS, CHANNELS } from './transports/transport.js';
+import AudioPacket from './protocol/audioPacket.js';
+import ControlChannel from './protocol/controlChannel.js';
+import { CONTROL_TYPES } from './protocol/controlMessage.js';
+import CodecFactory, { CODEC_NAMES } from './codecs/codecFactory.js';
+import StreamResampler from './dsp/streamResampler.js';
+import ChannelLayout from './dsp/channelLayout.js';
+import ChannelMapper, { CHANNEL_ROLES, CHANNEL_ROLE_NAMES } from './dsp/channelMapper.js';
+import ClockSyncClient from './sync/clockSyncClient.js';
+import StatusReporter from './roster/statusReporter.js';
+import JoinHandshake from './session/joinHandshake.js';
+import Reconnector from './session/reconnector.js';
+import ConnectionStateMachine, { CONNECTION_STATES } from './session/connectionStateMachine.js';
+import IllegalStateError from './session/illegalStateError.js';
+import ReceiverPlayback, { PLAYBACK_STATES } from './playback/receiverPlayback.js';
+import RecoveryPacket from './protocol/recoveryPacket.js';
+import StreamRecovery from './recovery/streamRecovery.js';
+import DelayTrimStore from './calibration/delayTrimStore.js';
+import ReceiverDelay from './calibration/receiverDelay.js';
+
+const MIN_BUFFER_DEPTH = 0.3; // Seconds the jitter buffer may hold before overflowing
+
 /**
  * Handles receiving audio from a host device
  */
 class ReceiverController {
-    constructor(audioContext, notificationManager, performanceMonitor) {
+    /**
+     * @param {AudioContext} audioContext - Shared audio context
+     * @param {Transport} transport - Transport used to reach the host
+     * @param {NotificationManager} notificationManager - Notification manager
+     * @param {PerformanceMonitor} performanceMonitor - Performance monitor
+     * @param {Object} [jitterBufferOptions] - Jitter buffer options (targetDepth, maxDepth, adaptive, ...)
+     */
+    constructor(audioContext, transport, notificationManager, performanceMonitor, jitterBufferOptions = {}) {
         this.audioContext = audioContext;
+        this.transport = transport;
         this.notificationManager = notificationManager;
         this.performanceMonitor = performanceMonitor;
-        this.device = null;
-        this.server = null;
-        this.service = null;
-        this.characteristic = null;
-        this.isConnected = false;
-        this.isReceiving = false;
-        
-        // Standard Bluetooth UUIDs for audio streaming
-        this.SERVICE_UUID = '0000110b-0000-1000-8000-00805f9b34fb'; // A2DP service UUID
-        this.CHARACTERISTIC_UUID = '00002345-0000-1000-8000-00805f9b34fb'; // Audio streaming characteristic UUID
-        
+        this.transportSubscriptions = [];
+        this.hostId = null;
+        this.connection = new ConnectionStateMachine();
+        this.streamInfo = null;
+        this.decoder = null;
+        this.bufferDepth = 0;
+        this.nowPlaying = null;
+        this.streamListeners = new Set();
+        this.resamplers = null; // One per channel while the stream rate differs from the context rate
+        this.channelRole = CHANNEL_ROLES.FULL;
+        this.malformedPackets = 0;
+        this.playoutDelay = 0;
+        this.controlChannel = new ControlChannel((hostId, frame) => this.sendFrame(hostId, frame, CHANNELS.CONTROL));
+        this.handshake = new JoinHandshake(this.controlChannel, notificationManager);
+        this.reconnector = new Reconnector(this.connection, notificationManager, {
+            restore: () => this.restoreSession(),
+            suspend: () => this.suspendSession(),
+            release: () => {
+                this.teardown();
+                this.transport.disconnect().catch(error => {
+                    console.warn('Failed to release transport:', error);
+                });
+            }
+        });
+        this.clockSync = new ClockSyncClient(this.controlChannel);
+        this.clockSync.addListener(this.handleClockSyncEstimate.bind(this));
+        this.playback = new ReceiverPlayback(audioContext);
+        this.playbackPosition = null;
+        this.delay = new ReceiverDelay(audioContext, this.clockSync, this.playback, notificationManager);
+        this.statusReporter = new StatusReporter(this.controlChannel, audioContext, performanceMonitor);
+        this.statusReporter.updateDelayTrim(this.delay.delayTrim);
+        this.recovery = new StreamRecovery({
+            decode: (packet) => this.decodePacket(packet),
+            onDecoded: this.handleDecodedAudio.bind(this),
+            onDecoderError: this.handleDecoderError.bind(this),
+            requestRetransmission: (streamId, sequences) => {
+                if (!this.hostId) return;
+                this.controlChannel.send(this.hostId, CONTROL_TYPES.NACK, { streamId, sequences }).catch(error => {
+                    console.warn('Failed to request retransmission:', error);
+                });
+            },
+            getDeadline: (timestamp) => this.delay.getDecodeDeadline(timestamp, this.bufferDepth),
+            getRtt: () => {
+                const { rtt } = this.clockSync.getEstimate();
+                return rtt > 0 ? rtt : null;
+            }
+        });
+
         // Audio processing nodes
         this.sourceNode = null;
-        this.gainNode = null;
         this.audioWorklet = null;
-        
+        this.jitterBufferOptions = { ...jitterBufferOptions };
+
         this.setupAudioNodes();
+        this.registerControlHandlers();
+    }
+
+    /**
+     * Current connection state
+     * @returns {string} One of CONNECTION_STATES
+     */
+    get state() {
+        return this.connection.state;
+    }
+
+    /**
+     * Playback volume
+     * @returns {number} Volume level (0-1)
+     */
+    get volume() {
+        return this.playback.volume;
     }
 
     /**
@@ -31,19 +115,28 @@ class ReceiverController {
      */
     async setupAudioNodes() {
         try {
-            // Create gain node for volume control
-            this.gainNode = this.audioContext.createGain();
-            this.gainNode.connect(this.audioContext.destination);
-
             // Load audio worklet for processing
             await this.audioContext.audioWorklet.addModule('js/audioWorklet.js');
-            this.audioWorklet = new AudioWorkletNode(this.audioContext, 'audio-processor');
-            this.audioWorklet.connect(this.gainNode);
+            this.audioWorklet = new AudioWorkletNode(this.audioContext, 'audio-processor', {
+                numberOfInputs: 0,
+                outputChannelCount: [2],
+                processorOptions: { mode: 'playback', jitterBuffer: this.jitterBufferOptions, channelRole: this.channelRole }
+            });
+            this.audioWorklet.connect(this.playback.input);
 
             // Handle messages from audio worklet
             this.audioWorklet.port.onmessage = (event) => {
-                if (event.data.type === 'latency') {
-                    this.performanceMonitor.updateLatency(event.data.value);
+                if (event.data.type === 'renderLoad') {
+                    this.performanceMonitor.updateRenderLoad(event.data);
+                } else if (event.data.type === 'bufferStats') {
+                    this.bufferDepth = event.data.stats.depth;
+                    this.performanceMonitor.updateBufferStats(event.data.stats);
+                    const recoveryStats = this.recovery.getStats();
+                    if (recoveryStats) {
+                        this.performanceMonitor.updateRecoveryStats(recoveryStats);
+                    }
+                    this.statusReporter.updateBufferStats(event.data.stats);
+                    this.updatePlaybackPosition(event.data.position);
                 }
             };
         } catch (error) {
@@ -53,133 +146,455 @@ class ReceiverController {
     }
 
     /**
-     * Checks if Bluetooth is available and requests necessary permissions
-     * @private
-     * @returns {Promise<boolean>} Whether Bluetooth is available and permitted
+     * Connects to a host device through the transport and joins its room
+     * @param {Object} [options] - Transport specific options (e.g. { signal } invite code)
+     * @param {string} [options.joinCode] - Room join code, or a join link
+     * @param {string} [options.pin] - Room PIN
+     * @throws {IllegalStateError} If already connected or connecting
      */
-    async checkBluetoothAvailability() {
-        // Check if Bluetooth API is available
-        if (!navigator.bluetooth) {
-            this.notificationManager.error('Bluetooth is not supported in this browser');
-            throw new Error('Bluetooth not supported');
-        }
+    async connect({ joinCode, pin = '', ...options } = {}) {
+        this.connection.assertCan(CONNECTION_STATES.CONNECTING, 'connect');
 
         try {
-            // Request Bluetooth permission
-            await navigator.permissions.query({ name: 'bluetooth' });
-            
-            // Check if Bluetooth is enabled
-            const availability = await navigator.bluetooth.getAvailability();
-            if (!availability) {
-                this.notificationManager.warning('Please enable Bluetooth on your device');
-                throw new Error('Bluetooth not enabled');
-            }
+            this.notificationManager.info('Connecting to host...');
+            this.connection.transition(CONNECTION_STATES.CONNECTING);
+            const parsedCode = this.handshake.setCredentials({ joinCode, pin });
+            this.subscribeToTransport();
+            await this.transport.connect({ ...options, joinCode: parsedCode });
+            await this.startSession();
 
-            return true;
+            this.notificationManager.success(this.handshake.room
+                ? `Joined ${this.handshake.room}`
+                : 'Connected to host device');
         } catch (error) {
-            console.error('Bluetooth availability check failed:', error);
-            return false;
-        }
-    }
-
-    /**
-     * Connects to a host device
-     */
-    async connect() {
-        try {
-            // Check Bluetooth availability first
-            await this.checkBluetoothAvailability();
-
-            // Request Bluetooth device with audio service
-            this.notificationManager.info('Searching for Bluetooth devices...');
-            
-            this.device = await navigator.bluetooth.requestDevice({
-                acceptAllDevices: true,
-                optionalServices: [
-                    '0000110b-0000-1000-8000-00805f9b34fb', // A2DP Sink
-                    '0000110a-0000-1000-8000-00805f9b34fb', // A2DP Source
-                    '0000110c-0000-1000-8000-00805f9b34fb', // Advanced Audio
-                    '0000110e-0000-1000-8000-00805f9b34fb'  // Handsfree
-                ]
-            });
+            console.error('Connection failed:', error);
+            // The host may have sent us away, which already disconnected
+            if (!this.connection.is(CONNECTION_STATES.CONNECTING)) throw error;
 
-            if (!this.device) {
-                throw new Error('No device selected');
+            // The link may be up with the room handshake failing
+            if (this.hostId !== null) {
+                this.teardown();
+                await this.transport.disconnect().catch(() => {});
             }
-
-            this.notificationManager.info('Connecting to device...');
-
-            // Connect to GATT server
-            this.server = await this.device.gatt.connect();
-            
-            // Get audio service
-            this.service = await this.server.getPrimaryService('0000110b-0000-1000-8000-00805f9b34fb');
-            
-            // Get audio characteristic
-            this.characteristic = await this.service.getCharacteristic('00002345-0000-1000-8000-00805f9b34fb');
-            
-            // Subscribe to notifications
-            await this.characteristic.startNotifications();
-            this.characteristic.addEventListener('characteristicvaluechanged', this.handleAudioData.bind(this));
-            
-            this.isConnected = true;
-            this.notificationManager.success('Connected to host device');
-            
-            // Start monitoring connection
-            this.startConnectionMonitoring();
-        } catch (error) {
-            console.error('Connection failed:', error);
+            this.unsubscribeFromTransport();
             if (error.message.includes('User cancelled')) {
-                this.notificationManager.info('Bluetooth device selection cancelled');
+                this.notificationManager.info('Device selection cancelled');
+                this.connection.transition(CONNECTION_STATES.IDLE);
             } else {
                 this.notificationManager.error('Failed to connect: ' + error.message);
+                this.connection.transition(CONNECTION_STATES.FAILED, { error: error.message });
             }
             throw error;
         }
     }
 
     /**
-     * Starts monitoring connection quality
+     * Joins the host once the transport link is up
+     * @private
+     * @returns {Promise<void>}
+     */
+    async startSession() {
+        this.handshake.reset();
+        this.hostId = this.transport.getPeers()[0].id;
+        // The host's roster starts every receiver on the full mix
+        this.setChannelRole(CHANNEL_ROLES.FULL);
+        await this.handshake.sendHello(this.hostId);
+        // The host ignores everything else until it has admitted us
+        this.clockSync.start(this.hostId);
+        this.statusReporter.start(this.hostId);
+
+        this.connection.transition(CONNECTION_STATES.CONNECTED, { room: this.handshake.room });
+    }
+
+    /**
+     * Reconnects the dropped link and rejoins the host
+     * @private
+     * @returns {Promise<void>}
+     */
+    async restoreSession() {
+        await this.transport.reconnect();
+        // Cancelled while the link came back
+        if (!this.connection.is(CONNECTION_STATES.RECONNECTING)) return;
+
+        await this.startSession();
+    }
+
+    /**
+     * Forgets the host session after the link dropped, keeping the stream,
+     * decoder and jitter buffer so playback can resume after a reconnect
+     * @private
+     */
+    suspendSession() {
+        this.controlChannel.removePeer(this.hostId);
+        this.hostId = null;
+        this.handshake.reset();
+        this.clockSync.stop();
+        this.statusReporter.stop();
+    }
+
+    /**
+     * Handles the host link dropping, reconnecting when the transport can
      * @private
      */
-    startConnectionMonitoring() {
-        if (!this.device) return;
+    handleLinkLost() {
+        // Attempts in progress handle their own failures
+        if (!this.connection.is(CONNECTION_STATES.CONNECTED, CONNECTION_STATES.STREAMING)) return;
 
-        // Monitor connection status
-        this.device.addEventListener('gattserverdisconnected', () => {
+        if (!this.transport.canReconnect) {
             this.handleDisconnection();
+            return;
+        }
+
+        this.suspendSession();
+        this.reconnector.begin();
+    }
+
+    /**
+     * Stops reconnecting and disconnects
+     * @returns {Promise<void>}
+     */
+    async cancelReconnect() {
+        if (!this.connection.is(CONNECTION_STATES.RECONNECTING)) return;
+
+        this.notificationManager.info('Reconnect cancelled');
+        await this.disconnect();
+    }
+
+    /**
+     * Subscribes to transport frame and peer events
+     * @private
+     */
+    subscribeToTransport() {
+        this.unsubscribeFromTransport();
+        this.transportSubscriptions = [
+            this.transport.on(TRANSPORT_EVENTS.FRAME, this.handleAudioData.bind(this)),
+            this.transport.on(TRANSPORT_EVENTS.PEER_DISCONNECTED, () => this.handleLinkLost()),
+            this.transport.on(TRANSPORT_EVENTS.SIGNAL_STRENGTH, ({ rssi }) => {
+                this.performanceMonitor.updateSignalStrength(rssi);
+            })
+        ];
+    }
+
+    /**
+     * @private
+     */
+    unsubscribeFromTransport() {
+        this.transportSubscriptions.forEach(unsubscribe => unsubscribe());
+        this.transportSubscriptions = [];
+    }
+
+    /**
+     * Sends a frame to the host, encrypted once the room handshake is done
+     * @private
+     * @param {string} hostId - Peer ID of the host
+     * @param {Uint8Array} frame - Frame bytes
+     * @param {string} channel - One of CHANNELS
+     * @returns {Promise<boolean>} Whether the frame was handed to the link
+     */
+    async sendFrame(hostId, frame, channel) {
+        return this.transport.sendFrame(hostId, await this.handshake.seal(frame), channel);
+    }
+
+    /**
+     * Registers handlers for control messages from the host
+     * @private
+     */
+    registerControlHandlers() {
+        this.controlChannel.register({
+            [CONTROL_TYPES.JOIN_CHALLENGE]: (hostId, challenge) => this.handshake.handleChallenge(challenge),
+            [CONTROL_TYPES.STREAM_START]: (hostId, streamInfo) => this.handleStreamInfo(streamInfo),
+            [CONTROL_TYPES.STREAM_STOP]: () => this.handleStreamStop(),
+            [CONTROL_TYPES.NOW_PLAYING]: (hostId, { track }) => {
+                this.nowPlaying = track || null;
+                this.notifyStreamListeners({ type: 'nowPlaying', track: this.nowPlaying });
+            },
+            [CONTROL_TYPES.VOLUME]: (hostId, { volume }) => {
+                this.setVolume(volume);
+                this.notifyStreamListeners({ type: 'remoteControl', action: CONTROL_TYPES.VOLUME, value: volume });
+            },
+            [CONTROL_TYPES.MUTE]: (hostId, { muted }) => {
+                this.setMuted(muted);
+                this.notificationManager.info(muted ? 'Muted by the host' : 'Unmuted by the host');
+                this.notifyStreamListeners({ type: 'remoteControl', action: CONTROL_TYPES.MUTE, value: muted });
+            },
+            [CONTROL_TYPES.CHANNEL_ROLE]: (hostId, { role }) => {
+                if (!ChannelMapper.isRole(role)) {
+                    console.warn(`Ignoring unknown channel role "${role}"`);
+                    return;
+                }
+                this.setChannelRole(role);
+                this.notificationManager.info(`The host set this device's channel to ${CHANNEL_ROLE_NAMES[role]}`);
+                this.notifyStreamListeners({ type: 'remoteControl', action: CONTROL_TYPES.CHANNEL_ROLE, value: role });
+            },
+            [CONTROL_TYPES.DELAY_TRIM]: (hostId, { trim }) => {
+                if (!DelayTrimStore.isValid(trim)) {
+                    console.warn(`Ignoring delay trim of ${trim}ms`);
+                    return;
+                }
+                this.setDelayTrim(trim);
+                this.notificationManager.info(`The host set this device's delay trim to ${trim}ms`, { key: 'delayTrim' });
+                this.notifyStreamListeners({ type: 'remoteControl', action: CONTROL_TYPES.DELAY_TRIM, value: trim });
+            },
+            [CONTROL_TYPES.CALIBRATION_SIGNAL]: (hostId, { playAt }) => this.delay.playCalibrationSignal(playAt),
+            [CONTROL_TYPES.RENAME]: (hostId, { name }) => {
+                this.notificationManager.info(`The host renamed this device to ${name}`);
+                this.notifyStreamListeners({ type: 'remoteControl', action: CONTROL_TYPES.RENAME, value: name });
+            },
+            [CONTROL_TYPES.CLOCK_SYNC]: (hostId, message) => this.clockSync.handleMessage(message),
+            [CONTROL_TYPES.GOODBYE]: (hostId, { reason }) => {
+                this.notificationManager.warning(reason);
+                this.notifyStreamListeners({ type: 'remoteControl', action: CONTROL_TYPES.GOODBYE, value: reason });
+                this.disconnect().catch(error => {
+                    console.error('Failed to disconnect after host goodbye:', error);
+                    this.notificationManager.error('Failed to disconnect: ' + error.message);
+                });
+            }
         });
+    }
+
+    /**
+     * Handles incoming frames from the host
+     * @private
+     * @param {Object} frame - Transport frame event ({ peerId, data, channel })
+     */
+    async handleAudioData({ peerId, data, channel }) {
+        const frame = await this.handshake.open(data);
+        if (!frame) return;
 
-        // Monitor signal strength periodically
-        this.rssiInterval = setInterval(async () => {
+        if (channel === CHANNELS.CONTROL) {
+            this.controlChannel.handleFrame(peerId, frame);
+            return;
+        }
+
+        if (!this.connection.is(CONNECTION_STATES.STREAMING) || !this.decoder) return;
+
+        try {
+            if (RecoveryPacket.matches(frame)) {
+                this.recovery.handleRecoveryPacket(frame);
+                return;
+            }
+
+            const packet = AudioPacket.decode(frame);
+            // Packets from a previous stream may still be in flight
+            if (packet.streamId !== this.streamInfo.streamId) return;
+            if (!this.recovery.handlePacket(packet, frame)) return;
+            this.decodePacket(packet);
+        } catch (error) {
+            this.malformedPackets++;
+            console.warn('Dropping audio packet:', error.message);
+        }
+    }
+
+    /**
+     * Decodes an audio packet of the stream
+     * @private
+     * @param {Object} packet - Decoded AudioPacket
+     * @throws {Error} If the packet's codec does not match the stream info
+     */
+    decodePacket(packet) {
+        if (packet.codec !== this.streamInfo.codec) {
+            throw new Error(`codec ${packet.codec} does not match the stream info`);
+        }
+        this.decoder?.decode(packet.payload, packet);
+    }
+
+    /**
+     * Adds a listener for stream metadata events ({ type: 'nowPlaying', track }).
+     * Connection state changes are announced by `connection` instead.
+     * @param {Function} listener - Callback function
+     */
+    addStreamListener(listener) {
+        this.streamListeners.add(listener);
+    }
+
+    /**
+     * Removes a stream metadata listener
+     * @param {Function} listener - Callback function to remove
+     */
+    removeStreamListener(listener) {
+        this.streamListeners.delete(listener);
+    }
+
+    /**
+     * @private
+     * @param {Object} event - Event object to send to listeners
+     */
+    notifyStreamListeners(event) {
+        this.streamListeners.forEach(listener => {
             try {
-                if (this.device && this.device.gatt.connected) {
-                    const rssi = await this.device.gatt.getRSSI();
-                    this.performanceMonitor.updateSignalStrength(rssi);
-                }
+                listener(event);
             } catch (error) {
-                console.warn('Failed to get RSSI:', error);
+                console.error('Error in stream listener:', error);
             }
-        }, 1000);
+        });
     }
 
     /**
-     * Handles incoming audio data
+     * Switches to a new stream announced by the host
      * @private
-     * @param {Event} event - Bluetooth characteristic value changed event
+     * @param {Object} streamInfo - Stream metadata (streamId, codec, sampleRate, ...)
      */
-    handleAudioData(event) {
-        if (!this.isReceiving) return;
+    handleStreamInfo(streamInfo) {
+        // After a reconnect the host announces the stream we already play,
+        // keep the decoder and whatever the jitter buffer still holds
+        if (this.decoder && streamInfo.streamId === this.streamInfo?.streamId
+            && streamInfo.codec === this.streamInfo.codec) {
+            this.streamInfo = streamInfo;
+            return;
+        }
+
+        let decoder;
+        try {
+            decoder = CodecFactory.createDecoder(streamInfo.codec, this.handleDecodedAudio.bind(this),
+                streamInfo.channelCount, this.handleDecoderError.bind(this));
+        } catch (error) {
+            console.error('Failed to create decoder:', error);
+            this.notificationManager.error(`Unsupported stream codec ${streamInfo.codec}`);
+            return;
+        }
+
+        this.decoder?.close();
+        this.decoder = decoder;
+        this.recovery.start(streamInfo);
+        this.streamInfo = streamInfo;
+        this.resamplers = null;
+        this.audioWorklet?.port.postMessage({ type: 'resetBuffer' });
+        // The host adapts the stream to the weakest link in the group
+        const adaptation = streamInfo.adaptationReason
+            ? `, the host lowered quality to ${streamInfo.quality} (${streamInfo.adaptationReason})`
+            : '';
+        const layout = streamInfo.channelCount === 1 ? 'mono' : 'stereo';
+        this.notificationManager.info(`Receiving ${CODEC_NAMES[streamInfo.codec]} ${layout} stream${adaptation}`, { key: 'streamInfo' });
+    }
+
+    /**
+     * Drops the current stream after the host stops it
+     * @private
+     */
+    handleStreamStop() {
+        this.decoder?.close();
+        this.decoder = null;
+        this.recovery.close();
+        this.streamInfo = null;
+        this.resamplers = null;
+        this.audioWorklet?.port.postMessage({ type: 'resetBuffer' });
+    }
+
+    /**
+     * Queues decoded samples in the worklet's jitter buffer
+     * @private
+     * @param {Float32Array} samples - Decoded interleaved samples
+     * @param {Object} packet - Header fields of the packet they came from
+     */
+    handleDecodedAudio(samples, packet) {
+        if (!this.connection.is(CONNECTION_STATES.STREAMING) || !this.audioWorklet || packet.streamId !== this.streamInfo?.streamId) return;
+
+        const channels = this.resampleToContext(ChannelLayout.deinterleave(samples, packet.channelCount), packet.sampleRate);
+        this.audioWorklet.port.postMessage({
+            type: 'audioData',
+            channels,
+            sequence: packet.sequence,
+            timestamp: packet.timestamp,
+            playoutTime: this.delay.getPlayoutTime(packet.timestamp)
+        }, channels.map(channel => channel.buffer));
+    }
+
+    /**
+     * Counts a decoder failure the decoder recovered from by restarting,
+     * which loses the packets it had queued
+     * @private
+     * @param {Error} error - Decode error
+     */
+    handleDecoderError(error) {
+        this.malformedPackets++;
+        console.warn('Audio decoder failed and restarted:', error.message);
+        this.notificationManager.warning('Audio decoder failed and restarted', { key: 'decoderError' });
+    }
+
+    /**
+     * Converts decoded channels to the audio context rate
+     * @private
+     * @param {Float32Array[]} channels - Decoded samples, one array per channel
+     * @param {number} sampleRate - Sample rate from the packet header
+     * @returns {Float32Array[]} Channels at the context rate
+     */
+    resampleToContext(channels, sampleRate) {
+        const contextRate = this.audioContext.sampleRate;
+        if (sampleRate === contextRate) {
+            this.resamplers = null;
+            return channels;
+        }
 
-        const value = event.target.value;
-        const audioData = new Float32Array(value.buffer);
-        
-        // Process audio data through worklet
+        if (this.resamplers?.length !== channels.length || this.resamplers[0].inputRate !== sampleRate) {
+            this.resamplers = channels.map(() => new StreamResampler(sampleRate, contextRate));
+        }
+        return channels.map((channel, index) => this.resamplers[index].process(channel));
+    }
+
+    /**
+     * Works out which part of the host stream is being heard from the
+     * sample the worklet is rendering, and tells stream listeners
+     * @private
+     * @param {number|null} timestamp - Host capture time of the sample being rendered (ms)
+     */
+    updatePlaybackPosition(timestamp) {
+        if (timestamp === null || timestamp === undefined || !this.streamInfo) return;
+
+        // The rendered sample reaches the speaker after the output latency
+        const heardTimestamp = timestamp - this.playback.getOutputLatency() * 1000;
+        const startTime = this.streamInfo.startTime ?? heardTimestamp;
+        const { isSynchronized } = this.clockSync.getEstimate();
+        this.playbackPosition = {
+            position: Math.max(0, (heardTimestamp - startTime) / 1000),
+            delay: isSynchronized ? performance.now() - this.clockSync.hostToLocalTime(heardTimestamp) : null
+        };
+        if (this.playbackPosition.delay !== null) {
+            this.performanceMonitor.updateLatency(this.playbackPosition.delay);
+        }
+        this.notifyStreamListeners({ type: 'playbackPosition', ...this.playbackPosition });
+    }
+
+    /**
+     * Gets the part of the host stream being heard
+     * @returns {Object|null} { position: seconds into the stream, delay: ms behind the host or null
+     *   before clocks are synced }, or null while nothing plays
+     */
+    getPlaybackPosition() {
+        return this.playbackPosition;
+    }
+
+    /**
+     * Reports clock sync estimates and sizes the buffer for the playout delay
+     * @private
+     * @param {Object} estimate - Clock sync estimate
+     */
+    handleClockSyncEstimate(estimate) {
+        this.performanceMonitor.updateClockSync('host', estimate);
+
+        if (estimate.playoutDelay !== this.playoutDelay) {
+            this.playoutDelay = estimate.playoutDelay;
+            this.updateBufferLimit();
+        }
+    }
+
+    /**
+     * Lets the jitter buffer hold the playout delay and a positive trim, with room to spare
+     * @private
+     */
+    updateBufferLimit() {
+        this.setJitterBufferOptions({
+            maxDepth: Math.max(MIN_BUFFER_DEPTH, (2 * this.playoutDelay + Math.max(0, this.delay.delayTrim)) / 1000)
+        });
+    }
+
+    /**
+     * Updates jitter buffer options at runtime
+     * @param {Object} options - Options such as targetDepth (seconds) or adaptive
+     */
+    setJitterBufferOptions(options) {
+        this.jitterBufferOptions = { ...this.jitterBufferOptions, ...options };
         if (this.audioWorklet) {
-            this.audioWorklet.port.postMessage({
-                type: 'audioData',
-                data: audioData
-            });
+            this.audioWorklet.port.postMessage({ type: 'jitterBuffer', options });
         }
     }
 
@@ -188,48 +603,102 @@ class ReceiverController {
      * @private
      */
     handleDisconnection() {
-        this.isConnected = false;
-        this.isReceiving = false;
-        
-        if (this.rssiInterval) {
-            clearInterval(this.rssiInterval);
-            this.rssiInterval = null;
-        }
-
-        this.performanceMonitor.updateConnectionStatus(false);
+        this.teardown();
         this.notificationManager.warning('Disconnected from host device');
+        this.connection.transition(CONNECTION_STATES.IDLE);
+    }
+
+    /**
+     * Releases everything tied to the host and the current stream
+     * @private
+     */
+    teardown() {
+        this.reconnector.cancel();
+        this.playback.stop();
+        this.playbackPosition = null;
+        this.performanceMonitor.stopAudioMonitoring();
+        this.unsubscribeFromTransport();
+        this.suspendSession();
+        this.performanceMonitor.removeClockSync('host');
+        this.decoder?.close();
+        this.decoder = null;
+        this.recovery.close();
+        this.streamInfo = null;
+        if (this.nowPlaying) {
+            this.nowPlaying = null;
+            this.notifyStreamListeners({ type: 'nowPlaying', track: null });
+        }
     }
 
     /**
      * Starts receiving audio
+     * @throws {IllegalStateError} If not connected to a host
      */
     async startReceiving() {
-        if (!this.isConnected) {
-            throw new Error('Not connected to a host device');
-        }
+        if (this.connection.is(CONNECTION_STATES.STREAMING)) return;
+        this.connection.assertCan(CONNECTION_STATES.STREAMING, 'start receiving');
 
-        try {
-            await this.audioContext.resume();
-            this.isReceiving = true;
-            this.notificationManager.success('Started receiving audio');
-        } catch (error) {
-            console.error('Failed to start receiving:', error);
-            this.notificationManager.error('Failed to start receiving audio');
-            throw error;
+        await this.beginPlayback();
+        this.notificationManager.success('Started receiving audio');
+    }
+
+    /**
+     * Pauses playback. The stream is live, so resuming continues at the
+     * host's current position rather than where playback paused.
+     */
+    async pauseReceiving() {
+        if (!this.connection.is(CONNECTION_STATES.STREAMING)) return;
+
+        this.playback.pause();
+        this.connection.transition(CONNECTION_STATES.CONNECTED);
+        this.notificationManager.info('Playback paused');
+    }
+
+    /**
+     * Resumes paused playback
+     * @throws {IllegalStateError} If playback is not paused or the host link is down
+     */
+    async resumeReceiving() {
+        if (this.playback.state !== PLAYBACK_STATES.PAUSED) {
+            throw new IllegalStateError(this.playback.state, CONNECTION_STATES.STREAMING, 'resume playback');
         }
+        this.connection.assertCan(CONNECTION_STATES.STREAMING, 'resume playback');
+
+        await this.beginPlayback();
+        this.notificationManager.info('Playback resumed');
     }
 
     /**
      * Stops receiving audio
      */
     async stopReceiving() {
-        this.isReceiving = false;
+        if (this.playback.state === PLAYBACK_STATES.STOPPED) return;
+
+        this.playback.stop();
+        this.playbackPosition = null;
+        this.performanceMonitor.stopAudioMonitoring();
+        if (this.connection.is(CONNECTION_STATES.STREAMING)) {
+            this.connection.transition(CONNECTION_STATES.CONNECTED);
+        }
+        this.notificationManager.success('Stopped receiving audio');
+    }
+
+    /**
+     * Starts feeding the jitter buffer afresh, from the live edge of the stream
+     * @private
+     * @returns {Promise<void>}
+     */
+    async beginPlayback() {
         try {
-            await this.characteristic?.stopNotifications();
-            this.notificationManager.success('Stopped receiving audio');
+            await this.audioContext.resume();
+            this.audioWorklet?.port.postMessage({ type: 'resetBuffer' });
+            this.resamplers?.forEach(resampler => resampler.reset());
+            this.connection.transition(CONNECTION_STATES.STREAMING);
+            this.playback.play();
+            this.performanceMonitor.startAudioMonitoring(this.audioContext);
         } catch (error) {
-            console.error('Failed to stop receiving:', error);
-            this.notificationManager.error('Failed to stop receiving audio');
+            console.error('Failed to start receiving:', error);
+            this.notificationManager.error('Failed to start receiving audio');
             throw error;
         }
     }
@@ -239,41 +708,81 @@ class ReceiverController {
      * @param {number} volume - Volume level (0-1)
      */
     setVolume(volume) {
-        if (this.gainNode) {
-            this.gainNode.gain.value = Math.max(0, Math.min(1, volume));
+        this.playback.setVolume(volume);
+    }
+
+    /**
+     * Sets which part of the stream this device plays
+     * @param {string} role - One of CHANNEL_ROLES
+     * @throws {Error} If the role is unknown
+     */
+    setChannelRole(role) {
+        if (!ChannelMapper.isRole(role)) {
+            throw new Error(`Unknown channel role "${role}"`);
         }
+        this.channelRole = role;
+        this.audioWorklet?.port.postMessage({ type: 'channelRole', role });
+    }
+
+    /**
+     * Sets how long after the group schedule this device plays, and keeps
+     * it for later sessions. Buffered packets keep their schedule, the
+     * jitter buffer realigns when the first one with the new trim plays.
+     * @param {number} trim - Milliseconds, within DELAY_TRIM_RANGE
+     * @throws {Error} If the trim is out of range
+     */
+    setDelayTrim(trim) {
+        this.delay.setDelayTrim(trim);
+        this.statusReporter.updateDelayTrim(trim);
+        this.updateBufferLimit();
+    }
+
+    /**
+     * Mutes or unmutes playback without losing the volume setting
+     * @param {boolean} isMuted - Whether to mute
+     */
+    setMuted(isMuted) {
+        this.playback.setMuted(isMuted);
     }
 
     /**
      * Disconnects from the host device
      */
     async disconnect() {
-        await this.stopReceiving();
-        
-        if (this.device?.gatt.connected) {
-            await this.device.gatt.disconnect();
+        if (this.connection.is(CONNECTION_STATES.IDLE, CONNECTION_STATES.DISCONNECTING)) return;
+        // Failing already released the host
+        if (this.connection.is(CONNECTION_STATES.FAILED)) {
+            this.connection.transition(CONNECTION_STATES.IDLE);
+            return;
+        }
+
+        this.connection.transition(CONNECTION_STATES.DISCONNECTING);
+        if (this.hostId !== null) {
+            // Best effort, the host also notices the link closing
+            await this.controlChannel.send(this.hostId, CONTROL_TYPES.GOODBYE, {
+                reason: 'Receiver disconnected'
+            }).catch(() => {});
+        }
+        this.unsubscribeFromTransport();
+        try {
+            await this.transport.disconnect();
+        } finally {
+            this.handleDisconnection();
         }
-        
-        this.device = null;
-        this.server = null;
-        this.service = null;
-        this.characteristic = null;
-        this.isConnected = false;
-        
-        this.handleDisconnection();
     }
 
     /**
      * Cleans up resources
      */
     dispose() {
-        this.disconnect();
+        this.disconnect().catch(error => {
+            console.error('Failed to disconnect while disposing:', error);
+            this.notificationManager.error('Failed to disconnect: ' + error.message);
+        });
         if (this.audioWorklet) {
             this.audioWorklet.disconnect();
         }
-        if (this.gainNode) {
-            this.gainNode.disconnect();
-        }
+        this.playback.dispose();
     }
 }
 
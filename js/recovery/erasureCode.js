@@ -0,0 +1,195 @@
+/**
+ * Erasure code over GF(2^8) for rebuilding lost packets from parity.
+ *
+ * A group of k packets becomes k data shards (a uint16 length prefix and the
+ * packet bytes, zero padded to the longest packet). Each of the m parity
+ * shards is a weighted sum of the data shards. With XOR every weight is 1,
+ * which rebuilds one lost packet per group. Reed-Solomon takes its weights
+ * from a Cauchy matrix, whose square submatrices are all invertible, so any
+ * m lost packets of the group can be rebuilt from m parity shards.
+ */
+export const PARITY_SCHEMES = {
+    NONE: 'none',
+    XOR: 'xor',
+    REED_SOLOMON: 'reedSolomon'
+};
+
+export const MAX_GROUP_SHARDS = 255; // Data plus parity shards, distinct Cauchy points in GF(2^8)
+
+const LENGTH_PREFIX = 2;
+const PRIMITIVE_POLYNOMIAL = 0x11d;
+
+const EXP = new Uint8Array(510);
+const LOG = new Uint8Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+    EXP[i] = EXP[i + 255] = value;
+    LOG[value] = i;
+    value <<= 1;
+    if (value & 0x100) value ^= PRIMITIVE_POLYNOMIAL;
+}
+
+class ErasureCode {
+    /**
+     * Computes the parity shards of a group
+     * @param {Array<Uint8Array>} packets - Packets of the group, in sequence order
+     * @param {string} scheme - PARITY_SCHEMES.XOR or PARITY_SCHEMES.REED_SOLOMON
+     * @param {number} parityCount - Parity shards to produce, 1 for XOR
+     * @returns {Array<Uint8Array>} Parity shards
+     */
+    static encode(packets, scheme, parityCount) {
+        const shardLength = LENGTH_PREFIX + Math.max(...packets.map(packet => packet.byteLength));
+        const shards = packets.map(packet => ErasureCode.toShard(packet, shardLength));
+
+        return Array.from({ length: parityCount }, (_, row) => {
+            const parity = new Uint8Array(shardLength);
+            shards.forEach((shard, column) => {
+                ErasureCode.addScaled(parity, shard, ErasureCode.coefficient(scheme, parityCount, row, column, packets.length));
+            });
+            return parity;
+        });
+    }
+
+    /**
+     * Rebuilds the missing packets of a group
+     * @param {Array<Uint8Array|null>} packets - Packets of the group, null where missing
+     * @param {Array<Uint8Array|null>} parity - Parity shards by index, null where missing
+     * @param {string} scheme - Scheme the parity was computed with
+     * @returns {Map<number, Uint8Array>|null} Rebuilt packets by group index, or
+     *     null while fewer parity shards than missing packets have arrived
+     */
+    static recover(packets, parity, scheme) {
+        const missing = packets.flatMap((packet, index) => (packet ? [] : [index]));
+        const rows = parity.flatMap((shard, index) => (shard ? [index] : [])).slice(0, missing.length);
+        if (missing.length === 0 || rows.length < missing.length) return null;
+
+        const shardLength = parity[rows[0]].byteLength;
+        const coefficient = (row, column) =>
+            ErasureCode.coefficient(scheme, parity.length, row, column, packets.length);
+
+        // Take the known packets out of each parity shard, leaving the missing ones' share
+        const syndromes = rows.map(row => {
+            const syndrome = parity[row].slice();
+            packets.forEach((packet, column) => {
+                if (packet) {
+                    ErasureCode.addScaled(syndrome, ErasureCode.toShard(packet, shardLength), coefficient(row, column));
+                }
+            });
+            return syndrome;
+        });
+
+        const inverse = ErasureCode.invert(rows.map(row => missing.map(column => coefficient(row, column))));
+        const recovered = new Map();
+        missing.forEach((column, index) => {
+            const shard = new Uint8Array(shardLength);
+            syndromes.forEach((syndrome, row) => ErasureCode.addScaled(shard, syndrome, inverse[index][row]));
+
+            const length = (shard[0] << 8) | shard[1];
+            if (LENGTH_PREFIX + length <= shardLength) {
+                recovered.set(column, shard.slice(LENGTH_PREFIX, LENGTH_PREFIX + length));
+            }
+        });
+        return recovered;
+    }
+
+    /**
+     * Weight of a data shard in a parity shard
+     * @private
+     * @param {string} scheme - One of PARITY_SCHEMES
+     * @param {number} parityCount - Parity shards in the group
+     * @param {number} row - Parity shard index
+     * @param {number} column - Data shard index
+     * @param {number} groupSize - Data shards in the group
+     * @returns {number} GF(2^8) element
+     */
+    static coefficient(scheme, parityCount, row, column, groupSize) {
+        if (scheme === PARITY_SCHEMES.XOR) return 1;
+        if (scheme !== PARITY_SCHEMES.REED_SOLOMON || parityCount + groupSize > MAX_GROUP_SHARDS) {
+            throw new Error(`Cannot compute ${scheme} parity for ${groupSize} + ${parityCount} shards`);
+        }
+        // Cauchy matrix 1 / (x_row + y_column) with distinct x and y
+        return ErasureCode.inverseOf(row ^ (parityCount + column));
+    }
+
+    /**
+     * Inverts a square matrix with Gauss-Jordan elimination
+     * @private
+     * @param {Array<Array<number>>} matrix - Invertible GF(2^8) matrix
+     * @returns {Array<Array<number>>} Inverse
+     */
+    static invert(matrix) {
+        const size = matrix.length;
+        const rows = matrix.map((row, index) => [...row, ...Array.from({ length: size }, (_, column) => (column === index ? 1 : 0))]);
+
+        for (let column = 0; column < size; column++) {
+            const pivot = rows.findIndex((row, index) => index >= column && row[column] !== 0);
+            if (pivot === -1) {
+                throw new Error('Parity matrix is singular');
+            }
+            [rows[column], rows[pivot]] = [rows[pivot], rows[column]];
+
+            const scale = ErasureCode.inverseOf(rows[column][column]);
+            rows[column] = rows[column].map(value => ErasureCode.multiply(value, scale));
+            rows.forEach((row, index) => {
+                const factor = row[column];
+                if (index === column || factor === 0) return;
+                rows[index] = row.map((value, position) => value ^ ErasureCode.multiply(factor, rows[column][position]));
+            });
+        }
+
+        return rows.map(row => row.slice(size));
+    }
+
+    /**
+     * Adds factor × source to target in place
+     * @private
+     * @param {Uint8Array} target - Accumulator
+     * @param {Uint8Array} source - Shard to add
+     * @param {number} factor - GF(2^8) element
+     */
+    static addScaled(target, source, factor) {
+        if (factor === 0) return;
+        if (factor === 1) {
+            for (let i = 0; i < source.length; i++) target[i] ^= source[i];
+            return;
+        }
+        const logFactor = LOG[factor];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] !== 0) target[i] ^= EXP[LOG[source[i]] + logFactor];
+        }
+    }
+
+    /**
+     * @private
+     * @param {number} a - GF(2^8) element
+     * @param {number} b - GF(2^8) element
+     * @returns {number} Product
+     */
+    static multiply(a, b) {
+        return a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]];
+    }
+
+    /**
+     * @private
+     * @param {number} value - Non-zero GF(2^8) element
+     * @returns {number} Multiplicative inverse
+     */
+    static inverseOf(value) {
+        return EXP[255 - LOG[value]];
+    }
+
+    /**
+     * @private
+     * @param {Uint8Array} packet - Packet bytes
+     * @param {number} shardLength - Padded shard length
+     * @returns {Uint8Array} Length-prefixed, zero padded shard
+     */
+    static toShard(packet, shardLength) {
+        const shard = new Uint8Array(shardLength);
+        shard[0] = packet.byteLength >> 8;
+        shard[1] = packet.byteLength & 0xff;
+        shard.set(packet, LENGTH_PREFIX);
+        return shard;
+    }
+}
+
+export default ErasureCode;
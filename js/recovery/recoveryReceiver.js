@@ -0,0 +1,288 @@
+import AudioPacket from '../protocol/audioPacket.js';
+import RecoveryPacket, { RECOVERY_KINDS } from '../protocol/recoveryPacket.js';
+import ErasureCode from './erasureCode.js';
+
+/**
+ * Receiver side of the loss recovery layer.
+ *
+ * Tracks which sequence numbers of the stream are missing. A gap opens when
+ * a later packet, a parity packet or a redundant copy arrives. Each missing
+ * packet has a deadline, the local time it must be decoded by to make its
+ * place in the jitter buffer, and is recovered by the first of:
+ * - parity: as soon as enough of its group and the group's parity arrived
+ * - retransmission: NACKs ask the host for it again, as long as a round
+ *   trip still fits before the deadline
+ * - redundancy: shortly before the deadline, the low bitrate copy is
+ *   decoded instead
+ * What none of them recovers by the deadline is counted as lost and left
+ * to the jitter buffer's concealment.
+ */
+export const RECOVERY_SOURCES = {
+    PARITY: 'parity',
+    RETRANSMISSION: 'retransmission',
+    REDUNDANCY: 'redundancy'
+};
+
+const TICK_INTERVAL = 10; // ms between checks of missing packets
+const PACKET_WINDOW = 256; // Sequences remembered for parity and duplicate checks
+const MAX_NACKS = 3; // Requests per missing packet
+const NACK_MARGIN = 10; // ms of slack on top of the round trip before asking again or giving up on asking
+const DECODE_MARGIN = 15; // ms before the deadline a packet must be handed to the decoder
+
+class RecoveryReceiver {
+    /**
+     * @param {Object} config - Recovery settings from the stream info
+     *     ({ parity, groupSize, parityCount, retransmission, redundancyCodec })
+     * @param {number} packetDuration - Seconds of audio per packet
+     * @param {Object} callbacks
+     * @param {Function} callbacks.deliver - Called with (packet, source) for each
+     *     recovered packet to decode, source one of RECOVERY_SOURCES
+     * @param {Function} callbacks.requestRetransmission - Called with missing sequence numbers
+     * @param {Function} callbacks.getDeadline - Called with a host capture timestamp,
+     *     returns the performance.now() time its packet must be decoded by
+     * @param {Function} callbacks.getRtt - Returns the round trip time to the host in ms, or null
+     */
+    constructor(config, packetDuration, { deliver, requestRetransmission, getDeadline, getRtt }) {
+        this.config = config;
+        this.packetDuration = packetDuration * 1000;
+        this.deliver = deliver;
+        this.requestRetransmission = requestRetransmission;
+        this.getDeadline = getDeadline;
+        this.getRtt = getRtt;
+
+        this.packets = new Map(); // Sequence -> AudioPacket bytes, for rebuilding from parity
+        this.missing = new Map(); // Sequence -> { deadline, nacks, lastNackAt }
+        this.copies = new Map(); // Sequence -> decoded redundant AudioPacket
+        this.groups = new Map(); // First sequence -> { scheme, groupSize, parity }
+        this.highestSequence = null;
+        this.reference = null; // { sequence, timestamp } for estimating missing timestamps
+        this.stats = {
+            received: 0,
+            recovered: { parity: 0, retransmission: 0, redundancy: 0 },
+            lost: 0,
+            duplicates: 0, // Including copies of packets that arrived after their deadline
+            nacks: 0
+        };
+        this.timer = setInterval(() => this.tick(), TICK_INTERVAL);
+    }
+
+    /**
+     * Records an audio packet from the host
+     * @param {Object} packet - Decoded AudioPacket
+     * @param {Uint8Array} bytes - Its bytes
+     * @returns {boolean} Whether to decode it, false for duplicates
+     */
+    handlePacket(packet, bytes) {
+        const { sequence } = packet;
+        if (this.isSettled(sequence)) {
+            this.stats.duplicates++;
+            return false;
+        }
+
+        const entry = this.missing.get(sequence);
+        if (entry) {
+            this.missing.delete(sequence);
+        } else {
+            this.markMissingBefore(sequence);
+            this.highestSequence = Math.max(this.highestSequence, sequence);
+        }
+        // A requested packet may also be the original arriving late, both count as retransmitted
+        if (entry?.nacks > 0) {
+            this.stats.recovered.retransmission++;
+        } else {
+            this.stats.received++;
+        }
+
+        this.store(sequence, bytes, packet.timestamp);
+        this.groups.forEach((group, firstSequence) => {
+            if (sequence >= firstSequence && sequence < firstSequence + group.groupSize) {
+                this.recoverGroup(firstSequence);
+            }
+        });
+        return true;
+    }
+
+    /**
+     * Records a parity packet or redundant copy from the host
+     * @param {Uint8Array} bytes - RecoveryPacket bytes
+     * @param {number} streamId - Current stream ID
+     * @throws {PacketFormatError} If the packet or the copy it carries is malformed
+     */
+    handleRecoveryPacket(bytes, streamId) {
+        const recovery = RecoveryPacket.decode(bytes);
+        // Recovery packets from a previous stream may still be in flight
+        if (recovery.streamId !== streamId) return;
+
+        const { sequence } = recovery;
+        if (recovery.kind === RECOVERY_KINDS.REDUNDANT) {
+            const copy = AudioPacket.decode(recovery.payload);
+            if (copy.sequence !== sequence || this.isSettled(sequence)) return;
+
+            this.markMissingBefore(sequence + 1);
+            this.copies.set(sequence, copy);
+            this.copies.delete(sequence - PACKET_WINDOW);
+            return;
+        }
+
+        // Parity follows its group, so whatever of the group has not arrived is missing
+        const lastSequence = sequence + recovery.groupSize - 1;
+        if (lastSequence <= (this.highestSequence ?? -1) - PACKET_WINDOW) return;
+        this.markMissingBefore(lastSequence + 1);
+
+        const group = this.groups.get(sequence) ?? {
+            scheme: recovery.scheme,
+            groupSize: recovery.groupSize,
+            parity: new Array(recovery.parityCount).fill(null)
+        };
+        group.parity[recovery.parityIndex] = recovery.payload;
+        this.groups.set(sequence, group);
+        this.recoverGroup(sequence);
+    }
+
+    /**
+     * Gets the recovery counters
+     * @returns {Object} { received, recovered: { parity, retransmission, redundancy }, lost, duplicates, nacks }
+     */
+    getStats() {
+        return { ...this.stats, recovered: { ...this.stats.recovered } };
+    }
+
+    /**
+     * Stops checking for missing packets
+     */
+    close() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.missing.clear();
+    }
+
+    /**
+     * Asks for missing packets again, and gives up on the ones out of time
+     * @private
+     * @param {number} [now] - performance.now() time
+     */
+    tick(now = performance.now()) {
+        if (this.missing.size === 0) return;
+
+        const rtt = this.getRtt();
+        const requests = [];
+        this.missing.forEach((entry, sequence) => {
+            if (now >= entry.deadline - DECODE_MARGIN) {
+                this.missing.delete(sequence);
+                const copy = this.copies.get(sequence);
+                if (copy) {
+                    this.stats.recovered.redundancy++;
+                    this.deliver(copy, RECOVERY_SOURCES.REDUNDANCY);
+                } else {
+                    this.stats.lost++;
+                }
+                return;
+            }
+
+            if (!this.config.retransmission || rtt === null || entry.nacks >= MAX_NACKS) return;
+            // Give the previous request a round trip to be answered
+            if (entry.lastNackAt !== null && now - entry.lastNackAt < rtt + NACK_MARGIN) return;
+            // A retransmission would arrive too late to be played
+            if (now + rtt + NACK_MARGIN > entry.deadline - DECODE_MARGIN) return;
+
+            entry.nacks++;
+            entry.lastNackAt = now;
+            requests.push(sequence);
+        });
+
+        if (requests.length > 0) {
+            this.stats.nacks += requests.length;
+            this.requestRetransmission(requests);
+        }
+    }
+
+    /**
+     * Rebuilds a group's missing packets once its parity allows it
+     * @private
+     * @param {number} firstSequence - First sequence of the group
+     */
+    recoverGroup(firstSequence) {
+        const { scheme, groupSize, parity } = this.groups.get(firstSequence);
+        const packets = Array.from({ length: groupSize }, (_, index) => this.packets.get(firstSequence + index) ?? null);
+        if (packets.every(Boolean)) {
+            this.groups.delete(firstSequence);
+            return;
+        }
+
+        const rebuilt = ErasureCode.recover(packets, parity, scheme);
+        if (!rebuilt) return;
+
+        this.groups.delete(firstSequence);
+        rebuilt.forEach((bytes, index) => {
+            const sequence = firstSequence + index;
+            // Packets given up on have already been concealed
+            if (!this.missing.has(sequence)) return;
+
+            let packet;
+            try {
+                packet = AudioPacket.decode(bytes);
+            } catch (error) {
+                console.warn(`Discarding packet ${sequence} rebuilt from parity:`, error.message);
+                return;
+            }
+            this.missing.delete(sequence);
+            this.store(sequence, bytes, packet.timestamp);
+            this.stats.recovered.parity++;
+            this.deliver(packet, RECOVERY_SOURCES.PARITY);
+        });
+    }
+
+    /**
+     * Marks every sequence between the highest seen and the given one missing
+     * @private
+     * @param {number} sequence - First sequence not to mark
+     */
+    markMissingBefore(sequence) {
+        if (this.highestSequence === null) {
+            this.highestSequence = sequence - 1;
+            return;
+        }
+
+        // A gap longer than the window is a new start rather than loss
+        const first = Math.max(this.highestSequence + 1, sequence - PACKET_WINDOW);
+        for (let missing = first; missing < sequence; missing++) {
+            const timestamp = this.reference
+                ? this.reference.timestamp + (missing - this.reference.sequence) * this.packetDuration
+                : null;
+            this.missing.set(missing, {
+                deadline: timestamp === null ? performance.now() : this.getDeadline(timestamp),
+                nacks: 0,
+                lastNackAt: null
+            });
+        }
+        this.highestSequence = Math.max(this.highestSequence, sequence - 1);
+    }
+
+    /**
+     * Whether a sequence has been delivered or given up on
+     * @private
+     * @param {number} sequence - Sequence number
+     * @returns {boolean}
+     */
+    isSettled(sequence) {
+        return this.highestSequence !== null && sequence <= this.highestSequence && !this.missing.has(sequence);
+    }
+
+    /**
+     * @private
+     * @param {number} sequence - Sequence number
+     * @param {Uint8Array} bytes - AudioPacket bytes
+     * @param {number} timestamp - Capture timestamp
+     */
+    store(sequence, bytes, timestamp) {
+        this.packets.set(sequence, bytes);
+        this.packets.delete(sequence - PACKET_WINDOW);
+        this.copies.delete(sequence);
+        this.reference = { sequence, timestamp };
+        this.groups.forEach((group, firstSequence) => {
+            if (firstSequence < sequence - PACKET_WINDOW) this.groups.delete(firstSequence);
+        });
+    }
+}
+
+export default RecoveryReceiver;
@@ -0,0 +1,246 @@
+import AudioPacket, { CODECS } from '../protocol/audioPacket.js';
+import RecoveryPacket, { RECOVERY_KINDS } from '../protocol/recoveryPacket.js';
+import ErasureCode, { PARITY_SCHEMES, MAX_GROUP_SHARDS } from './erasureCode.js';
+
+/**
+ * Host side of the loss recovery layer.
+ *
+ * Every audio packet sent is kept for a while so receivers can ask for it
+ * again with a NACK. Consecutive packets are grouped, and each complete
+ * group is followed by its parity packets. When redundancy is on, a second
+ * encoder produces a low bitrate copy of every frame, which is sent after
+ * the next frame's packet so a single burst is less likely to take both.
+ *
+ * The recovery settings travel to receivers in the stream info, see
+ * getStreamConfig().
+ */
+export const DEFAULT_RECOVERY_OPTIONS = {
+    parity: PARITY_SCHEMES.XOR, // One of PARITY_SCHEMES
+    groupSize: 8, // Audio packets per parity group
+    parityCount: 2, // Parity packets per group with Reed-Solomon, XOR always has 1
+    retransmission: true, // Resend packets receivers report missing
+    redundancy: false // Send a low bitrate copy of every frame
+};
+
+export const REDUNDANCY_BITRATE = 16000; // bits per second of the Opus copies
+
+const HISTORY_SIZE = 512; // Sent packets kept for retransmission
+const MAX_RETRANSMISSIONS = 32; // Packets resent per NACK
+const MAX_PENDING_COPIES = 16; // Copies waiting for their frame's packet
+
+class RecoverySender {
+    /**
+     * @param {Object} [options] - Overrides for DEFAULT_RECOVERY_OPTIONS
+     * @throws {Error} If the options are invalid
+     */
+    constructor(options = {}) {
+        this.options = RecoverySender.validate({ ...DEFAULT_RECOVERY_OPTIONS, ...options });
+        this.reset(null);
+    }
+
+    /**
+     * Changes recovery settings. They apply from the next stream.
+     * @param {Object} options - Settings to change
+     * @throws {Error} If the result is invalid
+     */
+    configure(options) {
+        this.options = RecoverySender.validate({ ...this.options, ...options });
+    }
+
+    /**
+     * Describes the recovery settings for the stream info
+     * @param {number} codec - Codec of the stream
+     * @returns {Object} { parity, groupSize, parityCount, retransmission, redundancyCodec }
+     */
+    getStreamConfig(codec) {
+        const { parity, groupSize, parityCount, retransmission, redundancy } = this.options;
+        return {
+            parity,
+            groupSize,
+            parityCount,
+            retransmission,
+            redundancyCodec: redundancy ? RecoverySender.getRedundancyCodec(codec) : null
+        };
+    }
+
+    /**
+     * Forgets everything sent on the previous stream
+     * @param {Object|null} streamInfo - Stream about to start, null when stopping
+     */
+    reset(streamInfo) {
+        this.streamId = streamInfo?.streamId ?? null;
+        this.channelCount = streamInfo?.channelCount ?? 1;
+        this.config = streamInfo?.recovery ?? null;
+        this.history = new Map(); // Sequence -> { bytes, timestamp }
+        this.sequences = new Map(); // Timestamp key -> sequence, to match copies with their frame
+        this.pendingCopies = new Map(); // Timestamp key -> encoder output
+        this.group = [];
+        this.lastSequence = -1;
+    }
+
+    /**
+     * Records a sent audio packet
+     * @param {Object} packet - Header fields ({ sequence, timestamp })
+     * @param {Uint8Array} bytes - AudioPacket bytes
+     * @returns {Array<Uint8Array>} Recovery packets to send after it
+     */
+    addPacket({ sequence, timestamp }, bytes) {
+        if (!this.config) return [];
+
+        this.history.set(sequence, { bytes, timestamp });
+        this.history.delete(sequence - HISTORY_SIZE);
+        this.sequences.set(RecoverySender.timestampKey(timestamp), sequence);
+        if (this.sequences.size > HISTORY_SIZE) {
+            this.sequences.delete(this.sequences.keys().next().value);
+        }
+        this.lastSequence = sequence;
+
+        const frames = [];
+        const previous = this.history.get(sequence - 1);
+        const copy = previous && this.takeCopy(sequence - 1, previous.timestamp);
+        if (copy) frames.push(copy);
+
+        if (this.config.parity !== PARITY_SCHEMES.NONE) {
+            this.group.push(bytes);
+            if (this.group.length === this.config.groupSize) {
+                frames.push(...this.buildParity(sequence - this.group.length + 1));
+                this.group = [];
+            }
+        }
+        return frames;
+    }
+
+    /**
+     * Records a low bitrate copy of a frame from the redundancy encoder
+     * @param {Object} output - Encoder output ({ payload, timestamp, sampleRate })
+     * @returns {Array<Uint8Array>} Recovery packets to send now, empty while
+     *     the copy waits for the next frame's packet
+     */
+    addRedundantCopy(output) {
+        if (!this.config?.redundancyCodec) return [];
+
+        const key = RecoverySender.timestampKey(output.timestamp);
+        const sequence = this.sequences.get(key);
+        // The encoders run independently, so the next packet may already be out
+        if (sequence !== undefined && sequence < this.lastSequence) {
+            return [this.buildCopy(sequence, output)];
+        }
+
+        this.pendingCopies.set(key, output);
+        if (this.pendingCopies.size > MAX_PENDING_COPIES) {
+            this.pendingCopies.delete(this.pendingCopies.keys().next().value);
+        }
+        return [];
+    }
+
+    /**
+     * Looks up packets a receiver reported missing
+     * @param {Array<number>} sequences - Missing sequence numbers
+     * @param {number} maxAge - Oldest capture time worth resending (ms before now)
+     * @returns {Array<Uint8Array>} AudioPacket bytes to resend
+     */
+    getRetransmissions(sequences, maxAge) {
+        if (!this.config?.retransmission) return [];
+
+        const now = performance.now();
+        return sequences
+            .map(sequence => this.history.get(sequence))
+            .filter(entry => entry && now - entry.timestamp <= maxAge)
+            .slice(0, MAX_RETRANSMISSIONS)
+            .map(({ bytes }) => bytes);
+    }
+
+    /**
+     * @private
+     * @param {number} sequence - Sequence of the copied frame
+     * @param {number} timestamp - Its capture timestamp
+     * @returns {Uint8Array|null} Redundant packet, if its copy is encoded
+     */
+    takeCopy(sequence, timestamp) {
+        const key = RecoverySender.timestampKey(timestamp);
+        const output = this.pendingCopies.get(key);
+        if (!output) return null;
+
+        this.pendingCopies.delete(key);
+        return this.buildCopy(sequence, output);
+    }
+
+    /**
+     * @private
+     * @param {number} sequence - Sequence of the copied frame
+     * @param {Object} output - Redundancy encoder output
+     * @returns {Uint8Array} Redundant packet
+     */
+    buildCopy(sequence, { payload, timestamp, sampleRate }) {
+        const copy = AudioPacket.encode({
+            streamId: this.streamId,
+            sequence,
+            timestamp,
+            sampleRate,
+            channelCount: this.channelCount,
+            codec: this.config.redundancyCodec,
+            payload
+        });
+        return RecoveryPacket.encode({ streamId: this.streamId, kind: RECOVERY_KINDS.REDUNDANT, sequence, payload: copy });
+    }
+
+    /**
+     * @private
+     * @param {number} firstSequence - Sequence of the group's first packet
+     * @returns {Array<Uint8Array>} Parity packets of the current group
+     */
+    buildParity(firstSequence) {
+        const { parity: scheme, parityCount } = this.config;
+        return ErasureCode.encode(this.group, scheme, parityCount).map((payload, parityIndex) => RecoveryPacket.encode({
+            streamId: this.streamId,
+            kind: RECOVERY_KINDS.PARITY,
+            sequence: firstSequence,
+            payload,
+            scheme,
+            groupSize: this.group.length,
+            parityIndex,
+            parityCount
+        }));
+    }
+
+    /**
+     * Picks the codec for redundant copies: low bitrate Opus for Opus
+     * streams, ADPCM for the others since every receiver can decode it
+     * @param {number} codec - Codec of the stream
+     * @returns {number} Codec ID
+     */
+    static getRedundancyCodec(codec) {
+        return codec === CODECS.OPUS ? CODECS.OPUS : CODECS.IMA_ADPCM;
+    }
+
+    /**
+     * @private
+     * @param {number} timestamp - Capture timestamp in ms
+     * @returns {number} Key matching timestamps that encoders rounded to microseconds
+     */
+    static timestampKey(timestamp) {
+        return Math.round(timestamp * 1000);
+    }
+
+    /**
+     * @private
+     * @param {Object} options - Complete options
+     * @returns {Object} The options, with parityCount 1 for XOR
+     * @throws {Error} If a setting is out of range
+     */
+    static validate(options) {
+        if (!Object.values(PARITY_SCHEMES).includes(options.parity)) {
+            throw new Error(`Unknown parity scheme ${options.parity}`);
+        }
+        const parityCount = options.parity === PARITY_SCHEMES.XOR ? 1 : options.parityCount;
+        if (!Number.isInteger(options.groupSize) || options.groupSize < 1) {
+            throw new Error('Parity group size must be a positive whole number');
+        }
+        if (!Number.isInteger(parityCount) || parityCount < 1 || options.groupSize + parityCount > MAX_GROUP_SHARDS) {
+            throw new Error(`Parity count must be between 1 and ${MAX_GROUP_SHARDS - options.groupSize}`);
+        }
+        return { ...options, parityCount };
+    }
+}
+
+export default RecoverySender;
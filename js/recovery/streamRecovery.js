@@ -0,0 +1,117 @@
+import CodecFactory from '../codecs/codecFactory.js';
+import RecoveryReceiver, { RECOVERY_SOURCES } from './recoveryReceiver.js';
+
+/**
+ * Loss recovery for the stream a receiver plays.
+ *
+ * Runs a RecoveryReceiver with the settings from the host's stream info and
+ * decodes the low bitrate copies with a decoder of their own, so they never
+ * disturb the state of the stream decoder. Streams without recovery
+ * settings pass every packet straight through.
+ */
+class StreamRecovery {
+    /**
+     * @param {Object} callbacks
+     * @param {Function} callbacks.decode - Decodes a recovered packet of the stream,
+     *     throws if it does not match the stream
+     * @param {Function} callbacks.onDecoded - Called with (samples, info) for decoded copies
+     * @param {Function} callbacks.onDecoderError - Called when the copy decoder fails and restarts
+     * @param {Function} callbacks.requestRetransmission - Called with (streamId, sequences)
+     * @param {Function} callbacks.getDeadline - Called with a host capture timestamp,
+     *     returns the performance.now() time its packet must be decoded by
+     * @param {Function} callbacks.getRtt - Returns the round trip time to the host in ms, or null
+     */
+    constructor(callbacks) {
+        this.callbacks = callbacks;
+        this.streamInfo = null;
+        this.receiver = null;
+        this.copyDecoder = null;
+    }
+
+    /**
+     * Starts recovery for a new stream, stopping it for the previous one
+     * @param {Object} streamInfo - Stream metadata from the host
+     */
+    start(streamInfo) {
+        this.close();
+        const { recovery, streamId, packetDuration, channelCount } = streamInfo;
+        if (!recovery) return;
+
+        const { decode, onDecoded, onDecoderError, requestRetransmission, getDeadline, getRtt } = this.callbacks;
+        if (recovery.redundancyCodec !== null) {
+            try {
+                this.copyDecoder = CodecFactory.createDecoder(recovery.redundancyCodec, onDecoded, channelCount, onDecoderError);
+            } catch (error) {
+                console.warn('Cannot decode redundant audio:', error);
+            }
+        }
+
+        this.streamInfo = streamInfo;
+        this.receiver = new RecoveryReceiver(recovery, packetDuration, {
+            deliver: (packet, source) => {
+                try {
+                    if (source === RECOVERY_SOURCES.REDUNDANCY) {
+                        this.decodeCopy(packet);
+                    } else {
+                        decode(packet);
+                    }
+                } catch (error) {
+                    console.warn('Dropping recovered audio packet:', error.message);
+                }
+            },
+            requestRetransmission: (sequences) => requestRetransmission(streamId, sequences),
+            getDeadline,
+            getRtt
+        });
+    }
+
+    /**
+     * Stops recovery and releases the copy decoder
+     */
+    close() {
+        this.receiver?.close();
+        this.receiver = null;
+        this.copyDecoder?.close();
+        this.copyDecoder = null;
+        this.streamInfo = null;
+    }
+
+    /**
+     * Records an audio packet of the stream
+     * @param {Object} packet - Decoded AudioPacket
+     * @param {Uint8Array} bytes - Its bytes
+     * @returns {boolean} Whether to decode it, false for duplicates
+     */
+    handlePacket(packet, bytes) {
+        return this.receiver ? this.receiver.handlePacket(packet, bytes) : true;
+    }
+
+    /**
+     * Handles a parity packet or redundant copy of the stream
+     * @param {Uint8Array} bytes - RecoveryPacket bytes
+     */
+    handleRecoveryPacket(bytes) {
+        this.receiver?.handleRecoveryPacket(bytes, this.streamInfo.streamId);
+    }
+
+    /**
+     * @returns {Object|null} RecoveryReceiver stats, or null without recovery
+     */
+    getStats() {
+        return this.receiver?.getStats() ?? null;
+    }
+
+    /**
+     * @private
+     * @param {Object} packet - Decoded low bitrate copy
+     * @throws {Error} If its codec does not match the stream info
+     */
+    decodeCopy(packet) {
+        if (packet.codec !== this.streamInfo.recovery.redundancyCodec) {
+            throw new Error(`codec ${packet.codec} does not match the stream info`);
+        }
+        this.copyDecoder?.decode(packet.payload, packet);
+    }
+}
+
+export default StreamRecovery;
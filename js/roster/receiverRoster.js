@@ -0,0 +1,273 @@
+import { CONTROL_TYPES } from '../protocol/controlMessage.js';
+import ChannelMapper, { CHANNEL_ROLES } from '../dsp/channelMapper.js';
+import DelayTrimStore, { DELAY_TRIM_RANGE } from '../calibration/delayTrimStore.js';
+
+/**
+ * Host-side view of connected receivers and their remote controls.
+ *
+ * Combines what the bluetooth controller knows about each receiver (name,
+ * signal strength, clock sync round trip) with the status reports receivers
+ * send over the control channel, and sends remote control commands back.
+ * A command shows in the roster right away and is rolled back if the
+ * receiver does not acknowledge it, so the roster never shows a setting the
+ * receiver does not have.
+ */
+class ReceiverRoster {
+    /**
+     * @param {BluetoothController} bluetoothController - Host connection manager
+     */
+    constructor(bluetoothController) {
+        this.bluetoothController = bluetoothController;
+        this.receivers = new Map();
+        this.listeners = new Set();
+
+        this.bluetoothController.addConnectionListener(this.handleConnectionEvent.bind(this));
+    }
+
+    /**
+     * Gets every connected receiver
+     * @returns {Array<Object>} { id, name, rssi, rtt, status, isMuted, volume, role, delayTrim }
+     */
+    getReceivers() {
+        const estimates = this.bluetoothController.clockSync.getEstimates();
+        return Array.from(this.receivers.values()).map(receiver => ({
+            ...receiver,
+            rssi: this.bluetoothController.connectedDevices.get(receiver.id)?.rssi ?? null,
+            rtt: estimates.get(receiver.id)?.rtt ?? null
+        }));
+    }
+
+    /**
+     * Disconnects a receiver, telling it first so it does not reconnect
+     * @param {string} id - Receiver ID
+     */
+    async kick(id) {
+        // Disconnect even if the goodbye is lost, the receiver then only tries to reconnect
+        await this.sendCommand(id, CONTROL_TYPES.GOODBYE, { reason: 'Removed by the host' }).catch(error => {
+            console.warn(`Failed to say goodbye to device ${id}:`, error);
+        });
+        await this.bluetoothController.disconnectDevice(id);
+    }
+
+    /**
+     * Renames a receiver on the host and on the receiver itself
+     * @param {string} id - Receiver ID
+     * @param {string} name - New display name
+     * @throws {Error} If the receiver does not acknowledge the new name
+     */
+    async rename(id, name) {
+        const device = this.bluetoothController.connectedDevices.get(id);
+        const previousName = device?.name;
+        if (device) {
+            device.name = name;
+        }
+        try {
+            await this.updateReceiver(id, { name }, CONTROL_TYPES.RENAME, { name });
+        } catch (error) {
+            if (device?.name === name) {
+                device.name = previousName;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Mutes or unmutes a receiver's playback
+     * @param {string} id - Receiver ID
+     * @param {boolean} isMuted - Whether to mute
+     * @throws {Error} If the receiver does not acknowledge the command
+     */
+    async setMuted(id, isMuted) {
+        await this.updateReceiver(id, { isMuted }, CONTROL_TYPES.MUTE, { muted: isMuted });
+    }
+
+    /**
+     * Sets a receiver's playback volume
+     * @param {string} id - Receiver ID
+     * @param {number} volume - Volume (0-1)
+     * @throws {Error} If the receiver does not acknowledge the command
+     */
+    async setVolume(id, volume) {
+        await this.updateReceiver(id, { volume }, CONTROL_TYPES.VOLUME, { volume });
+    }
+
+    /**
+     * Assigns the part of the stream a receiver plays
+     * @param {string} id - Receiver ID
+     * @param {string} role - One of CHANNEL_ROLES
+     * @throws {Error} If the role is unknown or the receiver does not acknowledge it
+     */
+    async setRole(id, role) {
+        if (!ChannelMapper.isRole(role)) {
+            throw new Error(`Unknown channel role "${role}"`);
+        }
+        await this.updateReceiver(id, { role }, CONTROL_TYPES.CHANNEL_ROLE, { role });
+    }
+
+    /**
+     * Sets the playout delay a receiver adds on top of the group schedule,
+     * which the receiver keeps for later sessions
+     * @param {string} id - Receiver ID
+     * @param {number} trim - Milliseconds, within DELAY_TRIM_RANGE
+     * @throws {Error} If the trim is out of range or the receiver does not acknowledge it
+     */
+    async setDelayTrim(id, trim) {
+        if (!DelayTrimStore.isValid(trim)) {
+            throw new Error(`Delay trim must be between ${DELAY_TRIM_RANGE.min} and ${DELAY_TRIM_RANGE.max}ms`);
+        }
+        await this.updateReceiver(id, { delayTrim: trim }, CONTROL_TYPES.DELAY_TRIM, { trim });
+    }
+
+    /**
+     * Has a receiver play the calibration sweep
+     * @param {string} id - Receiver ID
+     * @param {number} playAt - Host clock time (ms) the sweep should be heard at
+     * @throws {Error} If the receiver does not acknowledge the command
+     */
+    async playTestSignal(id, playAt) {
+        await this.sendCommand(id, CONTROL_TYPES.CALIBRATION_SIGNAL, { playAt });
+    }
+
+    /**
+     * Adds a listener called whenever the roster changes
+     * @param {Function} listener - Callback function
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * Removes a roster listener
+     * @param {Function} listener - Callback function to remove
+     */
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * @private
+     */
+    notifyListeners() {
+        this.listeners.forEach(listener => {
+            try {
+                listener();
+            } catch (error) {
+                console.error('Error in roster listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Keeps the roster in step with connection events and status reports
+     * @private
+     * @param {Object} event - Connection event from the bluetooth controller
+     */
+    handleConnectionEvent(event) {
+        switch (event.type) {
+            case 'connect':
+                this.receivers.set(event.device.id, {
+                    id: event.device.id,
+                    name: event.device.name,
+                    status: null,
+                    isMuted: false,
+                    volume: 1,
+                    role: CHANNEL_ROLES.FULL,
+                    delayTrim: null // The receiver's stored trim, known from its first status report
+                });
+                break;
+            case 'disconnect':
+                this.receivers.delete(event.deviceId);
+                break;
+            case 'cleanup':
+                this.receivers.clear();
+                break;
+            case 'message':
+                if (event.message.type !== CONTROL_TYPES.STATUS || !this.receivers.has(event.deviceId)) return;
+                this.updateStatus(this.receivers.get(event.deviceId), event.message);
+                break;
+            case 'signal':
+                break;
+            default:
+                return;
+        }
+        this.notifyListeners();
+    }
+
+    /**
+     * Records a status report. Later reports may predate a trim the host
+     * just sent, so only the first one sets the trim.
+     * @private
+     * @param {Object} receiver - Roster entry
+     * @param {Object} status - Status report
+     */
+    updateStatus(receiver, status) {
+        receiver.status = status;
+        if (receiver.delayTrim === null && typeof status.delayTrim === 'number') {
+            receiver.delayTrim = status.delayTrim;
+        }
+    }
+
+    /**
+     * Changes a roster entry and sends the command that makes the same
+     * change on the receiver, undoing the entry if the command fails
+     * @private
+     * @param {string} id - Receiver ID
+     * @param {Object} changes - Roster entry fields to set
+     * @param {string} type - One of CONTROL_TYPES
+     * @param {Object} payload - Command fields
+     * @throws {Error} If the receiver is not connected or does not acknowledge the command
+     */
+    async updateReceiver(id, changes, type, payload) {
+        const receiver = this.getReceiver(id);
+        const previous = {};
+        Object.keys(changes).forEach(key => {
+            previous[key] = receiver[key];
+        });
+        Object.assign(receiver, changes);
+        this.notifyListeners();
+
+        try {
+            await this.sendCommand(id, type, payload);
+        } catch (error) {
+            // Leave fields a later command has changed since alone
+            Object.keys(changes).forEach(key => {
+                if (receiver[key] === changes[key]) {
+                    receiver[key] = previous[key];
+                }
+            });
+            if (this.receivers.get(id) === receiver) {
+                this.notifyListeners();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} id - Receiver ID
+     * @param {string} type - One of CONTROL_TYPES
+     * @param {Object} payload - Command fields
+     * @returns {Promise<void>}
+     * @throws {Error} If the receiver does not acknowledge the command
+     */
+    async sendCommand(id, type, payload) {
+        // Commands change the receiver's state, so they must arrive
+        await this.bluetoothController.sendControlMessage(id, type, payload, { needsAck: true });
+    }
+
+    /**
+     * @private
+     * @param {string} id - Receiver ID
+     * @returns {Object} Roster entry
+     * @throws {Error} If the receiver is not connected
+     */
+    getReceiver(id) {
+        const receiver = this.receivers.get(id);
+        if (!receiver) {
+            throw new Error(`Receiver ${id} is not connected`);
+        }
+        return receiver;
+    }
+}
+
+export default ReceiverRoster;
@@ -0,0 +1,187 @@
+import { CHANNEL_ROLE_NAMES } from '../dsp/channelMapper.js';
+import { DELAY_TRIM_RANGE } from '../calibration/delayTrimStore.js';
+
+/**
+ * Live list of connected receivers with per-device remote controls
+ */
+class RosterPanel {
+    /**
+     * @param {string} listId - ID of the list element
+     * @param {ReceiverRoster} roster - Roster to display
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(listId, roster, notificationManager) {
+        this.list = document.getElementById(listId);
+        this.count = this.list.closest('.connected-devices')?.querySelector('.device-count');
+        this.roster = roster;
+        this.notificationManager = notificationManager;
+        this.items = new Map();
+
+        this.roster.addListener(() => this.render());
+        this.render();
+    }
+
+    /**
+     * Adds, updates and removes list items to match the roster. Items are
+     * updated in place so sliders and name fields keep focus while in use.
+     * @private
+     */
+    render() {
+        const receivers = this.roster.getReceivers();
+        const ids = new Set(receivers.map(receiver => receiver.id));
+
+        this.items.forEach((item, id) => {
+            if (!ids.has(id)) {
+                item.remove();
+                this.items.delete(id);
+            }
+        });
+        receivers.forEach(receiver => {
+            if (!this.items.has(receiver.id)) {
+                this.items.set(receiver.id, this.createItem(receiver.id));
+            }
+            this.updateItem(this.items.get(receiver.id), receiver);
+        });
+
+        if (this.count) {
+            this.count.textContent = `${receivers.length} device${receivers.length === 1 ? '' : 's'}`;
+        }
+    }
+
+    /**
+     * @private
+     * @param {string} id - Receiver ID
+     * @returns {HTMLLIElement} New list item
+     */
+    createItem(id) {
+        const item = document.createElement('li');
+        item.className = 'device-item';
+        item.innerHTML = `
+            <div class="device-details">
+                <div class="device-info">
+                    <input type="text" class="device-name" maxlength="32" aria-label="Receiver name">
+                    <div class="signal-strength-container">
+                        <div class="signal-strength"></div>
+                    </div>
+                </div>
+                <span class="device-stats"></span>
+            </div>
+            <div class="device-controls">
+                <select class="device-role" aria-label="Receiver channel" title="Channel">
+                    ${Object.entries(CHANNEL_ROLE_NAMES).map(([role, name]) => `<option value="${role}">${name}</option>`).join('')}
+                </select>
+                <input type="number" class="device-delay" min="${DELAY_TRIM_RANGE.min}" max="${DELAY_TRIM_RANGE.max}" step="1"
+                    placeholder="0" aria-label="Receiver delay trim in ms" title="Delay trim (ms)">
+                <input type="range" class="device-volume" min="0" max="100" aria-label="Receiver volume">
+                <button class="control-btn device-mute" title="Mute"><i class="fas fa-volume-up"></i></button>
+                <button class="control-btn device-kick" title="Disconnect"><i class="fas fa-user-times"></i></button>
+            </div>
+        `;
+
+        item.querySelector('.device-name').addEventListener('change', (event) => {
+            const name = event.target.value.trim();
+            if (name) {
+                this.runCommand(() => this.roster.rename(id, name), 'rename receiver');
+            }
+        });
+        item.querySelector('.device-role').addEventListener('change', (event) => {
+            this.runCommand(() => this.roster.setRole(id, event.target.value), 'assign receiver channel');
+        });
+        item.querySelector('.device-delay').addEventListener('change', (event) => {
+            this.runCommand(() => this.roster.setDelayTrim(id, Number(event.target.value)), 'set receiver delay trim');
+        });
+        item.querySelector('.device-volume').addEventListener('change', (event) => {
+            this.runCommand(() => this.roster.setVolume(id, event.target.value / 100), 'set receiver volume');
+        });
+        item.querySelector('.device-mute').addEventListener('click', () => {
+            const receiver = this.roster.getReceivers().find(entry => entry.id === id);
+            this.runCommand(() => this.roster.setMuted(id, !receiver.isMuted), 'mute receiver');
+        });
+        item.querySelector('.device-kick').addEventListener('click', () => {
+            this.runCommand(() => this.roster.kick(id), 'disconnect receiver');
+        });
+
+        this.list.appendChild(item);
+        return item;
+    }
+
+    /**
+     * @private
+     * @param {HTMLLIElement} item - List item
+     * @param {Object} receiver - Roster entry
+     */
+    updateItem(item, receiver) {
+        const name = item.querySelector('.device-name');
+        if (document.activeElement !== name) {
+            name.value = receiver.name;
+        }
+
+        const volume = item.querySelector('.device-volume');
+        if (document.activeElement !== volume) {
+            volume.value = Math.round(receiver.volume * 100);
+        }
+
+        const role = item.querySelector('.device-role');
+        if (document.activeElement !== role) {
+            role.value = receiver.role;
+        }
+
+        const delay = item.querySelector('.device-delay');
+        if (document.activeElement !== delay) {
+            delay.value = receiver.delayTrim ?? '';
+        }
+
+        // Map -100..-40 dBm onto the signal bar
+        const signal = receiver.rssi === null ? 0 : Math.max(0, Math.min(100, (receiver.rssi + 100) * 100 / 60));
+        item.querySelector('.signal-strength').style.width = `${signal}%`;
+
+        item.querySelector('.device-mute').innerHTML =
+            `<i class="fas fa-volume-${receiver.isMuted ? 'mute' : 'up'}"></i>`;
+        item.querySelector('.device-stats').textContent = RosterPanel.formatStats(receiver);
+    }
+
+    /**
+     * Summarizes a receiver's health on one line
+     * @private
+     * @param {Object} receiver - Roster entry
+     * @returns {string} Stats text
+     */
+    static formatStats({ rssi, rtt, status }) {
+        const parts = [];
+        if (rssi !== null) parts.push(`Signal ${rssi} dBm`);
+        if (status) {
+            parts.push(`Buffer ${Math.round(status.bufferDepth)}ms`);
+            if (status.underruns > 0) parts.push(`${status.underruns} underruns`);
+            parts.push(`Latency ${Math.round(status.latency)}ms`);
+            if (status.packetLoss != null) parts.push(`Loss ${status.packetLoss.toFixed(1)}%`);
+            if (status.jitter != null) parts.push(`Jitter ${status.jitter.toFixed(1)}ms`);
+            if (status.recovery) {
+                const { parity, retransmission, redundancy } = status.recovery.recovered;
+                parts.push(`Recovered ${parity + retransmission + redundancy} (FEC ${parity}, resent ${retransmission}, copies ${redundancy})`);
+                parts.push(`Lost ${status.recovery.lost}`);
+            }
+            if (status.rateCorrection != null) {
+                parts.push(`Rate ${status.rateCorrection >= 0 ? '+' : ''}${status.rateCorrection.toFixed(1)}ppm`);
+            }
+        }
+        if (rtt !== null) parts.push(`RTT ${rtt.toFixed(1)}ms`);
+        if (status?.battery != null) parts.push(`Battery ${Math.round(status.battery)}%`);
+        return parts.length > 0 ? parts.join(' · ') : 'Waiting for status...';
+    }
+
+    /**
+     * @private
+     * @param {Function} command - Roster call to run
+     * @param {string} description - What the command does, for the error message
+     */
+    async runCommand(command, description) {
+        try {
+            await command();
+        } catch (error) {
+            console.error(`Failed to ${description}:`, error);
+            this.notificationManager.error(`Failed to ${description}`);
+        }
+    }
+}
+
+export default RosterPanel;
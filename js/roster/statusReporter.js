@@ -0,0 +1,89 @@
+import { CONTROL_TYPES } from '../protocol/controlMessage.js';
+
+const STATUS_INTERVAL = 2000; // ms between status reports to the host
+
+/**
+ * Receiver side of the roster: periodically reports buffer health, end to
+ * end latency, packet loss, jitter, loss recovery counts, clock drift
+ * correction, delay trim and battery level to the host over the control
+ * channel
+ */
+class StatusReporter {
+    /**
+     * @param {ControlChannel} controlChannel - Control channel to the host
+     * @param {AudioContext} audioContext - Playback audio context
+     * @param {PerformanceMonitor} performanceMonitor - Source of latency, loss and battery level
+     */
+    constructor(controlChannel, audioContext, performanceMonitor) {
+        this.controlChannel = controlChannel;
+        this.audioContext = audioContext;
+        this.performanceMonitor = performanceMonitor;
+        this.hostId = null;
+        this.timer = null;
+        this.bufferStats = null;
+        this.delayTrim = 0;
+    }
+
+    /**
+     * Starts reporting to the host
+     * @param {string} hostId - Peer ID of the host
+     */
+    start(hostId) {
+        this.stop();
+        this.hostId = hostId;
+        this.timer = setInterval(() => this.report(), STATUS_INTERVAL);
+    }
+
+    /**
+     * Stops reporting
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.hostId = null;
+        this.bufferStats = null;
+    }
+
+    /**
+     * Records the latest jitter buffer statistics from the worklet
+     * @param {Object} stats - Buffer stats (depth in ms, underruns, ...)
+     */
+    updateBufferStats(stats) {
+        this.bufferStats = stats;
+    }
+
+    /**
+     * Records the delay trim the receiver plays with
+     * @param {number} trim - Milliseconds
+     */
+    updateDelayTrim(trim) {
+        this.delayTrim = trim;
+    }
+
+    /**
+     * @private
+     */
+    report() {
+        const metrics = this.performanceMonitor.getMetrics();
+        const bufferDepth = this.bufferStats?.depth ?? 0;
+        // Until clocks are synced there is no end to end measurement, so estimate the local part
+        const outputLatency = (this.audioContext.outputLatency || this.audioContext.baseLatency || 0) * 1000;
+        const status = {
+            bufferDepth,
+            underruns: this.bufferStats?.underruns ?? 0,
+            latency: metrics.audioLatency || bufferDepth + outputLatency,
+            packetLoss: metrics.packetLoss,
+            jitter: metrics.jitter,
+            recovery: metrics.recovery, // Recovered and lost packet counts, null without loss recovery
+            rateCorrection: this.bufferStats?.rateCorrection ?? null, // ppm of playback rate change for clock drift
+            delayTrim: this.delayTrim,
+            battery: navigator.getBattery ? metrics.batteryLevel : null
+        };
+
+        this.controlChannel.send(this.hostId, CONTROL_TYPES.STATUS, status).catch(error => {
+            console.warn('Failed to send status report:', error);
+        });
+    }
+}
+
+export default StatusReporter;
@@ -0,0 +1,118 @@
+import EventEmitter from '../eventEmitter.js';
+import IllegalStateError from './illegalStateError.js';
+
+/**
+ * Connection lifecycle shared by the host and the receiver.
+ *
+ * The host goes connecting (starting to host) → connected (accepting
+ * receivers) → streaming (capturing and sending audio). The receiver goes
+ * connecting (link and room handshake) → connected → streaming (playing
+ * audio), and through reconnecting while it retries a dropped link.
+ *
+ * Every change is checked against TRANSITIONS and announced as a
+ * stateChange event, so the UI, monitoring and cleanup follow the state
+ * instead of tracking it themselves.
+ */
+export const CONNECTION_STATES = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    STREAMING: 'streaming',
+    RECONNECTING: 'reconnecting', // Link dropped, retrying with backoff
+    DISCONNECTING: 'disconnecting',
+    FAILED: 'failed' // Gave up, a new connect is needed
+};
+
+export const CONNECTION_EVENTS = {
+    STATE_CHANGE: 'stateChange' // { state, previousState, ...details }
+};
+
+const {
+    IDLE, CONNECTING, CONNECTED, STREAMING, RECONNECTING, DISCONNECTING, FAILED
+} = CONNECTION_STATES;
+
+/**
+ * States each state may move to. Reconnecting may repeat so every attempt
+ * is announced, and a dropped link may go straight to idle when the
+ * transport cannot reconnect.
+ */
+const TRANSITIONS = {
+    [IDLE]: [CONNECTING],
+    [CONNECTING]: [CONNECTED, DISCONNECTING, FAILED, IDLE],
+    [CONNECTED]: [STREAMING, RECONNECTING, DISCONNECTING, FAILED, IDLE],
+    [STREAMING]: [CONNECTED, RECONNECTING, DISCONNECTING, IDLE],
+    [RECONNECTING]: [RECONNECTING, CONNECTED, DISCONNECTING, FAILED],
+    [DISCONNECTING]: [IDLE],
+    [FAILED]: [CONNECTING, IDLE]
+};
+
+class ConnectionStateMachine extends EventEmitter {
+    constructor() {
+        super();
+        this.currentState = IDLE;
+    }
+
+    /**
+     * Current state
+     * @returns {string} One of CONNECTION_STATES
+     */
+    get state() {
+        return this.currentState;
+    }
+
+    /**
+     * Checks whether the machine is in any of the given states
+     * @param {...string} states - CONNECTION_STATES values
+     * @returns {boolean}
+     */
+    is(...states) {
+        return states.includes(this.currentState);
+    }
+
+    /**
+     * Checks whether a transition is allowed from the current state
+     * @param {string} targetState - One of CONNECTION_STATES
+     * @returns {boolean}
+     */
+    can(targetState) {
+        return TRANSITIONS[this.currentState].includes(targetState);
+    }
+
+    /**
+     * Throws unless a transition is allowed, for operations that must
+     * check before doing any work
+     * @param {string} targetState - One of CONNECTION_STATES
+     * @param {string} [action] - What is being attempted, for the error message
+     * @throws {IllegalStateError} If the transition is not allowed
+     */
+    assertCan(targetState, action) {
+        if (!this.can(targetState)) {
+            throw new IllegalStateError(this.currentState, targetState, action);
+        }
+    }
+
+    /**
+     * Moves to a new state and tells listeners
+     * @param {string} targetState - One of CONNECTION_STATES
+     * @param {Object} [details] - Extra event fields (attempt, delay, error, ...)
+     * @throws {IllegalStateError} If the transition is not allowed
+     */
+    transition(targetState, details = {}) {
+        this.assertCan(targetState);
+
+        const previousState = this.currentState;
+        this.currentState = targetState;
+        this.emit(CONNECTION_EVENTS.STATE_CHANGE, { ...details, state: targetState, previousState });
+    }
+
+    /**
+     * Adds a listener for state changes
+     * @param {Function} listener - Called with { state, previousState, ...details }
+     * @returns {Function} Function that removes the listener
+     */
+    onChange(listener) {
+        return this.on(CONNECTION_EVENTS.STATE_CHANGE, listener);
+    }
+}
+
+export default ConnectionStateMachine;
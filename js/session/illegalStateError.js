@@ -0,0 +1,18 @@
+/**
+ * Raised when an operation is not allowed in the current connection state
+ */
+class IllegalStateError extends Error {
+    /**
+     * @param {string} state - Current state
+     * @param {string} targetState - State the operation would move to
+     * @param {string} [action] - What was attempted, e.g. 'start receiving'
+     */
+    constructor(state, targetState, action = `move to ${targetState}`) {
+        super(`Cannot ${action} while ${state}`);
+        this.name = 'IllegalStateError';
+        this.state = state;
+        this.targetState = targetState;
+    }
+}
+
+export default IllegalStateError;
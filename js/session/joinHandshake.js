@@ -0,0 +1,182 @@
+import { CONTROL_TYPES, PROTOCOL_VERSION } from '../protocol/controlMessage.js';
+import CodecFactory from '../codecs/codecFactory.js';
+import Room from './room.js';
+import SecureSession from '../crypto/secureSession.js';
+
+const JOIN_TIMEOUT = 5000; // ms to wait for the host's room challenge
+const REJECTION_NOTICE_INTERVAL = 5000; // ms between notifications about forged frames
+
+/**
+ * Receiver side of joining a host: the hello, the room challenge and the
+ * encrypted link that follows it.
+ *
+ * Joining with a code answers the host's challenge and completes a key
+ * exchange, after which every frame is sealed in both directions. Without
+ * a code the hello only announces the codecs this receiver can decode.
+ */
+class JoinHandshake {
+    /**
+     * @param {ControlChannel} controlChannel - Control channel to the host
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(controlChannel, notificationManager) {
+        this.controlChannel = controlChannel;
+        this.notificationManager = notificationManager;
+        this.credentials = { joinCode: null, pin: '' };
+        this.challenge = null;
+        this.challengeWaiter = null;
+        this.secureSession = null;
+        this.isEncrypted = false;
+        this.rejectedFrames = 0;
+        this.lastRejectionNotice = 0;
+    }
+
+    /**
+     * Name of the joined room
+     * @returns {string|null} Room name, or null when not joined with a code
+     */
+    get room() {
+        return this.challenge?.room ?? null;
+    }
+
+    /**
+     * Sets the code and PIN later handshakes answer the challenge with
+     * @param {Object} credentials
+     * @param {string} [credentials.joinCode] - Room join code, or a join link
+     * @param {string} [credentials.pin] - Room PIN
+     * @returns {string|null} The parsed join code
+     */
+    setCredentials({ joinCode, pin = '' }) {
+        this.credentials = { joinCode: Room.parseCode(joinCode), pin };
+        return this.credentials.joinCode;
+    }
+
+    /**
+     * Forgets the challenge and keys of the previous link
+     */
+    reset() {
+        this.challenge = null;
+        this.secureSession = null;
+        this.isEncrypted = false;
+    }
+
+    /**
+     * Records the host's room challenge
+     * @param {Object} challenge - Challenge payload ({ room, nonce, isProtected, publicKey })
+     */
+    handleChallenge(challenge) {
+        this.challenge = challenge;
+        this.challengeWaiter?.(challenge);
+    }
+
+    /**
+     * Announces the codecs this receiver can decode so the host can pick
+     * one. When joining with a code it also answers the room challenge and
+     * completes the key exchange, and everything after the hello is encrypted.
+     * @param {string} hostId - Peer ID of the host
+     * @returns {Promise<void>}
+     * @throws {Error} If the host does not admit this receiver
+     */
+    async sendHello(hostId) {
+        const hello = {
+            version: PROTOCOL_VERSION,
+            codecs: await CodecFactory.getDecodableCodecs()
+        };
+
+        const { joinCode, pin } = this.credentials;
+        if (joinCode) {
+            const { nonce, isProtected, publicKey } = await this.waitForChallenge();
+            if (isProtected && !pin) {
+                throw new Error('This room needs a PIN');
+            }
+
+            const session = new SecureSession('receiver');
+            await session.establish({ peerPublicKey: publicKey, salt: nonce, joinCode, pin });
+            hello.joinCode = joinCode;
+            hello.proof = await Room.computeProof({ joinCode, pin, nonce });
+            hello.publicKey = await session.getPublicKey();
+            this.secureSession = session;
+        }
+        await this.controlChannel.send(hostId, CONTROL_TYPES.HELLO, hello, { needsAck: true });
+
+        // The host has accepted the key, plaintext is no longer trusted in either direction
+        this.isEncrypted = this.secureSession !== null;
+    }
+
+    /**
+     * Encrypts an outgoing frame once the handshake is done
+     * @param {Uint8Array} frame - Frame bytes
+     * @returns {Promise<Uint8Array>} Bytes to send
+     */
+    async seal(frame) {
+        return this.isEncrypted ? this.secureSession.seal(frame) : frame;
+    }
+
+    /**
+     * Decrypts an incoming frame. Frames that fail authentication are
+     * counted and dropped.
+     * @param {Uint8Array} data - Received bytes
+     * @returns {Promise<Uint8Array|null>} Frame bytes, or null if the frame was rejected
+     */
+    async open(data) {
+        // The host may start encrypting before our hello acknowledgement is processed
+        if (!this.secureSession || (!this.isEncrypted && !SecureSession.matches(data))) {
+            return data;
+        }
+
+        try {
+            const frame = await this.secureSession.open(data);
+            // Only a host that admitted us can seal frames, so answer encrypted from now on
+            this.isEncrypted = true;
+            return frame;
+        } catch (error) {
+            this.handleRejectedFrame(error);
+            return null;
+        }
+    }
+
+    /**
+     * Resolves with the host's room challenge, which may already have arrived
+     * @private
+     * @returns {Promise<Object>} Challenge payload ({ room, nonce, isProtected })
+     * @throws {Error} If the host sends no challenge in time
+     */
+    waitForChallenge() {
+        if (this.challenge) {
+            return Promise.resolve(this.challenge);
+        }
+
+        return new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                this.challengeWaiter = null;
+                reject(new Error('The host did not answer the join request'));
+            }, JOIN_TIMEOUT);
+            this.challengeWaiter = (challenge) => {
+                clearTimeout(timeoutId);
+                this.challengeWaiter = null;
+                resolve(challenge);
+            };
+        });
+    }
+
+    /**
+     * Counts a frame that failed authentication and warns the user, at most
+     * once per REJECTION_NOTICE_INTERVAL
+     * @private
+     * @param {Error} error - Why the frame was rejected
+     */
+    handleRejectedFrame(error) {
+        this.rejectedFrames++;
+        console.warn('Dropping frame:', error.message);
+
+        const now = Date.now();
+        if (now - this.lastRejectionNotice >= REJECTION_NOTICE_INTERVAL) {
+            this.lastRejectionNotice = now;
+            this.notificationManager.warning(
+                `Rejected ${this.rejectedFrames} frame${this.rejectedFrames === 1 ? '' : 's'} that failed authentication`
+            );
+        }
+    }
+}
+
+export default JoinHandshake;
@@ -0,0 +1,79 @@
+import QrCodeScanner from '../signaling/qrCodeScanner.js';
+import Room, { JOIN_PARAM } from './room.js';
+
+/**
+ * Receiver UI for entering or scanning a room's join code and PIN
+ */
+class JoinPanel {
+    /**
+     * @param {string} panelId - ID of the panel element
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(panelId, notificationManager) {
+        this.panel = document.getElementById(panelId);
+        this.notificationManager = notificationManager;
+        this.scanner = new QrCodeScanner();
+
+        this.codeInput = this.panel.querySelector('.join-code');
+        this.pinInput = this.panel.querySelector('.join-pin');
+        this.scanButton = this.panel.querySelector('.join-scan');
+        this.video = this.panel.querySelector('.join-video');
+
+        this.scanButton.classList.toggle('hidden', !QrCodeScanner.isSupported());
+        this.scanButton.addEventListener('click', () => this.scanCode());
+        this.codeInput.addEventListener('change', () => {
+            this.codeInput.value = Room.parseCode(this.codeInput.value);
+        });
+
+        // Join links open the page with the code filled in
+        const linkedCode = new URLSearchParams(window.location.search).get(JOIN_PARAM);
+        if (linkedCode) {
+            this.codeInput.value = Room.parseCode(linkedCode);
+        }
+    }
+
+    /**
+     * Whether the page was opened from a join link
+     * @returns {boolean}
+     */
+    static isJoinLink() {
+        return new URLSearchParams(window.location.search).has(JOIN_PARAM);
+    }
+
+    /**
+     * Gets the entered credentials
+     * @returns {Object} { joinCode, pin }
+     */
+    getCredentials() {
+        return {
+            joinCode: Room.parseCode(this.codeInput.value),
+            pin: this.pinInput.value.trim()
+        };
+    }
+
+    /**
+     * Fills the join code from a scanned QR code
+     * @private
+     */
+    async scanCode() {
+        if (this.scanner.isScanning) {
+            this.scanner.stop();
+            return;
+        }
+
+        try {
+            this.video.classList.remove('hidden');
+            const text = await this.scanner.scan(this.video);
+            if (text) {
+                this.codeInput.value = Room.parseCode(text);
+            }
+        } catch (error) {
+            console.error('QR scan failed:', error);
+            this.notificationManager.error('Failed to scan QR code');
+        } finally {
+            this.video.classList.add('hidden');
+        }
+    }
+}
+
+export default JoinPanel;
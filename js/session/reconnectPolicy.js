@@ -0,0 +1,52 @@
+/**
+ * Exponential backoff with jitter for receivers reconnecting to a host.
+ *
+ * The delay doubles with every attempt up to maxDelay, and a random share
+ * of up to `jitter` is taken off so receivers that dropped together do
+ * not all retry at the same moment.
+ */
+const DEFAULT_OPTIONS = {
+    baseDelay: 500, // ms before the first attempt
+    maxDelay: 15000,
+    maxAttempts: 8,
+    jitter: 0.5 // Fraction of the delay that is randomized
+};
+
+class ReconnectPolicy {
+    /**
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * Number of attempts before giving up
+     * @returns {number}
+     */
+    get maxAttempts() {
+        return this.options.maxAttempts;
+    }
+
+    /**
+     * Computes how long to wait before an attempt
+     * @param {number} attempt - Attempt number, starting at 1
+     * @returns {number} Delay in ms
+     */
+    getDelay(attempt) {
+        const { baseDelay, maxDelay, jitter } = this.options;
+        const ceiling = Math.min(maxDelay, baseDelay * 2 ** (attempt - 1));
+        return Math.round(ceiling * (1 - jitter * Math.random()));
+    }
+
+    /**
+     * Whether another attempt is allowed
+     * @param {number} attempt - Attempt number, starting at 1
+     * @returns {boolean}
+     */
+    allows(attempt) {
+        return attempt <= this.options.maxAttempts;
+    }
+}
+
+export default ReconnectPolicy;
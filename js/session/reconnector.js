@@ -0,0 +1,107 @@
+import ReconnectPolicy from './reconnectPolicy.js';
+import { CONNECTION_STATES } from './connectionStateMachine.js';
+
+/**
+ * Brings a receiver back to its host after the link drops.
+ *
+ * Attempts follow the reconnect policy's backoff while the connection is
+ * reconnecting. A successful attempt returns to the state the receiver was
+ * in when the link dropped, so a streaming receiver keeps playing; once the
+ * policy's attempts are spent the connection fails.
+ */
+class Reconnector {
+    /**
+     * @param {ConnectionStateMachine} connection - Receiver connection state
+     * @param {NotificationManager} notificationManager - Notification manager
+     * @param {Object} callbacks
+     * @param {Function} callbacks.restore - Reconnects the link and rejoins the host, () => Promise<void>
+     * @param {Function} callbacks.suspend - Forgets the host session after a failed attempt
+     * @param {Function} callbacks.release - Releases the host and transport when giving up
+     * @param {ReconnectPolicy} [policy] - Backoff and attempt budget
+     */
+    constructor(connection, notificationManager, callbacks, policy = new ReconnectPolicy()) {
+        this.connection = connection;
+        this.notificationManager = notificationManager;
+        this.callbacks = callbacks;
+        this.policy = policy;
+        this.attempt = 0;
+        this.resumeState = null;
+        this.timer = null;
+    }
+
+    /**
+     * Starts reconnecting after the link dropped
+     */
+    begin() {
+        this.notificationManager.warning('Lost connection to host, reconnecting...');
+        this.resumeState = this.connection.state;
+        this.attempt = 0;
+        this.scheduleAttempt();
+    }
+
+    /**
+     * Stops any pending attempt
+     */
+    cancel() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.resumeState = null;
+    }
+
+    /**
+     * Waits out the backoff delay before the next attempt, or gives up
+     * once the retry budget is spent
+     * @private
+     */
+    scheduleAttempt() {
+        this.attempt++;
+        if (!this.policy.allows(this.attempt)) {
+            this.fail();
+            return;
+        }
+
+        const delay = this.policy.getDelay(this.attempt);
+        this.connection.transition(CONNECTION_STATES.RECONNECTING, {
+            attempt: this.attempt,
+            maxAttempts: this.policy.maxAttempts,
+            delay
+        });
+        this.timer = setTimeout(() => this.runAttempt(), delay);
+    }
+
+    /**
+     * @private
+     */
+    async runAttempt() {
+        this.timer = null;
+        try {
+            await this.callbacks.restore();
+            // Cancelled while the link came back
+            if (!this.connection.is(CONNECTION_STATES.CONNECTED)) return;
+
+            if (this.resumeState === CONNECTION_STATES.STREAMING) {
+                this.connection.transition(CONNECTION_STATES.STREAMING);
+            }
+            this.resumeState = null;
+            this.notificationManager.success('Reconnected to host');
+        } catch (error) {
+            // Cancelled, or the host sent us away during the handshake
+            if (!this.connection.is(CONNECTION_STATES.RECONNECTING)) return;
+
+            console.warn(`Reconnect attempt ${this.attempt} failed:`, error);
+            this.callbacks.suspend();
+            this.scheduleAttempt();
+        }
+    }
+
+    /**
+     * @private
+     */
+    fail() {
+        this.callbacks.release();
+        this.notificationManager.error(`Could not reconnect to host after ${this.policy.maxAttempts} attempts`);
+        this.connection.transition(CONNECTION_STATES.FAILED, { error: 'Reconnect attempts exhausted' });
+    }
+}
+
+export default Reconnector;
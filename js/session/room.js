@@ -0,0 +1,182 @@
+/**
+ * A named broadcast session receivers join with a short code and an
+ * optional PIN.
+ *
+ * The room outlives the transport: the host keeps the same code and PIN
+ * when hosting restarts, so receivers can rejoin without a new invite.
+ *
+ * Joining is a challenge-response handshake. The host sends every new peer
+ * a random nonce, and the peer answers with an HMAC of that nonce keyed by
+ * the join code and PIN. The PIN never crosses the link, and each nonce is
+ * accepted once, so a captured handshake cannot be replayed.
+ */
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I lookalikes
+const CODE_LENGTH = 6;
+const NONCE_BYTES = 16;
+export const JOIN_PARAM = 'join';
+
+class Room {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.name] - Display name shown to receivers
+     * @param {string} [options.pin] - PIN receivers must enter, none if empty
+     */
+    constructor({ name = 'Audio Room', pin = '' } = {}) {
+        this.name = name;
+        this.pin = pin;
+        this.joinCode = Room.generateCode();
+        this.challenges = new Map();
+    }
+
+    /**
+     * Whether receivers need a PIN to join
+     * @returns {boolean}
+     */
+    get isProtected() {
+        return this.pin.length > 0;
+    }
+
+    /**
+     * Generates a random join code
+     * @returns {string} Code of CODE_LENGTH unambiguous characters
+     */
+    static generateCode() {
+        const bytes = crypto.getRandomValues(new Uint8Array(CODE_LENGTH));
+        return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    }
+
+    /**
+     * Normalizes a typed or scanned join code, accepting join links too
+     * @param {string} input - Code or URL containing a join parameter
+     * @returns {string} Upper case code, empty if none was found
+     */
+    static parseCode(input) {
+        const text = (input || '').trim();
+        try {
+            const code = new URL(text).searchParams.get(JOIN_PARAM);
+            if (code) return code.toUpperCase();
+        } catch (error) {
+            // Not a link, treat the input as the code itself
+        }
+        return text.replace(/[\s-]/g, '').toUpperCase();
+    }
+
+    /**
+     * Computes the handshake proof for a challenge
+     * @param {Object} credentials
+     * @param {string} credentials.joinCode - Room join code
+     * @param {string} [credentials.pin] - Room PIN
+     * @param {string} credentials.nonce - Challenge nonce from the host
+     * @returns {Promise<string>} Hex encoded HMAC-SHA256
+     */
+    static async computeProof({ joinCode, pin = '', nonce }) {
+        const encoder = new TextEncoder();
+        const key = await crypto.subtle.importKey(
+            'raw',
+            encoder.encode(`${joinCode}:${pin}`),
+            { name: 'HMAC', hash: 'SHA-256' },
+            false,
+            ['sign']
+        );
+        const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(nonce));
+        return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Compares two proofs in time that does not depend on where they differ,
+     * so a peer cannot guess a proof byte by byte from response times
+     * @private
+     * @param {string} proof - Proof received from a peer
+     * @param {string} expected - Proof computed locally
+     * @returns {boolean} Whether they are equal
+     */
+    static isSameProof(proof, expected) {
+        const encoder = new TextEncoder();
+        const received = encoder.encode(String(proof));
+        const wanted = encoder.encode(expected);
+        if (received.length !== wanted.length) return false;
+
+        let difference = 0;
+        for (let i = 0; i < wanted.length; i++) {
+            difference |= received[i] ^ wanted[i];
+        }
+        return difference === 0;
+    }
+
+    /**
+     * Changes the name and PIN, keeping the join code
+     * @param {Object} settings - { name, pin }
+     */
+    update({ name = this.name, pin = this.pin }) {
+        this.name = name;
+        this.pin = pin;
+    }
+
+    /**
+     * Replaces the join code, locking out anyone who has the old one
+     */
+    regenerateCode() {
+        this.joinCode = Room.generateCode();
+    }
+
+    /**
+     * Builds a link that opens the receiver with the join code filled in
+     * @param {string} baseUrl - Page URL to join from
+     * @returns {string} Join URL
+     */
+    getJoinUrl(baseUrl) {
+        const url = new URL(baseUrl);
+        url.search = '';
+        url.hash = '';
+        url.searchParams.set(JOIN_PARAM, this.joinCode);
+        return url.toString();
+    }
+
+    /**
+     * Issues a fresh challenge for a peer that just connected
+     * @param {string} peerId - Peer ID
+     * @returns {string} Nonce the peer must sign
+     */
+    createChallenge(peerId) {
+        const bytes = crypto.getRandomValues(new Uint8Array(NONCE_BYTES));
+        const nonce = btoa(String.fromCharCode(...bytes));
+        this.challenges.set(peerId, nonce);
+        return nonce;
+    }
+
+    /**
+     * Checks a peer's answer to its challenge. The challenge is used up
+     * either way, so every attempt needs a new connection.
+     * @param {string} peerId - Peer ID
+     * @param {Object} answer - { joinCode, proof } from the peer's hello
+     * @returns {Promise<string>} The answered nonce, which salts the session key
+     * @throws {Error} With a reason suitable for the peer if the answer is rejected
+     */
+    async verify(peerId, { joinCode, proof }) {
+        const nonce = this.challenges.get(peerId);
+        this.challenges.delete(peerId);
+
+        if (!nonce) {
+            throw new Error('Join request was not expected or was already used');
+        }
+        if (Room.parseCode(joinCode) !== this.joinCode) {
+            throw new Error('Wrong join code');
+        }
+
+        const expected = await Room.computeProof({ joinCode: this.joinCode, pin: this.pin, nonce });
+        if (!Room.isSameProof(proof, expected)) {
+            throw new Error(this.isProtected ? 'Wrong PIN' : 'Invalid join request');
+        }
+        return nonce;
+    }
+
+    /**
+     * Forgets the challenge of a departed peer
+     * @param {string} peerId - Peer ID
+     */
+    removePeer(peerId) {
+        this.challenges.delete(peerId);
+    }
+}
+
+export default Room;
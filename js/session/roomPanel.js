@@ -0,0 +1,106 @@
+import QrCodeRenderer from '../signaling/qrCodeRenderer.js';
+
+/**
+ * Host UI for the room: name and PIN settings, and the join code shown as
+ * text and as a QR code linking to the receiver page
+ */
+class RoomPanel {
+    /**
+     * @param {string} panelId - ID of the panel element
+     * @param {Room} room - Room being hosted
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(panelId, room, notificationManager) {
+        this.panel = document.getElementById(panelId);
+        this.room = room;
+        this.notificationManager = notificationManager;
+        this.renderer = new QrCodeRenderer();
+
+        this.nameInput = this.panel.querySelector('.room-name');
+        this.pinInput = this.panel.querySelector('.room-pin');
+        this.code = this.panel.querySelector('.room-code');
+        this.status = this.panel.querySelector('.room-status');
+        this.qr = this.panel.querySelector('.room-qr');
+        this.regenerateButton = this.panel.querySelector('.room-regenerate');
+
+        this.nameInput.value = room.name;
+        this.nameInput.addEventListener('change', () => this.updateSettings());
+        this.pinInput.addEventListener('change', () => this.updateSettings());
+        this.regenerateButton.addEventListener('click', () => this.regenerateCode());
+        this.panel.querySelector('.room-copy').addEventListener('click', () => this.copyLink());
+
+        this.render();
+    }
+
+    /**
+     * Prevents changing the join code while it is being advertised
+     * @param {boolean} isLocked - Whether the host is broadcasting
+     */
+    setLocked(isLocked) {
+        this.regenerateButton.disabled = isLocked;
+    }
+
+    /**
+     * Shows the current join code and protection state
+     * @private
+     */
+    async render() {
+        this.code.textContent = this.room.joinCode;
+        this.status.innerHTML = this.room.isProtected
+            ? '<i class="fas fa-lock"></i> PIN required'
+            : '<i class="fas fa-lock-open"></i> No PIN';
+
+        const rendered = await this.renderer.render(this.qr, this.getJoinUrl());
+        this.qr.classList.toggle('hidden', !rendered);
+    }
+
+    /**
+     * @private
+     * @returns {string} Link that opens this page as a receiver of the room
+     */
+    getJoinUrl() {
+        return this.room.getJoinUrl(window.location.href);
+    }
+
+    /**
+     * Applies the name and PIN fields to the room
+     * @private
+     */
+    updateSettings() {
+        const wasProtected = this.room.isProtected;
+        const name = this.nameInput.value.trim();
+        this.room.update({ name: name || this.room.name, pin: this.pinInput.value.trim() });
+        this.nameInput.value = this.room.name;
+        this.render();
+
+        if (this.room.isProtected !== wasProtected) {
+            this.notificationManager.success(this.room.isProtected
+                ? 'Room PIN set, new receivers must enter it'
+                : 'Room PIN removed');
+        }
+    }
+
+    /**
+     * @private
+     */
+    regenerateCode() {
+        this.room.regenerateCode();
+        this.render();
+        this.notificationManager.info(`New join code ${this.room.joinCode}`);
+    }
+
+    /**
+     * Copies the join link to the clipboard
+     * @private
+     */
+    async copyLink() {
+        try {
+            await navigator.clipboard.writeText(this.getJoinUrl());
+            this.notificationManager.success('Join link copied to clipboard');
+        } catch (error) {
+            this.notificationManager.info(`Join code: ${this.room.joinCode}`);
+        }
+    }
+}
+
+export default RoomPanel;
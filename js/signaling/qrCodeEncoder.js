@@ -0,0 +1,480 @@
+/**
+ * QR code encoder for signaling codes and join links.
+ *
+ * Encodes text as UTF-8 in byte mode at error correction level L, which
+ * holds the most data per symbol, in the smallest version (1-40) that fits.
+ * The mask is chosen by the penalty rules of ISO/IEC 18004 so the symbol
+ * scans reliably. Kept in the repo so pairing works without internet.
+ */
+const MAX_VERSION = 40;
+const BYTE_MODE = 0x4;
+const FORMAT_LEVEL_L = 1; // Error correction level bits in the format information
+const PAD_BYTES = [0xec, 0x11];
+
+// Error correction codewords per block and block count for level L, by version
+const ECC_CODEWORDS_PER_BLOCK = [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28,
+    28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30];
+const ERROR_CORRECTION_BLOCKS = [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8,
+    8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25];
+
+// Penalty weights for the mask rules
+const PENALTY_RUN = 3;
+const PENALTY_BLOCK = 3;
+const PENALTY_FINDER_LIKE = 40;
+const PENALTY_BALANCE = 10;
+
+const encoder = new TextEncoder();
+
+class QrCodeEncoder {
+    /**
+     * Encodes text into a QR code
+     * @param {string} text - Text to encode
+     * @returns {boolean[][]} Square matrix of modules by row, true for dark
+     * @throws {Error} If the text does not fit in the largest version
+     */
+    static encode(text) {
+        const bytes = encoder.encode(text);
+        const version = QrCodeEncoder.chooseVersion(bytes.length);
+        const codewords = QrCodeEncoder.addErrorCorrection(QrCodeEncoder.buildDataCodewords(bytes, version), version);
+
+        const symbol = QrCodeEncoder.createSymbol(version);
+        QrCodeEncoder.drawCodewords(symbol, codewords);
+
+        let best = null;
+        for (let mask = 0; mask < 8; mask++) {
+            QrCodeEncoder.applyMask(symbol, mask);
+            QrCodeEncoder.drawFormatBits(symbol, mask);
+            const penalty = QrCodeEncoder.getPenalty(symbol.modules);
+            if (best === null || penalty < best.penalty) {
+                best = { mask, penalty };
+            }
+            QrCodeEncoder.applyMask(symbol, mask); // Masking twice undoes it
+        }
+        QrCodeEncoder.applyMask(symbol, best.mask);
+        QrCodeEncoder.drawFormatBits(symbol, best.mask);
+        return symbol.modules;
+    }
+
+    /**
+     * Picks the smallest version whose data capacity holds the bytes
+     * @private
+     * @param {number} length - Data bytes
+     * @returns {number} Version
+     * @throws {Error} If no version is large enough
+     */
+    static chooseVersion(length) {
+        for (let version = 1; version <= MAX_VERSION; version++) {
+            const bits = 4 + QrCodeEncoder.getCountBits(version) + length * 8;
+            if (bits <= QrCodeEncoder.getDataCodewordCount(version) * 8) return version;
+        }
+        throw new Error(`${length} bytes do not fit in a QR code`);
+    }
+
+    /**
+     * @private
+     * @param {number} version - Version
+     * @returns {number} Bits of the byte mode character count
+     */
+    static getCountBits(version) {
+        return version < 10 ? 8 : 16;
+    }
+
+    /**
+     * Counts the modules left for codewords once the function patterns are placed
+     * @private
+     * @param {number} version - Version
+     * @returns {number} Modules
+     */
+    static getRawModuleCount(version) {
+        let count = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            count -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) {
+                count -= 36;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * @private
+     * @param {number} version - Version
+     * @returns {number} Codewords available for data at level L
+     */
+    static getDataCodewordCount(version) {
+        return Math.floor(QrCodeEncoder.getRawModuleCount(version) / 8)
+            - ECC_CODEWORDS_PER_BLOCK[version] * ERROR_CORRECTION_BLOCKS[version];
+    }
+
+    /**
+     * Builds the byte mode segment, terminated and padded to the data capacity
+     * @private
+     * @param {Uint8Array} bytes - Data
+     * @param {number} version - Version
+     * @returns {number[]} Data codewords
+     */
+    static buildDataCodewords(bytes, version) {
+        const bits = [];
+        const append = (value, length) => {
+            for (let i = length - 1; i >= 0; i--) {
+                bits.push((value >>> i) & 1);
+            }
+        };
+        append(BYTE_MODE, 4);
+        append(bytes.length, QrCodeEncoder.getCountBits(version));
+        bytes.forEach(byte => append(byte, 8));
+
+        const capacity = QrCodeEncoder.getDataCodewordCount(version) * 8;
+        append(0, Math.min(4, capacity - bits.length));
+        append(0, (8 - (bits.length % 8)) % 8);
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+        }
+        for (let i = 0; codewords.length < capacity / 8; i++) {
+            codewords.push(PAD_BYTES[i % 2]);
+        }
+        return codewords;
+    }
+
+    /**
+     * Splits the data into blocks, adds Reed-Solomon codewords to each and
+     * interleaves them
+     * @private
+     * @param {number[]} data - Data codewords
+     * @param {number} version - Version
+     * @returns {number[]} All codewords in placement order
+     */
+    static addErrorCorrection(data, version) {
+        const blockCount = ERROR_CORRECTION_BLOCKS[version];
+        const eccLength = ECC_CODEWORDS_PER_BLOCK[version];
+        const rawCodewords = Math.floor(QrCodeEncoder.getRawModuleCount(version) / 8);
+        const shortBlockCount = blockCount - (rawCodewords % blockCount);
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = QrCodeEncoder.getDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; i++) {
+            const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+            const block = data.slice(offset, offset + dataLength);
+            offset += dataLength;
+            const ecc = QrCodeEncoder.getRemainder(block, divisor);
+            // Short blocks get a placeholder so every block lines up when interleaving
+            if (i < shortBlockCount) {
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; i++) {
+            blocks.forEach((block, index) => {
+                if (i !== shortBlockLength - eccLength || index >= shortBlockCount) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    /**
+     * Builds the Reed-Solomon generator polynomial
+     * @private
+     * @param {number} degree - Error correction codewords per block
+     * @returns {number[]} Coefficients, highest power first, leading 1 left out
+     */
+    static getDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; i++) {
+            for (let j = 0; j < degree; j++) {
+                result[j] = QrCodeEncoder.multiply(result[j], root);
+                if (j + 1 < degree) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = QrCodeEncoder.multiply(root, 0x02);
+        }
+        return result;
+    }
+
+    /**
+     * @private
+     * @param {number[]} data - Block data codewords
+     * @param {number[]} divisor - Generator from getDivisor()
+     * @returns {number[]} Error correction codewords
+     */
+    static getRemainder(data, divisor) {
+        const result = new Array(divisor.length).fill(0);
+        data.forEach(byte => {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, index) => {
+                result[index] ^= QrCodeEncoder.multiply(coefficient, factor);
+            });
+        });
+        return result;
+    }
+
+    /**
+     * Multiplies in GF(256) modulo x^8 + x^4 + x^3 + x^2 + 1
+     * @private
+     * @param {number} x - Field element
+     * @param {number} y - Field element
+     * @returns {number} Product
+     */
+    static multiply(x, y) {
+        let product = 0;
+        for (let i = 7; i >= 0; i--) {
+            product = (product << 1) ^ ((product >>> 7) * 0x11d);
+            product ^= ((y >>> i) & 1) * x;
+        }
+        return product;
+    }
+
+    /**
+     * Creates a symbol with the finder, timing and alignment patterns and
+     * version information drawn, and the format areas reserved
+     * @private
+     * @param {number} version - Version
+     * @returns {Object} { size, modules, isFunction } with matrices by row
+     */
+    static createSymbol(version) {
+        const size = version * 4 + 17;
+        const symbol = {
+            size,
+            modules: Array.from({ length: size }, () => new Array(size).fill(false)),
+            isFunction: Array.from({ length: size }, () => new Array(size).fill(false))
+        };
+        const set = (x, y, isDark) => {
+            symbol.modules[y][x] = isDark;
+            symbol.isFunction[y][x] = true;
+        };
+
+        for (let i = 0; i < size; i++) {
+            set(6, i, i % 2 === 0);
+            set(i, 6, i % 2 === 0);
+        }
+
+        [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+            for (let dy = -4; dy <= 4; dy++) {
+                for (let dx = -4; dx <= 4; dx++) {
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+                        set(x + dx, y + dy, distance !== 2 && distance !== 4);
+                    }
+                }
+            }
+        });
+
+        const positions = QrCodeEncoder.getAlignmentPositions(version);
+        const last = positions.length - 1;
+        positions.forEach((y, row) => positions.forEach((x, column) => {
+            // Corners with a finder pattern have no alignment pattern
+            if ((row === 0 && column === 0) || (row === 0 && column === last) || (row === last && column === 0)) return;
+            for (let dy = -2; dy <= 2; dy++) {
+                for (let dx = -2; dx <= 2; dx++) {
+                    set(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+                }
+            }
+        }));
+
+        QrCodeEncoder.drawFormatBits(symbol, 0, set);
+
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; i++) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+            }
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; i++) {
+                const isDark = ((bits >>> i) & 1) !== 0;
+                const a = size - 11 + (i % 3);
+                const b = Math.floor(i / 3);
+                set(a, b, isDark);
+                set(b, a, isDark);
+            }
+        }
+        return symbol;
+    }
+
+    /**
+     * @private
+     * @param {number} version - Version
+     * @returns {number[]} Centre coordinates of alignment patterns along each axis
+     */
+    static getAlignmentPositions(version) {
+        if (version === 1) return [];
+
+        const count = Math.floor(version / 7) + 2;
+        const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+        const positions = [6];
+        for (let position = version * 4 + 10; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    /**
+     * Draws both copies of the format information for a mask
+     * @private
+     * @param {Object} symbol - Symbol from createSymbol()
+     * @param {number} mask - Mask pattern, 0-7
+     * @param {Function} [set] - Module setter, plain assignment by default
+     */
+    static drawFormatBits(symbol, mask, set = (x, y, isDark) => { symbol.modules[y][x] = isDark; }) {
+        const data = (FORMAT_LEVEL_L << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; i++) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = (i) => ((bits >>> i) & 1) !== 0;
+        const { size } = symbol;
+
+        for (let i = 0; i <= 5; i++) {
+            set(8, i, bit(i));
+        }
+        set(8, 7, bit(6));
+        set(8, 8, bit(7));
+        set(7, 8, bit(8));
+        for (let i = 9; i < 15; i++) {
+            set(14 - i, 8, bit(i));
+        }
+        for (let i = 0; i < 8; i++) {
+            set(size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; i++) {
+            set(8, size - 15 + i, bit(i));
+        }
+        set(8, size - 8, true); // Always dark
+    }
+
+    /**
+     * Places codewords in the two module wide zigzag from the bottom right
+     * @private
+     * @param {Object} symbol - Symbol from createSymbol()
+     * @param {number[]} codewords - Codewords in placement order
+     */
+    static drawCodewords({ size, modules, isFunction }, codewords) {
+        let index = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            // The vertical timing pattern takes a whole column
+            if (right === 6) {
+                right = 5;
+            }
+            const isUpward = ((right + 1) & 2) === 0;
+            for (let vertical = 0; vertical < size; vertical++) {
+                const y = isUpward ? size - 1 - vertical : vertical;
+                for (let j = 0; j < 2; j++) {
+                    const x = right - j;
+                    // Remainder modules past the last codeword stay light
+                    if (!isFunction[y][x] && index < codewords.length * 8) {
+                        modules[y][x] = ((codewords[index >>> 3] >>> (7 - (index & 7))) & 1) !== 0;
+                        index++;
+                    }
+                }
+            }
+        }
+    }
+
+    /**
+     * Inverts the data modules a mask pattern selects
+     * @private
+     * @param {Object} symbol - Symbol from createSymbol()
+     * @param {number} mask - Mask pattern, 0-7
+     */
+    static applyMask({ size, modules, isFunction }, mask) {
+        const patterns = [
+            (x, y) => (x + y) % 2 === 0,
+            (x, y) => y % 2 === 0,
+            (x) => x % 3 === 0,
+            (x, y) => (x + y) % 3 === 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+            (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+            (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+            (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+        ];
+        const isInverted = patterns[mask];
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                if (!isFunction[y][x] && isInverted(x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+
+    /**
+     * Scores how hard a masked symbol is to scan: long runs, 2x2 blocks,
+     * patterns that look like finders and an uneven dark to light balance
+     * @private
+     * @param {boolean[][]} modules - Modules by row
+     * @returns {number} Penalty, lower is better
+     */
+    static getPenalty(modules) {
+        const size = modules.length;
+        const columns = modules.map((_, x) => modules.map(row => row[x]));
+        let penalty = 0;
+
+        [...modules, ...columns].forEach(line => {
+            let runLength = 1;
+            for (let i = 1; i <= size; i++) {
+                if (i < size && line[i] === line[i - 1]) {
+                    runLength++;
+                    continue;
+                }
+                if (runLength >= 5) {
+                    penalty += PENALTY_RUN + runLength - 5;
+                }
+                runLength = 1;
+            }
+            penalty += PENALTY_FINDER_LIKE * QrCodeEncoder.countFinderLike(line);
+        });
+
+        let dark = 0;
+        for (let y = 0; y < size; y++) {
+            for (let x = 0; x < size; x++) {
+                const isDark = modules[y][x];
+                if (isDark) dark++;
+                if (x > 0 && y > 0 && isDark === modules[y][x - 1] && isDark === modules[y - 1][x]
+                    && isDark === modules[y - 1][x - 1]) {
+                    penalty += PENALTY_BLOCK;
+                }
+            }
+        }
+
+        // 10 points for every 5% the dark share strays from half
+        const total = size * size;
+        penalty += Math.ceil(Math.abs(dark * 20 - total * 10) / total - 1) * PENALTY_BALANCE;
+        return penalty;
+    }
+
+    /**
+     * Counts dark-light-dark-dark-dark-light-dark runs with four light
+     * modules (or the symbol edge) on either side
+     * @private
+     * @param {boolean[]} line - One row or column
+     * @returns {number} Occurrences
+     */
+    static countFinderLike(line) {
+        const pattern = [true, false, true, true, true, false, true];
+        const isLight = (index) => index < 0 || index >= line.length || !line[index];
+        let count = 0;
+        for (let start = 0; start + pattern.length <= line.length; start++) {
+            if (!pattern.every((isDark, offset) => line[start + offset] === isDark)) continue;
+
+            const before = [1, 2, 3, 4].every(gap => isLight(start - gap));
+            const after = [0, 1, 2, 3].every(gap => isLight(start + pattern.length + gap));
+            if (before || after) {
+                count++;
+            }
+        }
+        return count;
+    }
+}
+
+export default QrCodeEncoder;
@@ -0,0 +1,40 @@
+import QrCodeEncoder from './qrCodeEncoder.js';
+
+/**
+ * Renders signaling codes as QR codes
+ */
+const MARGIN = 4; // Light modules around the symbol, the quiet zone the QR spec requires
+const WIDTH = 256;
+
+class QrCodeRenderer {
+    /**
+     * Draws a QR code for the text onto a canvas
+     * @param {HTMLCanvasElement} canvas - Target canvas
+     * @param {string} text - Text to encode
+     * @returns {Promise<boolean>} Whether the QR code could be rendered
+     */
+    async render(canvas, text) {
+        try {
+            const modules = QrCodeEncoder.encode(text);
+            const count = modules.length + MARGIN * 2;
+            const scale = Math.max(1, Math.floor(WIDTH / count));
+
+            canvas.width = canvas.height = count * scale;
+            const context = canvas.getContext('2d');
+            context.fillStyle = '#ffffff';
+            context.fillRect(0, 0, canvas.width, canvas.height);
+            context.fillStyle = '#000000';
+            modules.forEach((row, y) => row.forEach((isDark, x) => {
+                if (isDark) {
+                    context.fillRect((x + MARGIN) * scale, (y + MARGIN) * scale, scale, scale);
+                }
+            }));
+            return true;
+        } catch (error) {
+            console.warn('QR code rendering failed:', error);
+            return false;
+        }
+    }
+}
+
+export default QrCodeRenderer;
@@ -0,0 +1,63 @@
+/**
+ * Scans QR codes from the camera using the Shape Detection API
+ */
+class QrCodeScanner {
+    constructor() {
+        this.stream = null;
+        this.isScanning = false;
+    }
+
+    /**
+     * Checks whether QR scanning is available
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof BarcodeDetector !== 'undefined' && !!navigator.mediaDevices?.getUserMedia;
+    }
+
+    /**
+     * Opens the rear camera and resolves with the first QR code found
+     * @param {HTMLVideoElement} video - Element used to preview the camera
+     * @returns {Promise<string|null>} Decoded text, or null if scanning was stopped
+     */
+    async scan(video) {
+        if (!QrCodeScanner.isSupported()) {
+            throw new Error('QR scanning is not supported on this device');
+        }
+
+        const detector = new BarcodeDetector({ formats: ['qr_code'] });
+        this.stream = await navigator.mediaDevices.getUserMedia({
+            video: { facingMode: 'environment' }
+        });
+        video.srcObject = this.stream;
+        await video.play();
+        this.isScanning = true;
+
+        try {
+            while (this.isScanning) {
+                const codes = await detector.detect(video);
+                if (codes.length > 0) {
+                    return codes[0].rawValue;
+                }
+                await new Promise(resolve => requestAnimationFrame(resolve));
+            }
+            return null;
+        } finally {
+            this.stop();
+            video.srcObject = null;
+        }
+    }
+
+    /**
+     * Stops scanning and releases the camera
+     */
+    stop() {
+        this.isScanning = false;
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+}
+
+export default QrCodeScanner;
@@ -0,0 +1,89 @@
+/**
+ * Encodes WebRTC session descriptions into copy/paste and QR friendly codes
+ */
+const COMPRESSED_PREFIX = 'z';
+const PLAIN_PREFIX = 'p';
+
+class SignalCodec {
+    /**
+     * Encodes a signaling message into a compact string
+     * @param {Object} message - Message with type, sdp and peerId
+     * @returns {Promise<string>} Encoded signal code
+     */
+    static async encode(message) {
+        const bytes = new TextEncoder().encode(JSON.stringify(message));
+
+        if (typeof CompressionStream === 'undefined') {
+            return PLAIN_PREFIX + SignalCodec.toBase64Url(bytes);
+        }
+
+        const compressed = await SignalCodec.pipe(bytes, new CompressionStream('deflate-raw'));
+        return COMPRESSED_PREFIX + SignalCodec.toBase64Url(compressed);
+    }
+
+    /**
+     * Decodes a signal code produced by encode()
+     * @param {string} code - Encoded signal code
+     * @returns {Promise<Object>} Decoded message
+     * @throws {Error} If the code is malformed
+     */
+    static async decode(code) {
+        const trimmed = (code || '').trim();
+        const prefix = trimmed.charAt(0);
+
+        try {
+            let bytes = SignalCodec.fromBase64Url(trimmed.slice(1));
+            if (prefix === COMPRESSED_PREFIX) {
+                bytes = await SignalCodec.pipe(bytes, new DecompressionStream('deflate-raw'));
+            } else if (prefix !== PLAIN_PREFIX) {
+                throw new Error('unknown prefix');
+            }
+
+            const message = JSON.parse(new TextDecoder().decode(bytes));
+            if (!message.type || !message.sdp) {
+                throw new Error('missing session description');
+            }
+            return message;
+        } catch (error) {
+            throw new Error(`Invalid connection code: ${error.message}`);
+        }
+    }
+
+    /**
+     * Runs bytes through a compression or decompression stream
+     * @private
+     * @param {Uint8Array} bytes - Input bytes
+     * @param {TransformStream} transform - Stream to pipe through
+     * @returns {Promise<Uint8Array>} Output bytes
+     */
+    static async pipe(bytes, transform) {
+        const stream = new Blob([bytes]).stream().pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * @private
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} URL-safe base64 string
+     */
+    static toBase64Url(bytes) {
+        let binary = '';
+        bytes.forEach(byte => {
+            binary += String.fromCharCode(byte);
+        });
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * @private
+     * @param {string} text - URL-safe base64 string
+     * @returns {Uint8Array} Decoded bytes
+     */
+    static fromBase64Url(text) {
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        return Uint8Array.from(binary, char => char.charCodeAt(0));
+    }
+}
+
+export default SignalCodec;
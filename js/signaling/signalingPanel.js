@@ -0,0 +1,108 @@
+import QrCodeRenderer from './qrCodeRenderer.js';
+import QrCodeScanner from './qrCodeScanner.js';
+
+/**
+ * UI for exchanging invite and answer codes on transports that need signaling
+ */
+class SignalingPanel {
+    /**
+     * @param {string} panelId - ID of the panel element
+     * @param {NotificationManager} notificationManager - Notification manager
+     */
+    constructor(panelId, notificationManager) {
+        this.panel = document.getElementById(panelId);
+        this.notificationManager = notificationManager;
+        this.renderer = new QrCodeRenderer();
+        this.scanner = new QrCodeScanner();
+
+        this.output = this.panel.querySelector('.signal-output');
+        this.outputCode = this.panel.querySelector('.signal-output-code');
+        this.outputQr = this.panel.querySelector('.signal-qr');
+        this.input = this.panel.querySelector('.signal-input');
+        this.scanButton = this.panel.querySelector('.signal-scan');
+        this.video = this.panel.querySelector('.signal-video');
+
+        this.scanButton.classList.toggle('hidden', !QrCodeScanner.isSupported());
+        this.scanButton.addEventListener('click', () => this.scanInput());
+        this.panel.querySelector('.signal-copy').addEventListener('click', () => this.copyOutput());
+    }
+
+    /**
+     * Shows or hides the panel
+     * @param {boolean} visible - Whether the active transport needs signaling
+     */
+    setVisible(visible) {
+        this.panel.classList.toggle('hidden', !visible);
+    }
+
+    /**
+     * Displays a code for the remote side as text and QR code
+     * @param {string} code - Invite or answer code
+     */
+    async showCode(code) {
+        this.outputCode.value = code;
+        this.output.classList.remove('hidden');
+
+        const rendered = await this.renderer.render(this.outputQr, code);
+        this.outputQr.classList.toggle('hidden', !rendered);
+    }
+
+    /**
+     * Gets the code pasted or scanned from the remote side
+     * @returns {string} Trimmed input code
+     */
+    getInputCode() {
+        return this.input.value.trim();
+    }
+
+    /**
+     * Clears both the input and the displayed code
+     */
+    reset() {
+        this.scanner.stop();
+        this.input.value = '';
+        this.outputCode.value = '';
+        this.output.classList.add('hidden');
+    }
+
+    /**
+     * Fills the input from a scanned QR code
+     * @private
+     */
+    async scanInput() {
+        if (this.scanner.isScanning) {
+            this.scanner.stop();
+            return;
+        }
+
+        try {
+            this.video.classList.remove('hidden');
+            const code = await this.scanner.scan(this.video);
+            if (code) {
+                this.input.value = code;
+                this.input.dispatchEvent(new Event('change'));
+            }
+        } catch (error) {
+            console.error('QR scan failed:', error);
+            this.notificationManager.error('Failed to scan QR code');
+        } finally {
+            this.video.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Copies the displayed code to the clipboard
+     * @private
+     */
+    async copyOutput() {
+        try {
+            await navigator.clipboard.writeText(this.outputCode.value);
+            this.notificationManager.success('Code copied to clipboard');
+        } catch (error) {
+            this.outputCode.select();
+            this.notificationManager.info('Select and copy the code manually');
+        }
+    }
+}
+
+export default SignalingPanel;
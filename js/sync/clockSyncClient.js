@@ -0,0 +1,200 @@
+import { CONTROL_TYPES, CLOCK_SYNC_PHASES } from '../protocol/controlMessage.js';
+
+/**
+ * Receiver side of the clock sync protocol.
+ *
+ * Pings the host periodically and estimates the offset between the host
+ * clock and the local performance.now() clock. Like NTP's clock filter, the
+ * offset comes from the lowest round-trip sample in a sliding window, and
+ * drift is the slope of a least-squares fit over the offset history.
+ */
+const FAST_PING_INTERVAL = 200; // ms while acquiring
+const PING_INTERVAL = 1000; // ms once synchronized
+const FAST_PING_COUNT = 8;
+const FILTER_WINDOW = 8; // Samples considered for the offset estimate
+const DRIFT_WINDOW = 60; // Filtered offsets used for the drift fit
+const MIN_DRIFT_SAMPLES = 10;
+
+class ClockSyncClient {
+    /**
+     * @param {ControlChannel} controlChannel - Control channel to the host
+     */
+    constructor(controlChannel) {
+        this.controlChannel = controlChannel;
+        this.pingTimer = null;
+        this.hostId = null;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.samples = [];
+        this.history = [];
+        this.offset = 0;
+        this.rtt = 0;
+        this.drift = 0;
+        this.playoutDelay = 0;
+        this.isSynchronized = false;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Starts pinging the host
+     * @param {string} hostId - Peer ID of the host
+     */
+    start(hostId) {
+        this.stop();
+        this.hostId = hostId;
+        this.schedulePing(0);
+    }
+
+    /**
+     * Stops pinging and forgets all estimates
+     */
+    stop() {
+        clearTimeout(this.pingTimer);
+        this.pingTimer = null;
+        this.hostId = null;
+        this.pending.clear();
+        this.samples = [];
+        this.history = [];
+        this.isSynchronized = false;
+    }
+
+    /**
+     * Handles a PONG from the host
+     * @param {Object} message - Clock sync payload
+     */
+    handleMessage(message) {
+        const receivedAt = performance.now();
+        if (message.phase !== CLOCK_SYNC_PHASES.PONG || !this.pending.delete(message.id)) return;
+
+        const { t0, t1, t2 } = message;
+        const sample = {
+            offset: ((t1 - t0) + (t2 - receivedAt)) / 2,
+            rtt: (receivedAt - t0) - (t2 - t1),
+            localTime: receivedAt
+        };
+
+        this.playoutDelay = message.value;
+        this.samples.push(sample);
+        if (this.samples.length > FILTER_WINDOW) {
+            this.samples.shift();
+        }
+        this.updateEstimate();
+    }
+
+    /**
+     * Converts a host clock time to the local performance.now() clock
+     * @param {number} hostTime - Host clock time in ms
+     * @returns {number} Local clock time in ms
+     */
+    hostToLocalTime(hostTime) {
+        return hostTime - this.offset;
+    }
+
+    /**
+     * Gets the current estimate
+     * @returns {Object} { offset, rtt, drift, playoutDelay, isSynchronized }
+     */
+    getEstimate() {
+        return {
+            offset: this.offset,
+            rtt: this.rtt,
+            drift: this.drift,
+            playoutDelay: this.playoutDelay,
+            isSynchronized: this.isSynchronized
+        };
+    }
+
+    /**
+     * Adds a listener called whenever the estimate changes
+     * @param {Function} listener - Called with getEstimate()
+     */
+    addListener(listener) {
+        this.listeners.add(listener);
+    }
+
+    /**
+     * Removes an estimate listener
+     * @param {Function} listener - Listener to remove
+     */
+    removeListener(listener) {
+        this.listeners.delete(listener);
+    }
+
+    /**
+     * Picks the minimum-RTT sample and refits drift
+     * @private
+     */
+    updateEstimate() {
+        const best = this.samples.reduce((min, sample) => (sample.rtt < min.rtt ? sample : min));
+        this.offset = best.offset;
+        this.rtt = best.rtt;
+        this.isSynchronized = true;
+
+        this.history.push({ localTime: best.localTime, offset: best.offset });
+        if (this.history.length > DRIFT_WINDOW) {
+            this.history.shift();
+        }
+        this.drift = this.fitDrift();
+
+        const estimate = this.getEstimate();
+        this.listeners.forEach(listener => listener(estimate));
+    }
+
+    /**
+     * Least-squares slope of offset over local time, in parts per million
+     * @private
+     * @returns {number} Drift in ppm
+     */
+    fitDrift() {
+        const count = this.history.length;
+        if (count < MIN_DRIFT_SAMPLES) return 0;
+
+        const meanTime = this.history.reduce((sum, point) => sum + point.localTime, 0) / count;
+        const meanOffset = this.history.reduce((sum, point) => sum + point.offset, 0) / count;
+        let covariance = 0;
+        let variance = 0;
+        this.history.forEach(({ localTime, offset }) => {
+            covariance += (localTime - meanTime) * (offset - meanOffset);
+            variance += (localTime - meanTime) ** 2;
+        });
+
+        return variance > 0 ? (covariance / variance) * 1e6 : 0;
+    }
+
+    /**
+     * Sends a PING carrying our latest estimate and schedules the next one
+     * @private
+     * @param {number} delay - Delay before sending in ms
+     */
+    schedulePing(delay) {
+        this.pingTimer = setTimeout(async () => {
+            if (this.hostId === null) return;
+
+            const id = this.nextId++;
+            this.pending.set(id, true);
+            // Forget pings that never got an answer
+            if (this.pending.size > FILTER_WINDOW) {
+                this.pending.delete(this.pending.keys().next().value);
+            }
+
+            try {
+                await this.controlChannel.send(this.hostId, CONTROL_TYPES.CLOCK_SYNC, {
+                    phase: CLOCK_SYNC_PHASES.PING,
+                    id,
+                    t0: performance.now(),
+                    value: this.offset,
+                    drift: this.drift,
+                    rtt: this.rtt
+                });
+            } catch (error) {
+                console.warn('Clock sync ping failed:', error);
+            }
+
+            if (this.hostId === null) return;
+
+            this.schedulePing(this.nextId <= FAST_PING_COUNT ? FAST_PING_INTERVAL : PING_INTERVAL);
+        }, delay);
+    }
+}
+
+export default ClockSyncClient;
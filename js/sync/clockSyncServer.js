@@ -0,0 +1,67 @@
+import { CONTROL_TYPES, CLOCK_SYNC_PHASES } from '../protocol/controlMessage.js';
+
+/**
+ * Host side of the clock sync protocol.
+ *
+ * Answers receiver PINGs with host timestamps and the group-wide playout
+ * delay, and records the offset, drift and round-trip estimates each
+ * receiver piggybacks on its PINGs.
+ */
+export const PLAYOUT_DELAY = 150; // ms between capture and synchronized playout
+
+class ClockSyncServer {
+    /**
+     * @param {ControlChannel} controlChannel - Control channel reaching the receivers
+     * @param {PerformanceMonitor} performanceMonitor - Receives per-receiver estimates
+     */
+    constructor(controlChannel, performanceMonitor) {
+        this.controlChannel = controlChannel;
+        this.performanceMonitor = performanceMonitor;
+        this.playoutDelay = PLAYOUT_DELAY;
+        this.estimates = new Map();
+    }
+
+    /**
+     * Answers a PING from a receiver
+     * @param {string} peerId - Receiver peer ID
+     * @param {Object} message - Clock sync payload
+     */
+    async handleMessage(peerId, message) {
+        const receivedAt = performance.now();
+        if (message.phase !== CLOCK_SYNC_PHASES.PING) return;
+
+        if (message.rtt > 0) {
+            const estimate = { offset: message.value, drift: message.drift, rtt: message.rtt };
+            this.estimates.set(peerId, estimate);
+            this.performanceMonitor.updateClockSync(peerId, estimate);
+        }
+
+        await this.controlChannel.send(peerId, CONTROL_TYPES.CLOCK_SYNC, {
+            phase: CLOCK_SYNC_PHASES.PONG,
+            id: message.id,
+            t0: message.t0,
+            t1: receivedAt,
+            t2: performance.now(),
+            value: this.playoutDelay
+        });
+    }
+
+    /**
+     * Forgets a receiver's estimate
+     * @param {string} peerId - Receiver peer ID
+     */
+    removePeer(peerId) {
+        this.estimates.delete(peerId);
+        this.performanceMonitor.removeClockSync(peerId);
+    }
+
+    /**
+     * Gets the latest estimate for every receiver
+     * @returns {Map<string, Object>} Peer ID to { offset, drift, rtt }
+     */
+    getEstimates() {
+        return new Map(this.estimates);
+    }
+}
+
+export default ClockSyncServer;
@@ -0,0 +1,106 @@
+import Transport, { TRANSPORT_EVENTS, CHANNELS } from './transport.js';
+
+/**
+ * In-memory transport connecting hosts and receivers in the same page.
+ * Used for tests and local development without any radio.
+ */
+const DEFAULT_CHANNEL = 'default';
+const hosts = new Map();
+
+class LoopbackTransport extends Transport {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.channel] - Hub channel shared by host and receivers
+     */
+    constructor({ channel = DEFAULT_CHANNEL } = {}) {
+        super('loopback');
+        this.channel = channel;
+        this.id = crypto.randomUUID().slice(0, 8);
+        this.links = new Map();
+        this.connectOptions = null;
+    }
+
+    /**
+     * The loopback transport works everywhere
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return true;
+    }
+
+    /**
+     * Forgets every registered host (for test isolation)
+     */
+    static reset() {
+        hosts.clear();
+    }
+
+    async startHosting() {
+        if (hosts.has(this.channel)) {
+            throw new Error(`Loopback channel "${this.channel}" already has a host`);
+        }
+        this.role = 'host';
+        hosts.set(this.channel, this);
+    }
+
+    /**
+     * Connects to the host registered on this channel
+     * @param {Object} [options]
+     * @param {string} [options.name] - Display name announced to the host
+     */
+    async connect({ name = `Receiver ${this.id}` } = {}) {
+        const host = hosts.get(this.channel);
+        if (!host) {
+            throw new Error(`No loopback host on channel "${this.channel}"`);
+        }
+
+        this.role = 'receiver';
+        this.connectOptions = { name };
+        this.links.set(host.id, host);
+        host.links.set(this.id, this);
+        host.addPeer(this.id, name);
+        this.addPeer(host.id, 'Host');
+    }
+
+    get canReconnect() {
+        return this.role === 'receiver' && this.connectOptions !== null;
+    }
+
+    async reconnect() {
+        await this.connect(this.connectOptions);
+    }
+
+    async sendFrame(peerId, frame, channel = CHANNELS.AUDIO) {
+        const target = this.links.get(peerId);
+        if (!target) {
+            throw new Error(`Peer ${peerId} disconnected`);
+        }
+
+        // Copy so the sender can reuse its buffer, and deliver asynchronously like a real link
+        const data = new Uint8Array(frame);
+        queueMicrotask(() => {
+            target.emit(TRANSPORT_EVENTS.FRAME, { peerId: this.id, data, channel });
+        });
+        return true;
+    }
+
+    async disconnectPeer(peerId) {
+        const target = this.links.get(peerId);
+        this.links.delete(peerId);
+        this.removePeer(peerId, 'closed');
+
+        if (target) {
+            target.links.delete(this.id);
+            target.removePeer(this.id, 'remote closed');
+        }
+    }
+
+    async disconnect() {
+        await super.disconnect();
+        if (hosts.get(this.channel) === this) {
+            hosts.delete(this.channel);
+        }
+    }
+}
+
+export default LoopbackTransport;
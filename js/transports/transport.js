@@ -0,0 +1,170 @@
+import EventEmitter from '../eventEmitter.js';
+
+/**
+ * Events emitted by every transport implementation
+ */
+export const TRANSPORT_EVENTS = {
+    PEER_CONNECTED: 'peerconnected',
+    PEER_DISCONNECTED: 'peerdisconnected',
+    FRAME: 'frame',
+    SIGNALING: 'signaling',
+    SIGNAL_STRENGTH: 'signalstrength',
+    ERROR: 'error'
+};
+
+/**
+ * Logical channels every transport carries. Audio is lossy and unordered,
+ * control is reliable and ordered.
+ */
+export const CHANNELS = {
+    AUDIO: 'audio',
+    CONTROL: 'control'
+};
+
+/**
+ * Base class describing the interface shared by all transports.
+ *
+ * A transport moves opaque binary frames between a host and its peers.
+ * Peers are identified by a string ID assigned by the transport; on the
+ * receiving side the host is exposed as a single peer.
+ *
+ * Events:
+ * - peerconnected: { peerId, name }
+ * - peerdisconnected: { peerId, reason }
+ * - frame: { peerId, data: Uint8Array, channel } where channel is one of CHANNELS
+ * - signaling: { peerId, code } when a code must be handed to the remote side
+ * - signalstrength: { peerId, rssi } for link quality updates
+ * - error: { peerId, error }
+ */
+class Transport extends EventEmitter {
+    constructor(kind) {
+        super();
+        this.kind = kind;
+        this.role = null;
+        this.peers = new Map();
+    }
+
+    /**
+     * Whether the transport needs an out-of-band signaling exchange
+     * (invite/answer codes) before peers can connect
+     * @returns {boolean}
+     */
+    get requiresSignaling() {
+        return false;
+    }
+
+    /**
+     * Starts accepting peers as a host
+     * @param {Object} [options]
+     * @param {string} [options.joinCode] - Room code, for transports that advertise the host
+     * @returns {Promise<void>}
+     */
+    async startHosting(options = {}) {
+        throw new Error(`${this.kind} transport cannot host`);
+    }
+
+    /**
+     * Connects to a host as a receiver
+     * @param {Object} [options] - Transport specific connection options, plus
+     *     joinCode for transports that can look the host up by room code
+     * @returns {Promise<void>}
+     */
+    async connect(options = {}) {
+        throw new Error(`${this.kind} transport cannot connect to a host`);
+    }
+
+    /**
+     * Whether reconnect() can restore a dropped link without new signaling
+     * @returns {boolean}
+     */
+    get canReconnect() {
+        return false;
+    }
+
+    /**
+     * Reconnects to the host of the last connect() after the link dropped
+     * @returns {Promise<void>}
+     */
+    async reconnect() {
+        throw new Error(`${this.kind} transport cannot reconnect without new signaling`);
+    }
+
+    /**
+     * Creates an invite for a new peer when signaling is required
+     * @returns {Promise<string|null>} Invite code, or null if not needed
+     */
+    async createInvite() {
+        return null;
+    }
+
+    /**
+     * Applies a signaling code received from the remote side
+     * @param {string} code - Invite or answer code
+     * @returns {Promise<void>}
+     */
+    async acceptSignal(code) {
+        throw new Error(`${this.kind} transport does not use signaling`);
+    }
+
+    /**
+     * Sends a frame to a single peer
+     * @param {string} peerId - Target peer ID
+     * @param {Uint8Array} frame - Binary frame
+     * @param {string} [channel] - One of CHANNELS, audio by default
+     * @returns {Promise<boolean>} Whether the frame was handed to the link
+     */
+    async sendFrame(peerId, frame, channel = CHANNELS.AUDIO) {
+        throw new Error('sendFrame() not implemented');
+    }
+
+    /**
+     * Disconnects a single peer
+     * @param {string} peerId - Peer to disconnect
+     * @returns {Promise<void>}
+     */
+    async disconnectPeer(peerId) {
+        throw new Error('disconnectPeer() not implemented');
+    }
+
+    /**
+     * Disconnects every peer and releases transport resources
+     * @returns {Promise<void>}
+     */
+    async disconnect() {
+        const peerIds = Array.from(this.peers.keys());
+        await Promise.all(peerIds.map(peerId => this.disconnectPeer(peerId)));
+        this.role = null;
+    }
+
+    /**
+     * Gets the connected peers
+     * @returns {Array<Object>} Peer descriptors ({ id, name })
+     */
+    getPeers() {
+        return Array.from(this.peers.values());
+    }
+
+    /**
+     * Registers a peer and emits the connect event
+     * @protected
+     * @param {string} peerId - Peer ID
+     * @param {string} name - Display name
+     */
+    addPeer(peerId, name) {
+        this.peers.set(peerId, { id: peerId, name });
+        this.emit(TRANSPORT_EVENTS.PEER_CONNECTED, { peerId, name });
+    }
+
+    /**
+     * Unregisters a peer and emits the disconnect event
+     * @protected
+     * @param {string} peerId - Peer ID
+     * @param {string} reason - Disconnect reason
+     */
+    removePeer(peerId, reason) {
+        if (!this.peers.delete(peerId)) return;
+        this.emit(TRANSPORT_EVENTS.PEER_DISCONNECTED, { peerId, reason });
+    }
+}
+
+export default Transport;
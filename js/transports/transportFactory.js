@@ -0,0 +1,40 @@
+import WebRtcTransport from './webRtcTransport.js';
+import WebBluetoothTransport from './webBluetoothTransport.js';
+import LoopbackTransport from './loopbackTransport.js';
+
+/**
+ * Transport implementations in order of preference
+ */
+const TRANSPORTS = {
+    webrtc: WebRtcTransport,
+    bluetooth: WebBluetoothTransport,
+    loopback: LoopbackTransport
+};
+
+/**
+ * Picks a transport implementation based on device capabilities
+ */
+class TransportFactory {
+    /**
+     * Lists the transports this device supports for a role
+     * @param {string} role - 'host' or 'receiver'
+     * @returns {Array<string>} Supported transport kinds, most preferred first
+     */
+    static getSupportedKinds(role) {
+        return Object.keys(TRANSPORTS).filter(kind => TRANSPORTS[kind].isSupported(role));
+    }
+
+    /**
+     * Creates a transport for a role
+     * @param {string} role - 'host' or 'receiver'
+     * @param {string} [preferredKind] - Kind to use if supported (e.g. from ?transport=)
+     * @returns {Transport}
+     */
+    static create(role, preferredKind) {
+        const supported = TransportFactory.getSupportedKinds(role);
+        const kind = supported.includes(preferredKind) ? preferredKind : supported[0];
+        return new TRANSPORTS[kind]();
+    }
+}
+
+export default TransportFactory;
@@ -0,0 +1,202 @@
+import Transport, { TRANSPORT_EVENTS, CHANNELS } from './transport.js';
+
+/**
+ * Web Bluetooth GATT transport, receiver only.
+ *
+ * Receivers connect with navigator.bluetooth and get frames through
+ * characteristic notifications. Browsers cannot act as a GATT server or
+ * advertise, so a browser host has to use another transport; the host on
+ * the other end is a native device exposing the service below. Audio and
+ * control messages use separate characteristics so control writes can be
+ * acknowledged without slowing down audio.
+ */
+const SERVICE_UUID = '0000110b-0000-1000-8000-00805f9b34fb'; // A2DP service UUID
+const CHARACTERISTIC_UUIDS = {
+    [CHANNELS.AUDIO]: '00002345-0000-1000-8000-00805f9b34fb', // Audio streaming characteristic UUID
+    [CHANNELS.CONTROL]: '00002346-0000-1000-8000-00805f9b34fb' // Control message characteristic UUID
+};
+const OPTIONAL_SERVICES = [
+    '0000110b-0000-1000-8000-00805f9b34fb', // A2DP Sink
+    '0000110a-0000-1000-8000-00805f9b34fb', // A2DP Source
+    '0000110c-0000-1000-8000-00805f9b34fb', // Advanced Audio
+    '0000110e-0000-1000-8000-00805f9b34fb'  // Handsfree
+];
+const RSSI_INTERVAL = 1000;
+const ADVERTISED_NAME = 'Audio Broadcaster';
+
+class WebBluetoothTransport extends Transport {
+    constructor() {
+        super('bluetooth');
+        this.device = null;
+        this.server = null;
+        this.characteristics = {};
+        this.rssiInterval = null;
+    }
+
+    /**
+     * Checks whether Web Bluetooth can be used for a role. Browsers can only
+     * be receivers.
+     * @param {string} role - 'host' or 'receiver'
+     * @returns {boolean}
+     */
+    static isSupported(role) {
+        return role === 'receiver' && typeof navigator !== 'undefined' && Boolean(navigator.bluetooth);
+    }
+
+    /**
+     * Builds the name a host advertises, which carries the room code so
+     * receivers only see the host they were invited to
+     * @private
+     * @param {string} [joinCode] - Room join code
+     * @returns {string}
+     */
+    static getAdvertisedName(joinCode) {
+        return joinCode ? `${ADVERTISED_NAME} ${joinCode}` : ADVERTISED_NAME;
+    }
+
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.joinCode] - Only offer the host of this room
+     */
+    async connect({ joinCode } = {}) {
+        const availability = await navigator.bluetooth.getAvailability?.();
+        if (availability === false) {
+            throw new Error('Bluetooth not enabled');
+        }
+
+        this.role = 'receiver';
+        this.device = await navigator.bluetooth.requestDevice(joinCode ? {
+            filters: [{ name: WebBluetoothTransport.getAdvertisedName(joinCode) }],
+            optionalServices: OPTIONAL_SERVICES
+        } : {
+            acceptAllDevices: true,
+            optionalServices: OPTIONAL_SERVICES
+        });
+
+        if (!this.device?.gatt) {
+            throw new Error('Device does not support GATT');
+        }
+
+        this.device.addEventListener('gattserverdisconnected', () => {
+            this.stopSignalStrengthMonitoring();
+            this.removePeer(this.device?.id, 'gattserverdisconnected');
+        });
+        await this.connectGatt();
+    }
+
+    get canReconnect() {
+        return this.role === 'receiver' && this.device !== null;
+    }
+
+    async reconnect() {
+        if (!this.device) {
+            throw new Error('No host device to reconnect to');
+        }
+        await this.connectGatt();
+    }
+
+    /**
+     * Connects to the chosen device's GATT server and subscribes to its
+     * characteristics
+     * @private
+     */
+    async connectGatt() {
+        this.server = await this.device.gatt.connect();
+        this.characteristics = await WebBluetoothTransport.getCharacteristics(this.server);
+        for (const [channel, characteristic] of Object.entries(this.characteristics)) {
+            await characteristic.startNotifications();
+            // Assigned rather than added, a reconnect may return the same characteristic object
+            characteristic.oncharacteristicvaluechanged = (event) => {
+                const { buffer, byteOffset, byteLength } = event.target.value;
+                this.emit(TRANSPORT_EVENTS.FRAME, {
+                    peerId: this.device.id,
+                    data: new Uint8Array(buffer, byteOffset, byteLength),
+                    channel
+                });
+            };
+        }
+
+        this.addPeer(this.device.id, this.device.name || 'Host');
+        this.startSignalStrengthMonitoring();
+    }
+
+    /**
+     * Looks up the audio and control characteristics of a connected GATT server
+     * @private
+     * @param {BluetoothRemoteGATTServer} server - Connected server
+     * @returns {Promise<Object<string, BluetoothRemoteGATTCharacteristic>>} Characteristic per channel
+     */
+    static async getCharacteristics(server) {
+        const service = await server.getPrimaryService(SERVICE_UUID);
+        const characteristics = {};
+        for (const [channel, uuid] of Object.entries(CHARACTERISTIC_UUIDS)) {
+            characteristics[channel] = await service.getCharacteristic(uuid);
+        }
+        return characteristics;
+    }
+
+    async sendFrame(peerId, frame, channel = CHANNELS.AUDIO) {
+        const characteristic = this.characteristics[channel];
+        if (!characteristic) {
+            throw new Error('Not connected to a host device');
+        }
+
+        // Control writes wait for the link-level acknowledgement, audio does not
+        if (channel === CHANNELS.CONTROL) {
+            await characteristic.writeValueWithResponse(frame);
+        } else {
+            await characteristic.writeValueWithoutResponse(frame);
+        }
+        return true;
+    }
+
+    async disconnectPeer(peerId) {
+        this.stopSignalStrengthMonitoring();
+        await Promise.all(Object.values(this.characteristics).map(characteristic =>
+            characteristic.stopNotifications().catch(() => {})
+        ));
+        if (this.device?.gatt.connected) {
+            this.device.gatt.disconnect();
+        }
+        this.removePeer(peerId, 'closed');
+    }
+
+    async disconnect() {
+        await super.disconnect();
+
+        this.device = null;
+        this.server = null;
+        this.characteristics = {};
+    }
+
+    /**
+     * Polls the host link RSSI
+     * @private
+     */
+    startSignalStrengthMonitoring() {
+        this.stopSignalStrengthMonitoring();
+
+        this.rssiInterval = setInterval(async () => {
+            try {
+                if (this.device?.gatt.connected && this.device.gatt.getRSSI) {
+                    const rssi = await this.device.gatt.getRSSI();
+                    this.emit(TRANSPORT_EVENTS.SIGNAL_STRENGTH, { peerId: this.device.id, rssi });
+                }
+            } catch (error) {
+                console.warn('Failed to get RSSI:', error);
+            }
+        }, RSSI_INTERVAL);
+    }
+
+    /**
+     * @private
+     */
+    stopSignalStrengthMonitoring() {
+        if (this.rssiInterval) {
+            clearInterval(this.rssiInterval);
+            this.rssiInterval = null;
+        }
+    }
+}
+
+export default WebBluetoothTransport;
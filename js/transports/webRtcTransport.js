@@ -0,0 +1,292 @@
+import Transport, { TRANSPORT_EVENTS, CHANNELS } from './transport.js';
+import SignalCodec from '../signaling/signalCodec.js';
+
+/**
+ * WebRTC DataChannel transport with manual (copy/paste or QR) signaling
+ */
+const ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+const ICE_GATHERING_TIMEOUT = 5000; // 5 seconds
+const CONNECT_TIMEOUT = 120000; // 2 minutes for the host to accept the answer
+const INVITE_TIMEOUT = 300000; // 5 minutes for a receiver to answer an invite and connect
+const MAX_BUFFERED_AMOUNT = 256 * 1024; // Drop audio frames above 256 KB of backlog
+const CHANNEL_OPTIONS = {
+    [CHANNELS.AUDIO]: { ordered: false, maxRetransmits: 0 }, // Late audio is useless
+    [CHANNELS.CONTROL]: { ordered: true } // Control messages must arrive, in order
+};
+
+class WebRtcTransport extends Transport {
+    constructor() {
+        super('webrtc');
+        this.connections = new Map();
+        this.pendingInvite = null; // { peerId, timeoutId } of the invite no receiver has connected with yet
+    }
+
+    /**
+     * Checks whether WebRTC data channels are available
+     * @returns {boolean}
+     */
+    static isSupported() {
+        return typeof RTCPeerConnection !== 'undefined';
+    }
+
+    get requiresSignaling() {
+        return true;
+    }
+
+    async startHosting() {
+        this.role = 'host';
+    }
+
+    /**
+     * Creates an offer for one new receiver. The invite replaces the
+     * previous one if no receiver connected with that yet, and expires
+     * after INVITE_TIMEOUT.
+     * @returns {Promise<string>} Invite code to hand to the receiver
+     */
+    async createInvite() {
+        if (this.role !== 'host') {
+            throw new Error('Only a host can create invites');
+        }
+
+        this.discardPendingInvite();
+        const peerId = crypto.randomUUID().slice(0, 8);
+        const connection = this.createConnection(peerId);
+        this.pendingInvite = {
+            peerId,
+            timeoutId: setTimeout(() => this.discardPendingInvite(), INVITE_TIMEOUT)
+        };
+
+        try {
+            Object.entries(CHANNEL_OPTIONS).forEach(([label, options]) => {
+                this.setupChannel(peerId, connection.createDataChannel(label, options));
+            });
+
+            await connection.setLocalDescription(await connection.createOffer());
+            await this.waitForIceGathering(connection);
+
+            return await SignalCodec.encode({
+                type: 'offer',
+                sdp: connection.localDescription.sdp,
+                peerId
+            });
+        } catch (error) {
+            this.closeConnection(peerId);
+            throw error;
+        }
+    }
+
+    /**
+     * Closes the connection of the pending invite, so a receiver can no
+     * longer answer it
+     * @private
+     */
+    discardPendingInvite() {
+        if (this.pendingInvite) {
+            this.closeConnection(this.pendingInvite.peerId);
+        }
+    }
+
+    /**
+     * Applies a receiver's answer code on the host
+     * @param {string} code - Answer code
+     */
+    async acceptSignal(code) {
+        const message = await SignalCodec.decode(code);
+        const entry = this.connections.get(message.peerId);
+
+        if (message.type !== 'answer' || !entry) {
+            throw new Error('Answer does not match a pending invite');
+        }
+
+        await entry.connection.setRemoteDescription({ type: 'answer', sdp: message.sdp });
+    }
+
+    /**
+     * Connects to a host using its invite code.
+     * Emits a signaling event with the answer code, then resolves once
+     * the host has accepted it and the data channel is open.
+     * @param {Object} options
+     * @param {string} options.signal - Invite code from the host
+     */
+    async connect({ signal } = {}) {
+        if (!signal) {
+            throw new Error('An invite code from the host is required');
+        }
+
+        const offer = await SignalCodec.decode(signal);
+        if (offer.type !== 'offer') {
+            throw new Error('Code is not a host invite');
+        }
+
+        this.role = 'receiver';
+        const { peerId } = offer;
+        const connection = this.createConnection(peerId);
+
+        const channelOpen = new Promise((resolve, reject) => {
+            const timeoutId = setTimeout(() => {
+                reject(new Error('Timed out waiting for the host'));
+            }, CONNECT_TIMEOUT);
+
+            connection.ondatachannel = (event) => {
+                this.setupChannel(peerId, event.channel, () => {
+                    clearTimeout(timeoutId);
+                    resolve();
+                });
+            };
+        });
+
+        await connection.setRemoteDescription({ type: 'offer', sdp: offer.sdp });
+        await connection.setLocalDescription(await connection.createAnswer());
+        await this.waitForIceGathering(connection);
+
+        const code = await SignalCodec.encode({
+            type: 'answer',
+            sdp: connection.localDescription.sdp,
+            peerId
+        });
+        this.emit(TRANSPORT_EVENTS.SIGNALING, { peerId, code });
+
+        try {
+            await channelOpen;
+        } catch (error) {
+            this.closeConnection(peerId);
+            throw error;
+        }
+    }
+
+    async sendFrame(peerId, frame, label = CHANNELS.AUDIO) {
+        const channel = this.connections.get(peerId)?.channels[label];
+        if (!channel || channel.readyState !== 'open') {
+            throw new Error(`Peer ${peerId} disconnected`);
+        }
+
+        // Late audio is useless, so drop instead of queueing without bound
+        if (label === CHANNELS.AUDIO && channel.bufferedAmount > MAX_BUFFERED_AMOUNT) {
+            return false;
+        }
+
+        channel.send(frame);
+        return true;
+    }
+
+    async disconnectPeer(peerId) {
+        this.closeConnection(peerId);
+        this.removePeer(peerId, 'closed');
+    }
+
+    async disconnect() {
+        Array.from(this.connections.keys()).forEach(peerId => this.closeConnection(peerId));
+        await super.disconnect();
+    }
+
+    /**
+     * Creates a peer connection and tracks it
+     * @private
+     * @param {string} peerId - Peer ID
+     * @returns {RTCPeerConnection}
+     */
+    createConnection(peerId) {
+        const connection = new RTCPeerConnection({ iceServers: ICE_SERVERS });
+        this.connections.set(peerId, { connection, channels: {} });
+
+        connection.onconnectionstatechange = () => {
+            if (['failed', 'closed'].includes(connection.connectionState)) {
+                this.closeConnection(peerId);
+                this.removePeer(peerId, connection.connectionState);
+            }
+        };
+
+        return connection;
+    }
+
+    /**
+     * Wires data channel events to transport events
+     * @private
+     * @param {string} peerId - Peer ID
+     * @param {RTCDataChannel} channel - Data channel, labelled with one of CHANNELS
+     * @param {Function} [onOpen] - Called once every channel of the peer is open
+     */
+    setupChannel(peerId, channel, onOpen) {
+        channel.binaryType = 'arraybuffer';
+        const { channels } = this.connections.get(peerId);
+        channels[channel.label] = channel;
+
+        // The peer is connected once both the audio and control channels are open
+        const handleOpen = () => {
+            const labels = Object.keys(CHANNEL_OPTIONS);
+            if (this.peers.has(peerId) || !labels.every(label => channels[label]?.readyState === 'open')) return;
+
+            this.clearPendingInvite(peerId);
+            this.addPeer(peerId, this.role === 'host' ? `Receiver ${peerId}` : 'Host');
+            onOpen?.();
+        };
+        channel.onclose = () => {
+            this.closeConnection(peerId);
+            this.removePeer(peerId, 'closed');
+        };
+        channel.onerror = (event) => {
+            this.emit(TRANSPORT_EVENTS.ERROR, { peerId, error: event.error });
+        };
+        channel.onmessage = (event) => {
+            this.emit(TRANSPORT_EVENTS.FRAME, { peerId, data: new Uint8Array(event.data), channel: channel.label });
+        };
+
+        // Announced channels may already be open by the time we see them
+        if (channel.readyState === 'open') {
+            handleOpen();
+        } else {
+            channel.onopen = handleOpen;
+        }
+    }
+
+    /**
+     * Closes and forgets a peer connection
+     * @private
+     * @param {string} peerId - Peer ID
+     */
+    closeConnection(peerId) {
+        this.clearPendingInvite(peerId);
+        const entry = this.connections.get(peerId);
+        if (!entry) return;
+
+        this.connections.delete(peerId);
+        Object.values(entry.channels).forEach(channel => channel.close());
+        entry.connection.close();
+    }
+
+    /**
+     * Stops the pending invite from expiring once its peer connected or closed
+     * @private
+     * @param {string} peerId - Peer ID
+     */
+    clearPendingInvite(peerId) {
+        if (this.pendingInvite?.peerId !== peerId) return;
+
+        clearTimeout(this.pendingInvite.timeoutId);
+        this.pendingInvite = null;
+    }
+
+    /**
+     * Waits until ICE candidates are gathered so codes are self-contained
+     * @private
+     * @param {RTCPeerConnection} connection - Peer connection
+     * @returns {Promise<void>}
+     */
+    waitForIceGathering(connection) {
+        if (connection.iceGatheringState === 'complete') {
+            return Promise.resolve();
+        }
+
+        return new Promise(resolve => {
+            const timeoutId = setTimeout(resolve, ICE_GATHERING_TIMEOUT);
+            connection.addEventListener('icegatheringstatechange', () => {
+                if (connection.iceGatheringState === 'complete') {
+                    clearTimeout(timeoutId);
+                    resolve();
+                }
+            });
+        });
+    }
+}
+
+export default WebRtcTransport;
@@ -0,0 +1,158 @@
+/**
+ * Estimates how fast the host's audio clock runs against the local one and
+ * works out the playback rate that keeps the jitter buffer on schedule.
+ *
+ * Runs inside the audio worklet. Each measurement is the backlog: how late
+ * the next buffered sample is against its schedule, or how much more is
+ * buffered than when playback started. Measurements are averaged over an
+ * interval, which smooths out packet arrival steps. Playing at the rate
+ * ratio r changes the backlog by (1 - r) per second on top of the drift, so
+ * adding the correction already applied back in leaves a series that grows
+ * by the drift alone. Its least squares slope over the last few minutes is
+ * the drift estimate. Jumps, from the buffer skipping, waiting, refilling
+ * or overflowing, are left out of that series.
+ *
+ * The ratio is one plus the drift plus the backlog spread over
+ * convergenceTime, so the rate follows the clocks and slowly takes up any
+ * error the estimate has not caught yet.
+ */
+const DEFAULT_OPTIONS = {
+    interval: 1, // Seconds of measurements averaged into each sample of the drift series
+    window: 180, // Seconds of the series the slope is fitted over
+    minSpan: 20, // Seconds of series needed before trusting the slope
+    convergenceTime: 30, // Seconds over which the backlog is taken up
+    maxCorrection: 500e-6, // Largest rate change, 500 ppm
+    jumpThreshold: 0.01 // Seconds of backlog change between samples treated as a jump, above
+    // the steps packets arriving a render quantum early or late leave in the average
+};
+const PPM = 1e6;
+
+class DriftEstimator {
+    /**
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.reset();
+    }
+
+    /**
+     * Forgets the series and plays at the nominal rate again
+     */
+    reset() {
+        this.samples = []; // { time, value } of the drift series
+        this.series = 0;
+        this.last = null; // Averages of the previous interval
+        this.pending = { time: 0, backlog: 0, uncorrected: 0, count: 0 }; // Sums over the current interval
+        this.applied = 0; // Seconds of backlog taken up by the ratio so far
+        this.lastTime = null;
+        this.drift = 0;
+        this.ratio = 1;
+    }
+
+    /**
+     * Marks a jump in the backlog, so the change across it stays out of the
+     * drift series
+     */
+    rebase() {
+        this.last = null;
+        this.pending = { time: 0, backlog: 0, uncorrected: 0, count: 0 };
+    }
+
+    /**
+     * Takes a backlog measurement, and updates the ratio once an interval
+     * of them is in
+     * @param {number} time - Context time of the measurement in seconds
+     * @param {number} backlog - Seconds the next sample is behind schedule, negative when early
+     */
+    update(time, backlog) {
+        if (this.lastTime !== null) {
+            this.applied += (this.ratio - 1) * (time - this.lastTime);
+        }
+        this.lastTime = time;
+
+        const { pending } = this;
+        pending.time += time;
+        pending.backlog += backlog;
+        pending.uncorrected += backlog + this.applied;
+        pending.count++;
+        if (pending.count === 1 || time - pending.time / pending.count < this.options.interval / 2) return;
+
+        const { count } = pending;
+        this.addInterval({ time: pending.time / count, backlog: pending.backlog / count, uncorrected: pending.uncorrected / count });
+        this.rebase();
+        this.last = { time: pending.time / count, uncorrected: pending.uncorrected / count };
+    }
+
+    /**
+     * Gets the playback rate ratio
+     * @returns {number} Input samples to play per output sample
+     */
+    getRatio() {
+        return this.ratio;
+    }
+
+    /**
+     * Gets the estimate and correction for display
+     * @returns {Object} { drift, correction } in ppm, positive when the host clock runs fast
+     */
+    getState() {
+        return {
+            drift: this.drift * PPM,
+            correction: (this.ratio - 1) * PPM
+        };
+    }
+
+    /**
+     * Extends the drift series with an interval's averages and updates the ratio
+     * @private
+     * @param {Object} averages - { time, backlog, uncorrected } over the interval, in
+     *     seconds; uncorrected adds back the backlog the ratio has taken up
+     */
+    addInterval({ time, backlog, uncorrected }) {
+        const { convergenceTime, maxCorrection, jumpThreshold } = this.options;
+        if (this.last !== null) {
+            const change = uncorrected - this.last.uncorrected;
+            if (Math.abs(change) <= jumpThreshold) {
+                this.series += change;
+                this.addSample(time, this.series);
+            }
+        }
+
+        const correction = this.drift + backlog / convergenceTime;
+        this.ratio = 1 + Math.max(-maxCorrection, Math.min(maxCorrection, correction));
+    }
+
+    /**
+     * Appends to the drift series and refits its slope
+     * @private
+     * @param {number} time - Context time in seconds
+     * @param {number} value - Series value
+     */
+    addSample(time, value) {
+        const { samples } = this;
+        samples.push({ time, value });
+        while (time - samples[0].time > this.options.window) {
+            samples.shift();
+        }
+        if (time - samples[0].time < this.options.minSpan) return;
+
+        let meanTime = 0;
+        let meanValue = 0;
+        samples.forEach(sample => {
+            meanTime += sample.time / samples.length;
+            meanValue += sample.value / samples.length;
+        });
+        let covariance = 0;
+        let variance = 0;
+        samples.forEach(sample => {
+            covariance += (sample.time - meanTime) * (sample.value - meanValue);
+            variance += (sample.time - meanTime) ** 2;
+        });
+        if (variance > 0) {
+            this.drift = covariance / variance;
+        }
+    }
+}
+
+export default DriftEstimator;
@@ -0,0 +1,419 @@
+import PacketLossConcealer from './packetLossConcealer.js';
+import DriftEstimator from './driftEstimator.js';
+import StreamResampler from '../dsp/streamResampler.js';
+
+/**
+ * Ring-buffer jitter buffer for received audio packets.
+ *
+ * Runs inside the audio worklet. Packets are stored by sequence number
+ * and played back in order once the buffered depth reaches a target that
+ * adapts to the measured arrival jitter. Missing packets are concealed when
+ * their playout deadline passes, and the oldest packets are dropped when
+ * the buffer overflows. Concealment carries on while the buffer refills
+ * after running dry, see PacketLossConcealer.
+ *
+ * Packets that carry a playout time (audio context seconds, derived from the
+ * host capture timestamp and the clock sync estimate) are scheduled: the
+ * buffer waits or skips ahead so each packet starts at its playout time.
+ *
+ * Playback goes through a resampler whose rate a DriftEstimator adjusts by
+ * a few ppm, so the difference between the host's and this device's audio
+ * clocks is taken up smoothly instead of by skipping, waiting or running
+ * dry. Unscheduled packets are held to the depth playback started at.
+ *
+ * Packets hold one array per channel. The channels share the schedule and
+ * the rate, and each has its own concealer and resampler. A packet with a
+ * different channel count starts the buffer over.
+ */
+const DEFAULT_OPTIONS = {
+    capacity: 64, // Packet slots in the ring
+    targetDepth: 0.04, // Seconds buffered before playback starts
+    minDepth: 0.02,
+    maxDepth: 0.3,
+    jitterMultiplier: 4, // Target depth headroom in multiples of measured jitter
+    adaptive: true,
+    concealment: {}, // Overrides for the PacketLossConcealer options
+    drift: {} // Overrides for the DriftEstimator options
+};
+const JITTER_SMOOTHING = 1 / 16; // RFC 3550 interarrival jitter gain
+const DEFAULT_PACKET_LENGTH = 128; // Samples concealed for a missing packet before any has arrived
+const SYNC_TOLERANCE = 0.005; // Seconds of schedule error tolerated before waiting or skipping
+
+class JitterBuffer {
+    /**
+     * @param {number} sampleRate - Playback sample rate
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(sampleRate, options = {}) {
+        this.sampleRate = sampleRate;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.slots = new Array(this.options.capacity).fill(null);
+        this.baseDepth = this.options.targetDepth;
+        this.channelCount = 1;
+        this.concealers = [new PacketLossConcealer(sampleRate, this.options.concealment)];
+        this.resamplers = [new StreamResampler(1, 1)];
+        this.drift = new DriftEstimator(this.options.drift);
+        this.stats = { underruns: 0, overruns: 0, concealed: 0, concealedSamples: 0, late: 0, resyncs: 0, received: 0, expected: 0 };
+        this.reset();
+    }
+
+    /**
+     * Drops all buffered audio and waits for a new prebuffer
+     */
+    reset() {
+        this.slots.fill(null);
+        this.nextSequence = null;
+        this.highestSequence = -1;
+        this.autoSequence = 0;
+        this.current = null;
+        this.readOffset = 0;
+        this.bufferedSamples = 0;
+        this.isPlaying = false;
+        this.packetLength = DEFAULT_PACKET_LENGTH;
+        this.concealers.forEach(concealer => concealer.reset());
+        this.resamplers.forEach(resampler => {
+            resampler.reset();
+            resampler.setRates(1, 1);
+        });
+        this.drift.reset();
+        this.startDepth = null; // Seconds queued when unscheduled playback started
+        this.lastArrival = null;
+        this.jitter = 0;
+        this.targetDepth = this.baseDepth;
+    }
+
+    /**
+     * Updates buffer options at runtime
+     * @param {Object} options - Options to override
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+        if (options.targetDepth !== undefined) {
+            this.baseDepth = options.targetDepth;
+            this.targetDepth = options.targetDepth;
+        }
+        if (options.concealment !== undefined) {
+            this.concealers = this.concealers.map(() => new PacketLossConcealer(this.sampleRate, options.concealment));
+        }
+        if (options.drift !== undefined) {
+            this.drift = new DriftEstimator(options.drift);
+        }
+    }
+
+    /**
+     * Stores a received packet
+     * @param {Float32Array[]} channels - Decoded samples, one equal length array per channel
+     * @param {number} arrivalTime - Arrival time in seconds
+     * @param {number} [sequence] - Packet sequence number, arrival order if omitted
+     * @param {number} [playoutTime] - Context time the first sample should play at
+     * @param {number} [timestamp] - Host capture time of the first sample (ms), for position reports
+     */
+    push(channels, arrivalTime, sequence = this.autoSequence, playoutTime = undefined, timestamp = undefined) {
+        if (channels.length !== this.channelCount) {
+            this.setChannelCount(channels.length);
+        }
+
+        const { length } = channels[0];
+        this.autoSequence = sequence + 1;
+        this.updateJitter(length, arrivalTime);
+        this.countReceived(sequence);
+
+        if (this.nextSequence === null) {
+            this.nextSequence = sequence;
+        }
+
+        // Packet missed its playout deadline or is a duplicate
+        if (sequence < this.nextSequence || this.slots[sequence % this.options.capacity]?.sequence === sequence) {
+            this.stats.late++;
+            return;
+        }
+
+        // Make room by dropping the oldest packets on overflow
+        const maxSamples = this.options.maxDepth * this.sampleRate;
+        while (this.nextSequence <= this.highestSequence
+            && (sequence - this.nextSequence >= this.options.capacity
+                || this.bufferedSamples + length > maxSamples)) {
+            this.dropOldest();
+        }
+
+        // Everything older was dropped and the gap is too large to conceal: resync
+        if (sequence - this.nextSequence >= this.options.capacity) {
+            this.nextSequence = sequence;
+        }
+
+        this.slots[sequence % this.options.capacity] = { sequence, channels, length, playoutTime, timestamp };
+        this.bufferedSamples += length;
+        this.highestSequence = Math.max(this.highestSequence, sequence);
+
+        // Scheduled packets wait for their playout time instead of a prebuffer depth
+        if (!this.isPlaying && (playoutTime !== undefined
+            || this.bufferedSamples >= this.targetDepth * this.sampleRate)) {
+            this.isPlaying = true;
+        }
+    }
+
+    /**
+     * Fills an output block from the buffer at the drift corrected rate
+     * @param {Float32Array[]} outputs - Equal length blocks to fill, one per channel
+     * @param {number} [blockTime] - Context time of the blocks' first sample
+     */
+    read(outputs, blockTime) {
+        // The resamplers have read ahead, so the next sample read plays after the ones they hold
+        const readTime = blockTime === undefined
+            ? undefined
+            : blockTime + this.resamplers[0].getLookahead() / this.sampleRate;
+        const ratio = this.drift.getRatio();
+
+        // Every resampler is in the same state, so each asks for the same input
+        let input = null;
+        this.resamplers.forEach((resampler, index) => {
+            resampler.setRates(ratio, 1);
+            resampler.pull(outputs[index], (buffer, offset, count) => {
+                if (!input) {
+                    input = this.resamplers.map(() => new Float32Array(count));
+                    this.fill(input, 0, count, readTime);
+                }
+                buffer.set(input[index], offset);
+            });
+        });
+    }
+
+    /**
+     * Fills part of a block from the buffer at the nominal rate
+     * @private
+     * @param {Float32Array[]} outputs - Blocks to fill, one per channel
+     * @param {number} start - First sample to fill
+     * @param {number} end - Sample after the last one to fill
+     * @param {number} [time] - Context time the first sample plays at
+     */
+    fill(outputs, start, end, time) {
+        if (!this.isPlaying) {
+            this.conceal(outputs, start, end - start);
+            return;
+        }
+
+        let writeOffset = start + (time === undefined ? 0 : this.alignToSchedule(outputs, start, end, time));
+        while (writeOffset < end) {
+            if (!this.current && !this.advance()) {
+                // Ran dry: conceal the remainder and prebuffer again
+                this.stats.underruns++;
+                this.isPlaying = false;
+                this.startDepth = null;
+                this.drift.rebase();
+                this.conceal(outputs, writeOffset, end - writeOffset);
+                return;
+            }
+
+            const { channels, length } = this.current;
+            const count = Math.min(end - writeOffset, length - this.readOffset);
+            if (channels) {
+                channels.forEach((samples, index) => {
+                    outputs[index].set(samples.subarray(this.readOffset, this.readOffset + count), writeOffset);
+                    this.concealers[index].resume(outputs[index], writeOffset, count);
+                });
+            } else {
+                this.conceal(outputs, writeOffset, count);
+            }
+            writeOffset += count;
+            this.readOffset += count;
+
+            if (this.readOffset >= length) {
+                this.current = null;
+                this.readOffset = 0;
+            }
+        }
+    }
+
+    /**
+     * Moves to the next packet in sequence, concealing it if missing
+     * @private
+     * @returns {boolean} Whether there is something to play
+     */
+    advance() {
+        if (this.nextSequence === null || this.nextSequence > this.highestSequence) {
+            return false;
+        }
+
+        const slotIndex = this.nextSequence % this.options.capacity;
+        const slot = this.slots[slotIndex];
+        this.nextSequence++;
+
+        if (slot) {
+            this.slots[slotIndex] = null;
+            this.bufferedSamples -= slot.length;
+            this.packetLength = slot.length;
+            this.current = {
+                channels: slot.channels,
+                length: slot.length,
+                playoutTime: slot.playoutTime,
+                timestamp: slot.timestamp
+            };
+            return true;
+        }
+
+        // Later packets are waiting, so this one is late: conceal a packet's worth
+        this.stats.concealed++;
+        this.current = { channels: null, length: this.packetLength };
+        return true;
+    }
+
+    /**
+     * Fills part of a block in place of missing audio and counts it
+     * @private
+     * @param {Float32Array[]} outputs - Blocks to fill, one per channel
+     * @param {number} offset - First sample to fill
+     * @param {number} count - Samples to fill
+     */
+    conceal(outputs, offset, count) {
+        const concealed = this.concealers.map((concealer, index) => concealer.conceal(outputs[index], offset, count));
+        this.stats.concealedSamples += concealed[0];
+    }
+
+    /**
+     * Tells the drift estimator how far off schedule the next sample is,
+     * then waits or skips if it is too far off to correct by rate
+     * @private
+     * @param {Float32Array[]} outputs - Blocks being filled, one per channel
+     * @param {number} start - First sample to fill
+     * @param {number} end - Sample after the last one to fill
+     * @param {number} time - Context time the first sample plays at
+     * @returns {number} Samples concealed while waiting
+     */
+    alignToSchedule(outputs, start, end, time) {
+        if (!this.current && !this.advance()) return 0;
+
+        const { channels, length, playoutTime } = this.current;
+        // Concealed packets have no playout time to measure against
+        if (!channels) return 0;
+
+        if (playoutTime === undefined) {
+            const depth = (this.bufferedSamples + length - this.readOffset) / this.sampleRate;
+            this.startDepth ??= depth;
+            this.drift.update(time, depth - this.startDepth);
+            return 0;
+        }
+
+        const lead = playoutTime + this.readOffset / this.sampleRate - time;
+        this.drift.update(time, -lead);
+        if (lead > SYNC_TOLERANCE) {
+            const wait = Math.min(end - start, Math.round(lead * this.sampleRate));
+            this.conceal(outputs, start, wait);
+            this.drift.rebase();
+            return wait;
+        }
+
+        if (lead < -SYNC_TOLERANCE) {
+            this.skip(Math.round(-lead * this.sampleRate));
+            this.stats.resyncs++;
+            this.drift.rebase();
+        }
+        return 0;
+    }
+
+    /**
+     * Discards samples from the front of the buffer
+     * @private
+     * @param {number} count - Samples to discard
+     */
+    skip(count) {
+        let remaining = count;
+        while (remaining > 0 && (this.current || this.advance())) {
+            const step = Math.min(remaining, this.current.length - this.readOffset);
+            this.readOffset += step;
+            remaining -= step;
+
+            if (this.readOffset >= this.current.length) {
+                this.current = null;
+                this.readOffset = 0;
+            }
+        }
+    }
+
+    /**
+     * Discards the oldest buffered packet
+     * @private
+     */
+    dropOldest() {
+        const slotIndex = this.nextSequence % this.options.capacity;
+        const slot = this.slots[slotIndex];
+        if (slot) {
+            this.bufferedSamples -= slot.length;
+            this.slots[slotIndex] = null;
+            this.stats.overruns++;
+            this.drift.rebase();
+        }
+        this.nextSequence++;
+    }
+
+    /**
+     * Switches to a stream with a different channel count, dropping what is buffered
+     * @private
+     * @param {number} channelCount - Channels per packet
+     */
+    setChannelCount(channelCount) {
+        this.channelCount = channelCount;
+        this.concealers = Array.from({ length: channelCount }, () => new PacketLossConcealer(this.sampleRate, this.options.concealment));
+        this.resamplers = Array.from({ length: channelCount }, () => new StreamResampler(1, 1));
+        this.reset();
+    }
+
+    /**
+     * Counts received and expected packets for the loss rate. Every sequence
+     * number past the highest seen so far was expected, so gaps count as lost
+     * until their packet turns up.
+     * @private
+     * @param {number} sequence - Sequence number of the arriving packet
+     */
+    countReceived(sequence) {
+        this.stats.received++;
+        this.stats.expected += this.highestSequence < 0 ? 1 : Math.max(0, sequence - this.highestSequence);
+    }
+
+    /**
+     * Updates the interarrival jitter estimate and the adaptive target depth
+     * @private
+     * @param {number} packetSamples - Samples in the arriving packet
+     * @param {number} arrivalTime - Arrival time in seconds
+     */
+    updateJitter(packetSamples, arrivalTime) {
+        if (this.lastArrival !== null) {
+            const deviation = Math.abs((arrivalTime - this.lastArrival) - packetSamples / this.sampleRate);
+            this.jitter += (deviation - this.jitter) * JITTER_SMOOTHING;
+        }
+        this.lastArrival = arrivalTime;
+
+        if (this.options.adaptive) {
+            const depth = this.baseDepth + this.jitter * this.options.jitterMultiplier;
+            this.targetDepth = Math.min(this.options.maxDepth, Math.max(this.options.minDepth, depth));
+        }
+    }
+
+    /**
+     * Gets the host capture time of the next sample to play
+     * @returns {number|null} Host clock ms, null while concealing or not playing
+     */
+    getPosition() {
+        if (!this.isPlaying || this.current?.timestamp === undefined) return null;
+        return this.current.timestamp + ((this.readOffset - this.resamplers[0].getLookahead()) / this.sampleRate) * 1000;
+    }
+
+    /**
+     * Gets buffer statistics
+     * @returns {Object} Counters (concealed counts packets, concealedSamples samples),
+     *     depth, target depth and jitter in milliseconds, and the estimated clock drift
+     *     and applied rate correction in ppm
+     */
+    getStats() {
+        const { drift, correction } = this.drift.getState();
+        return {
+            ...this.stats,
+            clockDrift: drift,
+            rateCorrection: correction,
+            depth: (this.bufferedSamples / this.sampleRate) * 1000,
+            targetDepth: this.targetDepth * 1000,
+            jitter: this.jitter * 1000
+        };
+    }
+}
+
+export default JitterBuffer;
@@ -0,0 +1,70 @@
+/**
+ * Decides whether a ducking key signal is active.
+ *
+ * Runs inside the audio worklet, so the decision keeps pace with the audio
+ * even when the page is in a background tab and its timers are throttled.
+ * The key's power is averaged over windows of WINDOW_LENGTH samples across
+ * its channels. A window above the threshold makes the key active at once;
+ * it turns inactive after staying below the threshold for the hold time.
+ */
+const DEFAULT_OPTIONS = {
+    threshold: -45, // dBFS the key must exceed to be active
+    hold: 400 // ms the key must stay quiet before turning inactive
+};
+const WINDOW_LENGTH = 1024; // Samples averaged for each level measurement
+
+class KeyDetector {
+    /**
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.power = 0;
+        this.frames = 0;
+        this.lastActive = 0;
+        this.isActive = false;
+    }
+
+    /**
+     * Updates detection options
+     * @param {Object} options - Any of threshold, hold
+     */
+    configure(options) {
+        this.options = { ...this.options, ...options };
+    }
+
+    /**
+     * Adds a render quantum of the key to the current window
+     * @param {Array<Float32Array>} channels - Key channels, empty while nothing is connected
+     * @param {number} frames - Frames in the quantum
+     * @param {number} time - Audio context time of the quantum in seconds
+     * @returns {boolean|null} The new state when it changed, otherwise null
+     */
+    process(channels, frames, time) {
+        channels.forEach(channel => {
+            for (let i = 0; i < channel.length; i++) {
+                this.power += (channel[i] * channel[i]) / channels.length;
+            }
+        });
+        this.frames += frames;
+        if (this.frames < WINDOW_LENGTH) return null;
+
+        const level = 10 * Math.log10(this.power / this.frames + 1e-12);
+        this.power = 0;
+        this.frames = 0;
+
+        if (level > this.options.threshold) {
+            this.lastActive = time;
+            if (!this.isActive) {
+                this.isActive = true;
+                return true;
+            }
+        } else if (this.isActive && (time - this.lastActive) * 1000 > this.options.hold) {
+            this.isActive = false;
+            return false;
+        }
+        return null;
+    }
+}
+
+export default KeyDetector;
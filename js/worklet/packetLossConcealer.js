@@ -0,0 +1,229 @@
+/**
+ * Packet loss concealment for the playback worklet.
+ *
+ * Keeps the last few tens of milliseconds played. When audio is missing it
+ * searches that history for the lag at which the signal best repeats
+ * itself: the pitch period for voiced sound, otherwise the longest lag
+ * searched. The last cycle of that length is then played over and over,
+ * its end overlap-added with the samples that preceded it so the loop has
+ * no seam. Short gaps are filled at full level; longer ones fade into
+ * comfort noise at the level of the quietest recent audio, and past
+ * maxDuration into silence. When real audio resumes it is crossfaded in
+ * from the concealed signal.
+ */
+const DEFAULT_OPTIONS = {
+    minPitch: 60, // Hz, lowest pitch searched for
+    maxPitch: 400, // Hz, highest pitch searched for
+    voicingThreshold: 0.6, // Normalized correlation above which audio counts as pitched
+    shortGap: 0.02, // Seconds concealed at full level
+    fadeTime: 0.1, // Seconds over which concealment turns into comfort noise
+    maxDuration: 1, // Seconds of concealment before falling silent
+    crossfade: 0.005, // Seconds over which resumed audio replaces concealment
+    maxComfortNoise: 0.003 // Comfort noise RMS ceiling, about -50 dBFS
+};
+const SEARCH_DECIMATION = 4; // Coarse lag search step, refined around the best lag
+const NOISE_FLOOR_RISE = 0.002; // Per block rise of the noise floor towards louder audio
+const UNIT_NOISE = Math.sqrt(3); // Uniform noise in [-√3, √3] has unit RMS
+
+class PacketLossConcealer {
+    /**
+     * @param {number} sampleRate - Playback sample rate
+     * @param {Object} [options] - Overrides for DEFAULT_OPTIONS
+     */
+    constructor(sampleRate, options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.minLag = Math.floor(sampleRate / this.options.maxPitch);
+        this.maxLag = Math.ceil(sampleRate / this.options.minPitch);
+        this.shortGap = Math.round(this.options.shortGap * sampleRate);
+        this.fadeLength = Math.max(1, Math.round(this.options.fadeTime * sampleRate));
+        this.maxLength = Math.round(this.options.maxDuration * sampleRate);
+        this.crossfadeLength = Math.max(1, Math.round(this.options.crossfade * sampleRate));
+        this.history = new Float32Array(2 * this.maxLag);
+        this.cycle = new Float32Array(this.maxLag);
+        this.reset();
+    }
+
+    /**
+     * Forgets the played history, for a new stream
+     */
+    reset() {
+        this.history.fill(0);
+        this.historyLength = 0;
+        this.noiseFloor = null;
+        this.gapPosition = null; // Samples concealed in the current gap, null when not concealing
+        this.crossfadeRemaining = 0;
+    }
+
+    /**
+     * Fills part of a block in place of missing audio
+     * @param {Float32Array} output - Block to fill
+     * @param {number} offset - First sample to fill
+     * @param {number} count - Samples to fill
+     * @returns {number} Samples concealed, 0 when there was nothing to go on and silence was written
+     */
+    conceal(output, offset, count) {
+        if (this.historyLength < this.history.length) {
+            output.fill(0, offset, offset + count);
+            return 0;
+        }
+
+        // A gap during the crossfade starts over from what was played
+        if (this.gapPosition === null || this.crossfadeRemaining > 0) {
+            this.startGap();
+        }
+
+        const concealed = Math.max(0, Math.min(count, this.maxLength - this.gapPosition));
+        for (let i = 0; i < count; i++) {
+            output[offset + i] = this.nextSample();
+        }
+        return concealed;
+    }
+
+    /**
+     * Takes real audio just written to a block: crossfades it in if it ends
+     * a gap, and remembers it for the next one
+     * @param {Float32Array} output - Block holding the audio
+     * @param {number} offset - First real sample
+     * @param {number} count - Real samples
+     */
+    resume(output, offset, count) {
+        if (this.gapPosition !== null) {
+            if (this.crossfadeRemaining === 0) {
+                this.crossfadeRemaining = this.crossfadeLength;
+            }
+            const fadeCount = Math.min(count, this.crossfadeRemaining);
+            for (let i = 0; i < fadeCount; i++) {
+                const weight = 1 - (this.crossfadeRemaining - i) / (this.crossfadeLength + 1);
+                output[offset + i] = output[offset + i] * weight + this.nextSample() * (1 - weight);
+            }
+            this.crossfadeRemaining -= fadeCount;
+            if (this.crossfadeRemaining === 0) {
+                this.gapPosition = null;
+            }
+        }
+
+        this.learn(output, offset, count);
+    }
+
+    /**
+     * Picks the repetition lag for a new gap and builds the cycle to loop
+     * @private
+     */
+    startGap() {
+        const { history, cycle } = this;
+        const end = history.length;
+        const { lag, correlation } = this.findLag();
+        this.lag = correlation >= this.options.voicingThreshold ? lag : this.maxLag;
+
+        // The cycle's tail blends into the samples before its start, so looping it is seamless
+        const overlap = Math.floor(this.lag / 4);
+        for (let i = 0; i < this.lag; i++) {
+            cycle[i] = history[end - this.lag + i];
+        }
+        for (let i = 0; i < overlap; i++) {
+            const index = this.lag - overlap + i;
+            const weight = (i + 1) / (overlap + 1);
+            cycle[index] = cycle[index] * (1 - weight) + history[end - 2 * this.lag + index] * weight;
+        }
+
+        this.phase = 0;
+        this.gapPosition = 0;
+        this.crossfadeRemaining = 0;
+        this.comfortNoise = Math.min(this.noiseFloor ?? 0, this.options.maxComfortNoise);
+    }
+
+    /**
+     * @private
+     * @returns {number} Next concealed sample
+     */
+    nextSample() {
+        const position = this.gapPosition++;
+        if (position >= this.maxLength) return 0;
+
+        const level = position < this.shortGap ? 1 : Math.max(0, 1 - (position - this.shortGap) / this.fadeLength);
+        // Comfort noise takes over as the repetition fades, and fades itself before maxDuration
+        const noiseLevel = (1 - level) * Math.min(1, (this.maxLength - position) / this.fadeLength);
+
+        const sample = this.cycle[this.phase];
+        this.phase = (this.phase + 1) % this.lag;
+        const noise = (Math.random() * 2 - 1) * UNIT_NOISE * this.comfortNoise;
+        return sample * level + noise * noiseLevel;
+    }
+
+    /**
+     * Finds the lag at which the end of the history best matches the audio
+     * one lag earlier, searching coarsely first and then around the best
+     * coarse lag
+     * @private
+     * @returns {Object} { lag, correlation } with correlation normalized to [-1, 1]
+     */
+    findLag() {
+        let best = { lag: this.maxLag, correlation: 0 };
+        for (let lag = this.minLag; lag <= this.maxLag; lag += SEARCH_DECIMATION) {
+            const correlation = this.correlate(lag, SEARCH_DECIMATION);
+            if (correlation > best.correlation) best = { lag, correlation };
+        }
+
+        const coarseLag = best.lag;
+        const from = Math.max(this.minLag, coarseLag - SEARCH_DECIMATION + 1);
+        const to = Math.min(this.maxLag, coarseLag + SEARCH_DECIMATION - 1);
+        best = { lag: coarseLag, correlation: this.correlate(coarseLag, 1) };
+        for (let lag = from; lag <= to; lag++) {
+            const correlation = this.correlate(lag, 1);
+            if (correlation > best.correlation) best = { lag, correlation };
+        }
+        return best;
+    }
+
+    /**
+     * @private
+     * @param {number} lag - Lag in samples
+     * @param {number} step - Samples between the ones compared
+     * @returns {number} Normalized correlation of the last maxLag samples with those lag earlier
+     */
+    correlate(lag, step) {
+        const { history } = this;
+        const start = history.length - this.maxLag;
+        let product = 0;
+        let energyA = 0;
+        let energyB = 0;
+        for (let i = start; i < history.length; i += step) {
+            const a = history[i];
+            const b = history[i - lag];
+            product += a * b;
+            energyA += a * a;
+            energyB += b * b;
+        }
+        const energy = Math.sqrt(energyA * energyB);
+        return energy > 0 ? product / energy : 0;
+    }
+
+    /**
+     * Appends played audio to the history and tracks the noise floor
+     * @private
+     * @param {Float32Array} samples - Block holding the audio
+     * @param {number} offset - First sample
+     * @param {number} count - Samples
+     */
+    learn(samples, offset, count) {
+        if (count === 0) return;
+
+        const { history } = this;
+        const kept = Math.min(count, history.length);
+        history.copyWithin(0, kept);
+        history.set(samples.subarray(offset + count - kept, offset + count), history.length - kept);
+        this.historyLength = Math.min(history.length, this.historyLength + count);
+
+        let energy = 0;
+        for (let i = offset; i < offset + count; i++) {
+            energy += samples[i] * samples[i];
+        }
+        // Follows quiet blocks down at once and louder ones up slowly
+        const rms = Math.sqrt(energy / count);
+        this.noiseFloor = this.noiseFloor === null || rms < this.noiseFloor
+            ? rms
+            : this.noiseFloor + (rms - this.noiseFloor) * NOISE_FLOOR_RISE;
+    }
+}
+
+export default PacketLossConcealer;
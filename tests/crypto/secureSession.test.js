@@ -0,0 +1,71 @@
+import SecureSession from '../../js/crypto/secureSession.js';
+import AuthenticationError from '../../js/crypto/authenticationError.js';
+
+const REPLAY_WINDOW = 1024;
+
+const createPair = async () => {
+    const host = new SecureSession('host');
+    const receiver = new SecureSession('receiver');
+    const credentials = { salt: 'nonce', joinCode: 'ABCD-1234', pin: '42' };
+    await host.establish({ ...credentials, peerPublicKey: await receiver.getPublicKey() });
+    await receiver.establish({ ...credentials, peerPublicKey: await host.getPublicKey() });
+    return { host, receiver };
+};
+
+const sealFrames = (session, count) =>
+    Promise.all(Array.from({ length: count }, (_, index) => session.seal(Uint8Array.of(index & 0xff))));
+
+describe('SecureSession replay window', () => {
+    test('opens frames that arrive out of order', async () => {
+        const { host, receiver } = await createPair();
+        const frames = await sealFrames(host, 4);
+
+        for (const index of [1, 0, 3, 2]) {
+            await expect(receiver.open(frames[index])).resolves.toEqual(Uint8Array.of(index));
+        }
+    });
+
+    test('rejects a frame opened twice', async () => {
+        const { host, receiver } = await createPair();
+        const [frame] = await sealFrames(host, 1);
+
+        await receiver.open(frame);
+
+        await expect(receiver.open(frame)).rejects.toThrow(AuthenticationError);
+    });
+
+    test('rejects frames that fell behind the window', async () => {
+        const { host, receiver } = await createPair();
+        const frames = await sealFrames(host, REPLAY_WINDOW + 2);
+
+        await receiver.open(frames[REPLAY_WINDOW + 1]);
+
+        await expect(receiver.open(frames[1])).rejects.toThrow('replayed');
+        await expect(receiver.open(frames[2])).resolves.toEqual(Uint8Array.of(2));
+    });
+
+    test('forgets sequences that slid out of the window as the window advances', async () => {
+        const { host, receiver } = await createPair();
+        const frames = await sealFrames(host, 2 * REPLAY_WINDOW + 1);
+
+        await receiver.open(frames[5]);
+        await receiver.open(frames[6]);
+        await receiver.open(frames[2 * REPLAY_WINDOW]);
+        await receiver.open(frames[REPLAY_WINDOW + 5]);
+
+        // Sequences a window apart share a slot, which 5 and 6 no longer hold
+        await expect(receiver.open(frames[REPLAY_WINDOW + 5])).rejects.toThrow('replayed');
+        await expect(receiver.open(frames[REPLAY_WINDOW + 6])).resolves.toEqual(Uint8Array.of((REPLAY_WINDOW + 6) & 0xff));
+    });
+
+    test('leaves the window alone for forged frames', async () => {
+        const { host, receiver } = await createPair();
+        const [frame] = await sealFrames(host, 1);
+        const forged = frame.slice();
+        forged[forged.length - 1] ^= 1;
+
+        await expect(receiver.open(forged)).rejects.toThrow('authentication tag mismatch');
+
+        await expect(receiver.open(frame)).resolves.toEqual(Uint8Array.of(0));
+    });
+});
@@ -0,0 +1,105 @@
+import AlertEngine, { ALERT_EVENTS, CLEAR_REASONS } from '../../js/monitoring/alertEngine.js';
+import { ALERT_COMPARISONS } from '../../js/monitoring/alertRules.js';
+
+const LATENCY_RULE = {
+    id: 'highLatency',
+    metric: 'audioLatency',
+    message: 'High latency',
+    unit: 'ms',
+    threshold: 200,
+    hysteresis: 20,
+    holdTime: 3000
+};
+
+const createEngine = (rule = LATENCY_RULE) => {
+    const engine = new AlertEngine([rule]);
+    const events = [];
+    engine.on(ALERT_EVENTS.RAISED, alert => events.push({ type: ALERT_EVENTS.RAISED, ...alert }));
+    engine.on(ALERT_EVENTS.CLEARED, alert => events.push({ type: ALERT_EVENTS.CLEARED, ...alert }));
+    return { engine, events };
+};
+
+describe('AlertEngine', () => {
+    test('raises once the breach has lasted the hold time', () => {
+        const { engine, events } = createEngine();
+
+        engine.evaluate({ audioLatency: 250 }, 0);
+        engine.evaluate({ audioLatency: 260 }, 2999);
+        expect(events).toHaveLength(0);
+
+        engine.evaluate({ audioLatency: 240 }, 3000);
+        expect(events).toEqual([expect.objectContaining({ type: ALERT_EVENTS.RAISED, value: 240, occurrences: 1 })]);
+    });
+
+    test('restarts the hold time when the breach is interrupted', () => {
+        const { engine, events } = createEngine();
+
+        engine.evaluate({ audioLatency: 250 }, 0);
+        engine.evaluate({ audioLatency: 150 }, 2000);
+        engine.evaluate({ audioLatency: 250 }, 2500);
+        engine.evaluate({ audioLatency: 250 }, 5000);
+        expect(events).toHaveLength(0);
+
+        engine.evaluate({ audioLatency: 250 }, 5500);
+        expect(events).toHaveLength(1);
+    });
+
+    test('stays raised until the metric recovers past the hysteresis', () => {
+        const { engine, events } = createEngine();
+        engine.evaluate({ audioLatency: 250 }, 0);
+        engine.evaluate({ audioLatency: 250 }, 3000);
+
+        engine.evaluate({ audioLatency: 195 }, 4000);
+        engine.evaluate({ audioLatency: 181 }, 5000);
+        expect(engine.getActiveAlerts()).toHaveLength(1);
+
+        engine.evaluate({ audioLatency: 180 }, 6000);
+        expect(engine.getActiveAlerts()).toHaveLength(0);
+        expect(events[1]).toEqual(expect.objectContaining({
+            type: ALERT_EVENTS.CLEARED,
+            reason: CLEAR_REASONS.RECOVERED,
+            duration: 3000
+        }));
+    });
+
+    test('applies the hysteresis above the threshold for rules on low values', () => {
+        const { engine } = createEngine({
+            id: 'lowBattery',
+            metric: 'batteryLevel',
+            message: 'Low battery',
+            comparison: ALERT_COMPARISONS.BELOW,
+            threshold: 15,
+            hysteresis: 5
+        });
+        engine.evaluate({ batteryLevel: 10 }, 0);
+
+        engine.evaluate({ batteryLevel: 19 }, 1000);
+        expect(engine.getActiveAlerts()).toHaveLength(1);
+
+        engine.evaluate({ batteryLevel: 20 }, 2000);
+        expect(engine.getActiveAlerts()).toHaveLength(0);
+    });
+
+    test('clears without recovering when the metric is no longer measured', () => {
+        const { engine, events } = createEngine({ ...LATENCY_RULE, holdTime: 0 });
+        engine.evaluate({ audioLatency: 250 }, 0);
+
+        engine.evaluate({ audioLatency: null }, 1000);
+
+        expect(events[1]).toEqual(expect.objectContaining({ type: ALERT_EVENTS.CLEARED, reason: CLEAR_REASONS.UNMEASURED }));
+    });
+
+    test('counts raises within the cooldown as repeats', () => {
+        const { engine, events } = createEngine({ ...LATENCY_RULE, holdTime: 0, cooldown: 10000 });
+
+        engine.evaluate({ audioLatency: 250 }, 0);
+        engine.evaluate({ audioLatency: 100 }, 1000);
+        engine.evaluate({ audioLatency: 250 }, 2000);
+        engine.evaluate({ audioLatency: 100 }, 3000);
+        engine.evaluate({ audioLatency: 250 }, 20000);
+
+        const raised = events.filter(event => event.type === ALERT_EVENTS.RAISED);
+        expect(raised.map(({ occurrences, isRepeat }) => [occurrences, isRepeat]))
+            .toEqual([[1, false], [2, true], [1, false]]);
+    });
+});
@@ -0,0 +1,64 @@
+import ErasureCode, { PARITY_SCHEMES } from '../../js/recovery/erasureCode.js';
+
+const createGroup = (count) => Array.from({ length: count }, (_, index) =>
+    Uint8Array.from({ length: 20 + index * 7 }, (__, byte) => (index * 31 + byte * 17) & 0xff));
+
+const dropPackets = (packets, lost) => packets.map((packet, index) => (lost.includes(index) ? null : packet));
+
+describe('ErasureCode', () => {
+    test('XOR parity rebuilds one lost packet', () => {
+        const packets = createGroup(5);
+        const parity = ErasureCode.encode(packets, PARITY_SCHEMES.XOR, 1);
+
+        const recovered = ErasureCode.recover(dropPackets(packets, [2]), parity, PARITY_SCHEMES.XOR);
+
+        expect([...recovered.keys()]).toEqual([2]);
+        expect(recovered.get(2)).toEqual(packets[2]);
+    });
+
+    test('Reed-Solomon rebuilds as many lost packets as there are parity shards', () => {
+        const packets = createGroup(8);
+        const parity = ErasureCode.encode(packets, PARITY_SCHEMES.REED_SOLOMON, 3);
+
+        const recovered = ErasureCode.recover(dropPackets(packets, [0, 4, 7]), parity, PARITY_SCHEMES.REED_SOLOMON);
+
+        expect(recovered.size).toBe(3);
+        [0, 4, 7].forEach(index => expect(recovered.get(index)).toEqual(packets[index]));
+    });
+
+    test('Reed-Solomon rebuilds from any subset of the parity shards', () => {
+        const packets = createGroup(6);
+        const parity = ErasureCode.encode(packets, PARITY_SCHEMES.REED_SOLOMON, 3);
+
+        const recovered = ErasureCode.recover(dropPackets(packets, [1, 5]), [null, parity[1], parity[2]],
+            PARITY_SCHEMES.REED_SOLOMON);
+
+        expect(recovered.get(1)).toEqual(packets[1]);
+        expect(recovered.get(5)).toEqual(packets[5]);
+    });
+
+    test('keeps the length of packets shorter than the longest in the group', () => {
+        const packets = [new Uint8Array([1, 2, 3]), new Uint8Array(40).fill(9), new Uint8Array([7])];
+        const parity = ErasureCode.encode(packets, PARITY_SCHEMES.REED_SOLOMON, 2);
+
+        const recovered = ErasureCode.recover(dropPackets(packets, [0, 2]), parity, PARITY_SCHEMES.REED_SOLOMON);
+
+        expect(recovered.get(0)).toEqual(packets[0]);
+        expect(recovered.get(2)).toEqual(packets[2]);
+    });
+
+    test('waits while fewer parity shards than lost packets have arrived', () => {
+        const packets = createGroup(4);
+        const parity = ErasureCode.encode(packets, PARITY_SCHEMES.REED_SOLOMON, 2);
+
+        expect(ErasureCode.recover(dropPackets(packets, [0, 1]), [parity[0], null], PARITY_SCHEMES.REED_SOLOMON))
+            .toBeNull();
+    });
+
+    test('has nothing to rebuild when no packet is lost', () => {
+        const packets = createGroup(3);
+        const parity = ErasureCode.encode(packets, PARITY_SCHEMES.XOR, 1);
+
+        expect(ErasureCode.recover(packets, parity, PARITY_SCHEMES.XOR)).toBeNull();
+    });
+});